@@ -11,16 +11,46 @@ import express from 'express';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
 import cors from 'cors';
+import { randomUUID } from 'crypto';
 import { UserSessionManager } from './managers/UserSessionManager.js';
 import { BufferManager } from './managers/BufferManager.js';
 import { TimerManager } from './managers/TimerManager.js';
 import { GeminiService } from './services/GeminiService.js';
 import { UserProfileService } from './services/UserProfileService.js';
+import { AstrologyService } from './services/AstrologyService.js';
+import { AspectService } from './services/AspectService.js';
+import { FORECAST_FOCUS_AREAS, ForecastService } from './services/ForecastService.js';
+import { TransitCalendarService } from './services/TransitCalendarService.js';
+import { SynastryService } from './services/SynastryService.js';
+import { UserMemoryService } from './services/UserMemoryService.js';
+import { TarotService } from './services/TarotService.js';
 import { StateOrchestrator } from './managers/StateOrchestrator.js';
-import { socketAuthMiddleware } from './middleware/authMiddleware.js';
+import { createConversationStore } from './stores/createConversationStore.js';
+import { createRateLimitStore } from './stores/createRateLimitStore.js';
+import { createUserMemoryStore } from './stores/createUserMemoryStore.js';
+import { createForecastCacheStore } from './stores/createForecastCacheStore.js';
+import { RateLimitManager } from './managers/RateLimitManager.js';
+import { UsageTracker } from './managers/UsageTracker.js';
+import { ForecastScheduler } from './managers/ForecastScheduler.js';
+import { ContextWindowManager } from './managers/ContextWindowManager.js';
+import { createLLMProviders, getProviderTypes } from './providers/createLLMProvider.js';
+import { requireUser, socketAuthMiddleware, verifySupabaseToken } from './middleware/authMiddleware.js';
+import { AUTH_ERROR_CODES, checkAnonymousAccess, getAuthPolicy } from './middleware/authPolicy.js';
+import { requireAdminKey } from './middleware/adminAuth.js';
 import { clearTxtLogs } from './utils/logsCleanup.js';
+import { TimingProfiles } from './utils/TimingProfiles.js';
+import { isValidDate, isValidTimeZone } from './utils/timezone.js';
 
 const devMode = String(process.env.DEV_MODE || '').toLowerCase() === 'true';
+const resumeGraceMs = Number(process.env.SESSION_RESUME_GRACE_MS ?? 30000);
+// Sockets are disconnected this long after their access token expires unless reauthenticated
+const authExpiryGraceMs = Number(process.env.AUTH_EXPIRY_GRACE_MS ?? 30000);
+// Take the client address from X-Forwarded-For (only behind a trusted reverse proxy)
+const trustProxy = String(process.env.TRUST_PROXY || '').toLowerCase() === 'true';
+const rateLimitsEnabled = String(process.env.RATE_LIMITS_ENABLED ?? 'true').toLowerCase() !== 'false';
+const forecastPregenerate = String(process.env.FORECAST_PREGENERATE ?? 'true').toLowerCase() !== 'false';
+// setTimeout limit (~24.8 days)
+const MAX_TIMER_MS = 2 ** 31 - 1;
 
 const app = express();
 const httpServer = createServer(app);
@@ -42,36 +72,116 @@ app.use(express.json());
 // Initialize services
 let geminiService = null;
 let userProfileService = null;
+let astrologyService = null;
+let aspectService = null;
+let synastryService = null;
+let forecastService = null;
+let forecastScheduler = null;
+let userMemoryService = null;
 let sessionManager = null;
 let bufferManager = null;
 let timerManager = null;
 let orchestrator = null;
+let rateLimiter = null;
+let usageTracker = null;
+let tarotService = null;
 
 async function initializeServices() {
     try {
-        if (!process.env.GEMINI_API_KEY) {
+        // Initialize rate limits / daily quotas (also guards the REST API)
+        rateLimiter = await RateLimitManager.load(createRateLimitStore(), { enabled: rateLimitsEnabled });
+        console.log(`🚦 Rate limits: ${rateLimitsEnabled ? `on (store: ${process.env.RATE_LIMIT_STORE || 'memory'})` : 'off'}`);
+
+        // Token usage / cost accounting (see GET /admin/usage)
+        usageTracker = await UsageTracker.load();
+
+
+        const providerTypes = getProviderTypes();
+        if (Object.values(providerTypes).includes('gemini') && !process.env.GEMINI_API_KEY) {
             console.warn('⚠️  GEMINI_API_KEY not found. AI features will be disabled.');
+            console.warn('   ℹ️  Set LLM_PROVIDER=mock to run offline with scripted responses.');
             return false;
         }
 
+        // Initialize LLM providers (main, evaluator, forecast, summary, memory)
+        const providers = createLLMProviders(providerTypes);
+        console.log(`🧠 LLM providers: ${Object.entries(providers).map(([role, provider]) => `${role}=${provider.name}`).join(', ')}`);
+
+        // Server-side natal / transit charts (offline ephemeris)
+        astrologyService = new AstrologyService({ houseSystem: process.env.HOUSE_SYSTEM || 'placidus' });
+        console.log(`🪐 Chart calculation: ${astrologyService.houseSystem} houses`);
+        aspectService = await AspectService.load();
+        synastryService = new SynastryService(astrologyService, aspectService);
+
         // Initialize User Profile service
-        userProfileService = new UserProfileService();
+        userProfileService = new UserProfileService(astrologyService, aspectService);
 
-        // Initialize Gemini service with user profile service
-        geminiService = new GeminiService(process.env.GEMINI_API_KEY, userProfileService);
+        // Initialize long-term user memories
+        userMemoryService = new UserMemoryService(createUserMemoryStore(), {
+            maxPerUser: Number(process.env.USER_MEMORY_MAX || 200),
+            promptLimit: Number(process.env.USER_MEMORY_PROMPT_LIMIT || 8),
+        });
+        console.log(`🧠 User memory store: ${process.env.USER_MEMORY_STORE || 'memory'}`);
+
+        // Initialize Gemini service with providers, user profile and memory services
+        geminiService = new GeminiService(providers, userProfileService, userMemoryService, synastryService);
         await geminiService.loadPrompts();
+        console.log(`🎭 Chat modes: ${geminiService.personas.modes().join(', ')} (default: ${geminiService.personas.defaultMode})`);
+
+        // Daily forecasts, cached per date / time zone / chart (generic and per natal chart)
+        forecastService = new ForecastService(geminiService, userProfileService, astrologyService, aspectService, {
+            cache: createForecastCacheStore(),
+            cacheTtlMs: Number(process.env.FORECAST_CACHE_TTL_HOURS || 48) * 60 * 60 * 1000,
+            transitCalendar: new TransitCalendarService(aspectService),
+        });
+        console.log(`🗓️  Forecast cache: ${process.env.FORECAST_CACHE_STORE || 'memory'}`);
+
+        // Next day's forecasts of active users, generated shortly before their local midnight
+        if (forecastPregenerate) {
+            forecastScheduler = new ForecastScheduler(forecastService, {
+                leadMinutes: Number(process.env.FORECAST_PREGENERATE_LEAD_MINUTES || 30),
+                activeDays: Number(process.env.FORECAST_ACTIVE_DAYS || 7),
+                onUsage: (usage, userId) => usageTracker?.record(usage, { userId }),
+            });
+            forecastScheduler.start();
+            console.log(`🌙 Forecast pre-generation: ${forecastScheduler.leadMinutes} min before local midnight`);
+        }
+
+        // Tarot deck and spreads (cards are drawn by the server, not the model)
+        tarotService = await TarotService.load();
+        console.log(`🃏 Tarot spreads: ${Object.keys(tarotService.spreads).join(', ')} (default: ${tarotService.defaultSpread})`);
+
+        // Initialize conversation storage
+        const conversationStore = createConversationStore();
+        console.log(`💾 Conversation store: ${process.env.CONVERSATION_STORE || 'memory'}`);
+
+        // Load conversation timing profiles (DEV_MODE defaults to `fast`: faster block sending, production timers)
+        const timingProfiles = await TimingProfiles.load(
+            undefined,
+            process.env.TIMING_PROFILE || (devMode ? 'fast' : null)
+        );
+        console.log(`⏱️  Timing profiles: ${timingProfiles.names().join(', ')} (default: ${timingProfiles.defaultProfile})`);
 
         // Initialize managers
-        sessionManager = new UserSessionManager();
-        bufferManager = new BufferManager(sessionManager, { devMode });
-        timerManager = new TimerManager();
+        sessionManager = new UserSessionManager(conversationStore, timingProfiles, {
+            defaultChatMode: geminiService.personas.defaultMode,
+        });
+        bufferManager = new BufferManager(sessionManager);
+        timerManager = new TimerManager({ getTiming: (id) => sessionManager.getTiming(id) });
+
+        // Prompt history: last turns verbatim, older turns folded into a rolling summary
+        const contextWindow = new ContextWindowManager(sessionManager, geminiService, {
+            recentTurns: Number(process.env.HISTORY_RECENT_TURNS || 8),
+            tokenBudget: Number(process.env.HISTORY_TOKEN_BUDGET || 6000),
+        });
 
         // Initialize orchestrator
         orchestrator = new StateOrchestrator(
             sessionManager,
             bufferManager,
             timerManager,
-            geminiService
+            geminiService,
+            { resumeGraceMs, rateLimiter, usageTracker, contextWindow, userMemoryService, tarotService, synastryService, io }
         );
 
         console.log('✅ Server initialized\n');
@@ -92,32 +202,109 @@ app.get('/health', (req, res) => {
     });
 });
 
-app.post('/daily-forecast', async (req, res) => {
+/**
+ * Client address of a request / socket handshake
+ */
+function clientAddress(headers = {}, remoteAddress = null) {
+    if (trustProxy && headers['x-forwarded-for']) {
+        return String(headers['x-forwarded-for']).split(',')[0].trim();
+    }
+    return remoteAddress || null;
+}
+
+/**
+ * Send 429 with Retry-After (seconds) and the rate_limited payload
+ */
+function sendRateLimited(res, limited) {
+    const { allowed, ...payload } = limited;
+    res.set('Retry-After', String(Math.ceil(payload.retryAfterMs / 1000)));
+    res.status(429).json({ error: 'Too many requests', ...payload });
+}
+
+/**
+ * Rate limit a REST endpoint per user (optional Bearer token) and per IP,
+ * and check the caller's daily model quota. Sets req.user and req.quotaAccount.
+ */
+function rateLimitRoute(event) {
+    return async (req, res, next) => {
+        if (!rateLimiter) return next();
+
+        try {
+            // Already verified by requireUser on user endpoints
+            const token = req.user ? null : (req.get('authorization') || '').replace(/^Bearer\s+/i, '') || null;
+            const auth = token ? await verifySupabaseToken(token) : null;
+            const user = req.user || (auth?.valid ? auth.user : null);
+            const ip = clientAddress(req.headers, req.socket.remoteAddress);
+            req.user = user;
+
+            const limited = await rateLimiter.consume(event, { userKey: user ? `user:${user.id}` : null, ip });
+            if (!limited.allowed) {
+                console.log(`\n🚦 ${event} rate limited (${limited.scope}) for ${user ? user.id.substring(0, 8) : ip}`);
+                return sendRateLimited(res, limited);
+            }
+
+            req.quotaAccount = rateLimiter.accountFor(user, ip);
+            const quota = await rateLimiter.checkQuota(req.quotaAccount);
+            if (!quota.allowed) {
+                console.log(`\n⛔ ${event}: daily quota exhausted (${quota.tier})`);
+                return sendRateLimited(res, quota);
+            }
+
+            next();
+        } catch (error) {
+            // Limits must not take the API down with a broken counter store
+            console.error(`⚠️  Rate limit check failed for ${event}:`, error.message);
+            next();
+        }
+    };
+}
+
+/**
+ * onUsage callback for model calls of a REST request: usage accounting and the caller's daily quota
+ */
+function routeUsageRecorder(req) {
+    return (usage) => {
+        usageTracker?.record(usage, { userId: req.user?.id || null });
+        if (!req.quotaAccount) return;
+        rateLimiter.recordUsage(req.quotaAccount, { calls: 1, tokens: usage.totalTokens }).catch((error) => {
+            console.error('⚠️  Failed to record model usage:', error.message);
+        });
+    };
+}
+
+app.post('/daily-forecast', rateLimitRoute('daily_forecast'), async (req, res) => {
     try {
-        if (!geminiService) {
+        if (!forecastService) {
             return res.status(503).json({
                 error: 'AI service not available'
             });
         }
 
-        const { transitChart } = req.body;
-
-        if (!transitChart) {
+        // Without a client chart, the server's transits at midday of the local date
+        const { transitChart = null, timezone = 'UTC' } = req.body || {};
+        if (!isValidTimeZone(timezone)) {
             return res.status(400).json({
-                error: 'Transit chart data is required'
+                error: `Unknown timezone: ${timezone} (use an IANA name such as "Europe/Berlin")`
             });
         }
 
         console.log('\n🌅 Daily Forecast Request');
         console.log(`   ├─ Timestamp: ${new Date().toISOString()}`);
 
-        const forecast = await geminiService.generateDailyForecast(transitChart);
+        const { forecast, date, cached } = await forecastService.dailyForecast({
+            transitChart,
+            timezone,
+            onUsage: routeUsageRecorder(req),
+        });
 
-        console.log(`   ├─ ✅ Forecast generated`);
+        console.log(`   ├─ ✅ Forecast ${cached ? 'served from cache' : 'generated'}`);
         console.log(`   └─ Preview: ${forecast.substring(0, 80)}...`);
 
         res.json({
             forecast,
+            date,
+            timezone,
+            cached,
             timestamp: new Date().toISOString()
         });
 
@@ -130,10 +317,359 @@ app.post('/daily-forecast', async (req, res) => {
     }
 });
 
+// Compatibility report of two people: `partner`, and `person` (default: the signed-in user's profile)
+app.post('/compatibility', rateLimitRoute('compatibility'), async (req, res) => {
+    try {
+        if (!geminiService || !synastryService) {
+            return res.status(503).json({
+                error: 'AI service not available'
+            });
+        }
+
+        const { person: personInput = null, partner: partnerInput = null } = req.body || {};
+
+        const partner = synastryService.resolvePerson(partnerInput);
+        if (!partner.ok) {
+            return res.status(400).json({ error: `partner: ${partner.error}` });
+        }
+
+        let person;
+        if (personInput) {
+            person = synastryService.resolvePerson(personInput, { defaultName: 'Person' });
+            if (!person.ok) {
+                return res.status(400).json({ error: `person: ${person.error}` });
+            }
+        } else if (req.user && userProfileService) {
+            const profile = await userProfileService.getUserProfile(req.user.id);
+            if (!profile) {
+                return res.status(404).json({ error: 'No profile found for this user', code: 'PROFILE_NOT_FOUND' });
+            }
+            const { natal } = userProfileService.resolveCharts(profile, 'static');
+            if (!natal) {
+                return res.status(422).json({ error: 'Profile has no birth data to build a natal chart from', code: 'BIRTH_DATA_MISSING' });
+            }
+            person = { ok: true, person: { name: profile.full_name || 'You', natalChart: natal, source: 'profile' } };
+        } else {
+            return res.status(400).json({ error: 'person is required without sign-in' });
+        }
+
+        console.log(`\n💞 Compatibility Request: ${person.person.name} + ${partner.person.name}`);
+
+        const { aspects, summary } = synastryService.compare(person.person.natalChart, partner.person.natalChart);
+        console.log(`   ├─ 🔭 ${aspects.length} synastry aspect(s) (${summary.harmonious} harmonious, ${summary.challenging} challenging)`);
+
+        const reading = await geminiService.generateCompatibilityReport(
+            { person: person.person, partner: partner.person, aspects, summary },
+            { onUsage: routeUsageRecorder(req) }
+        );
+
+        console.log(`   └─ ✅ Reading generated: ${reading.substring(0, 80)}...`);
+
+        res.json({
+            person: person.person,
+            partner: partner.person,
+            aspects,
+            summary,
+            reading,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Error generating compatibility report:', error.message);
+        res.status(500).json({
+            error: 'Failed to generate compatibility report',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Weekly / monthly forecast route: transit events of the period and an overview
+ * Body: { timezone (IANA, default UTC), date (first day 'YYYY-MM-DD', default today) }
+ */
+function periodForecastRoute(period) {
+    return async (req, res) => {
+        try {
+            if (!forecastService) {
+                return res.status(503).json({
+                    error: 'AI service not available'
+                });
+            }
+
+            const { timezone = 'UTC', date = null } = req.body || {};
+            if (!isValidTimeZone(timezone)) {
+                return res.status(400).json({
+                    error: `Unknown timezone: ${timezone} (use an IANA name such as "Europe/Berlin")`
+                });
+            }
+            if (date !== null && !isValidDate(date)) {
+                return res.status(400).json({
+                    error: 'Invalid date (use YYYY-MM-DD)'
+                });
+            }
+
+            console.log(`\n🗓️  ${period === 'week' ? 'Weekly' : 'Monthly'} Forecast Request`);
+
+            const forecast = await forecastService.periodForecast(period, {
+                timezone,
+                date,
+                onUsage: routeUsageRecorder(req),
+            });
+
+            console.log(`   └─ ✅ Overview ${forecast.cached ? 'served from cache' : 'generated'}: ${forecast.overview.substring(0, 80)}...`);
+
+            res.json({
+                ...forecast,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error(`❌ Error generating ${period} forecast:`, error.message);
+            res.status(500).json({
+                error: `Failed to generate ${period} forecast`,
+                message: error.message
+            });
+        }
+    };
+}
+
+app.post('/weekly-forecast', rateLimitRoute('period_forecast'), periodForecastRoute('week'));
+app.post('/monthly-forecast', rateLimitRoute('period_forecast'), periodForecastRoute('month'));
+
+// Personal daily forecast of the signed-in user (Authorization: Bearer <access token>)
+app.post('/daily-forecast/personal', requireUser, rateLimitRoute('personal_forecast'), async (req, res) => {
+    try {
+        if (!forecastService) {
+            return res.status(503).json({
+                error: 'AI service not available'
+            });
+        }
+
+        const { focus = 'general', language = 'English' } = req.body || {};
+        if (!FORECAST_FOCUS_AREAS.includes(focus)) {
+            return res.status(400).json({
+                error: `Unknown focus: ${focus}`,
+                allowed: FORECAST_FOCUS_AREAS
+            });
+        }
+        if (typeof language !== 'string' || !/^[\p{L}][\p{L} ()-]{0,31}$/u.test(language)) {
+            return res.status(400).json({
+                error: 'Invalid language (use a language name or code, e.g. "German" or "de")'
+            });
+        }
+
+        console.log(`\n🌅 Personal Forecast Request [${req.user.id.substring(0, 8)}]`);
+
+        const result = await forecastService.personalForecast(req.user.id, {
+            focus,
+            language,
+            onUsage: routeUsageRecorder(req),
+        });
+
+        if (!result.ok) {
+            console.log(`   └─ ❌ ${result.code}: ${result.error}`);
+            const status = result.code === 'PROFILE_NOT_FOUND' ? 404 : 422;
+            return res.status(status).json({ error: result.error, code: result.code });
+        }
+
+        const { ok, ...forecast } = result;
+        console.log(`   └─ ✅ Forecast ${forecast.cached ? 'served from cache' : 'generated'}: ${forecast.forecast.substring(0, 80)}...`);
+
+        res.json({
+            ...forecast,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Error generating personal forecast:', error.message);
+        res.status(500).json({
+            error: 'Failed to generate personal forecast',
+            message: error.message
+        });
+    }
+});
+
+// Chat modes for set_chat_mode (one per persona file, src/config/*_expert.txt)
+app.get('/modes', (req, res) => {
+    if (!geminiService?.personas) {
+        return res.status(503).json({ error: 'AI service not available' });
+    }
+    res.json(geminiService.listChatModes());
+});
+
+// Tarot spreads available for draw_cards
+app.get('/tarot/spreads', (req, res) => {
+    if (!tarotService) {
+        return res.status(503).json({ error: 'Tarot service not available' });
+    }
+    res.json({ defaultSpread: tarotService.defaultSpread, spreads: tarotService.listSpreads() });
+});
+
+// Long-term memories of the signed-in user (Authorization: Bearer <access token>)
+app.get('/memories', requireUser, async (req, res) => {
+    try {
+        if (!userMemoryService) {
+            return res.status(503).json({ error: 'Memory service not available' });
+        }
+        res.json({ memories: await userMemoryService.listMemories(req.user.id) });
+    } catch (error) {
+        console.error('❌ Error listing memories:', error.message);
+        res.status(500).json({ error: 'Failed to list memories', message: error.message });
+    }
+});
+
+app.delete('/memories/:memoryId', requireUser, async (req, res) => {
+    try {
+        if (!userMemoryService) {
+            return res.status(503).json({ error: 'Memory service not available' });
+        }
+        const deleted = await userMemoryService.deleteMemory(req.user.id, req.params.memoryId);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Memory not found' });
+        }
+        res.json({ deleted: 1 });
+    } catch (error) {
+        console.error('❌ Error deleting memory:', error.message);
+        res.status(500).json({ error: 'Failed to delete memory', message: error.message });
+    }
+});
+
+app.delete('/memories', requireUser, async (req, res) => {
+    try {
+        if (!userMemoryService) {
+            return res.status(503).json({ error: 'Memory service not available' });
+        }
+        res.json({ deleted: await userMemoryService.deleteAllMemories(req.user.id) });
+    } catch (error) {
+        console.error('❌ Error deleting memories:', error.message);
+        res.status(500).json({ error: 'Failed to delete memories', message: error.message });
+    }
+});
+
+// Admin: token usage / cost totals (X-Admin-Key)
+app.get('/admin/usage', requireAdminKey, (req, res) => {
+    if (!usageTracker) {
+        return res.status(503).json({ error: 'Usage tracking not available' });
+    }
+    res.json(usageTracker.getSummary());
+});
+
+app.get('/admin/usage/users/:userId', requireAdminKey, (req, res) => {
+    const usage = usageTracker?.getUserUsage(req.params.userId);
+    if (!usage) {
+        return res.status(404).json({ error: 'No usage recorded for user' });
+    }
+    res.json({
+        userId: req.params.userId,
+        usage,
+        sessions: usageTracker.getUserSessions(req.params.userId),
+        records: usageTracker.getRecords({ userId: req.params.userId, limit: Number(req.query.limit) || 100 }),
+    });
+});
+
+app.get('/admin/usage/sessions/:sessionId', requireAdminKey, (req, res) => {
+    const session = usageTracker?.getSessionUsage(req.params.sessionId);
+    if (!session) {
+        return res.status(404).json({ error: 'No usage recorded for session' });
+    }
+    res.json({
+        ...session,
+        records: usageTracker.getRecords({ sessionId: req.params.sessionId, limit: Number(req.query.limit) || 100 }),
+    });
+});
+
+// Session id of an authenticated user (follows anonymous sessions upgraded with reauthenticate)
+function sessionIdForUser(user) {
+    const room = StateOrchestrator.userRoom(user.id);
+    return orchestrator ? orchestrator.resolveSessionId(room) : room;
+}
+
+/**
+ * Whether a socket's messages count against the anonymous cap (AUTH_POLICY=limited)
+ */
+function countsAnonymousMessages(socket) {
+    return !socket.user && getAuthPolicy().mode === 'limited';
+}
+
+/**
+ * Messages the socket's client address sent anonymously in the current window
+ * (survives reconnects and end_chat, unlike the session)
+ */
+async function anonymousMessageCount(socket) {
+    return rateLimiter.anonymousMessageCount(rateLimiter.accountFor(null, socket.clientAddress));
+}
+
+/**
+ * Anonymous limits (AUTH_POLICY=limited) for a message or mode change
+ * @param {boolean} sendingMessage - Check the message against the anonymous cap
+ */
+async function checkAccess(socket, userId, { mode = null, sendingMessage = true } = {}) {
+    const chatMode = mode || (sessionManager.hasSession(userId) ? sessionManager.getContext(userId).chatMode : null);
+    return checkAnonymousAccess({
+        user: socket.user,
+        chatMode,
+        messageCount: sendingMessage && countsAnonymousMessages(socket) ? await anonymousMessageCount(socket) : 0,
+    });
+}
+
+/**
+ * Count an accepted message against the anonymous cap
+ */
+async function recordAnonymousMessage(socket) {
+    if (!countsAnonymousMessages(socket)) return;
+    await rateLimiter.recordAnonymousMessage(rateLimiter.accountFor(null, socket.clientAddress), getAuthPolicy().anonymousWindowMs);
+}
+
+/**
+ * Reject a chat mode without a persona
+ * @returns {boolean} true when the mode was rejected (the event is not processed)
+ */
+function rejectUnknownMode(socket, mode) {
+    if (!mode || geminiService.hasChatMode(mode)) return false;
+
+    const { modes } = geminiService.listChatModes();
+    console.log(`   └─ ❌ Unknown chat mode: ${mode}`);
+    socket.emit('error', {
+        message: 'Unknown chat mode',
+        error: `Unknown chat mode: ${mode}`,
+        modes: modes.map(persona => persona.mode)
+    });
+    return true;
+}
+
+function emitLoginRequired(socket, access) {
+    console.log(`   └─ 🔒 ${access.code}: ${access.error}`);
+    const { allowed, ...payload } = access;
+    socket.emit('login_required', payload);
+}
+
 // WebSocket connection handling
 io.on('connection', (socket) => {
-    // Use socket.id as the unique identifier for this connection
-    const userId = socket.id;
+    // Session id - the unique identifier for this chat session.
+    // Authenticated users share one session (and room) across all devices/tabs;
+    // anonymous connections get a resumable random id, replaced on resume_session.
+    let userId = socket.user ? sessionIdForUser(socket.user) : randomUUID();
+    socket.clientAddress = clientAddress(socket.handshake.headers, socket.handshake.address);
+
+    // Disconnect once the access token has expired and was not renewed with reauthenticate
+    let authExpiryTimer = null;
+    const scheduleAuthExpiry = () => {
+        clearTimeout(authExpiryTimer);
+        authExpiryTimer = null;
+        if (!socket.user || !socket.tokenExpiresAt) return;
+
+        const deadline = socket.tokenExpiresAt + authExpiryGraceMs;
+        authExpiryTimer = setTimeout(() => {
+            if (Date.now() < deadline) {
+                scheduleAuthExpiry();
+                return;
+            }
+            console.log(`\n⌛ Access token expired for ${socket.id}, disconnecting`);
+            socket.emit('auth_expired', { message: 'Access token expired' });
+            socket.disconnect(true);
+        }, Math.min(Math.max(deadline - Date.now(), 0), MAX_TIMER_MS));
+    };
+    scheduleAuthExpiry();
     
     console.log(`\n🔌 Client connected: ${socket.id}`);
     if (socket.authenticated && socket.user) {
@@ -153,33 +689,105 @@ io.on('connection', (socket) => {
     }
 
     // Register socket with orchestrator immediately
-    orchestrator.registerSocket(userId, socket);
+    // (an authenticated user reconnecting within the grace period picks up the parked session)
+    if (orchestrator.isParked(userId)) {
+        const lastSeq = Number.isFinite(Number(socket.handshake.auth?.lastSeq))
+            ? Number(socket.handshake.auth.lastSeq)
+            : null;
+        orchestrator.resumeSession(userId, socket, lastSeq);
+    } else {
+        orchestrator.registerSocket(userId, socket);
+    }
+
+    // Per-user / per-IP event limits - emits rate_limited and drops the event when exceeded
+    const isRateLimited = async (event) => {
+        if (!rateLimiter) return false;
+        try {
+            // Anonymous users are counted per client address - a new session id must not reset the limit
+            const limited = await rateLimiter.consume(event, {
+                userKey: rateLimiter.accountFor(socket.user, socket.clientAddress).key,
+                ip: socket.clientAddress,
+            });
+            if (limited.allowed) return false;
+
+            console.log(`🚦 ${event} rate limited (${limited.scope}) [${userId.substring(0, 8)}]`);
+            const { allowed, ...payload } = limited;
+            socket.emit('rate_limited', payload);
+            return true;
+        } catch (error) {
+            // Limits must not take the chat down with a broken counter store
+            console.error(`⚠️  Rate limit check failed for ${event}:`, error.message);
+            return false;
+        }
+    };
+
+    // Issue session id so the client can resume after a network drop
+    // (emitted right away unless the anonymous message count has to be read from the store)
+    const emitSessionStarted = async () => {
+        const policy = getAuthPolicy();
+        const anonymousLimits = countsAnonymousMessages(socket)
+            ? {
+                maxMessages: policy.anonymousMaxMessages,
+                remainingMessages: Math.max(policy.anonymousMaxMessages - await anonymousMessageCount(socket), 0),
+                chatModes: policy.anonymousChatModes,
+            }
+            : null;
+        socket.emit('session_started', {
+            sessionId: userId,
+            resumeWindowMs: resumeGraceMs,
+            ...(anonymousLimits ? { anonymousLimits } : {}),
+            ...(socket.authError ? { authError: socket.authError } : {}),
+        });
+    };
+    emitSessionStarted().catch((error) => {
+        console.error('❌ Error starting session:', error.message);
+    });
+
+    // Restore the authenticated user's unfinished conversation (e.g. after page reload)
+    orchestrator.restoreConversation(userId, socket);
 
     // Handle chat mode selection
-    socket.on('set_chat_mode', (data) => {
+    socket.on('set_chat_mode', async (data) => {
         try {
-            const { mode, initialMessage, questionType, natalChart, transitChart } = data;
+            if (await isRateLimited('set_chat_mode')) return;
+
+            const { mode, initialMessage, questionType, natalChart, transitChart, personaOptions, timing, partner } = data;
             console.log(`\n🎯 Chat mode selected: ${mode}`);
             if (questionType) {
                 console.log(`   ├─ 📊 Question type: ${questionType}`);
             }
+
+            if (rejectUnknownMode(socket, mode)) return;
+
+            const access = await checkAccess(socket, userId, { mode, sendingMessage: !!initialMessage });
+            if (!access.allowed) {
+                emitLoginRequired(socket, access);
+                return;
+            }
             
-            // Set the chat mode in GeminiService
-            if (geminiService) {
-                geminiService.setChatMode(mode);
-                if (questionType) {
-                    geminiService.setQuestionType(questionType);
-                }
-                // Set client chart data if provided
-                if (natalChart || transitChart) {
-                    geminiService.setClientChartData(natalChart, transitChart);
+            // Second person of compatibility mode (birth data or natal chart)
+            if (partner) {
+                orchestrator.registerSocket(userId, socket);
+                const result = orchestrator.setPartner(userId, partner);
+                if (!result.ok) {
+                    console.log(`   └─ ❌ ${result.error}`);
+                    socket.emit('error', {
+                        message: 'Invalid partner data',
+                        error: result.error
+                    });
+                    return;
                 }
             }
+
+            // Store mode and chart data in this session's context
+            orchestrator.updateContext(userId, { mode, questionType, natalChart, transitChart, personaOptions, timing });
             
             // If there's an initial message, process it immediately
             if (initialMessage) {
                 console.log(`   ├─ 📨 Initial message: "${initialMessage}"`);
-                socket.emit('message_received', {
+                await recordAnonymousMessage(socket);
+                orchestrator.registerSocket(userId, socket);
+                orchestrator.emitToUser(userId, 'message_received', {
                     id: Date.now(),
                     text: initialMessage,
                     sender: 'user',
@@ -199,35 +807,38 @@ io.on('connection', (socket) => {
     // Handle incoming messages from client
     socket.on('user_message', async (data) => {
         try {
+            if (await isRateLimited('user_message')) return;
+
             const { message, chatMode, questionType, natalChart, transitChart } = data;
-            
-            // Update chat mode if provided
-            if (chatMode && geminiService) {
-                geminiService.setChatMode(chatMode);
-            }
-            // Update question type if provided
-            if (questionType && geminiService) {
-                geminiService.setQuestionType(questionType);
-            }
-            // Update client chart data if provided
-            if (geminiService && (natalChart || transitChart)) {
-                geminiService.setClientChartData(natalChart, transitChart);
+
+            if (rejectUnknownMode(socket, chatMode)) return;
+
+            const access = await checkAccess(socket, userId, { mode: chatMode });
+            if (!access.allowed) {
+                emitLoginRequired(socket, access);
+                return;
             }
+            
+            // Update this session's context with whatever the client provided
+            orchestrator.updateContext(userId, { mode: chatMode, questionType, natalChart, transitChart });
             const userInfo = socket.user ? `${socket.user.email} (${socket.user.id.substring(0, 8)})` : 'Anonymous';
             console.log(`\n💬 USER [${userInfo}]: "${message}"`);
             if (questionType) {
                 console.log(`   ├─ 📊 Question type: ${questionType}`);
             }
 
-            // Echo user message back to confirm receipt
-            socket.emit('message_received', {
+            await recordAnonymousMessage(socket);
+
+            // Echo user message back to confirm receipt (to every device of the user)
+            orchestrator.registerSocket(userId, socket);
+            orchestrator.emitToUser(userId, 'message_received', {
                 id: Date.now(),
                 text: message,
                 sender: 'user',
                 timestamp: new Date().toISOString()
             });
 
-            // Handle through orchestrator (use socket.id as userId)
+            // Handle through orchestrator (userId is the session id)
             await orchestrator.handleUserMessage(userId, message, socket);
 
         } catch (error) {
@@ -239,14 +850,60 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Handle timing profile / per-user timing overrides (e.g. faster delivery without typing simulation)
+    socket.on('set_timing', async (data = {}) => {
+        try {
+            if (await isRateLimited('set_timing')) return;
+
+            const { profile, overrides } = data;
+            console.log(`\n⏱️  Timing update requested${profile !== undefined ? `: ${profile}` : ''}`);
+
+            const timing = orchestrator.updateTiming(userId, { profile, overrides });
+            socket.emit('timing_updated', timing);
+        } catch (error) {
+            console.error('❌ Error updating timing:', error.message);
+            socket.emit('error', {
+                message: 'Failed to update timing',
+                error: error.message
+            });
+        }
+    });
+
+    // Handle tarot draw (server-side cards, used by the next tarot response)
+    socket.on('draw_cards', async (data = {}) => {
+        try {
+            if (await isRateLimited('draw_cards')) return;
+
+            const { spread, question, seed } = data;
+            console.log(`\n🃏 Draw requested: ${spread || 'default spread'}`);
+
+            const access = await checkAccess(socket, userId, { mode: 'tarot', sendingMessage: false });
+            if (!access.allowed) {
+                emitLoginRequired(socket, access);
+                return;
+            }
+
+            orchestrator.registerSocket(userId, socket);
+            orchestrator.drawTarotReading(userId, { spread, question, seed });
+        } catch (error) {
+            console.error('❌ Error drawing cards:', error.message);
+            socket.emit('error', {
+                message: 'Failed to draw cards',
+                error: error.message
+            });
+        }
+    });
+
     // Handle typing status
     socket.on('typing_status', async (data) => {
         try {
+            if (await isRateLimited('typing_status')) return;
+
             const { isTyping } = data;
             const status = isTyping ? '⌨️  typing...' : '⏸️  stopped typing';
             console.log(`${status} [${userId.substring(0, 8)}]`);
 
-            // Handle through orchestrator (use socket.id as userId)
+            // Handle through orchestrator (userId is the session id)
             await orchestrator.handleTypingStatus(userId, isTyping, socket);
 
         } catch (error) {
@@ -257,10 +914,12 @@ io.on('connection', (socket) => {
     // Handle stop AI response request
     socket.on('stop_ai_response', async (data) => {
         try {
+            if (await isRateLimited('stop_ai_response')) return;
+
             console.log(`\n🛑 STOP REQUEST [${userId.substring(0, 8)}]`);
 
-            // Handle through orchestrator (use socket.id as userId)
-            orchestrator.stopAIResponse(userId, socket);
+            // Handle through orchestrator (userId is the session id)
+            orchestrator.stopAIResponse(userId);
 
         } catch (error) {
             console.error('❌ Error stopping AI response:', error.message);
@@ -270,13 +929,15 @@ io.on('connection', (socket) => {
     // Handle end chat request
     socket.on('end_chat', async (data) => {
         try {
-            console.log(`\n🔚 END CHAT REQUEST [${userId.substring(0, 8)}]`);
+            if (await isRateLimited('end_chat')) return;
 
-            // Stop any ongoing AI response
-            orchestrator.stopAIResponse(userId, socket);
+            console.log(`\n🔚 END CHAT REQUEST [${userId.substring(0, 8)}]`);
 
-            // Clean up all session state
-            orchestrator.cleanup(userId);
+            // Stop, close the conversation, emit session_summary and clean up (see StateOrchestrator.endChat)
+            const summary = await orchestrator.endChat(userId);
+            if (summary.usage) {
+                console.log(`   ├─ 📊 ${summary.usage.calls} model call(s), ${summary.usage.totalTokens} tokens, $${summary.usage.costUsd.toFixed(4)}`);
+            }
 
             console.log(`   ✅ Chat session ended and cleaned up`);
 
@@ -285,15 +946,119 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Handle resume after reconnect
+    socket.on('resume_session', async (data = {}) => {
+        try {
+            if (await isRateLimited('resume_session')) return;
+
+            const { sessionId, lastSeq = 0 } = data;
+            console.log(`\n🔄 RESUME REQUEST [${String(sessionId).substring(0, 8)}] from ${socket.id}`);
+
+            if (!sessionId) {
+                socket.emit('session_resume_failed', { sessionId, error: 'Invalid session id' });
+                return;
+            }
+
+            // Already attached (authenticated users rejoin their session on connect) - only replay
+            if (sessionId === userId) {
+                const replayed = orchestrator.replayBlocks(userId, socket, Number(lastSeq) || 0);
+                socket.emit('session_resumed', { sessionId, replayed });
+                console.log(`   └─ ✅ Already attached, replayed ${replayed} block(s)`);
+                return;
+            }
+
+            const result = orchestrator.resumeSession(sessionId, socket, Number(lastSeq) || 0);
+            if (!result.ok) {
+                console.log(`   └─ ❌ ${result.error}`);
+                socket.emit('session_resume_failed', { sessionId, error: result.error });
+                return;
+            }
+
+            // Leave the session of this connection (dropped unless other devices use it) and adopt the resumed one
+            if (orchestrator.unregisterSocket(userId, socket) === 0) {
+                orchestrator.cleanup(userId);
+            }
+            userId = sessionId;
+
+            socket.emit('session_resumed', { sessionId, replayed: result.replayed });
+            console.log(`   └─ ✅ Session resumed`);
+
+        } catch (error) {
+            console.error('❌ Error resuming session:', error.message);
+        }
+    });
+
+    // Handle token refresh / sign-in on a live socket
+    socket.on('reauthenticate', async (data = {}) => {
+        try {
+            if (await isRateLimited('reauthenticate')) return;
+
+            const { token } = data;
+            console.log(`\n🔑 REAUTHENTICATE [${userId.substring(0, 8)}] from ${socket.id}`);
+
+            const result = await verifySupabaseToken(token);
+            if (!result.valid) {
+                console.log(`   └─ ❌ ${result.code}: ${result.error}`);
+                socket.emit('reauthenticate_failed', { code: result.code, error: result.error });
+                return;
+            }
+
+            if (socket.user && socket.user.id !== result.user.id) {
+                console.log('   └─ ❌ Token belongs to a different user');
+                socket.emit('reauthenticate_failed', {
+                    code: AUTH_ERROR_CODES.USER_MISMATCH,
+                    error: 'Token belongs to a different user, reconnect to switch accounts',
+                });
+                return;
+            }
+
+            const wasAnonymous = !socket.user;
+            socket.authenticated = true;
+            socket.user = result.user;
+            socket.tokenExpiresAt = result.expiresAt || null;
+            socket.authError = null;
+            scheduleAuthExpiry();
+
+            // Anonymous session becomes (or joins) the user's session
+            let merged = false;
+            if (wasAnonymous) {
+                ({ sessionId: userId, merged } = await orchestrator.authenticateSession(userId, socket));
+                console.log(`   ├─ 👤 Signed in as ${result.user.email || result.user.id} (${merged ? 'merged into existing session' : 'session kept'})`);
+            }
+
+            socket.emit('reauthenticated', {
+                sessionId: userId,
+                user: { id: result.user.id, email: result.user.email },
+                expiresAt: socket.tokenExpiresAt,
+                merged,
+            });
+            console.log(`   └─ ✅ Token accepted`);
+
+        } catch (error) {
+            console.error('❌ Error reauthenticating:', error.message);
+            socket.emit('reauthenticate_failed', { code: AUTH_ERROR_CODES.AUTH_UNAVAILABLE, error: 'Failed to reauthenticate' });
+        }
+    });
+
     socket.on('disconnect', () => {
         console.log(`\n✗ Client disconnected: ${socket.id}`);
-        console.log(`   🧹 Cleaning up session for user: ${userId.substring(0, 8)}`);
+        clearTimeout(authExpiryTimer);
 
-        // Clean up all user state
+        // Keep the session around for resume_session during the grace period
         if (orchestrator) {
-            orchestrator.cleanup(userId);
+            const remaining = orchestrator.unregisterSocket(userId, socket);
+            if (remaining > 0) {
+                console.log(`   ✅ ${remaining} other device(s) still connected to ${userId.substring(0, 8)}\n`);
+                return;
+            }
+
+            const parked = orchestrator.parkSession(userId, socket);
+            if (parked) {
+                console.log(`   ✅ Session ${userId.substring(0, 8)} parked for resume\n`);
+                return;
+            }
         }
-        
+
         console.log(`   ✅ Cleanup complete\n`);
     });
 
@@ -1,15 +1,23 @@
+import { systemClock } from '../utils/clock.js';
+
 /**
  * BufferManager - Handles buffer sending logic
  * Sends blocks one-by-one with typingTime delays
  */
 export class BufferManager {
-    constructor(sessionManager, { devMode = false } = {}) {
+    constructor(sessionManager, { clock = systemClock } = {}) {
         this.sessionManager = sessionManager;
-        this.devMode = devMode;
+        // Clock / scheduler for block delays (see utils/clock.js)
+        this.clock = clock;
         // Map of userId -> timeout ID for current block sending
         this.sendingTimeouts = new Map();
         // Map of userId -> socket for validation
         this.userSockets = new Map();
+        // Map of userId -> { socket, onGroupComplete, onBufferComplete }
+        // while sending has caught up with a streamed buffer
+        this.waitingForBlocks = new Map();
+        // Map of userId -> group whose end is unknown until the next streamed block arrives
+        this.deferredGroups = new Map();
     }
 
     /**
@@ -27,6 +35,7 @@ export class BufferManager {
 
         // Cancel any existing sending process
         this.stopSending(userId);
+        this.deferredGroups.delete(userId);
 
         // Reset buffer state
         this.sessionManager.resumeBuffer(userId);
@@ -62,11 +71,32 @@ export class BufferManager {
 
         // Get next block
         const block = this.sessionManager.getNextBlock(userId);
+        const isStreaming = this.sessionManager.isBufferStreaming(userId);
+
+        // Streamed buffer: the previous group ended if the next block starts another one (or there is none)
+        if (this.deferredGroups.has(userId) && (block || !isStreaming)) {
+            const lastGroup = this.deferredGroups.get(userId);
+            this.deferredGroups.delete(userId);
+
+            if ((!block || block.group !== lastGroup) && onGroupComplete) {
+                onGroupComplete(userId, lastGroup);
+                // Group completion may have requested a stop - re-run the checks
+                this._sendNextBlock(userId, socket, onGroupComplete, onBufferComplete);
+                return;
+            }
+        }
 
         if (!block) {
-            // Buffer complete
             this.sendingTimeouts.delete(userId);
 
+            // Streamed buffer - wait for the next block to be generated
+            if (isStreaming) {
+                this.waitingForBlocks.set(userId, { socket, onGroupComplete, onBufferComplete });
+                return;
+            }
+
+            // Buffer complete
+
             if (onBufferComplete) {
                 onBufferComplete(userId);
             }
@@ -80,15 +110,16 @@ export class BufferManager {
         const preview = block.text.length > 40 ? block.text.substring(0, 40) + '...' : block.text;
         console.log(`📨 Block ${blockIndex + 1} [group ${currentGroup}]: "${preview}"`);
 
-        // Send block to client
-        socket.emit('ai_block', {
+        // Send block to client (seq lets the client request a replay after reconnect)
+        const payload = this.sessionManager.recordSentBlock(userId, {
             text: block.text,
             group: block.group,
-            timestamp: new Date().toISOString(),
+            timestamp: new Date(this.clock.now()).toISOString(),
         });
+        socket.emit('ai_block', payload);
 
         // Add to AI message history
-        this.sessionManager.addAIMessage(userId, block.text);
+        this.sessionManager.addAIMessage(userId, block.text, block.group);
 
         // Advance to next block
         const previousGroup = currentGroup;
@@ -96,31 +127,47 @@ export class BufferManager {
         const newGroup = this.sessionManager.getCurrentGroup(userId);
 
         // Check if group changed (group complete)
-        if (previousGroup !== newGroup && onGroupComplete) {
+        const { buffer } = this.sessionManager.getSession(userId);
+        if (buffer.isStreaming && buffer.currentIndex >= buffer.blocks.length) {
+            // Next block not generated yet - decide when it arrives
+            this.deferredGroups.set(userId, previousGroup);
+        } else if (previousGroup !== newGroup && onGroupComplete) {
             onGroupComplete(userId, previousGroup);
         }
 
         // Schedule next block
-        const minDelayMs = 1000;
-        let delay = Math.max(block.typingTime * 1000, minDelayMs);
-        if (this.devMode) {
-            delay = Math.max(Math.floor(delay / 2), Math.floor(minDelayMs / 2));
-        }
+        // typingTime is in seconds; without typing simulation only the minimum delay applies
+        const { speed, typingSpeed, simulateTyping, minBlockDelayMs } = this.sessionManager.getTiming(userId);
+        const typingDelay = simulateTyping ? Math.floor((block.typingTime || 0) * 1000 / (speed * typingSpeed)) : 0;
+        const delay = Math.max(typingDelay, minBlockDelayMs);
 
-        const timeoutId = setTimeout(() => {
+        const timeoutId = this.clock.setTimeout(() => {
             this._sendNextBlock(userId, socket, onGroupComplete, onBufferComplete);
         }, delay);
 
         this.sendingTimeouts.set(userId, timeoutId);
     }
 
+    /**
+     * Continue sending after streamed blocks were appended or the stream finished
+     */
+    notifyBlocksAvailable(userId) {
+        const waiting = this.waitingForBlocks.get(userId);
+        if (!waiting) return;
+        this.waitingForBlocks.delete(userId);
+
+        const { socket, onGroupComplete, onBufferComplete } = waiting;
+        this._sendNextBlock(userId, socket, onGroupComplete, onBufferComplete);
+    }
+
     /**
      * Stop sending buffer for user
      */
     stopSending(userId) {
+        this.waitingForBlocks.delete(userId);
         const timeoutId = this.sendingTimeouts.get(userId);
         if (timeoutId) {
-            clearTimeout(timeoutId);
+            this.clock.clearTimeout(timeoutId);
             this.sendingTimeouts.delete(userId);
         }
     }
@@ -141,6 +188,7 @@ export class BufferManager {
             return;
         }
 
+        this.userSockets.set(userId, socket);
         this.sessionManager.resumeBuffer(userId);
         this._sendNextBlock(userId, socket, onGroupComplete, onBufferComplete);
     }
@@ -149,7 +197,7 @@ export class BufferManager {
      * Check if currently sending
      */
     isSending(userId) {
-        return this.sendingTimeouts.has(userId);
+        return this.sendingTimeouts.has(userId) || this.waitingForBlocks.has(userId);
     }
 
     /**
@@ -157,6 +205,7 @@ export class BufferManager {
      */
     cleanup(userId) {
         this.stopSending(userId);
+        this.deferredGroups.delete(userId);
         this.userSockets.delete(userId);
     }
 }
@@ -0,0 +1,156 @@
+// Rough token estimate (~4 characters per token, same as the mock provider)
+const CHARS_PER_TOKEN = 4;
+
+export function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Merge consecutive history entries of the same role into turns
+ * (history holds one entry per emitted AI block)
+ * @param {number} offset - History index of entries[0]
+ * @returns {Array} Turns { role, content, start, end } (end: history index after the turn)
+ */
+export function mergeTurns(entries, offset = 0) {
+    const turns = [];
+    entries.forEach((entry, index) => {
+        const role = entry.role === 'user' ? 'user' : 'model';
+        const last = turns[turns.length - 1];
+        if (last && last.role === role) {
+            last.content += `\n${entry.content}`;
+            last.end = offset + index + 1;
+        } else {
+            turns.push({ role, content: entry.content, start: offset + index, end: offset + index + 1 });
+        }
+    });
+    return turns;
+}
+
+/**
+ * ContextWindowManager - Token-budgeted conversation history for UpdateBuffer prompts
+ *
+ * The prompt gets the rolling summary stored in the session plus the turns it
+ * does not cover yet, verbatim. Once those grow past 2 × recentTurns turns or
+ * the token budget, everything but the last recentTurns turns (within budget)
+ * is folded into the summary by the summary model. Compaction runs in the
+ * background after each response, so prompts rarely wait for it.
+ */
+export class ContextWindowManager {
+    constructor(sessionManager, geminiService, { recentTurns = 8, tokenBudget = 6000 } = {}) {
+        this.sessionManager = sessionManager;
+        this.geminiService = geminiService;
+        // Turns kept verbatim after compaction
+        this.recentTurns = recentTurns;
+        // Token budget for verbatim turns
+        this.tokenBudget = tokenBudget;
+
+        // Map of userId -> running compaction promise
+        this.compactions = new Map();
+    }
+
+    /**
+     * Turns not covered by the summary yet
+     */
+    _unsummarizedTurns(userId) {
+        const history = this.sessionManager.getHistory(userId);
+        const { coveredEntries } = this.sessionManager.getHistorySummary(userId);
+        return mergeTurns(history.slice(coveredEntries), coveredEntries);
+    }
+
+    _needsCompaction(turns) {
+        const tokens = turns.reduce((sum, turn) => sum + estimateTokens(turn.content), 0);
+        return turns.length > this.recentTurns * 2 || tokens > this.tokenBudget;
+    }
+
+    /**
+     * Last recentTurns turns that fit the token budget (always at least one)
+     */
+    _recentWindow(turns) {
+        const window = [];
+        let tokens = 0;
+        for (let i = turns.length - 1; i >= 0 && window.length < this.recentTurns; i--) {
+            tokens += estimateTokens(turns[i].content);
+            if (window.length > 0 && tokens > this.tokenBudget) break;
+            window.unshift(turns[i]);
+        }
+        return window;
+    }
+
+    /**
+     * Fold turns before the recent window into the summary
+     */
+    async _compact(userId, { signal = null, onUsage = null } = {}) {
+        const turns = this._unsummarizedTurns(userId);
+        if (!this._needsCompaction(turns)) return;
+
+        const window = this._recentWindow(turns);
+        const older = turns.slice(0, turns.length - window.length);
+        if (older.length === 0) return;
+
+        const previous = this.sessionManager.getHistorySummary(userId);
+        console.log(`   ├─ 🗜️  Summarizing ${older.length} older turn(s)...`);
+        const text = await this.geminiService.summarizeHistory(previous.text, older, { signal, onUsage });
+
+        // Session ended or history replaced while summarizing
+        if (!this.sessionManager.hasSession(userId)) return;
+        if (this.sessionManager.getHistorySummary(userId) !== previous) return;
+
+        this.sessionManager.setHistorySummary(userId, text, older[older.length - 1].end);
+        console.log(`   ├─ ✅ History summary updated (${estimateTokens(text)} tokens)`);
+    }
+
+    /**
+     * Run compaction once per session at a time
+     */
+    _runCompaction(userId, options) {
+        if (!this.compactions.has(userId)) {
+            const run = this._compact(userId, options).finally(() => {
+                if (this.compactions.get(userId) === run) this.compactions.delete(userId);
+            });
+            this.compactions.set(userId, run);
+        }
+        return this.compactions.get(userId);
+    }
+
+    /**
+     * Compact after a response without blocking the conversation
+     */
+    compactInBackground(userId, { onUsage = null } = {}) {
+        if (!this.sessionManager.hasSession(userId)) return;
+        if (!this._needsCompaction(this._unsummarizedTurns(userId))) return;
+
+        this._runCompaction(userId, { onUsage }).catch((error) => {
+            console.error('   ├─ ⚠️  History summary failed:', error.message);
+        });
+    }
+
+    /**
+     * History for an UpdateBuffer prompt
+     * @param {Object} options - { signal, onUsage } for a compaction that has to run first
+     * @returns {Promise<Object>} { summary, turns } - summary text (or null) and verbatim turns { role, content }
+     */
+    async buildPromptHistory(userId, { signal = null, onUsage = null } = {}) {
+        try {
+            await this.compactions.get(userId);
+            if (this._needsCompaction(this._unsummarizedTurns(userId))) {
+                await this._runCompaction(userId, { signal, onUsage });
+            }
+        } catch (error) {
+            if (this.geminiService.isAbortError(error)) throw error;
+            // Summary model failed - fall back to the recent window alone
+            console.error('   ├─ ⚠️  History summary failed, using recent turns only:', error.message);
+        }
+
+        const turns = this._unsummarizedTurns(userId);
+        const window = this._needsCompaction(turns) ? this._recentWindow(turns) : turns;
+
+        return {
+            summary: this.sessionManager.getHistorySummary(userId).text,
+            turns: window.map(({ role, content }) => ({ role, content })),
+        };
+    }
+
+    cleanup(userId) {
+        this.compactions.delete(userId);
+    }
+}
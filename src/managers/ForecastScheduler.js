@@ -0,0 +1,143 @@
+import { systemClock } from '../utils/clock.js';
+import { isValidTimeZone, localDate } from '../utils/timezone.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * ForecastScheduler - Pre-generates the next day's forecasts around local midnight
+ *
+ * Every `intervalMs` it looks at the active users of ForecastService (users who
+ * asked for their forecast of today within `activeDays`). For each user whose local
+ * date changes within `leadMinutes`, it generates their personal forecast of the
+ * next date (same focus and language), and the generic forecast of that date for
+ * their time zone. Forecasts land in the forecast cache, so the morning request is
+ * a cache hit. At most `maxPerTick` new forecasts are generated per tick, one at a time.
+ */
+export class ForecastScheduler {
+    /**
+     * @param {ForecastService} forecastService
+     * @param {Object} options
+     * @param {Function} options.onUsage - (usage, userId) => void, token usage of pre-generated forecasts
+     * @param {Object} options.clock - Clock / scheduler (default: system time, see utils/clock.js)
+     */
+    constructor(forecastService, {
+        intervalMs = 5 * 60 * 1000,
+        leadMinutes = 30,
+        activeDays = 7,
+        maxPerTick = 50,
+        onUsage = null,
+        clock = systemClock,
+    } = {}) {
+        this.forecastService = forecastService;
+        this.intervalMs = intervalMs;
+        this.leadMinutes = leadMinutes;
+        this.activeDays = activeDays;
+        this.maxPerTick = maxPerTick;
+        this.onUsage = onUsage;
+        this.clock = clock;
+        this.timeoutId = null;
+        this.running = false;
+    }
+
+    start() {
+        if (this.timeoutId) return;
+
+        const schedule = () => {
+            this.timeoutId = this.clock.setTimeout(async () => {
+                await this.tick();
+                if (this.timeoutId) schedule();
+            }, this.intervalMs);
+            // Never keep the process alive just for pre-generation
+            this.timeoutId?.unref?.();
+        };
+        schedule();
+    }
+
+    stop() {
+        if (!this.timeoutId) return;
+        this.clock.clearTimeout(this.timeoutId);
+        this.timeoutId = null;
+    }
+
+    /**
+     * Next local date of a zone if it starts within leadMinutes, else null
+     */
+    _upcomingDate(now, zone) {
+        const today = localDate(new Date(now), zone);
+        const upcoming = localDate(new Date(now + this.leadMinutes * 60 * 1000), zone);
+        return upcoming !== today ? upcoming : null;
+    }
+
+    /**
+     * Pre-generate due forecasts (skipped while the previous tick is still running)
+     * @returns {Promise<Object>} { generated, cached, failed }
+     */
+    async tick() {
+        const result = { generated: 0, cached: 0, failed: 0 };
+        if (this.running) return result;
+        this.running = true;
+
+        try {
+            const now = this.clock.now();
+            const jobs = [];
+            const dailyZones = new Set();
+
+            this.forecastService.getActiveUsers(now - this.activeDays * DAY_MS).forEach((user) => {
+                const date = this._upcomingDate(now, user.zone);
+                if (!date) return;
+
+                jobs.push({
+                    label: `${user.userId.substring(0, 8)} ${date}`,
+                    run: () => this.forecastService.personalForecast(user.userId, {
+                        focus: user.focus,
+                        language: user.language,
+                        date,
+                        onUsage: (usage) => this.onUsage?.(usage, user.userId),
+                    }),
+                });
+
+                // Generic forecasts are keyed by IANA zone (fixed offsets only have personal ones)
+                if (isValidTimeZone(user.zone) && !dailyZones.has(user.zone)) {
+                    dailyZones.add(user.zone);
+                    jobs.push({
+                        label: `${user.zone} ${date}`,
+                        run: () => this.forecastService.dailyForecast({
+                            timezone: user.zone,
+                            date,
+                            onUsage: (usage) => this.onUsage?.(usage, null),
+                        }),
+                    });
+                }
+            });
+
+            if (jobs.length === 0) return result;
+
+            console.log(`\n🌙 Pre-generating forecasts: ${jobs.length} due`);
+
+            for (const job of jobs) {
+                // The rest is picked up by the next tick (cache hits cost nothing)
+                if (result.generated >= this.maxPerTick) break;
+                try {
+                    const forecast = await job.run();
+                    if (forecast.ok === false) {
+                        result.failed++;
+                        console.log(`   ├─ ⚠️  ${job.label}: ${forecast.code}`);
+                    } else if (forecast.cached) {
+                        result.cached++;
+                    } else {
+                        result.generated++;
+                        console.log(`   ├─ ✅ ${job.label}`);
+                    }
+                } catch (error) {
+                    result.failed++;
+                    console.error(`   ├─ ❌ ${job.label}: ${error.message}`);
+                }
+            }
+
+            console.log(`   └─ ${result.generated} generated, ${result.cached} already cached, ${result.failed} failed`);
+            return result;
+        } finally {
+            this.running = false;
+        }
+    }
+}
@@ -0,0 +1,154 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * RateLimitManager - Per-user / per-IP event rate limits and daily model quotas
+ *
+ * Limits come from src/config/rate_limits.json:
+ *   events.<name>.perUser / perIp - { limit, windowMs } fixed-window limits
+ *   quotas.<tier>                 - { modelCalls, tokens } per UTC day
+ * Counters live in a RateLimitStore (see src/stores).
+ *
+ * consume() and checkQuota() resolve to { allowed: true } or
+ * { allowed: false, scope, limit, retryAfterMs } - the payload of `rate_limited`.
+ */
+export class RateLimitManager {
+    constructor(store, { events = {}, quotas = {}, defaultTier = 'free', enabled = true, now = () => Date.now() } = {}) {
+        this.store = store;
+        this.events = events;
+        this.quotas = quotas;
+        // Tier of authenticated users without an app_metadata.tier claim
+        this.defaultTier = defaultTier;
+        this.enabled = enabled;
+        this.now = now;
+    }
+
+    /**
+     * Load limits from JSON config
+     * @param {RateLimitStore} store - Counter storage
+     * @param {Object} options - { filePath, enabled }
+     */
+    static async load(store, { filePath = path.join(process.cwd(), 'src', 'config', 'rate_limits.json'), enabled = true } = {}) {
+        const config = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        return new RateLimitManager(store, { ...config, enabled });
+    }
+
+    /**
+     * Quota account of a connection: the user across devices, otherwise the client address
+     * @returns {Object} { key, tier }
+     */
+    accountFor(user, address = null) {
+        if (user?.id) {
+            return { key: `user:${user.id}`, tier: this.hasTier(user.tier) ? user.tier : this.defaultTier };
+        }
+        return { key: `ip:${address || 'unknown'}`, tier: 'anonymous' };
+    }
+
+    hasTier(tier) {
+        return !!tier && Object.prototype.hasOwnProperty.call(this.quotas, tier);
+    }
+
+    /**
+     * Count one occurrence of an event against the per-user and per-IP limits
+     * @param {string} event - Event name (key in config events)
+     * @param {Object} identity - { userKey, ip } (userKey: session or user id)
+     */
+    async consume(event, { userKey = null, ip = null } = {}) {
+        const limits = this.events[event];
+        if (!this.enabled || !limits) return { allowed: true };
+
+        const checks = [
+            ['user', limits.perUser, userKey],
+            ['ip', limits.perIp, ip],
+        ];
+
+        for (const [scope, rule, id] of checks) {
+            if (!rule || !id) continue;
+
+            const counter = await this.store.increment(`rl:${event}:${scope}:${id}`, 1, rule.windowMs);
+            if (counter.count > rule.limit) {
+                return {
+                    allowed: false,
+                    event,
+                    scope,
+                    limit: rule.limit,
+                    windowMs: rule.windowMs,
+                    retryAfterMs: Math.max(counter.resetAt - this.now(), 0),
+                };
+            }
+        }
+
+        return { allowed: true };
+    }
+
+    /**
+     * Messages an anonymous account sent in the current window (AUTH_POLICY=limited cap).
+     * Kept in the store, not the session, so reconnects and end_chat don't reset it.
+     * @param {Object} account - { key } from accountFor()
+     */
+    async anonymousMessageCount({ key }) {
+        const counter = await this.store.get(`anon:messages:${key}`);
+        return counter?.count || 0;
+    }
+
+    /**
+     * Count one anonymous message (window starts with the first message)
+     * @param {Object} account - { key } from accountFor()
+     * @param {number} windowMs - How long the cap applies before the count resets
+     */
+    async recordAnonymousMessage({ key }, windowMs) {
+        await this.store.increment(`anon:messages:${key}`, 1, windowMs);
+    }
+
+    /**
+     * Daily counter keys (reset at the next UTC midnight)
+     */
+    _quotaWindow(accountKey) {
+        const now = this.now();
+        const day = new Date(now).toISOString().slice(0, 10);
+        const resetAt = Math.floor(now / DAY_MS) * DAY_MS + DAY_MS;
+        return {
+            callsKey: `quota:${day}:calls:${accountKey}`,
+            tokensKey: `quota:${day}:tokens:${accountKey}`,
+            windowMs: resetAt - now,
+            resetAt,
+        };
+    }
+
+    /**
+     * Check daily model call / token quota before a model call
+     * @param {Object} account - { key, tier } from accountFor()
+     */
+    async checkQuota({ key, tier }) {
+        const quota = this.quotas[tier];
+        if (!this.enabled || !quota) return { allowed: true };
+
+        const { callsKey, tokensKey, resetAt } = this._quotaWindow(key);
+        const [calls, tokens] = await Promise.all([this.store.get(callsKey), this.store.get(tokensKey)]);
+        const retryAfterMs = Math.max(resetAt - this.now(), 0);
+
+        if (quota.modelCalls !== undefined && (calls?.count || 0) >= quota.modelCalls) {
+            return { allowed: false, event: 'model_calls', scope: 'quota', tier, limit: quota.modelCalls, retryAfterMs };
+        }
+        if (quota.tokens !== undefined && (tokens?.count || 0) >= quota.tokens) {
+            return { allowed: false, event: 'tokens', scope: 'quota', tier, limit: quota.tokens, retryAfterMs };
+        }
+
+        return { allowed: true };
+    }
+
+    /**
+     * Record model usage against the daily quota
+     * @param {Object} account - { key, tier }
+     * @param {Object} usage - { calls, tokens }
+     */
+    async recordUsage({ key }, { calls = 0, tokens = 0 } = {}) {
+        if (!this.enabled) return;
+
+        const { callsKey, tokensKey, windowMs } = this._quotaWindow(key);
+        if (calls > 0) await this.store.increment(callsKey, calls, windowMs);
+        if (tokens > 0) await this.store.increment(tokensKey, tokens, windowMs);
+    }
+}
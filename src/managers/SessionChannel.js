@@ -0,0 +1,136 @@
+/**
+ * SessionChannel - All sockets attached to one chat session
+ * Authenticated users share a session across devices/tabs, so every
+ * AI event is sent to the session's Socket.IO room and reaches each
+ * connected device. Exposes the same `emit` / `connected` / `user`
+ * surface as a single socket.
+ */
+export class SessionChannel {
+    /**
+     * @param {string} room - Socket.IO room of the session
+     * @param {Object} options - { io } Socket.IO server (without it, events are sent socket by socket)
+     */
+    constructor(room = null, { io = null } = {}) {
+        // Socket.IO room the sockets are joined to
+        this.room = room;
+        this.io = io;
+        this.sockets = new Set();
+        // Sockets whose user is currently typing
+        this.typingSockets = new Set();
+    }
+
+    /**
+     * Attach socket to channel
+     */
+    add(socket) {
+        if (this.sockets.has(socket)) return;
+        this.sockets.add(socket);
+        if (this.room && typeof socket.join === 'function') {
+            socket.join(this.room);
+        }
+    }
+
+    /**
+     * Detach socket from channel
+     * @returns {number} Number of sockets still attached
+     */
+    remove(socket) {
+        this.sockets.delete(socket);
+        this.typingSockets.delete(socket);
+        if (this.room && typeof socket.leave === 'function') {
+            socket.leave(this.room);
+        }
+        return this.size;
+    }
+
+    /**
+     * Detach every socket (session torn down)
+     */
+    close() {
+        [...this.sockets].forEach(socket => this.remove(socket));
+    }
+
+    /**
+     * Move channel to a room (anonymous session upgraded to an authenticated user)
+     */
+    setRoom(room) {
+        if (this.room === room) return;
+        this.sockets.forEach(socket => {
+            if (this.room && typeof socket.leave === 'function') socket.leave(this.room);
+            if (room && typeof socket.join === 'function') socket.join(room);
+        });
+        this.room = room;
+    }
+
+    /**
+     * Drop sockets that are no longer connected
+     */
+    _prune() {
+        for (const socket of this.sockets) {
+            if (!socket.connected) {
+                this.sockets.delete(socket);
+                this.typingSockets.delete(socket);
+            }
+        }
+    }
+
+    get size() {
+        this._prune();
+        return this.sockets.size;
+    }
+
+    get connected() {
+        return this.size > 0;
+    }
+
+    /**
+     * Authenticated user of the channel (same for every attached socket)
+     */
+    get user() {
+        for (const socket of this.sockets) {
+            if (socket.user) return socket.user;
+        }
+        return null;
+    }
+
+    /**
+     * Client address of the channel (first attached socket, see clientAddress in index.js)
+     */
+    get address() {
+        for (const socket of this.sockets) {
+            const address = socket.clientAddress || socket.handshake?.address;
+            if (address) return address;
+        }
+        return null;
+    }
+
+    /**
+     * Emit event to every connected socket of the session
+     */
+    emit(event, data) {
+        if (this.io && this.room) {
+            this.io.to(this.room).emit(event, data);
+            return;
+        }
+        this._prune();
+        this.sockets.forEach(socket => socket.emit(event, data));
+    }
+
+    /**
+     * Update typing state of one socket
+     * @returns {boolean} Whether the user is typing on any device
+     */
+    setTyping(socket, isTyping) {
+        if (isTyping) {
+            this.typingSockets.add(socket);
+        } else {
+            this.typingSockets.delete(socket);
+        }
+        return this.isTyping;
+    }
+
+    get isTyping() {
+        this._prune();
+        return this.typingSockets.size > 0;
+    }
+}
@@ -1,20 +1,162 @@
+import { SessionChannel } from './SessionChannel.js';
+import { systemClock } from '../utils/clock.js';
+import { mergeTurns } from './ContextWindowManager.js';
+
+// Tarot readings of a session included in one prompt (latest ones)
+const MAX_PROMPT_READINGS = 3;
+
 /**
  * StateOrchestrator - Coordinates the complex state machine
  * Handles UpdateCheck, UpdateBuffer, EndUpdate flows and timing logic
  */
 export class StateOrchestrator {
-    constructor(sessionManager, bufferManager, timerManager, geminiService) {
+    constructor(sessionManager, bufferManager, timerManager, geminiService, { resumeGraceMs = 30000, clock = systemClock, rateLimiter = null, usageTracker = null, contextWindow = null, userMemoryService = null, tarotService = null, synastryService = null, io = null } = {}) {
         this.sessionManager = sessionManager;
         this.bufferManager = bufferManager;
         this.timerManager = timerManager;
         this.geminiService = geminiService;
-
-        // Map of userId -> socket
-        this.userSockets = new Map();
+        // Clock / scheduler for the park grace timer (see utils/clock.js)
+        this.clock = clock;
+        // Daily model call / token quotas (optional, see RateLimitManager)
+        this.rateLimiter = rateLimiter;
+        // Token usage / cost accounting (optional, see UsageTracker)
+        this.usageTracker = usageTracker;
+        // Token-budgeted prompt history with rolling summary (optional, see ContextWindowManager)
+        this.contextWindow = contextWindow;
+        // Long-term memories of authenticated users (optional, see UserMemoryService)
+        this.userMemoryService = userMemoryService;
+        // Server-side tarot draws for tarot mode (optional, see TarotService)
+        this.tarotService = tarotService;
+        // Partner charts for compatibility mode (optional, see SynastryService)
+        this.synastryService = synastryService;
+
+        // Socket.IO server: session events are emitted to the session's room (optional)
+        this.io = io;
+        // Map of userId -> SessionChannel (all sockets of the session)
+        this.userChannels = new Map();
 
         this.waitingForGemini = new Map();
         this.sendingBlocks = new Map();
         this.lastAiTypingState = new Map();
+        // Map of userId -> pending conversation restore promise
+        this.pendingRestores = new Map();
+        // Map of userId -> pending conversation creation promise
+        this.pendingConversations = new Map();
+
+        // How long a disconnected session is kept for resume_session
+        this.resumeGraceMs = resumeGraceMs;
+        // Map of userId -> { timeoutId, ownerId, wasSending, parkedAt }
+        this.parkedSessions = new Map();
+
+        // In-flight model calls: userId -> { id, controller }
+        this.generations = new Map();
+        this.updateChecks = new Map();
+        this.generationCounter = 0;
+        // Serialised UpdateBuffer runs: userId -> queue tail promise / latest request id
+        this.updateQueues = new Map();
+        this.latestUpdateRequest = new Map();
+
+        // Anonymous sessions upgraded by reauthenticate: userRoom(supabaseId) -> session id
+        this.sessionAliases = new Map();
+    }
+
+    /**
+     * Quota account of a session (user across devices, otherwise client address)
+     * @returns {Object|null} { key, tier } or null without a rate limiter
+     */
+    _quotaAccount(userId) {
+        if (!this.rateLimiter) return null;
+
+        const channel = this.getChannel(userId);
+        if (channel) {
+            return this.rateLimiter.accountFor(channel.user, channel.address);
+        }
+        return this.parkedSessions.get(userId)?.account || this.rateLimiter.accountFor(null, null);
+    }
+
+    /**
+     * Check the session's daily model quota
+     * @returns {Promise<Object>} { allowed } or the rate_limited payload
+     */
+    async _checkQuota(userId) {
+        const account = this._quotaAccount(userId);
+        if (!account) return { allowed: true };
+
+        try {
+            return await this.rateLimiter.checkQuota(account);
+        } catch (error) {
+            // Limits must not take the chat down with a broken counter store
+            console.error('   ├─ ⚠️  Quota check failed:', error.message);
+            return { allowed: true };
+        }
+    }
+
+    /**
+     * onUsage callback for a session's model calls: usage accounting and daily quota
+     * (tags are taken now, so calls finishing after cleanup are still attributed)
+     */
+    _usageRecorder(userId) {
+        const account = this._quotaAccount(userId);
+        if (!account && !this.usageTracker) return null;
+
+        const tags = {
+            sessionId: userId,
+            userId: this._ownerId(userId),
+            chatMode: this.sessionManager.hasSession(userId) ? this.sessionManager.getContext(userId).chatMode : null,
+            chat: this.usageTracker?.currentChat(userId) ?? null,
+        };
+
+        return (usage) => {
+            this.usageTracker?.record(usage, tags);
+
+            if (account) {
+                this.rateLimiter.recordUsage(account, { calls: 1, tokens: usage.totalTokens }).catch((error) => {
+                    console.error('   ├─ ⚠️  Failed to record model usage:', error.message);
+                });
+            }
+        };
+    }
+
+    /**
+     * Supabase user id of the session (also while parked)
+     */
+    _ownerId(userId) {
+        return this.getChannel(userId)?.user?.id || this.parkedSessions.get(userId)?.ownerId || null;
+    }
+
+    /**
+     * Start tracking a cancellable model call (aborts the previous one of the same kind)
+     */
+    _startWork(workMap, userId) {
+        workMap.get(userId)?.controller.abort();
+        const work = { id: ++this.generationCounter, controller: new AbortController() };
+        workMap.set(userId, work);
+        return work;
+    }
+
+    /**
+     * Check that a model call has not been cancelled or superseded
+     */
+    _isCurrentWork(workMap, userId, work) {
+        return workMap.get(userId) === work && !work.controller.signal.aborted;
+    }
+
+    _finishWork(workMap, userId, work) {
+        if (workMap.get(userId) === work) {
+            workMap.delete(userId);
+        }
+    }
+
+    /**
+     * Abort in-flight UpdateBuffer/UpdateCheck calls and drop queued UpdateBuffer runs
+     */
+    cancelPendingWork(userId) {
+        [this.generations, this.updateChecks].forEach(workMap => {
+            workMap.get(userId)?.controller.abort();
+            workMap.delete(userId);
+        });
+        // Queued runs see a newer request id and skip themselves
+        this.latestUpdateRequest.set(userId, ++this.generationCounter);
     }
 
     _anyTimersActive(userId) {
@@ -30,8 +172,8 @@ export class StateOrchestrator {
     }
 
     _emitAiTypingIfNeeded(userId) {
-        const socket = this.getSocket(userId);
-        if (!socket) return;
+        const channel = this.getChannel(userId);
+        if (!channel) return;
 
         const nextState = this._computeAiTyping(userId);
         const prevState = this.lastAiTypingState.get(userId);
@@ -39,38 +181,455 @@ export class StateOrchestrator {
         if (prevState === nextState) return;
 
         this.lastAiTypingState.set(userId, nextState);
-        socket.emit('ai_typing', { isTyping: nextState });
+        channel.emit('ai_typing', { isTyping: nextState });
+    }
+
+    /**
+     * Session id shared by every device of an authenticated user
+     */
+    static userRoom(supabaseUserId) {
+        return `user:${supabaseUserId}`;
     }
 
     /**
-     * Register socket for user
+     * Socket.IO room of an anonymous session
+     */
+    static sessionRoom(sessionId) {
+        return `session:${sessionId}`;
+    }
+
+    /**
+     * Session id for a user room (follows sessions upgraded from anonymous)
+     */
+    resolveSessionId(sessionId) {
+        return this.sessionAliases.get(sessionId) || sessionId;
+    }
+
+    /**
+     * Register socket for user (adds it to the session channel)
      */
     registerSocket(userId, socket) {
-        this.userSockets.set(userId, socket);
+        let channel = this.userChannels.get(userId);
+        if (!channel) {
+            const room = socket?.user?.id
+                ? StateOrchestrator.userRoom(socket.user.id)
+                : StateOrchestrator.sessionRoom(userId);
+            channel = new SessionChannel(room, { io: this.io });
+            this.userChannels.set(userId, channel);
+        }
+        channel.add(socket);
     }
 
     /**
-     * Get socket for user (with connection validation)
+     * Detach socket from session channel (on disconnect)
+     * @returns {number} Number of sockets still attached to the session
      */
-    getSocket(userId) {
-        const socket = this.userSockets.get(userId);
-        
-        // Validate socket is still connected
-        if (socket && !socket.connected) {
-            console.log(`⚠️  Socket for ${userId.substring(0, 8)} is disconnected, removing...`);
-            this.userSockets.delete(userId);
+    unregisterSocket(userId, socket) {
+        const channel = this.userChannels.get(userId);
+        if (!channel) return 0;
+
+        const wasTyping = this.sessionManager.hasSession(userId)
+            && this.sessionManager.getTypingState(userId).isTyping;
+        const remaining = channel.remove(socket);
+
+        // The device that was typing went away - treat it as a typing stop
+        if (remaining > 0 && wasTyping && !channel.isTyping) {
+            this._applyTypingStatus(userId, false);
+        }
+
+        return remaining;
+    }
+
+    /**
+     * Get session channel for user (with connection validation)
+     */
+    getChannel(userId) {
+        const channel = this.userChannels.get(userId);
+
+        // Validate at least one socket is still connected
+        if (channel && !channel.connected) {
+            console.log(`⚠️  All sockets for ${userId.substring(0, 8)} are disconnected, removing...`);
+            this.userChannels.delete(userId);
             return null;
         }
-        
-        return socket;
+
+        return channel || null;
     }
 
     /**
      * Check if user has active socket
      */
     hasActiveSocket(userId) {
-        const socket = this.userSockets.get(userId);
-        return socket && socket.connected;
+        const channel = this.userChannels.get(userId);
+        return !!channel && channel.connected;
+    }
+
+    /**
+     * Emit event to every device of the session
+     */
+    emitToUser(userId, event, data) {
+        const channel = this.getChannel(userId);
+        if (channel) {
+            channel.emit(event, data);
+        }
+    }
+
+    /**
+     * Update per-session conversation context (mode, question type, charts, persona options, timing)
+     * Only provided fields are changed; an unknown mode keeps the current one
+     */
+    updateContext(userId, { mode, questionType, natalChart, transitChart, personaOptions, timing } = {}) {
+        if (mode) {
+            const chatMode = this.geminiService.resolveChatMode(mode);
+            if (chatMode) {
+                this.sessionManager.setChatMode(userId, chatMode);
+            }
+        }
+
+        if (questionType) {
+            this.sessionManager.setQuestionType(userId, questionType);
+            if (questionType === 'static') {
+                console.log('   ├─ 📌 Question type: Static (natal chart)');
+            } else if (questionType === 'transit') {
+                console.log('   ├─ 🌊 Question type: Transit (current positions)');
+            }
+        }
+
+        if (natalChart || transitChart) {
+            this.sessionManager.setClientChartData(userId, natalChart, transitChart);
+            if (natalChart) {
+                console.log('   ├─ 📊 Received natal chart from client');
+            }
+            if (transitChart) {
+                console.log('   ├─ 🌊 Received transit chart from client');
+            }
+        }
+
+        if (personaOptions && typeof personaOptions === 'object') {
+            this.sessionManager.setPersonaOptions(userId, personaOptions);
+        }
+
+        if (timing && typeof timing === 'object') {
+            this.updateTiming(userId, timing);
+        }
+
+        return this.sessionManager.getContext(userId);
+    }
+
+    /**
+     * Select timing profile and/or per-user overrides
+     * @param {Object} timing - { profile?: string|null, overrides?: Object|null } (null resets)
+     * @returns {Object} Effective timing
+     */
+    updateTiming(userId, { profile, overrides } = {}) {
+        if (profile === null) {
+            this.sessionManager.setTimingProfile(userId, null);
+        } else if (profile !== undefined) {
+            if (this.sessionManager.timingProfiles.has(profile)) {
+                this.sessionManager.setTimingProfile(userId, profile);
+            } else {
+                console.warn(`   ├─ ⚠️  Unknown timing profile "${profile}", keeping current`);
+            }
+        }
+
+        if (overrides !== undefined) {
+            this.sessionManager.setTimingOverrides(userId, overrides);
+        }
+
+        const timing = this.sessionManager.getTiming(userId);
+        console.log(`   ├─ ⏱️  Timing profile: ${timing.profile} (speed x${timing.speed}, typing simulation ${timing.simulateTyping ? 'on' : 'off'})`);
+        return timing;
+    }
+
+    /**
+     * Draw a tarot spread for the session and emit `tarot_reading` to every device
+     * @param {Object} options - { spread, question, seed } (default spread / random seed when omitted)
+     * @returns {Object} Reading (see TarotService)
+     */
+    drawTarotReading(userId, { spread, question, seed } = {}) {
+        if (!this.tarotService) {
+            throw new Error('Tarot draws are not available');
+        }
+
+        const reading = this.tarotService.drawSpread(spread, { seed, question });
+        this.sessionManager.addTarotReading(userId, reading);
+
+        const cards = reading.cards.map(card => `${card.name}${card.reversed ? ' (R)' : ''}`).join(', ');
+        console.log(`   ├─ 🃏 ${reading.spreadName} [seed ${reading.seed}]: ${cards}`);
+
+        this.emitToUser(userId, 'tarot_reading', reading);
+        return reading;
+    }
+
+    /**
+     * Set the partner of compatibility mode and emit `partner_chart` to every device
+     * @param {Object} input - Partner birth data or natal chart (see SynastryService.resolvePerson)
+     * @returns {Object} { ok, partner } or { ok: false, error }
+     */
+    setPartner(userId, input) {
+        if (!this.synastryService) {
+            return { ok: false, error: 'Compatibility readings are not available' };
+        }
+
+        const result = this.synastryService.resolvePerson(input);
+        if (!result.ok) return result;
+
+        const partner = result.person;
+        this.sessionManager.setPartner(userId, partner);
+        console.log(`   ├─ 💞 Partner: ${partner.name} (${partner.source === 'birth_data' ? 'calculated from birth data' : 'client chart'})`);
+
+        this.emitToUser(userId, 'partner_chart', partner);
+        return { ok: true, partner };
+    }
+
+    /**
+     * Tarot cards for the UpdateBuffer prompt ('' unless the persona declares `tarot: true`)
+     * The first tarot response draws the session's spread (personaOptions.spread or the default).
+     */
+    _tarotPromptContext(userId) {
+        const { chatMode, personaOptions } = this.sessionManager.getContext(userId);
+        if (!this.tarotService || !this.geminiService.getPersona(chatMode)?.tarot) return '';
+
+        let readings = this.sessionManager.getTarotReadings(userId);
+        if (readings.length === 0) {
+            const spread = this.tarotService.hasSpread(personaOptions.spread) ? personaOptions.spread : undefined;
+            const question = this.sessionManager.getHistory(userId).filter(entry => entry.role === 'user').pop()?.content;
+            this.drawTarotReading(userId, { spread, question });
+            readings = this.sessionManager.getTarotReadings(userId);
+        }
+
+        return this.tarotService.formatReadingsForAI(readings.slice(-MAX_PROMPT_READINGS));
+    }
+
+    /**
+     * Restore the authenticated user's active conversation from the store
+     * Emits `conversation_restored` with the stored messages and tarot readings
+     */
+    async restoreConversation(userId, socket) {
+        const store = this.sessionManager.conversationStore;
+        const ownerId = socket?.user?.id;
+        if (!store || !ownerId) return null;
+
+        const restore = this._restoreConversation(userId, socket, store, ownerId);
+        this.pendingRestores.set(userId, restore);
+        try {
+            return await restore;
+        } finally {
+            this.pendingRestores.delete(userId);
+        }
+    }
+
+    async _restoreConversation(userId, socket, store, ownerId) {
+        try {
+            // Session is already live on another device - only send its history to this socket
+            const attachedId = this.sessionManager.hasSession(userId)
+                ? this.sessionManager.getConversation(userId).id
+                : null;
+
+            const conversation = attachedId
+                ? await store.getConversation(attachedId)
+                : await store.getActiveConversation(ownerId);
+            if (!conversation) return null;
+
+            const messages = await store.getMessages(conversation.id);
+            const tarotReadings = await store.getTarotReadings(conversation.id);
+
+            // Session was dropped or replaced (resume_session) while loading
+            if (!this.userChannels.get(userId)?.sockets.has(socket)) return null;
+
+            if (!attachedId) {
+                this.sessionManager.attachConversation(userId, conversation, messages, tarotReadings);
+            }
+            console.log(`   ├─ 💾 Restored conversation ${conversation.id.substring(0, 8)} (${messages.length} messages)`);
+
+            socket.emit('conversation_restored', {
+                conversationId: conversation.id,
+                chatMode: conversation.chatMode,
+                messages: messages.map(msg => ({
+                    role: msg.role,
+                    text: msg.content,
+                    group: msg.group,
+                    timestamp: msg.timestamp,
+                })),
+                tarotReadings: tarotReadings.map(({ conversationId, ...reading }) => reading),
+            });
+
+            return conversation;
+        } catch (error) {
+            console.error('   ├─ ⚠️  Failed to restore conversation:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Make sure an authenticated session has a persisted conversation
+     */
+    async _ensureConversation(userId) {
+        const store = this.sessionManager.conversationStore;
+        if (!store) return;
+
+        // Wait for restore on connect so we don't start a duplicate conversation
+        const pendingRestore = this.pendingRestores.get(userId);
+        if (pendingRestore) await pendingRestore;
+
+        if (this.sessionManager.getConversation(userId).id) return;
+
+        const ownerId = this.getChannel(userId)?.user?.id;
+        if (!ownerId) return;
+
+        // Messages arriving while the conversation is being created wait for the same one
+        if (!this.pendingConversations.has(userId)) {
+            const creation = this._createConversation(userId, store, ownerId).finally(() => {
+                if (this.pendingConversations.get(userId) === creation) {
+                    this.pendingConversations.delete(userId);
+                }
+            });
+            this.pendingConversations.set(userId, creation);
+        }
+        await this.pendingConversations.get(userId);
+    }
+
+    async _createConversation(userId, store, ownerId) {
+        try {
+            const { chatMode } = this.sessionManager.getContext(userId);
+            const conversation = await store.createConversation({ userId: ownerId, chatMode });
+            this.sessionManager.attachConversation(userId, conversation);
+            // Messages exchanged before sign-in (upgraded anonymous session)
+            const persisted = this.sessionManager.persistHistory(userId);
+            console.log(`   ├─ 💾 Started conversation ${conversation.id.substring(0, 8)}${persisted ? ` (${persisted} earlier messages)` : ''}`);
+        } catch (error) {
+            console.error('   ├─ ⚠️  Failed to create conversation:', error.message);
+        }
+    }
+
+    /**
+     * Attach a socket that just authenticated (reauthenticate) to the user's session
+     * - no session for the user yet: the current session becomes the user's session
+     *   (history, buffer and timers keep running, history is persisted)
+     * - user already has a live or parked session: the current history is appended
+     *   to it and the current session is dropped
+     * @returns {Promise<Object>} { sessionId, merged }
+     */
+    async authenticateSession(userId, socket) {
+        const room = StateOrchestrator.userRoom(socket.user.id);
+        const targetId = this.resolveSessionId(room);
+
+        if (targetId === userId) {
+            return { sessionId: userId, merged: false };
+        }
+
+        if (!this.sessionManager.hasSession(targetId)) {
+            this.sessionAliases.set(room, userId);
+            this.registerSocket(userId, socket);
+            this.userChannels.get(userId).setRoom(room);
+            await this._ensureConversation(userId);
+            return { sessionId: userId, merged: false };
+        }
+
+        const history = this.sessionManager.hasSession(userId)
+            ? this.sessionManager.getHistory(userId)
+            : [];
+        this.cleanup(userId);
+
+        if (this.isParked(targetId)) {
+            this.resumeSession(targetId, socket, null);
+        } else {
+            this.registerSocket(targetId, socket);
+        }
+        this.sessionManager.importHistory(targetId, history);
+
+        return { sessionId: targetId, merged: true };
+    }
+
+    /**
+     * Mark the persisted conversation as ended (end_chat)
+     */
+    async endConversation(userId) {
+        const store = this.sessionManager.conversationStore;
+        const conversationId = this.sessionManager.getConversation(userId).id;
+        if (!store || !conversationId) return;
+
+        try {
+            await store.endConversation(conversationId);
+            console.log(`   ├─ 💾 Conversation ${conversationId.substring(0, 8)} ended`);
+        } catch (error) {
+            console.error('   ├─ ⚠️  Failed to end conversation:', error.message);
+        }
+    }
+
+    /**
+     * Extract long-term memories from the session's conversation (authenticated users, end_chat)
+     * Session data is read before the first await, so the session can be cleaned up right after the call.
+     * @returns {Promise<Array>} Stored memories
+     */
+    async rememberConversation(userId) {
+        const ownerId = this._ownerId(userId);
+        if (!this.userMemoryService || !ownerId || !this.sessionManager.hasSession(userId)) return [];
+
+        const history = this.sessionManager.getHistory(userId);
+        if (!history.some(entry => entry.role === 'user')) return [];
+
+        const { text: summary, coveredEntries } = this.sessionManager.getHistorySummary(userId);
+        const turns = mergeTurns(history.slice(coveredEntries)).map(({ role, content }) => ({ role, content }));
+        const conversationId = this.sessionManager.getConversation(userId).id;
+        const onUsage = this._usageRecorder(userId);
+
+        const quota = await this._checkQuota(userId);
+        if (!quota.allowed) {
+            console.log('   ├─ ⛔ Memory extraction skipped (daily quota exhausted)');
+            return [];
+        }
+
+        const known = await this.userMemoryService.listMemories(ownerId);
+        const candidates = await this.geminiService.extractMemories({ summary, turns }, known, { onUsage });
+        const stored = await this.userMemoryService.addMemories(ownerId, candidates, { conversationId });
+
+        console.log(`   ├─ 🧠 Stored ${stored.length} new memory item(s) for ${ownerId.substring(0, 8)}`);
+        return stored;
+    }
+
+    /**
+     * End the session's chat (end_chat): stop the response, close the persisted conversation,
+     * extract memories, emit session_summary and clean up (the user's other devices stay attached)
+     * @returns {Promise<Object>} Session summary
+     */
+    async endChat(userId) {
+        this.stopAIResponse(userId);
+
+        // Close the persisted conversation so it is not restored again
+        await this.endConversation(userId);
+
+        // Remember durable facts for the user's next conversations (runs after cleanup)
+        this.rememberConversation(userId).catch((error) => {
+            console.error('   ├─ ⚠️  Failed to extract user memories:', error.message);
+        });
+
+        // Message counts and token usage of the finished chat
+        const summary = this.emitSessionSummary(userId);
+
+        this.cleanup(userId, { keepSockets: true });
+        return summary;
+    }
+
+    /**
+     * Emit session_summary (message / AI block counts, token usage and tarot readings) to every device of the session
+     * @returns {Object} Summary
+     */
+    emitSessionSummary(userId) {
+        const history = this.sessionManager.hasSession(userId) ? this.sessionManager.getHistory(userId) : [];
+        const summary = {
+            sessionId: userId,
+            messages: {
+                user: history.filter(entry => entry.role === 'user').length,
+                ai: history.filter(entry => entry.role === 'model').length,
+            },
+            usage: this.usageTracker?.getSessionUsage(userId)?.usage || null,
+            tarotReadings: this.sessionManager.hasSession(userId) ? this.sessionManager.getTarotReadings(userId) : [],
+            endedAt: new Date(this.clock.now()).toISOString(),
+        };
+
+        this.emitToUser(userId, 'session_summary', summary);
+        return summary;
     }
 
     /**
@@ -80,9 +639,15 @@ export class StateOrchestrator {
         // Register socket
         this.registerSocket(userId, socket);
 
+        // Persist authenticated conversations
+        await this._ensureConversation(userId);
+
         // Add message to history
         this.sessionManager.addUserMessage(userId, message);
 
+        // Summarize older turns while the reply is pending (idle timer), not inside the next generation
+        this.contextWindow?.compactInBackground(userId, { onUsage: this._usageRecorder(userId) });
+
         // Mark that user has sent a message (for EndUpdate tracking)
         this.sessionManager.setUserMessagedSinceEndUpdate(userId, true);
 
@@ -118,6 +683,17 @@ export class StateOrchestrator {
         // Register socket
         this.registerSocket(userId, socket);
 
+        // Merge typing across devices - an idle tab must not stop typing on another one
+        const anyTyping = this.userChannels.get(userId).setTyping(socket, isTyping);
+        if (!isTyping && anyTyping) {
+            console.log('   ├─ ⌨️  Still typing on another device, ignoring stop');
+            return;
+        }
+
+        this._applyTypingStatus(userId, isTyping);
+    }
+
+    _applyTypingStatus(userId, isTyping) {
         // Update typing state
         this.sessionManager.setTypingState(userId, isTyping);
 
@@ -139,9 +715,9 @@ export class StateOrchestrator {
                 this.sessionManager.enableIdleTimer(userId);
             }
 
-            // Start max typing timer (30 seconds)
+            // Start max typing timer
             this.timerManager.startMaxTypingTimer(userId, async () => {
-                console.log('   └─ ⏱️  Max typing time (30s) reached → generating update');
+                console.log('   └─ ⏱️  Max typing time reached → generating update');
                 // Reset user message flag - max typing timer is NOT a real user message
                 this.sessionManager.setUserMessagedSinceEndUpdate(userId, false);
                 await this.triggerUpdateBuffer(userId);
@@ -157,9 +733,9 @@ export class StateOrchestrator {
             const typingState = this.sessionManager.getTypingState(userId);
 
             if (typingState.shouldUseIdleTimer) {
-                console.log('   ├─ ⏱️  User stopped typing, starting 5s idle timer...');
+                console.log('   ├─ ⏱️  User stopped typing, starting idle timer...');
                 this.timerManager.startTypingIdleTimer(userId, async () => {
-                    console.log('   └─ ⏱️  Idle timer (5s) expired → generating update');
+                    console.log('   └─ ⏱️  Idle timer expired → generating update');
                     // Disable idle timer flag after triggering
                     this.sessionManager.disableIdleTimer(userId);
                     // Reset user message flag - idle timer is NOT a real user message
@@ -179,6 +755,13 @@ export class StateOrchestrator {
      */
     async triggerUpdateCheck(userId) {
         try {
+            // Out of model quota - keep sending the current buffer unchanged
+            const quota = await this._checkQuota(userId);
+            if (!quota.allowed) {
+                console.log('   ├─ ⛔ UpdateCheck skipped (daily quota exhausted)');
+                return;
+            }
+
             console.log('   ├─ 🔍 Running UpdateCheck...');
 
             // Get recent history (last 20 messages)
@@ -188,9 +771,21 @@ export class StateOrchestrator {
             const session = this.sessionManager.getSession(userId);
             const currentBuffer = session.buffer.blocks;
             const currentIndex = session.buffer.currentIndex;
+            const context = this.sessionManager.getContext(userId);
 
             // Call UpdateCheck with sent/pending distinction
-            const needsUpdate = await this.geminiService.updateCheck(recentHistory, currentBuffer, currentIndex);
+            const check = this._startWork(this.updateChecks, userId);
+            const needsUpdate = await this.geminiService.updateCheck(recentHistory, currentBuffer, currentIndex, context, {
+                signal: check.controller.signal,
+                onUsage: this._usageRecorder(userId),
+            });
+
+            // Stopped, ended or superseded by a new buffer while checking
+            if (!this._isCurrentWork(this.updateChecks, userId, check)) {
+                console.log('   ├─ ⏭️  Discarding stale UpdateCheck result');
+                return;
+            }
+            this._finishWork(this.updateChecks, userId, check);
 
             if (needsUpdate) {
                 console.log('   ├─ ✅ UpdateCheck: YES → update needed');
@@ -223,10 +818,10 @@ export class StateOrchestrator {
     }
 
     /**
-     * Start group delay flow (2 seconds after group complete)
+     * Start group delay flow (delay after group complete, see timing profile)
      */
     _startGroupDelayFlow(userId) {
-        console.log('   ├─ ⏱️  Starting 2s delay after group completion...');
+        console.log('   ├─ ⏱️  Starting delay after group completion...');
 
         this.timerManager.startGroupDelayTimer(userId, async () => {
             const typingState = this.sessionManager.getTypingState(userId);
@@ -236,9 +831,9 @@ export class StateOrchestrator {
                 // User is typing - enable idle timer flag so it starts when they stop typing
                 this.sessionManager.enableIdleTimer(userId);
             } else {
-                console.log('   ├─ ⏱️  User not typing, starting 5s idle timer...');
+                console.log('   ├─ ⏱️  User not typing, starting idle timer...');
                 this.timerManager.startTypingIdleTimer(userId, async () => {
-                    console.log('   └─ ⏱️  Idle timer (5s) expired after group delay → generating update');
+                    console.log('   └─ ⏱️  Idle timer expired after group delay → generating update');
                     // Reset user message flag - group delay flow is NOT triggered by a real user message
                     this.sessionManager.setUserMessagedSinceEndUpdate(userId, false);
                     await this.triggerUpdateBuffer(userId);
@@ -253,10 +848,49 @@ export class StateOrchestrator {
 
     /**
      * Trigger UpdateBuffer - generate new buffer
+     * Supersedes any in-flight generation; runs are serialised per user
      */
     async triggerUpdateBuffer(userId) {
+        const requestId = ++this.generationCounter;
+        this.latestUpdateRequest.set(userId, requestId);
+
+        // Cancel the running generation and pending check right away - their results are stale now
+        this.generations.get(userId)?.controller.abort();
+        this.updateChecks.get(userId)?.controller.abort();
+
+        const previous = this.updateQueues.get(userId) || Promise.resolve();
+        const run = previous.then(() => {
+            // A newer trigger (or stop/end) arrived while this one was queued
+            if (this.latestUpdateRequest.get(userId) !== requestId) return;
+            return this._runUpdateBuffer(userId);
+        });
+
+        this.updateQueues.set(userId, run);
         try {
-            console.log('\n🤖 AI: Generating response...');
+            await run;
+        } finally {
+            if (this.updateQueues.get(userId) === run) {
+                this.updateQueues.delete(userId);
+            }
+        }
+    }
+
+    async _runUpdateBuffer(userId) {
+        const quota = await this._checkQuota(userId);
+        if (!quota.allowed) {
+            console.log(`\n⛔ AI: Daily ${quota.event === 'tokens' ? 'token' : 'model call'} quota exhausted (${quota.tier})`);
+            this.timerManager.cancelAllTimers(userId);
+            const { allowed, ...payload } = quota;
+            this.emitToUser(userId, 'rate_limited', payload);
+            this._emitAiTypingIfNeeded(userId);
+            return;
+        }
+
+        const generation = this._startWork(this.generations, userId);
+        let streamStarted = false;
+
+        try {
+            console.log(`\n🤖 AI: Generating response... (generation #${generation.id})`);
 
             // Cancel all timers
             this.timerManager.cancelAllTimers(userId);
@@ -268,17 +902,19 @@ export class StateOrchestrator {
             this.bufferManager.stopSending(userId);
             this.sendingBlocks.set(userId, false);
 
-            // Get full history
-            const history = this.sessionManager.getHistory(userId);
+            // Prompt history: rolling summary + recent turns (full history without a context window)
+            const onUsage = this._usageRecorder(userId);
+            const promptHistory = this.contextWindow
+                ? await this.contextWindow.buildPromptHistory(userId, { signal: generation.controller.signal, onUsage })
+                : { summary: null, turns: this.sessionManager.getHistory(userId) };
 
             // Get pending (unsent) blocks from current buffer
             const session = this.sessionManager.getSession(userId);
             const currentIndex = session.buffer.currentIndex;
             const pendingBlocks = session.buffer.blocks.slice(currentIndex);
 
-            // Get socket and authenticated user ID (if available)
-            const socket = this.getSocket(userId);
-            const authenticatedUserId = socket?.user?.id || null;
+            // Get authenticated user ID (if available, also for parked sessions)
+            const authenticatedUserId = this._ownerId(userId);
 
             if (authenticatedUserId) {
                 console.log(`   ├─ 🔑 Authenticated user ID: ${authenticatedUserId.substring(0, 8)}...`);
@@ -286,54 +922,120 @@ export class StateOrchestrator {
                 console.log(`   ├─ ⚠️  No authenticated user ID (anonymous session)`);
             }
 
-            // Call UpdateBuffer with only pending blocks and user ID for profile data
-            const newBlocks = await this.geminiService.updateBuffer(history, pendingBlocks, authenticatedUserId);
+            // Call UpdateBuffer with only pending blocks, user ID for profile data and session context.
+            // Blocks are streamed: the first one starts sending while the rest are still generated.
+            const context = {
+                ...this.sessionManager.getContext(userId),
+                historySummary: promptHistory.summary,
+                tarotReadings: this._tarotPromptContext(userId),
+            };
+            const onBlock = (block) => {
+                // Stopped, ended or superseded while generating - drop late blocks
+                if (!this._isCurrentWork(this.generations, userId, generation)) return;
+
+                if (!streamStarted) {
+                    streamStarted = true;
+                    this.sessionManager.setBuffer(userId, [block], { streaming: true });
+                    this.sessionManager.setUpdateCheckNeeded(userId, false);
+                    this.sessionManager.setWaitingForGroup(userId, false);
+                    this._startSendingNewBuffer(userId);
+                } else {
+                    this.sessionManager.appendBlocks(userId, [block]);
+                    this.bufferManager.notifyBlocksAvailable(userId);
+                }
+            };
+
+            const newBlocks = await this.geminiService.updateBufferStream(promptHistory.turns, pendingBlocks, authenticatedUserId, context, {
+                signal: generation.controller.signal,
+                onBlock,
+                onUsage,
+            });
+
+            // Stopped, ended or superseded while generating - drop the late result
+            if (!this._isCurrentWork(this.generations, userId, generation)) {
+                console.log(`   └─ ⏭️  Discarding stale generation #${generation.id}\n`);
+                return;
+            }
+            this._finishWork(this.generations, userId, generation);
 
             console.log(`   ├─ ✅ Generated ${newBlocks.length} blocks`);
 
-            // Set new buffer
+            if (streamStarted) {
+                this.sessionManager.finishStreaming(userId);
+                this.bufferManager.notifyBlocksAvailable(userId);
+                return;
+            }
+
+            // Nothing streamed (empty response) - use the whole-response path
             this.sessionManager.setBuffer(userId, newBlocks);
 
             // Reset update check state
             this.sessionManager.setUpdateCheckNeeded(userId, false);
             this.sessionManager.setWaitingForGroup(userId, false);
 
-            // Start sending new buffer
-            if (socket) {
-                console.log('   └─ 📤 Starting to send blocks...\n');
-
-                this.waitingForGemini.set(userId, false);
-                this.sendingBlocks.set(userId, true);
-                this._emitAiTypingIfNeeded(userId);
+            await this._startSendingNewBuffer(userId);
 
-                await this.bufferManager.startSendingBuffer(
-                    userId,
-                    socket,
-                    // onGroupComplete callback
-                    (userId, groupId) => this._handleGroupComplete(userId, groupId),
-                    // onBufferComplete callback
-                    (userId) => this._handleBufferComplete(userId)
-                );
-            } else {
-                console.error('   └─ ❌ No socket found for user');
+        } catch (error) {
+            // Cancelled generations end silently - whoever cancelled owns the state now
+            if (!this._isCurrentWork(this.generations, userId, generation)) {
+                console.log(`   └─ ⏭️  Generation #${generation.id} cancelled\n`);
+                return;
             }
+            this._finishWork(this.generations, userId, generation);
 
-        } catch (error) {
             console.error('\n❌ UpdateBuffer error:', error.message);
 
+            // Stream broke mid-way - let the blocks we already have finish sending
+            if (streamStarted) {
+                this.sessionManager.finishStreaming(userId);
+                this.bufferManager.notifyBlocksAvailable(userId);
+                this.emitToUser(userId, 'error', {
+                    message: 'Response was interrupted',
+                    error: error.message
+                });
+                return;
+            }
+
             this.waitingForGemini.set(userId, false);
             this.sendingBlocks.set(userId, false);
             this._emitAiTypingIfNeeded(userId);
 
             // Send error to client
-            const socket = this.getSocket(userId);
-            if (socket) {
-                socket.emit('error', {
-                    message: 'Failed to generate response',
-                    error: error.message
-                });
-            }
+            this.emitToUser(userId, 'error', {
+                message: 'Failed to generate response',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Start sending a freshly generated buffer (or keep it for resume if the session is parked)
+     */
+    async _startSendingNewBuffer(userId) {
+        // Client dropped while generating - keep buffer for resume_session
+        const parked = this.parkedSessions.get(userId);
+        if (parked) {
+            console.log('   └─ 🅿️  Session parked, buffer kept for resume\n');
+            this.waitingForGemini.set(userId, false);
+            this.sessionManager.pauseBuffer(userId);
+            parked.wasSending = true;
+            return;
+        }
+
+        // Start sending new buffer (sockets may have changed after resume_session)
+        const channel = this.getChannel(userId);
+        if (!channel) {
+            console.error('   └─ ❌ No socket found for user');
+            return;
         }
+
+        console.log('   └─ 📤 Starting to send blocks...\n');
+
+        this.waitingForGemini.set(userId, false);
+        this.sendingBlocks.set(userId, true);
+        this._emitAiTypingIfNeeded(userId);
+
+        await this.bufferManager.startSendingBuffer(userId, channel, ...this._bufferCallbacks());
     }
 
     /**
@@ -366,10 +1068,7 @@ export class StateOrchestrator {
         this._emitAiTypingIfNeeded(userId);
 
         // Notify client that AI has completed
-        const socket = this.getSocket(userId);
-        if (socket) {
-            socket.emit('ai_complete');
-        }
+        this.emitToUser(userId, 'ai_complete');
 
         // Check if UpdateCheck indicated update needed
         const updateCheckState = this.sessionManager.getUpdateCheckState(userId);
@@ -382,7 +1081,7 @@ export class StateOrchestrator {
             const hasUserMessaged = this.sessionManager.hasUserMessagedSinceEndUpdate(userId);
 
             if (hasUserMessaged) {
-                console.log('   ├─ ⏱️  Starting EndUpdate timer (25s)...\n');
+                console.log('   ├─ ⏱️  Starting EndUpdate timer...\n');
                 this.sessionManager.setEndUpdateTimer(userId, true);
 
                 this.timerManager.startEndUpdateTimer(userId, async () => {
@@ -402,9 +1101,12 @@ export class StateOrchestrator {
     /**
      * Stop AI response (user requested)
      */
-    stopAIResponse(userId, socket) {
+    stopAIResponse(userId) {
         console.log('   ├─ 🛑 Stopping AI response...');
 
+        // Cancel in-flight model calls so late results are dropped
+        this.cancelPendingWork(userId);
+
         // Cancel all timers
         this.timerManager.cancelAllTimers(userId);
 
@@ -416,20 +1118,137 @@ export class StateOrchestrator {
         this._emitAiTypingIfNeeded(userId);
 
         // Mark buffer as complete to prevent further sending
+        this.sessionManager.finishStreaming(userId);
         this.sessionManager.markBufferComplete(userId);
 
-        // Notify client that AI has stopped
-        if (socket) {
-            socket.emit('ai_complete');
-        }
+        // Notify every device that AI has stopped
+        this.emitToUser(userId, 'ai_complete');
 
         console.log('   └─ ✅ AI response stopped\n');
     }
 
+    _bufferCallbacks() {
+        return [
+            // onGroupComplete callback
+            (userId, groupId) => this._handleGroupComplete(userId, groupId),
+            // onBufferComplete callback
+            (userId) => this._handleBufferComplete(userId),
+        ];
+    }
+
+    /**
+     * Check if session is parked (client disconnected, waiting for resume)
+     */
+    isParked(userId) {
+        return this.parkedSessions.has(userId);
+    }
+
+    /**
+     * Park session on disconnect: pause timers and buffer sending for the grace period
+     * The session is cleaned up if not resumed in time
+     */
+    parkSession(userId, socket) {
+        if (this.resumeGraceMs <= 0 || !this.sessionManager.hasSession(userId)) {
+            this.cleanup(userId);
+            return false;
+        }
+
+        const wasSending = this.bufferManager.isSending(userId) || !!this.waitingForGemini.get(userId);
+
+        this.bufferManager.stopSending(userId);
+        this.sessionManager.pauseBuffer(userId);
+        const pausedTimers = this.timerManager.pauseAllTimers(userId);
+
+        this.userChannels.delete(userId);
+        this.sendingBlocks.set(userId, false);
+        this.lastAiTypingState.delete(userId);
+
+        const timeoutId = this.clock.setTimeout(() => {
+            console.log(`\n⌛ Resume window expired for ${userId.substring(0, 8)}`);
+            this.cleanup(userId);
+        }, this.resumeGraceMs);
+
+        this.parkedSessions.set(userId, {
+            timeoutId,
+            ownerId: socket?.user?.id || null,
+            // Quota account while no socket is attached
+            account: this.rateLimiter ? this.rateLimiter.accountFor(socket?.user, socket?.clientAddress) : null,
+            wasSending,
+            parkedAt: this.clock.now(),
+        });
+
+        console.log(`   ├─ 🅿️  Session parked for ${Math.round(this.resumeGraceMs / 1000)}s (timers: ${pausedTimers.join(', ') || 'none'}, sending: ${wasSending})`);
+        return true;
+    }
+
+    /**
+     * Resume parked session on a new socket
+     * Replays blocks after lastSeq and continues sending from currentIndex
+     * @param {number|null} lastSeq - Last ai_block seq the client has (null skips replay)
+     * @returns {Object} { ok, error?, replayed? }
+     */
+    resumeSession(userId, socket, lastSeq = 0) {
+        const parked = this.parkedSessions.get(userId);
+        if (!parked) {
+            return { ok: false, error: 'Session not found or expired' };
+        }
+
+        const ownerId = socket?.user?.id || null;
+        if (parked.ownerId && parked.ownerId !== ownerId) {
+            return { ok: false, error: 'Session belongs to another user' };
+        }
+
+        this.clock.clearTimeout(parked.timeoutId);
+        this.parkedSessions.delete(userId);
+        this.registerSocket(userId, socket);
+
+        // Replay blocks the client missed
+        const replayed = lastSeq === null ? 0 : this.replayBlocks(userId, socket, lastSeq);
+
+        // Restart timers with their remaining time
+        const resumedTimers = this.timerManager.resumeAllTimers(userId);
+
+        // Continue sending pending blocks
+        const stillGenerating = !!this.waitingForGemini.get(userId);
+        if (parked.wasSending && !stillGenerating && !this.sessionManager.isBufferComplete(userId)) {
+            this.sendingBlocks.set(userId, true);
+            this.bufferManager.resumeSending(userId, this.getChannel(userId), ...this._bufferCallbacks());
+        } else {
+            this.sessionManager.resumeBuffer(userId);
+        }
+
+        console.log(`   ├─ ▶️  Session resumed (replayed: ${replayed}, timers: ${resumedTimers.join(', ') || 'none'})`);
+        this._emitAiTypingIfNeeded(userId);
+
+        return { ok: true, replayed };
+    }
+
     /**
-     * Clean up for user (on disconnect)
+     * Re-send emitted blocks with seq greater than lastSeq to one socket
+     * @returns {number} Number of replayed blocks
      */
-    cleanup(userId) {
+    replayBlocks(userId, socket, lastSeq = 0) {
+        const missed = this.sessionManager.getSentBlocksSince(userId, lastSeq);
+        missed.forEach(block => socket.emit('ai_block', block));
+        return missed.length;
+    }
+
+    /**
+     * Clean up for user (on disconnect, resume window expiry or end_chat)
+     * @param {Object} options - { keepSockets } keep the session's devices attached
+     *   (end_chat on one device: the others stay connected and get the next session's events)
+     */
+    cleanup(userId, { keepSockets = false } = {}) {
+        console.log(`   ├─ 🧹 Cancelling pending generations...`);
+        this.cancelPendingWork(userId);
+        this.latestUpdateRequest.delete(userId);
+
+        const parked = this.parkedSessions.get(userId);
+        if (parked) {
+            this.clock.clearTimeout(parked.timeoutId);
+            this.parkedSessions.delete(userId);
+        }
+
         console.log(`   ├─ 🧹 Cleaning timers...`);
         this.timerManager.cleanup(userId);
         
@@ -439,13 +1258,27 @@ export class StateOrchestrator {
         console.log(`   ├─ 🧹 Clearing session data...`);
         this.sessionManager.clearSession(userId);
         
-        console.log(`   ├─ 🧹 Removing socket reference...`);
-        this.userSockets.delete(userId);
+        const channel = this.userChannels.get(userId);
+        const keepChannel = keepSockets && !!channel?.connected;
+        if (!keepChannel) {
+            console.log(`   ├─ 🧹 Removing socket references...`);
+            channel?.close();
+            this.userChannels.delete(userId);
+        }
 
         this.waitingForGemini.delete(userId);
         this.sendingBlocks.delete(userId);
         this.lastAiTypingState.delete(userId);
+        this.pendingRestores.delete(userId);
+        this.pendingConversations.delete(userId);
+        this.usageTracker?.endSession(userId);
+        this.contextWindow?.cleanup(userId);
+        if (!keepChannel) {
+            for (const [room, sessionId] of this.sessionAliases) {
+                if (sessionId === userId) this.sessionAliases.delete(room);
+            }
+        }
         
-        console.log(`   ├─ 📊 Active users remaining: ${this.userSockets.size}`);
+        console.log(`   ├─ 📊 Active users remaining: ${this.userChannels.size}`);
     }
 }
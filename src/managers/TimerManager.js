@@ -1,11 +1,22 @@
+import { systemClock } from '../utils/clock.js';
+
 /**
  * TimerManager - Manages all timing logic for the application
  * Handles typing timers, group delays, and EndUpdate timers
  */
 export class TimerManager {
-    constructor() {
-        // Map of userId -> { timerType -> timeoutId }
+    /**
+     * @param {Object} options
+     * @param {Function} options.getTiming - (userId) => effective timing (see TimingProfiles.resolve)
+     * @param {Object} options.clock - Clock / scheduler (default: system time, see utils/clock.js)
+     */
+    constructor({ getTiming, clock = systemClock }) {
+        this.getTiming = getTiming;
+        this.clock = clock;
+        // Map of userId -> { timerType -> { timeoutId, callback, dueAt } }
         this.timers = new Map();
+        // Map of userId -> { timerType -> { callback, remaining } } (parked sessions)
+        this.pausedTimers = new Map();
     }
 
     /**
@@ -24,7 +35,7 @@ export class TimerManager {
     _clearTimer(userId, timerType) {
         const userTimers = this._getUserTimers(userId);
         if (userTimers[timerType]) {
-            clearTimeout(userTimers[timerType]);
+            this.clock.clearTimeout(userTimers[timerType].timeoutId);
             delete userTimers[timerType];
         }
     }
@@ -37,40 +48,40 @@ export class TimerManager {
         this._clearTimer(userId, timerType);
 
         const userTimers = this._getUserTimers(userId);
-        const timeoutId = setTimeout(() => {
+        const timeoutId = this.clock.setTimeout(() => {
             delete userTimers[timerType];
             callback();
         }, delay);
 
-        userTimers[timerType] = timeoutId;
+        userTimers[timerType] = { timeoutId, callback, dueAt: this.clock.now() + delay };
     }
 
     /**
-     * Start 5-second idle timer after user stops typing
+     * Start idle timer after user stops typing (5s realistic)
      */
     startTypingIdleTimer(userId, callback) {
-        this._setTimer(userId, 'typingIdle', callback, 5000);
+        this._setTimer(userId, 'typingIdle', callback, this.getTiming(userId).typingIdleMs);
     }
 
     /**
-     * Start 30-second max typing timer
+     * Start max typing timer (30s realistic)
      */
     startMaxTypingTimer(userId, callback) {
-        this._setTimer(userId, 'maxTyping', callback, 30000);
+        this._setTimer(userId, 'maxTyping', callback, this.getTiming(userId).maxTypingMs);
     }
 
     /**
-     * Start 2-second delay after group completion
+     * Start delay after group completion (2s realistic)
      */
     startGroupDelayTimer(userId, callback) {
-        this._setTimer(userId, 'groupDelay', callback, 2000);
+        this._setTimer(userId, 'groupDelay', callback, this.getTiming(userId).groupDelayMs);
     }
 
     /**
-     * Start 25-second EndUpdate timer
+     * Start EndUpdate timer (25s realistic)
      */
     startEndUpdateTimer(userId, callback) {
-        this._setTimer(userId, 'endUpdate', callback, 25000);
+        this._setTimer(userId, 'endUpdate', callback, this.getTiming(userId).endUpdateMs);
     }
 
     /**
@@ -115,11 +126,47 @@ export class TimerManager {
         return !!userTimers[timerType];
     }
 
+    /**
+     * Pause all timers for user, keeping their remaining time
+     */
+    pauseAllTimers(userId) {
+        const userTimers = this._getUserTimers(userId);
+        const paused = this.pausedTimers.get(userId) || {};
+        const now = this.clock.now();
+
+        Object.entries(userTimers).forEach(([timerType, timer]) => {
+            paused[timerType] = {
+                callback: timer.callback,
+                remaining: Math.max(timer.dueAt - now, 0),
+            };
+            this._clearTimer(userId, timerType);
+        });
+
+        this.pausedTimers.set(userId, paused);
+        return Object.keys(paused);
+    }
+
+    /**
+     * Resume timers paused with pauseAllTimers
+     */
+    resumeAllTimers(userId) {
+        const paused = this.pausedTimers.get(userId);
+        this.pausedTimers.delete(userId);
+        if (!paused) return [];
+
+        Object.entries(paused).forEach(([timerType, { callback, remaining }]) => {
+            this._setTimer(userId, timerType, callback, remaining);
+        });
+
+        return Object.keys(paused);
+    }
+
     /**
      * Clean up all timers for user
      */
     cleanup(userId) {
         this.cancelAllTimers(userId);
         this.timers.delete(userId);
+        this.pausedTimers.delete(userId);
     }
 }
@@ -0,0 +1,227 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const ROLES = ['main', 'evaluator', 'forecast', 'summary', 'memory'];
+
+function emptyTotals() {
+    return {
+        calls: 0,
+        retries: 0,
+        promptTokens: 0,
+        outputTokens: 0,
+        totalTokens: 0,
+        costUsd: 0,
+        unpricedCalls: 0,         // Calls to models missing from the pricing table
+    };
+}
+
+function addTo(totals, record) {
+    totals.calls += 1;
+    totals.retries += record.retries;
+    totals.promptTokens += record.promptTokens;
+    totals.outputTokens += record.outputTokens;
+    totals.totalTokens += record.totalTokens;
+    if (record.costUsd === null) {
+        totals.unpricedCalls += 1;
+    } else {
+        totals.costUsd += record.costUsd;
+    }
+}
+
+function emptyAggregate() {
+    return {
+        ...emptyTotals(),
+        byRole: Object.fromEntries(ROLES.map(role => [role, emptyTotals()])),
+        firstAt: null,
+        lastAt: null,
+    };
+}
+
+function addToAggregate(aggregate, record) {
+    addTo(aggregate, record);
+    if (!aggregate.byRole[record.role]) {
+        aggregate.byRole[record.role] = emptyTotals();
+    }
+    addTo(aggregate.byRole[record.role], record);
+    aggregate.firstAt = aggregate.firstAt || record.timestamp;
+    aggregate.lastAt = record.timestamp;
+}
+
+/**
+ * UsageTracker - Token usage and cost of every model call
+ *
+ * Each record is tagged with session id, Supabase user id, chat mode, role,
+ * provider, model and retry count. Totals are kept per session, per user and
+ * overall; cost uses src/config/model_pricing.json (USD per 1M tokens).
+ * Session totals are per chat: after endSession() (end_chat) the next call of the
+ * same session id starts a new chat. Ended chats and raw records are kept in
+ * bounded in-memory lists.
+ */
+export class UsageTracker {
+    constructor({ pricing = {}, maxRecords = 1000, maxEndedSessions = 500, now = () => Date.now() } = {}) {
+        // Map of model -> { input, output } USD per 1M tokens
+        this.pricing = pricing;
+        this.maxRecords = maxRecords;
+        this.maxEndedSessions = maxEndedSessions;
+        this.now = now;
+
+        this.totals = emptyAggregate();
+        // Map of sessionId -> { userId, chatMode, chat, usage } (current chat of the session)
+        this.sessions = new Map();
+        // Map of sessionId -> { userId, chatMode, chat, usage, endedAt } (last ended chat, oldest first)
+        this.endedSessions = new Map();
+        // Map of Supabase user id -> usage
+        this.users = new Map();
+        // Latest records (oldest first)
+        this.records = [];
+    }
+
+    /**
+     * Load model pricing from JSON config
+     */
+    static async load(filePath = path.join(process.cwd(), 'src', 'config', 'model_pricing.json')) {
+        const config = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        return new UsageTracker({ pricing: config.models || {} });
+    }
+
+    /**
+     * Cost of one call in USD (null when the model has no price)
+     */
+    costOf(model, promptTokens, outputTokens) {
+        const price = this.pricing[model];
+        if (!price) return null;
+        return (promptTokens * (price.input || 0) + outputTokens * (price.output || 0)) / 1e6;
+    }
+
+    /**
+     * Record one model call
+     * @param {Object} usage - { role, provider, model, retries, promptTokens, outputTokens, totalTokens } (GeminiService usage)
+     * @param {Object} tags - { sessionId, userId, chatMode, chat }
+     *   chat: currentChat(sessionId) when the call started (default: the current chat)
+     * @returns {Object} Stored record
+     */
+    record(usage, { sessionId = null, userId = null, chatMode = null, chat = null } = {}) {
+        const record = {
+            timestamp: new Date(this.now()).toISOString(),
+            sessionId,
+            userId,
+            chatMode,
+            role: usage.role,
+            provider: usage.provider,
+            model: usage.model,
+            retries: usage.retries || 0,
+            promptTokens: usage.promptTokens || 0,
+            outputTokens: usage.outputTokens || 0,
+            totalTokens: usage.totalTokens || 0,
+            costUsd: this.costOf(usage.model, usage.promptTokens || 0, usage.outputTokens || 0),
+        };
+
+        addToAggregate(this.totals, record);
+
+        if (sessionId) {
+            // Calls of an ended chat finishing late (e.g. memory extraction) still count for it;
+            // other calls open the session's next chat (same session id after end_chat)
+            const ended = this.endedSessions.get(sessionId);
+            const late = ended && chat !== null && chat === ended.chat;
+            if (!late && !this.sessions.has(sessionId)) {
+                this.sessions.set(sessionId, { userId, chatMode, chat: this.currentChat(sessionId), usage: emptyAggregate() });
+            }
+            const session = late ? ended : this.sessions.get(sessionId);
+            session.userId = userId || session.userId;
+            session.chatMode = chatMode || session.chatMode;
+            addToAggregate(session.usage, record);
+        }
+
+        if (userId) {
+            if (!this.users.has(userId)) {
+                this.users.set(userId, emptyAggregate());
+            }
+            addToAggregate(this.users.get(userId), record);
+        }
+
+        this.records.push(record);
+        if (this.records.length > this.maxRecords) {
+            this.records.splice(0, this.records.length - this.maxRecords);
+        }
+
+        return record;
+    }
+
+    /**
+     * Number of the session's current chat (0 for the first; end_chat starts the next one)
+     */
+    currentChat(sessionId) {
+        const active = this.sessions.get(sessionId);
+        if (active) return active.chat;
+        const ended = this.endedSessions.get(sessionId);
+        return ended ? ended.chat + 1 : 0;
+    }
+
+    /**
+     * Usage of an active or recently ended session
+     * @returns {Object|null} { sessionId, userId, chatMode, chat, usage, endedAt? } - the current chat while one is active
+     */
+    getSessionUsage(sessionId) {
+        const session = this.sessions.get(sessionId) || this.endedSessions.get(sessionId);
+        return session ? { sessionId, ...session } : null;
+    }
+
+    getUserUsage(userId) {
+        return this.users.get(userId) || null;
+    }
+
+    /**
+     * Move session to the ended list (called when the session is cleaned up)
+     * @returns {Object|null} Final session usage
+     */
+    endSession(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) return this.getSessionUsage(sessionId);
+
+        this.sessions.delete(sessionId);
+        // Keep the ended entry last (the oldest ended sessions are dropped first)
+        this.endedSessions.delete(sessionId);
+        this.endedSessions.set(sessionId, { ...session, endedAt: new Date(this.now()).toISOString() });
+        if (this.endedSessions.size > this.maxEndedSessions) {
+            this.endedSessions.delete(this.endedSessions.keys().next().value);
+        }
+
+        return this.getSessionUsage(sessionId);
+    }
+
+    /**
+     * Sessions (active and recently ended) of one user
+     */
+    getUserSessions(userId) {
+        return [...this.sessions, ...this.endedSessions]
+            .map(([sessionId, session]) => ({ sessionId, ...session }))
+            .filter(session => session.userId === userId);
+    }
+
+    /**
+     * Latest raw records, newest first
+     * @param {Object} filter - { sessionId, userId, limit }
+     */
+    getRecords({ sessionId = null, userId = null, limit = 100 } = {}) {
+        return this.records
+            .filter(record => (!sessionId || record.sessionId === sessionId) && (!userId || record.userId === userId))
+            .slice(-limit)
+            .reverse();
+    }
+
+    /**
+     * Overall totals and per-user totals (highest token use first)
+     */
+    getSummary() {
+        const users = [...this.users.entries()]
+            .map(([userId, usage]) => ({ userId, ...usage }))
+            .sort((a, b) => b.totalTokens - a.totalTokens);
+
+        return {
+            totals: this.totals,
+            activeSessions: this.sessions.size,
+            endedSessions: this.endedSessions.size,
+            users,
+        };
+    }
+}
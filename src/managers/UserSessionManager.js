@@ -1,11 +1,27 @@
+import { systemClock } from '../utils/clock.js';
+
+// Number of emitted blocks kept for replay after reconnect
+const MAX_REPLAY_BLOCKS = 200;
+
 /**
  * UserSessionManager - Manages per-user session state
  * Handles message history, buffer state, typing status, and update flags
  */
 export class UserSessionManager {
-    constructor() {
+    /**
+     * @param {Object} options - { clock, defaultChatMode }
+     *   clock: clock for message timestamps and timer bookkeeping (see utils/clock.js),
+     *   defaultChatMode: chat mode of new sessions (PersonaRegistry.defaultMode)
+     */
+    constructor(conversationStore = null, timingProfiles = null, { clock = systemClock, defaultChatMode = 'astro' } = {}) {
         // Map of userId -> session data
         this.sessions = new Map();
+        // Optional persistent storage (see src/stores)
+        this.conversationStore = conversationStore;
+        // Conversation timing profiles (see src/utils/TimingProfiles.js)
+        this.timingProfiles = timingProfiles;
+        this.clock = clock;
+        this.defaultChatMode = defaultChatMode;
     }
 
     /**
@@ -17,6 +33,36 @@ export class UserSessionManager {
                 // Message history
                 history: [],
 
+                // Persisted conversation (authenticated users only)
+                conversation: {
+                    id: null,             // ConversationStore conversation id
+                    ownerId: null,        // Supabase user id
+                },
+
+                // Conversation context (per-session persona and chart data)
+                context: {
+                    chatMode: this.defaultChatMode, // Persona used for UpdateBuffer
+                    questionType: null,   // 'static' or 'transit'
+                    natalChart: null,     // Natal chart data from client
+                    transitChart: null,   // Transit chart data from client
+                    personaOptions: {},   // Extra persona settings from client
+                    partner: null,        // Second person in compatibility mode { name, natalChart, source }
+                    timingProfile: null,  // Timing profile name (null = chat mode / default)
+                    timingOverrides: {},  // Per-user timing overrides (speed, simulateTyping, ...)
+                },
+
+                // Rolling summary of history entries that no longer go into prompts verbatim
+                historySummary: {
+                    text: null,
+                    coveredEntries: 0,    // Number of leading history entries folded into text
+                    updatedAt: null,
+                },
+
+                // Server-side tarot draws (see TarotService), oldest first
+                tarot: {
+                    readings: [],         // { id, spread, seed, question, drawnAt, cards }
+                },
+
                 // Current buffer state
                 buffer: {
                     blocks: [],           // Array of { text, typingTime, group }
@@ -24,6 +70,13 @@ export class UserSessionManager {
                     currentGroup: null,   // Current group being sent
                     isComplete: false,    // All blocks sent
                     isPaused: false,      // Sending paused
+                    isStreaming: false,   // More blocks are still being generated
+                },
+
+                // Delivered ai_block log (for replay after reconnect)
+                delivery: {
+                    seq: 0,               // Sequence number of last emitted block
+                    sentBlocks: [],       // Last emitted blocks { seq, text, group, timestamp }
                 },
 
                 // Typing state
@@ -51,32 +104,132 @@ export class UserSessionManager {
         return this.sessions.get(userId);
     }
 
+    /**
+     * Persist history entry to the attached conversation (fire-and-forget)
+     */
+    _persistMessage(userId, entry, group = null) {
+        const session = this.getSession(userId);
+        const conversationId = session.conversation.id;
+        if (!this.conversationStore || !conversationId) return;
+
+        this.conversationStore
+            .addMessage(conversationId, { ...entry, group })
+            .catch(error => {
+                console.error('   ├─ ⚠️  Failed to persist message:', error.message);
+            });
+    }
+
+    /**
+     * Persist a tarot reading to the attached conversation (fire-and-forget)
+     */
+    _persistTarotReading(userId, reading) {
+        const session = this.getSession(userId);
+        const conversationId = session.conversation.id;
+        if (!this.conversationStore || !conversationId) return;
+
+        this.conversationStore
+            .addTarotReading(conversationId, reading)
+            .catch(error => {
+                console.error('   ├─ ⚠️  Failed to persist tarot reading:', error.message);
+            });
+    }
+
     /**
      * Add user message to history
      */
     addUserMessage(userId, message) {
         const session = this.getSession(userId);
-        session.history.push({
+        const entry = {
             role: 'user',
             content: message,
-            timestamp: new Date().toISOString(),
-        });
+            timestamp: new Date(this.clock.now()).toISOString(),
+        };
+        session.history.push(entry);
+        this._persistMessage(userId, entry);
         return session.history;
     }
 
     /**
      * Add AI message to history
+     * @param {number} group - Block group of the emitted block (optional)
      */
-    addAIMessage(userId, message) {
+    addAIMessage(userId, message, group = null) {
         const session = this.getSession(userId);
-        session.history.push({
+        const entry = {
             role: 'model',
             content: message,
-            timestamp: new Date().toISOString(),
+            timestamp: new Date(this.clock.now()).toISOString(),
+        };
+        session.history.push(entry);
+        this._persistMessage(userId, entry, group);
+        return session.history;
+    }
+
+    /**
+     * Persist the whole in-memory history and tarot readings (conversation attached after messages were exchanged)
+     * @returns {number} Number of persisted messages
+     */
+    persistHistory(userId) {
+        const session = this.getSession(userId);
+        session.history.forEach(entry => this._persistMessage(userId, entry));
+        session.tarot.readings.forEach(reading => this._persistTarotReading(userId, reading));
+        return session.history.length;
+    }
+
+    /**
+     * Append history entries from another session (keeps their timestamps)
+     */
+    importHistory(userId, entries = []) {
+        const session = this.getSession(userId);
+        entries.forEach(({ role, content, timestamp }) => {
+            const entry = { role, content, timestamp };
+            session.history.push(entry);
+            this._persistMessage(userId, entry);
         });
         return session.history;
     }
 
+    /**
+     * Attach persisted conversation to session
+     * @param {Object} conversation - Conversation from ConversationStore
+     * @param {Array} messages - Stored messages used to restore history (optional)
+     * @param {Array} tarotReadings - Stored tarot readings of the conversation (optional)
+     */
+    attachConversation(userId, conversation, messages = [], tarotReadings = []) {
+        const session = this.getSession(userId);
+        session.conversation = {
+            id: conversation.id,
+            ownerId: conversation.userId,
+        };
+
+        if (conversation.chatMode) {
+            session.context.chatMode = conversation.chatMode;
+        }
+
+        if (messages.length > 0) {
+            session.history = messages.map(msg => ({
+                role: msg.role,
+                content: msg.content,
+                timestamp: msg.timestamp,
+            }));
+            this.resetHistorySummary(userId);
+        }
+
+        if (tarotReadings.length > 0) {
+            session.tarot.readings = tarotReadings.map(({ conversationId, ...reading }) => reading);
+        }
+
+        return session.conversation;
+    }
+
+    /**
+     * Get persisted conversation info for user
+     */
+    getConversation(userId) {
+        const session = this.getSession(userId);
+        return session.conversation;
+    }
+
     /**
      * Get message history (optionally limited to last N messages)
      */
@@ -88,10 +241,177 @@ export class UserSessionManager {
         return session.history;
     }
 
+    /**
+     * Get rolling history summary { text, coveredEntries, updatedAt }
+     */
+    getHistorySummary(userId) {
+        const session = this.getSession(userId);
+        return session.historySummary;
+    }
+
+    /**
+     * Replace rolling history summary
+     * @param {number} coveredEntries - Number of leading history entries the summary covers
+     */
+    setHistorySummary(userId, text, coveredEntries) {
+        const session = this.getSession(userId);
+        session.historySummary = {
+            text,
+            coveredEntries: Math.min(coveredEntries, session.history.length),
+            updatedAt: new Date(this.clock.now()).toISOString(),
+        };
+    }
+
+    resetHistorySummary(userId) {
+        const session = this.getSession(userId);
+        session.historySummary = { text: null, coveredEntries: 0, updatedAt: null };
+    }
+
+    /**
+     * Record a tarot reading drawn for the session (stored with the conversation, if any)
+     */
+    addTarotReading(userId, reading) {
+        const session = this.getSession(userId);
+        session.tarot.readings.push(reading);
+        this._persistTarotReading(userId, reading);
+        return reading;
+    }
+
+    /**
+     * Get tarot readings of the session (oldest first)
+     */
+    getTarotReadings(userId) {
+        const session = this.getSession(userId);
+        return session.tarot.readings;
+    }
+
+    /**
+     * Get conversation context for user
+     */
+    getContext(userId) {
+        const session = this.getSession(userId);
+        return session.context;
+    }
+
+    /**
+     * Set chat mode for user
+     * @param {string} mode - Validated chat mode (e.g. 'tarot' or 'astro')
+     */
+    setChatMode(userId, mode) {
+        const session = this.getSession(userId);
+        session.context.chatMode = mode;
+
+        const conversationId = session.conversation.id;
+        if (this.conversationStore && conversationId) {
+            this.conversationStore
+                .updateConversation(conversationId, { chatMode: mode })
+                .catch(error => {
+                    console.error('   ├─ ⚠️  Failed to persist chat mode:', error.message);
+                });
+        }
+    }
+
+    /**
+     * Set question type for user
+     * @param {string} type - 'static' or 'transit'
+     */
+    setQuestionType(userId, type) {
+        const session = this.getSession(userId);
+        session.context.questionType = type;
+    }
+
+    /**
+     * Set client-side chart data (only provided charts are replaced)
+     */
+    setClientChartData(userId, natalChart = null, transitChart = null) {
+        const session = this.getSession(userId);
+        if (natalChart) {
+            session.context.natalChart = natalChart;
+        }
+        if (transitChart) {
+            session.context.transitChart = transitChart;
+        }
+    }
+
+    /**
+     * Merge persona options for user
+     */
+    setPersonaOptions(userId, options = {}) {
+        const session = this.getSession(userId);
+        session.context.personaOptions = { ...session.context.personaOptions, ...options };
+    }
+
+    /**
+     * Set the second person of compatibility mode (see SynastryService.resolvePerson)
+     */
+    setPartner(userId, partner) {
+        const session = this.getSession(userId);
+        session.context.partner = partner;
+    }
+
+    /**
+     * Select timing profile for user
+     * @param {string|null} profile - Known profile name, or null for the chat mode / default profile
+     */
+    setTimingProfile(userId, profile) {
+        const session = this.getSession(userId);
+        session.context.timingProfile = profile;
+    }
+
+    /**
+     * Merge per-user timing overrides (null resets them)
+     */
+    setTimingOverrides(userId, overrides = {}) {
+        const session = this.getSession(userId);
+        session.context.timingOverrides = overrides === null
+            ? {}
+            : { ...session.context.timingOverrides, ...this.timingProfiles.sanitizeOverrides(overrides) };
+    }
+
+    /**
+     * Get effective timing for user (milliseconds, speed applied)
+     */
+    getTiming(userId) {
+        const { context } = this.getSession(userId);
+        return this.timingProfiles.resolve({
+            profile: context.timingProfile,
+            mode: context.chatMode,
+            overrides: context.timingOverrides,
+        });
+    }
+
+    /**
+     * Record an emitted ai_block and assign it a sequence number
+     * @returns {Object} Block payload including seq
+     */
+    recordSentBlock(userId, { text, group, timestamp }) {
+        const session = this.getSession(userId);
+        const { delivery } = session;
+
+        delivery.seq++;
+        const payload = { seq: delivery.seq, text, group, timestamp };
+        delivery.sentBlocks.push(payload);
+
+        // Keep replay log bounded
+        if (delivery.sentBlocks.length > MAX_REPLAY_BLOCKS) {
+            delivery.sentBlocks.splice(0, delivery.sentBlocks.length - MAX_REPLAY_BLOCKS);
+        }
+
+        return payload;
+    }
+
+    /**
+     * Get emitted blocks with seq greater than lastSeq
+     */
+    getSentBlocksSince(userId, lastSeq = 0) {
+        const session = this.getSession(userId);
+        return session.delivery.sentBlocks.filter(block => block.seq > lastSeq);
+    }
+
     /**
      * Set new buffer for user
      */
-    setBuffer(userId, blocks) {
+    setBuffer(userId, blocks, { streaming = false } = {}) {
         const session = this.getSession(userId);
         session.buffer = {
             blocks: blocks,
@@ -99,10 +419,50 @@ export class UserSessionManager {
             currentGroup: blocks.length > 0 ? blocks[0].group : null,
             isComplete: false,
             isPaused: false,
+            isStreaming: streaming,
         };
         return session.buffer;
     }
 
+    /**
+     * Append streamed blocks to the current buffer
+     */
+    appendBlocks(userId, blocks) {
+        const session = this.getSession(userId);
+        const { buffer } = session;
+
+        // Sending caught up with the stream - next block starts the (possibly new) group
+        if (buffer.currentIndex >= buffer.blocks.length && blocks.length > 0) {
+            buffer.currentGroup = blocks[0].group;
+        }
+
+        buffer.blocks.push(...blocks);
+        return buffer;
+    }
+
+    /**
+     * Mark streamed buffer as fully generated
+     */
+    finishStreaming(userId) {
+        const session = this.getSession(userId);
+        const { buffer } = session;
+
+        if (!buffer.isStreaming) return;
+        buffer.isStreaming = false;
+
+        if (buffer.currentIndex >= buffer.blocks.length) {
+            buffer.currentGroup = null;
+        }
+    }
+
+    /**
+     * Check if buffer is still being streamed
+     */
+    isBufferStreaming(userId) {
+        const session = this.getSession(userId);
+        return session.buffer.isStreaming;
+    }
+
     /**
      * Get next block to send
      */
@@ -111,7 +471,10 @@ export class UserSessionManager {
         const { buffer } = session;
 
         if (buffer.currentIndex >= buffer.blocks.length) {
-            buffer.isComplete = true;
+            // A streamed buffer is only complete once generation has finished
+            if (!buffer.isStreaming) {
+                buffer.isComplete = true;
+            }
             return null;
         }
 
@@ -129,6 +492,8 @@ export class UserSessionManager {
 
         if (buffer.currentIndex < buffer.blocks.length) {
             buffer.currentGroup = buffer.blocks[buffer.currentIndex].group;
+        } else if (buffer.isStreaming) {
+            // Next block not generated yet - the group may still continue
         } else {
             buffer.isComplete = true;
             buffer.currentGroup = null;
@@ -145,7 +510,7 @@ export class UserSessionManager {
         const { buffer } = session;
 
         if (buffer.isComplete) return true;
-        if (buffer.currentIndex >= buffer.blocks.length) return true;
+        if (buffer.currentIndex >= buffer.blocks.length) return !buffer.isStreaming;
 
         const currentGroup = buffer.currentGroup;
 
@@ -213,7 +578,7 @@ export class UserSessionManager {
     setTypingState(userId, isTyping) {
         const session = this.getSession(userId);
         session.typing.isTyping = isTyping;
-        session.typing.lastTypingTime = isTyping ? Date.now() : null;
+        session.typing.lastTypingTime = isTyping ? this.clock.now() : null;
     }
 
     /**
@@ -246,7 +611,7 @@ export class UserSessionManager {
     setUpdateCheckNeeded(userId, needed) {
         const session = this.getSession(userId);
         session.updateCheck.needsUpdate = needed;
-        session.updateCheck.lastCheckTime = Date.now();
+        session.updateCheck.lastCheckTime = this.clock.now();
     }
 
     /**
@@ -271,7 +636,7 @@ export class UserSessionManager {
     setEndUpdateTimer(userId, active) {
         const session = this.getSession(userId);
         session.endUpdate.timerActive = active;
-        session.endUpdate.timerStartTime = active ? Date.now() : null;
+        session.endUpdate.timerStartTime = active ? this.clock.now() : null;
     }
 
     /**
@@ -305,6 +670,13 @@ export class UserSessionManager {
         this.sessions.delete(userId);
     }
 
+    /**
+     * Check if session exists
+     */
+    hasSession(userId) {
+        return this.sessions.has(userId);
+    }
+
     /**
      * Get all active user IDs
      */
@@ -0,0 +1,191 @@
+import { createPublicKey } from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'ES256'];
+
+/**
+ * SupabaseJwtVerifier - Verifies Supabase access tokens without a network round trip
+ *
+ * - HS256 tokens are checked against SUPABASE_JWT_SECRET
+ * - RS256 / ES256 tokens are checked against the project's JWKS
+ *   (keys cached by `kid`, refetched when an unknown `kid` shows up)
+ *
+ * verify() resolves to one of:
+ *   { status: 'valid', user }      - signature, expiry, audience, issuer and role check out
+ *   { status: 'invalid', error, expired? } - token is definitely not acceptable
+ *   { status: 'unverifiable', error } - no key available locally (caller may fall back to Supabase)
+ */
+export class SupabaseJwtVerifier {
+    constructor({
+        secret = null,
+        jwksUrl = null,
+        audience = 'authenticated',
+        issuer = null,
+        allowedRoles = ['authenticated'],
+        jwksCacheMs = 10 * 60 * 1000,
+        jwksRefetchMs = 30 * 1000,
+        fetchImpl = (...args) => fetch(...args),
+    } = {}) {
+        this.secret = secret;
+        this.jwksUrl = jwksUrl;
+        this.audience = audience;
+        this.issuer = issuer;
+        this.allowedRoles = allowedRoles;
+        this.jwksCacheMs = jwksCacheMs;
+        // Minimum interval between JWKS fetch attempts (unknown kids, fetch failures)
+        this.jwksRefetchMs = jwksRefetchMs;
+        this.fetchImpl = fetchImpl;
+
+        // Map of kid -> KeyObject
+        this.keys = new Map();
+        this.keysFetchedAt = 0;
+        this.lastFetchAttemptAt = 0;
+        this.pendingFetch = null;
+    }
+
+    /**
+     * Build verifier from environment
+     * SUPABASE_JWT_SECRET, SUPABASE_JWKS_URL (default: <SUPABASE_URL>/auth/v1/.well-known/jwks.json),
+     * SUPABASE_JWT_AUDIENCE, SUPABASE_JWT_ISSUER (default: <SUPABASE_URL>/auth/v1), SUPABASE_JWT_ROLES
+     */
+    static fromEnv(env = process.env) {
+        const supabaseUrl = env.SUPABASE_URL ? env.SUPABASE_URL.replace(/\/+$/, '') : null;
+
+        return new SupabaseJwtVerifier({
+            secret: env.SUPABASE_JWT_SECRET || null,
+            jwksUrl: env.SUPABASE_JWKS_URL || (supabaseUrl ? `${supabaseUrl}/auth/v1/.well-known/jwks.json` : null),
+            audience: env.SUPABASE_JWT_AUDIENCE || 'authenticated',
+            issuer: env.SUPABASE_JWT_ISSUER || (supabaseUrl ? `${supabaseUrl}/auth/v1` : null),
+            allowedRoles: (env.SUPABASE_JWT_ROLES || 'authenticated').split(',').map(r => r.trim()).filter(Boolean),
+            jwksCacheMs: Number(env.SUPABASE_JWKS_CACHE_MS || 10 * 60 * 1000),
+        });
+    }
+
+    /**
+     * Whether any local key source is configured
+     */
+    isConfigured() {
+        return !!(this.secret || this.jwksUrl);
+    }
+
+    /**
+     * Verify access token locally
+     */
+    async verify(token) {
+        const decoded = jwt.decode(token, { complete: true });
+        if (!decoded || typeof decoded.payload !== 'object') {
+            return { status: 'invalid', error: 'Malformed token' };
+        }
+
+        const { alg, kid } = decoded.header;
+        let key;
+
+        if (alg === 'HS256') {
+            if (!this.secret) {
+                return { status: 'unverifiable', error: 'SUPABASE_JWT_SECRET not configured' };
+            }
+            key = this.secret;
+        } else if (ASYMMETRIC_ALGORITHMS.includes(alg)) {
+            try {
+                key = await this._getSigningKey(kid);
+            } catch (error) {
+                return { status: 'unverifiable', error: `JWKS unavailable: ${error.message}` };
+            }
+            if (!key) {
+                return { status: 'unverifiable', error: `Unknown signing key${kid ? ` (kid ${kid})` : ''}` };
+            }
+        } else {
+            // Never accept 'none' or unexpected algorithms
+            return { status: 'invalid', error: `Unsupported token algorithm: ${alg}` };
+        }
+
+        let payload;
+        try {
+            payload = jwt.verify(token, key, {
+                algorithms: [alg],
+                audience: this.audience || undefined,
+                issuer: this.issuer || undefined,
+            });
+        } catch (error) {
+            return { status: 'invalid', error: error.message, expired: error.name === 'TokenExpiredError' };
+        }
+
+        if (!payload.sub) {
+            return { status: 'invalid', error: 'Token has no subject' };
+        }
+        if (this.allowedRoles.length > 0 && !this.allowedRoles.includes(payload.role)) {
+            return { status: 'invalid', error: `Role not allowed: ${payload.role || 'none'}` };
+        }
+
+        return {
+            status: 'valid',
+            user: {
+                id: payload.sub,
+                email: payload.email || null,
+                role: payload.role,
+                // Account tier (rate limit quotas), set server-side in app_metadata
+                tier: payload.app_metadata?.tier || null,
+            },
+            expiresAt: payload.exp ? payload.exp * 1000 : null,
+        };
+    }
+
+    /**
+     * Get public key for kid, refreshing the JWKS cache when stale or kid unknown
+     * (fetches are throttled to one per jwksRefetchMs)
+     */
+    async _getSigningKey(kid) {
+        if (!this.jwksUrl) return null;
+
+        const now = Date.now();
+        const canFetch = now - this.lastFetchAttemptAt > this.jwksRefetchMs;
+        const stale = now - this.keysFetchedAt > this.jwksCacheMs;
+
+        if (canFetch && (stale || !this._findKey(kid))) {
+            await this._refreshKeys();
+        }
+
+        return this._findKey(kid);
+    }
+
+    _findKey(kid) {
+        if (kid) return this.keys.get(kid) || null;
+        // Tokens without kid: only unambiguous when the set has one key
+        return this.keys.size === 1 ? this.keys.values().next().value : null;
+    }
+
+    /**
+     * Fetch JWKS (concurrent callers share one request)
+     */
+    async _refreshKeys() {
+        if (!this.pendingFetch) {
+            this.pendingFetch = this._fetchKeys().finally(() => {
+                this.pendingFetch = null;
+            });
+        }
+        return this.pendingFetch;
+    }
+
+    async _fetchKeys() {
+        this.lastFetchAttemptAt = Date.now();
+        const response = await this.fetchImpl(this.jwksUrl, { headers: { Accept: 'application/json' } });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const { keys = [] } = await response.json();
+        const nextKeys = new Map();
+
+        keys.forEach((jwk, index) => {
+            if (jwk.use && jwk.use !== 'sig') return;
+            try {
+                nextKeys.set(jwk.kid || `key-${index}`, createPublicKey({ key: jwk, format: 'jwk' }));
+            } catch (error) {
+                console.warn(`   ├─ ⚠️  Skipping unusable JWK ${jwk.kid || index}: ${error.message}`);
+            }
+        });
+
+        this.keys = nextKeys;
+        this.keysFetchedAt = Date.now();
+    }
+}
@@ -0,0 +1,24 @@
+import { createHash, timingSafeEqual } from 'crypto';
+
+function digest(value) {
+    return createHash('sha256').update(String(value)).digest();
+}
+
+/**
+ * Express middleware for admin endpoints: requires `X-Admin-Key: <ADMIN_API_KEY>`
+ * Admin endpoints are disabled (404) when ADMIN_API_KEY is not set.
+ */
+export function requireAdminKey(req, res, next) {
+    const adminKey = process.env.ADMIN_API_KEY;
+    if (!adminKey) {
+        return res.status(404).json({ error: 'Not found' });
+    }
+
+    const provided = req.get('x-admin-key') || '';
+    // Compare fixed-length digests so the check does not leak the key length or prefix
+    if (!timingSafeEqual(digest(provided), digest(adminKey))) {
+        return res.status(401).json({ error: 'Invalid admin key' });
+    }
+
+    next();
+}
@@ -1,6 +1,10 @@
 import { createClient } from '@supabase/supabase-js';
+import jwt from 'jsonwebtoken';
+import { SupabaseJwtVerifier } from './SupabaseJwtVerifier.js';
+import { AUTH_ERROR_CODES, getAuthPolicy } from './authPolicy.js';
 
 let supabaseClient = null;
+let jwtVerifier = null;
 
 // Lazy initialization of Supabase client to ensure env vars are loaded
 function getSupabaseClient() {
@@ -15,86 +19,174 @@ function getSupabaseClient() {
     return supabaseClient;
 }
 
+// Lazy initialization of local JWT verifier (SUPABASE_JWT_SECRET / JWKS)
+function getJwtVerifier() {
+    if (!jwtVerifier) {
+        jwtVerifier = SupabaseJwtVerifier.fromEnv();
+    }
+    return jwtVerifier;
+}
+
+/**
+ * Expiry (ms epoch) from the token's exp claim, without verifying it
+ */
+function getTokenExpiry(token) {
+    const payload = jwt.decode(token);
+    return payload?.exp ? payload.exp * 1000 : null;
+}
+
+/**
+ * Verify token with Supabase Auth (network round trip)
+ */
+async function verifyTokenRemotely(client, token) {
+    const { data: { user }, error } = await client.auth.getUser(token);
+
+    if (error || !user) {
+        return {
+            valid: false,
+            code: AUTH_ERROR_CODES.INVALID_TOKEN,
+            error: error?.message || 'Invalid token',
+        };
+    }
+
+    return {
+        valid: true,
+        user: {
+            id: user.id,
+            email: user.email,
+            role: user.role || 'authenticated',
+            tier: user.app_metadata?.tier || null,
+        },
+    };
+}
+
+/**
+ * Verify Supabase access token (locally when possible, otherwise with Supabase Auth)
+ * @returns {Promise<Object>} { valid, user?, expiresAt?, verifiedBy? } or { valid: false, code, error }
+ */
 export const verifySupabaseToken = async (token) => {
     try {
         if (!token) {
-            return { valid: false, error: 'No token provided' };
+            return { valid: false, code: AUTH_ERROR_CODES.MISSING_TOKEN, error: 'No token provided' };
         }
 
-        const client = getSupabaseClient();
-        if (!client) {
-            console.warn('⚠️  Supabase client not configured. Skipping auth validation.');
-            return { valid: true, user: null };
+        // Verify locally first - no network round trip for HS256 / cached JWKS keys
+        const verifier = getJwtVerifier();
+        if (verifier.isConfigured()) {
+            const local = await verifier.verify(token);
+            if (local.status === 'valid') {
+                return { valid: true, user: local.user, expiresAt: local.expiresAt, verifiedBy: 'local' };
+            }
+            if (local.status === 'invalid') {
+                return {
+                    valid: false,
+                    code: local.expired ? AUTH_ERROR_CODES.TOKEN_EXPIRED : AUTH_ERROR_CODES.INVALID_TOKEN,
+                    error: local.error,
+                };
+            }
+            console.log(`   ├─ ℹ️  Local verification unavailable (${local.error}), asking Supabase`);
         }
 
-        // Use Supabase client to verify and get user
-        const { data: { user }, error } = await client.auth.getUser(token);
-        
-        if (error || !user) {
+        const client = getSupabaseClient();
+        if (!client) {
             return {
                 valid: false,
-                error: error?.message || 'Invalid token',
+                code: AUTH_ERROR_CODES.AUTH_UNAVAILABLE,
+                error: 'Token verification is not configured',
             };
         }
-        
-        return {
-            valid: true,
-            user: {
-                id: user.id,
-                email: user.email,
-                role: user.role || 'authenticated',
-            },
-        };
+
+        const remote = await verifyTokenRemotely(client, token);
+        return remote.valid ? { ...remote, expiresAt: getTokenExpiry(token), verifiedBy: 'remote' } : remote;
     } catch (error) {
         return {
             valid: false,
+            code: AUTH_ERROR_CODES.AUTH_UNAVAILABLE,
             error: error.message,
         };
     }
 };
 
+/**
+ * Express middleware for user endpoints: requires `Authorization: Bearer <access token>`
+ * Sets req.user; answers 401 (or 503 when tokens can't be verified) with { error, code }.
+ */
+export const requireUser = async (req, res, next) => {
+    const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '') || null;
+    const result = await verifySupabaseToken(token);
+
+    if (!result.valid) {
+        const status = result.code === AUTH_ERROR_CODES.AUTH_UNAVAILABLE ? 503 : 401;
+        return res.status(status).json({ error: result.error, code: result.code });
+    }
+
+    req.user = result.user;
+    next();
+};
+
+/**
+ * Reject connection with a connect_error the client can tell apart by `data.code`
+ */
+function rejectConnection(next, code, message) {
+    const error = new Error(message);
+    error.data = { code, message };
+    next(error);
+}
+
+function setAnonymous(socket, authError = null) {
+    socket.authenticated = false;
+    socket.user = null;
+    socket.authError = authError;
+}
+
 export const socketAuthMiddleware = async (socket, next) => {
     try {
         const token = socket.handshake.auth.token || socket.handshake.query.token;
-        const client = getSupabaseClient();
-        
+        const policy = getAuthPolicy();
+
         console.log('\n🔐 Auth Middleware:');
+        console.log(`   ├─ Policy: ${policy.mode}`);
         console.log(`   ├─ Token present: ${!!token}`);
-        console.log(`   ├─ Supabase client configured: ${!!client}`);
-        
-        if (!client) {
-            console.log(`   └─ ⚠️  Skipping auth (Supabase not configured)`);
-            socket.authenticated = false;
-            socket.user = null;
-            return next();
-        }
 
         if (!token) {
+            if (policy.mode === 'required') {
+                console.log(`   └─ ⛔ No token provided - rejected (login required)`);
+                return rejectConnection(next, AUTH_ERROR_CODES.MISSING_TOKEN, 'Authentication required');
+            }
             console.log(`   └─ ⚠️  No token provided - anonymous user`);
-            socket.authenticated = false;
-            socket.user = null;
+            setAnonymous(socket);
             return next();
         }
 
         const result = await verifySupabaseToken(token);
-        
+
         if (result.valid && result.user) {
             socket.authenticated = true;
             socket.user = result.user;
-            console.log(`   ├─ ✅ Token valid`);
+            socket.tokenExpiresAt = result.expiresAt || null;
+            socket.authError = null;
+            console.log(`   ├─ ✅ Token valid (${result.verifiedBy})`);
             console.log(`   ├─ 📧 Email: ${result.user?.email}`);
             console.log(`   └─ 🆔 User ID: ${result.user?.id}`);
-        } else {
-            socket.authenticated = false;
-            socket.user = null;
-            console.log(`   └─ ❌ Invalid token: ${result.error}`);
+            return next();
         }
 
-        next();
+        // Invalid, expired or unverifiable token - continue anonymously unless login is required
+        // (the client sees the reason in session_started.authError)
+        if (policy.mode !== 'required') {
+            console.log(`   └─ ⚠️  ${result.code}: ${result.error} - anonymous user`);
+            setAnonymous(socket, result.code);
+            return next();
+        }
+
+        console.log(`   └─ ❌ ${result.code}: ${result.error}`);
+        return rejectConnection(next, result.code, result.error);
     } catch (error) {
         console.error('❌ Auth middleware error:', error);
-        socket.authenticated = false;
-        socket.user = null;
+        if (getAuthPolicy().mode === 'required') {
+            return rejectConnection(next, AUTH_ERROR_CODES.AUTH_UNAVAILABLE, 'Authentication failed');
+        }
+        setAnonymous(socket, AUTH_ERROR_CODES.AUTH_UNAVAILABLE);
         next();
     }
 };
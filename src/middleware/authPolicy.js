@@ -0,0 +1,83 @@
+/**
+ * Auth policy for socket connections (AUTH_POLICY)
+ * - 'anonymous' (default) anonymous users are allowed without limits
+ * - 'limited'   anonymous users are allowed with a capped message count per client
+ *               address (ANON_MAX_MESSAGES per ANON_LIMIT_WINDOW_MS) and only the
+ *               chat modes in ANON_CHAT_MODES
+ * - 'required'  connections without a valid token are rejected
+ *
+ * Under 'anonymous' and 'limited' a token that fails verification (invalid,
+ * expired or unverifiable) connects as anonymous with session_started.authError
+ * set; only 'required' rejects the connection.
+ */
+export const AUTH_POLICIES = ['anonymous', 'limited', 'required'];
+
+// connect_error / login_required / reauthenticate_failed codes
+export const AUTH_ERROR_CODES = {
+    MISSING_TOKEN: 'MISSING_TOKEN',
+    INVALID_TOKEN: 'INVALID_TOKEN',
+    TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+    AUTH_UNAVAILABLE: 'AUTH_UNAVAILABLE',
+    ANONYMOUS_LIMIT: 'ANONYMOUS_LIMIT',
+    MODE_REQUIRES_LOGIN: 'MODE_REQUIRES_LOGIN',
+    USER_MISMATCH: 'USER_MISMATCH',
+};
+
+let authPolicy = null;
+
+/**
+ * Build policy from environment
+ */
+export function createAuthPolicy(env = process.env) {
+    const mode = (env.AUTH_POLICY || 'anonymous').toLowerCase();
+    if (!AUTH_POLICIES.includes(mode)) {
+        throw new Error(`Unknown AUTH_POLICY: ${mode} (expected ${AUTH_POLICIES.join(', ')})`);
+    }
+
+    return {
+        mode,
+        anonymousMaxMessages: Number(env.ANON_MAX_MESSAGES ?? 20),
+        // Messages are counted per client address; the count resets this long after the first one
+        anonymousWindowMs: Number(env.ANON_LIMIT_WINDOW_MS ?? 24 * 60 * 60 * 1000),
+        anonymousChatModes: (env.ANON_CHAT_MODES || 'astro').split(',').map(m => m.trim()).filter(Boolean),
+    };
+}
+
+// Lazy initialization to ensure env vars are loaded
+export function getAuthPolicy() {
+    if (!authPolicy) {
+        authPolicy = createAuthPolicy();
+    }
+    return authPolicy;
+}
+
+/**
+ * Check whether an anonymous user may send a message in a chat mode
+ * @param {Object} options - { user, chatMode, messageCount } (messageCount: messages already sent)
+ * @returns {Object} { allowed, code?, error?, limit? }
+ */
+export function checkAnonymousAccess({ user, chatMode, messageCount }, policy = getAuthPolicy()) {
+    if (user || policy.mode !== 'limited') {
+        return { allowed: true };
+    }
+
+    if (chatMode && !policy.anonymousChatModes.includes(chatMode)) {
+        return {
+            allowed: false,
+            code: AUTH_ERROR_CODES.MODE_REQUIRES_LOGIN,
+            error: `Sign in to use ${chatMode} mode`,
+            allowedModes: policy.anonymousChatModes,
+        };
+    }
+
+    if (messageCount >= policy.anonymousMaxMessages) {
+        return {
+            allowed: false,
+            code: AUTH_ERROR_CODES.ANONYMOUS_LIMIT,
+            error: `Anonymous users can send up to ${policy.anonymousMaxMessages} messages, sign in to continue`,
+            limit: policy.anonymousMaxMessages,
+        };
+    }
+
+    return { allowed: true };
+}
@@ -0,0 +1,49 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { LLMProvider } from './LLMProvider.js';
+
+/**
+ * GeminiProvider - Google Gemini backend (@google/generative-ai)
+ */
+export class GeminiProvider extends LLMProvider {
+    constructor(apiKey) {
+        super('gemini');
+
+        if (!apiKey) {
+            throw new Error('GEMINI_API_KEY is not set (required for the gemini provider).');
+        }
+
+        this.genAI = new GoogleGenerativeAI(apiKey);
+        // Cache of "model|config" -> GenerativeModel
+        this.models = new Map();
+    }
+
+    _getModel(model, generationConfig) {
+        const key = `${model}|${JSON.stringify(generationConfig || {})}`;
+        if (!this.models.has(key)) {
+            this.models.set(key, this.genAI.getGenerativeModel({ model, generationConfig }));
+        }
+        return this.models.get(key);
+    }
+
+    async generateContent({ model, prompt, generationConfig, signal }) {
+        const requestOptions = signal ? { signal } : undefined;
+        const result = await this._getModel(model, generationConfig).generateContent(prompt, requestOptions);
+        const response = await result.response;
+        const text = response.text();
+        return { response, text };
+    }
+
+    async *generateContentStream({ model, prompt, generationConfig, signal, onUsage }) {
+        const requestOptions = signal ? { signal } : undefined;
+        const result = await this._getModel(model, generationConfig).generateContentStream(prompt, requestOptions);
+
+        for await (const chunk of result.stream) {
+            const text = chunk.text();
+            if (text) yield text;
+        }
+
+        // Aggregated response carries the token counts
+        const response = await result.response;
+        onUsage?.(response.usageMetadata || null);
+    }
+}
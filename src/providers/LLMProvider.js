@@ -0,0 +1,31 @@
+/**
+ * LLMProvider - Interface for text generation backends
+ *
+ * generateContent resolves to { text, response } where `response` is a
+ * Gemini-shaped object so diagnostics work the same for every backend:
+ *   { candidates: [{ finishReason }], promptFeedback: { blockReason }, usageMetadata }
+ */
+export class LLMProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Generate text for a prompt
+     * @param {Object} request
+     * @param {string} request.role - 'main', 'evaluator' or 'forecast'
+     * @param {string} request.model - Model name
+     * @param {string} request.prompt - Full prompt text
+     * @param {Object} request.generationConfig - { temperature, topP, topK, maxOutputTokens }
+     * @param {AbortSignal} request.signal - Cancels the request (optional)
+     * @returns {Promise<{ text: string, response: Object }>}
+     */
+    async generateContent({ role, model, prompt, generationConfig, signal }) {
+        throw new Error(`${this.name}: generateContent() not implemented`);
+    }
+
+    // Optional: providers that can stream implement
+    //   async *generateContentStream({ role, model, prompt, generationConfig, signal, onUsage })
+    // yielding text chunks, and calling onUsage(usageMetadata) once the stream ends
+    // when the backend reports token counts. GeminiService falls back to generateContent without it.
+}
@@ -0,0 +1,133 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { LLMProvider } from './LLMProvider.js';
+import { systemClock } from '../utils/clock.js';
+
+/**
+ * MockProvider - Deterministic scripted backend for tests and offline dev
+ *
+ * Reads one fixture file per role from the fixtures directory:
+ *   main.json      { "responses": [{ "blocks": [...] }, ...] }
+ *   evaluator.json { "responses": ["NO", "YES", ...] }
+ *   forecast.json  { "responses": ["Forecast text", ...] }
+ *   summary.json   { "responses": ["History summary", ...] }
+ *   memory.json    { "responses": [{ "memories": [...] }, ...] }
+ *
+ * Responses are returned in order and cycle when exhausted. Object
+ * responses are serialized to JSON, strings are returned as-is.
+ */
+export class MockProvider extends LLMProvider {
+    constructor({ fixturesDir = path.join(process.cwd(), 'src', 'config', 'mock'), delayMs = 0, chunkSize = 40, chunkDelayMs = 0, clock = systemClock } = {}) {
+        super('mock');
+        this.fixturesDir = fixturesDir;
+        this.delayMs = delayMs;
+        // Delays run on this clock (a VirtualClock makes them deterministic)
+        this.clock = clock;
+        // Streaming: response text is split into chunks of chunkSize chars
+        this.chunkSize = chunkSize;
+        this.chunkDelayMs = chunkDelayMs;
+        // Map of role -> responses array
+        this.fixtures = new Map();
+        // Map of role -> next response index
+        this.cursors = new Map();
+        // Every request received, for assertions in tests
+        this.calls = [];
+    }
+
+    async _loadFixtures(role) {
+        if (this.fixtures.has(role)) {
+            return this.fixtures.get(role);
+        }
+
+        const filePath = path.join(this.fixturesDir, `${role}.json`);
+        const raw = await fs.readFile(filePath, 'utf-8');
+        const { responses } = JSON.parse(raw);
+
+        if (!Array.isArray(responses) || responses.length === 0) {
+            throw new Error(`Mock fixture ${filePath} has no responses`);
+        }
+
+        this.fixtures.set(role, responses);
+        return responses;
+    }
+
+    /**
+     * Replace fixture responses for a role (scripted scenarios)
+     */
+    setResponses(role, responses) {
+        this.fixtures.set(role, responses);
+        this.cursors.set(role, 0);
+    }
+
+    _wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                this.clock.clearTimeout(timeoutId);
+                reject(new Error('Mock request aborted'));
+            };
+            const timeoutId = this.clock.setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    async _nextResponse({ role, model, prompt, generationConfig }) {
+        this.calls.push({ role, model, prompt, generationConfig });
+
+        const responses = await this._loadFixtures(role);
+        const index = this.cursors.get(role) || 0;
+        this.cursors.set(role, index + 1);
+
+        const scripted = responses[index % responses.length];
+        return typeof scripted === 'string' ? scripted : JSON.stringify(scripted);
+    }
+
+    async generateContent({ role, model, prompt, generationConfig, signal }) {
+        const text = await this._nextResponse({ role, model, prompt, generationConfig });
+
+        if (this.delayMs > 0) {
+            await this._wait(this.delayMs, signal);
+        }
+
+        return {
+            text,
+            response: {
+                candidates: [{ finishReason: 'STOP' }],
+                promptFeedback: null,
+                usageMetadata: this._estimateUsage(prompt, text),
+            },
+        };
+    }
+
+    /**
+     * Rough token counts (~4 chars per token) so usage accounting works offline
+     */
+    _estimateUsage(prompt, text) {
+        const promptTokenCount = Math.ceil((prompt || '').length / 4);
+        const candidatesTokenCount = Math.ceil((text || '').length / 4);
+        return {
+            promptTokenCount,
+            candidatesTokenCount,
+            totalTokenCount: promptTokenCount + candidatesTokenCount,
+        };
+    }
+
+    async *generateContentStream({ role, model, prompt, generationConfig, signal, onUsage }) {
+        const text = await this._nextResponse({ role, model, prompt, generationConfig });
+
+        if (this.delayMs > 0) {
+            await this._wait(this.delayMs, signal);
+        }
+
+        for (let i = 0; i < text.length; i += this.chunkSize) {
+            if (i > 0 && this.chunkDelayMs > 0) {
+                await this._wait(this.chunkDelayMs, signal);
+            }
+            yield text.slice(i, i + this.chunkSize);
+        }
+
+        onUsage?.(this._estimateUsage(prompt, text));
+    }
+}
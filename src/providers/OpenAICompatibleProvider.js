@@ -0,0 +1,138 @@
+import { LLMProvider } from './LLMProvider.js';
+
+/**
+ * OpenAICompatibleProvider - Chat Completions backend (/v1/chat/completions)
+ * Works with OpenAI and any compatible server (Ollama, LM Studio, vLLM, llama.cpp, ...)
+ *
+ * Responses are mapped to the Gemini shape expected by GeminiService:
+ *   finish_reason -> candidates[].finishReason, usage -> usageMetadata
+ */
+export class OpenAICompatibleProvider extends LLMProvider {
+    constructor({ name = 'openai', baseUrl, apiKey = null, timeoutMs = 60000, supportsTopK = false } = {}) {
+        super(name);
+
+        if (!baseUrl) {
+            throw new Error(`${name}: base URL is required.`);
+        }
+
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.timeoutMs = timeoutMs;
+        // OpenAI rejects top_k, Ollama accepts it
+        this.supportsTopK = supportsTopK;
+    }
+
+    _buildBody({ model, prompt, generationConfig = {} }) {
+        const body = {
+            model,
+            messages: [{ role: 'user', content: prompt }],
+        };
+
+        if (generationConfig.temperature !== undefined) body.temperature = generationConfig.temperature;
+        if (generationConfig.topP !== undefined) body.top_p = generationConfig.topP;
+        if (generationConfig.maxOutputTokens !== undefined) body.max_tokens = generationConfig.maxOutputTokens;
+        if (this.supportsTopK && generationConfig.topK !== undefined) body.top_k = generationConfig.topK;
+
+        return body;
+    }
+
+    async _post({ model, prompt, generationConfig, signal, stream = false }) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const body = this._buildBody({ model, prompt, generationConfig });
+        if (stream) {
+            body.stream = true;
+            // Final chunk reports token usage
+            body.stream_options = { include_usage: true };
+        }
+
+        const res = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+            signal: signal
+                ? AbortSignal.any([signal, AbortSignal.timeout(this.timeoutMs)])
+                : AbortSignal.timeout(this.timeoutMs),
+        });
+
+        if (!res.ok) {
+            // Status code in the message keeps retry detection (429/5xx) working
+            const details = await res.text().catch(() => '');
+            throw new Error(`${this.name} request failed: ${res.status} ${res.statusText} ${details.substring(0, 300)}`.trim());
+        }
+
+        return res;
+    }
+
+    async generateContent({ model, prompt, generationConfig, signal }) {
+        const res = await this._post({ model, prompt, generationConfig, signal });
+
+        const data = await res.json();
+        const choices = Array.isArray(data.choices) ? data.choices : [];
+        const text = choices[0]?.message?.content || '';
+        const filtered = choices.some(choice => choice.finish_reason === 'content_filter');
+
+        const response = {
+            candidates: choices.map(choice => ({ finishReason: choice.finish_reason })),
+            promptFeedback: filtered ? { blockReason: 'CONTENT_FILTER' } : null,
+            usageMetadata: this._toUsageMetadata(data.usage),
+        };
+
+        return { response, text };
+    }
+
+    _toUsageMetadata(usage) {
+        if (!usage) return null;
+        return {
+            promptTokenCount: usage.prompt_tokens,
+            candidatesTokenCount: usage.completion_tokens,
+            totalTokenCount: usage.total_tokens,
+        };
+    }
+
+    /**
+     * Stream text chunks from server-sent events (`data: {...}` lines, ends with `data: [DONE]`)
+     */
+    async *generateContentStream({ model, prompt, generationConfig, signal, onUsage }) {
+        const res = await this._post({ model, prompt, generationConfig, signal, stream: true });
+
+        const decoder = new TextDecoder();
+        let pending = '';
+        let usage = null;
+
+        for await (const bytes of res.body) {
+            pending += decoder.decode(bytes, { stream: true });
+
+            const lines = pending.split('\n');
+            pending = lines.pop();
+
+            for (const line of lines) {
+                const trimmed = line.trim();
+                if (!trimmed.startsWith('data:')) continue;
+
+                const payload = trimmed.slice(5).trim();
+                if (payload === '[DONE]') {
+                    onUsage?.(this._toUsageMetadata(usage));
+                    return;
+                }
+
+                // Some servers interleave keep-alives or partial lines - skip what isn't JSON
+                let data;
+                try {
+                    data = JSON.parse(payload);
+                } catch {
+                    console.warn(`   ├─ ⚠️  ${this.name}: skipping unparsable stream line: ${payload.substring(0, 80)}`);
+                    continue;
+                }
+                if (data.usage) usage = data.usage;
+                const text = data.choices?.[0]?.delta?.content;
+                if (text) yield text;
+            }
+        }
+
+        onUsage?.(this._toUsageMetadata(usage));
+    }
+}
@@ -0,0 +1,70 @@
+import { GeminiProvider } from './GeminiProvider.js';
+import { MockProvider } from './MockProvider.js';
+import { OpenAICompatibleProvider } from './OpenAICompatibleProvider.js';
+
+export const PROVIDER_ROLES = ['main', 'evaluator', 'forecast', 'summary', 'memory'];
+
+/**
+ * Create LLM provider by type
+ * - 'gemini' (default) Google Gemini, requires GEMINI_API_KEY
+ * - 'openai' OpenAI-compatible Chat Completions at OPENAI_BASE_URL (OPENAI_API_KEY)
+ * - 'ollama' local OpenAI-compatible server at OLLAMA_BASE_URL (no key)
+ * - 'mock'   scripted responses from MOCK_FIXTURES_DIR (default: src/config/mock)
+ */
+export function createLLMProvider(type = process.env.LLM_PROVIDER || 'gemini') {
+    switch (type) {
+        case 'gemini':
+            return new GeminiProvider(process.env.GEMINI_API_KEY);
+        case 'openai':
+            return new OpenAICompatibleProvider({
+                name: 'openai',
+                baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+                apiKey: process.env.OPENAI_API_KEY || null,
+                timeoutMs: Number(process.env.LLM_TIMEOUT_MS || 60000),
+            });
+        case 'ollama':
+            return new OpenAICompatibleProvider({
+                name: 'ollama',
+                baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
+                timeoutMs: Number(process.env.LLM_TIMEOUT_MS || 120000),
+                supportsTopK: true,
+            });
+        case 'mock':
+            return new MockProvider({
+                ...(process.env.MOCK_FIXTURES_DIR ? { fixturesDir: process.env.MOCK_FIXTURES_DIR } : {}),
+                delayMs: Number(process.env.MOCK_DELAY_MS || 0),
+                chunkDelayMs: Number(process.env.MOCK_CHUNK_DELAY_MS || 0),
+            });
+        default:
+            throw new Error(`Unknown LLM provider: ${type}`);
+    }
+}
+
+/**
+ * Provider type per role: MAIN_PROVIDER / EVALUATOR_PROVIDER / FORECAST_PROVIDER /
+ * SUMMARY_PROVIDER / MEMORY_PROVIDER, falling back to LLM_PROVIDER (default: gemini)
+ * @returns {Object} { main, evaluator, forecast, summary, memory } -> type
+ */
+export function getProviderTypes() {
+    const fallback = process.env.LLM_PROVIDER || 'gemini';
+    return Object.fromEntries(
+        PROVIDER_ROLES.map(role => [role, process.env[`${role.toUpperCase()}_PROVIDER`] || fallback])
+    );
+}
+
+/**
+ * Create providers for every role, sharing one instance per type
+ * @returns {Object} { main, evaluator, forecast, summary, memory } -> LLMProvider
+ */
+export function createLLMProviders(types = getProviderTypes()) {
+    const instances = new Map();
+    return Object.fromEntries(
+        PROVIDER_ROLES.map(role => {
+            const type = types[role];
+            if (!instances.has(type)) {
+                instances.set(type, createLLMProvider(type));
+            }
+            return [role, instances.get(type)];
+        })
+    );
+}
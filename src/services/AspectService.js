@@ -0,0 +1,178 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { BODIES, SIGNS, angleDifference } from '../utils/ephemeris.js';
+
+// Chart points that take part in aspects
+const POINTS = [...BODIES, 'ascendant', 'midheaven'];
+const LUMINARIES = ['sun', 'moon'];
+
+function label(point) {
+    return point.charAt(0).toUpperCase() + point.slice(1);
+}
+
+/**
+ * Ecliptic longitude of a chart point: `longitude`, or sign + degree (client charts)
+ * @returns {number|null}
+ */
+export function pointLongitude(data) {
+    if (!data || typeof data !== 'object') return null;
+    if (Number.isFinite(data.longitude)) return data.longitude;
+
+    const signIndex = SIGNS.findIndex(sign => sign.toLowerCase() === String(data.sign || '').toLowerCase());
+    const degree = Number(data.degree);
+    if (signIndex === -1 || data.degree === undefined || data.degree === null || !Number.isFinite(degree)) return null;
+    return signIndex * 30 + degree;
+}
+
+/**
+ * AspectService - Major aspects within a chart and between transit and natal charts
+ *
+ * Aspects and orbs come from src/config/aspects.json:
+ *   aspects.<name>  - { angle }
+ *   orbs.natal      - orbs for natal-natal aspects
+ *   orbs.transit    - tighter orbs for transit-natal aspects and the sky of the day
+ *   luminaryOrbBonus - extra orb when the Sun or Moon takes part (natal orbs only)
+ *
+ * Aspect: { from, to, aspect, angle, separation, orb, applying }
+ * (orb: distance from exact; applying: null when the chart has no speeds)
+ */
+export class AspectService {
+    constructor({ aspects = {}, orbs = {}, luminaryOrbBonus = 0 } = {}) {
+        this.aspects = aspects;
+        this.orbs = orbs;
+        this.luminaryOrbBonus = luminaryOrbBonus;
+    }
+
+    /**
+     * Load aspects and orbs from JSON config
+     */
+    static async load(filePath = path.join(process.cwd(), 'src', 'config', 'aspects.json')) {
+        const config = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        return new AspectService(config);
+    }
+
+    _orb(name, orbSet, from, to) {
+        const orb = this.orbs[orbSet]?.[name] ?? 0;
+        const luminary = LUMINARIES.includes(from) || LUMINARIES.includes(to);
+        return orb + (orbSet === 'natal' && luminary ? this.luminaryOrbBonus : 0);
+    }
+
+    /**
+     * Aspect between two longitudes, if any
+     * @param {Object} a - { point, longitude, speed }
+     * @param {Object} b - { point, longitude, speed }
+     */
+    _aspectBetween(a, b, orbSet) {
+        const separation = Math.abs(angleDifference(a.longitude, b.longitude));
+
+        for (const [name, { angle }] of Object.entries(this.aspects)) {
+            const orb = Math.abs(separation - angle);
+            if (orb > this._orb(name, orbSet, a.point, b.point)) continue;
+
+            let applying = null;
+            if (Number.isFinite(a.speed) && Number.isFinite(b.speed)) {
+                // Separation a little later (0.01 day)
+                const later = Math.abs(angleDifference(a.longitude + a.speed * 0.01, b.longitude + b.speed * 0.01));
+                applying = Math.abs(later - angle) < orb;
+            }
+
+            return {
+                from: a.point,
+                to: b.point,
+                aspect: name,
+                angle,
+                separation: Math.round(separation * 100) / 100,
+                orb: Math.round(orb * 100) / 100,
+                applying,
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Points of a chart with a known longitude
+     * @param {boolean} moving - Use the chart's speeds (false for the natal side of transits)
+     */
+    _points(chart, moving = true) {
+        if (!chart || typeof chart !== 'object') return [];
+
+        return POINTS
+            .map(point => ({
+                point,
+                longitude: pointLongitude(chart[point]),
+                speed: moving ? chart[point]?.speed : 0,
+            }))
+            .filter(entry => entry.longitude !== null);
+    }
+
+    /**
+     * Aspects between the points of one chart (natal-natal), tightest first
+     * @param {string} orbSet - 'natal' or 'transit' (sky of the day)
+     */
+    chartAspects(chart, orbSet = 'natal') {
+        const points = this._points(chart);
+        const found = [];
+
+        points.forEach((a, i) => {
+            points.slice(i + 1).forEach((b) => {
+                // The angles always relate to each other
+                if (a.point === 'ascendant' && b.point === 'midheaven') return;
+                const aspect = this._aspectBetween(a, b, orbSet);
+                if (aspect) found.push(aspect);
+            });
+        });
+
+        return found.sort((x, y) => x.orb - y.orb);
+    }
+
+    /**
+     * Aspects from transiting planets to natal points, tightest first
+     */
+    transitAspects(transitChart, natalChart) {
+        const transits = this._points(transitChart).filter(entry => BODIES.includes(entry.point));
+        const natal = this._points(natalChart, false);
+        const found = [];
+
+        transits.forEach((transit) => {
+            natal.forEach((point) => {
+                const aspect = this._aspectBetween(transit, point, 'transit');
+                if (aspect) found.push(aspect);
+            });
+        });
+
+        return found.sort((x, y) => x.orb - y.orb);
+    }
+
+    /**
+     * Aspects from the points of one natal chart to the points of another (synastry), tightest first
+     * Natal orbs; applying is always null since both charts are fixed.
+     */
+    synastryAspects(chartA, chartB) {
+        const fixed = entry => ({ ...entry, speed: null });
+        const pointsA = this._points(chartA).map(fixed);
+        const pointsB = this._points(chartB).map(fixed);
+        const found = [];
+
+        pointsA.forEach((a) => {
+            pointsB.forEach((b) => {
+                const aspect = this._aspectBetween(a, b, 'natal');
+                if (aspect) found.push(aspect);
+            });
+        });
+
+        return found.sort((x, y) => x.orb - y.orb);
+    }
+
+    /**
+     * Format aspects for AI prompts, e.g. "Transit Saturn square natal Sun (orb 1.2°, applying)"
+     * @param {Object} prefixes - { from, to } labels such as 'Transit' / 'natal'
+     */
+    formatAspectsForAI(aspects, { from = '', to = '' } = {}) {
+        return aspects.map((aspect) => {
+            const fromLabel = from ? `${from} ${label(aspect.from)}` : label(aspect.from);
+            const toLabel = to ? `${to} ${label(aspect.to)}` : label(aspect.to);
+            const motion = aspect.applying === null ? '' : aspect.applying ? ', applying' : ', separating';
+            return `- ${fromLabel} ${aspect.aspect} ${toLabel} (orb ${aspect.orb.toFixed(1)}°${motion})\n`;
+        }).join('');
+    }
+}
@@ -0,0 +1,189 @@
+import {
+    BODIES,
+    HOUSE_SYSTEMS,
+    angles,
+    dailyMotion,
+    geocentricLongitude,
+    houseCusps,
+    houseOf,
+    julianDay,
+    signOf,
+} from '../utils/ephemeris.js';
+
+// Distance from a sign boundary (degrees) within which a client/server sign mismatch is tolerated
+// (the Moon moves ~13° a day, the Ascendant ~1° every 4 minutes of birth time)
+const CROSS_CHECK_TOLERANCE = { moon: 7, ascendant: 5, default: 1 };
+
+// Zone after the time of day: Z, ±HH:MM, ±HHMM or ±HH (Postgres prints '+00' / '+05')
+const ZONE_PATTERN = /T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(Z|([+-])(\d{2}):?(\d{2})?)$/i;
+
+function round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function point(longitude, cusps) {
+    const { sign, degree } = signOf(longitude);
+    return {
+        sign,
+        degree: round(degree),
+        longitude: round(longitude, 4),
+        ...(cusps ? { house: houseOf(longitude, cusps) } : {}),
+    };
+}
+
+/**
+ * Parse a UTC offset: hours (3, -5.5), minutes as a number (330, -300) or '+05:30' / '-0300' / 'UTC+2'
+ * @returns {number|null} Offset in minutes
+ */
+export function parseUtcOffset(offset) {
+    if (offset === null || offset === undefined || offset === '') return null;
+
+    const text = String(offset).trim();
+    const clock = text.match(/^(?:UTC|GMT)?\s*([+-])(\d{1,2})(?::(\d{2})|(\d{2}))?$/i);
+    if (typeof offset !== 'number' && clock && (clock[3] || clock[4] || /^(UTC|GMT)/i.test(text))) {
+        const minutes = Number(clock[2]) * 60 + Number(clock[3] || clock[4] || 0);
+        return clock[1] === '-' ? -minutes : minutes;
+    }
+
+    const value = Number(text);
+    if (!Number.isFinite(value)) return null;
+    // Offsets are at most ±14 hours - larger values are minutes
+    return Math.abs(value) <= 14 ? Math.round(value * 60) : Math.round(value);
+}
+
+/**
+ * AstrologyService - Server-side natal and transit charts (see utils/ephemeris.js)
+ *
+ * Charts use the same shape as the astrology data sent by the client:
+ *   { sun: { sign, degree, longitude, house, isRetrograde, speed }, moon, ..., pluto,
+ *     ascendant, midheaven, houses: { system, cusps }, calculatedAt, location }
+ * Chiron is not calculated.
+ */
+export class AstrologyService {
+    constructor({ houseSystem = 'placidus', now = () => Date.now() } = {}) {
+        if (!HOUSE_SYSTEMS.includes(houseSystem)) {
+            throw new Error(`Unknown house system: ${houseSystem} (expected ${HOUSE_SYSTEMS.join(', ')})`);
+        }
+        this.houseSystem = houseSystem;
+        this.now = now;
+    }
+
+    /**
+     * Calculate a chart for a moment and place
+     * @param {Date} date - Moment (UTC)
+     * @param {Object} location - { latitude, longitude } (east positive); houses and angles are omitted without it
+     */
+    calculateChart(date, { latitude = null, longitude = null } = {}) {
+        const jd = julianDay(date);
+        const hasLocation = Number.isFinite(latitude) && Number.isFinite(longitude);
+        const houses = hasLocation ? houseCusps(jd, latitude, longitude, this.houseSystem) : null;
+        const cusps = houses?.cusps || null;
+
+        const chart = {};
+        BODIES.forEach((body) => {
+            const speed = dailyMotion(body, jd);
+            chart[body] = {
+                ...point(geocentricLongitude(body, jd), cusps),
+                isRetrograde: speed < 0,
+                speed: round(speed, 4),
+            };
+        });
+
+        if (hasLocation) {
+            const { ascendant, midheaven } = angles(jd, latitude, longitude);
+            chart.ascendant = point(ascendant, cusps);
+            chart.midheaven = point(midheaven, cusps);
+            chart.houses = { system: houses.system, cusps: cusps.map(cusp => round(cusp, 4)) };
+        }
+
+        chart.calculatedAt = date.toISOString();
+        chart.location = hasLocation ? { latitude, longitude } : null;
+        return chart;
+    }
+
+    /**
+     * Birth moment of a profile (birth_date_time is local time unless it carries a zone; utc_offset converts it)
+     * @returns {Date|null}
+     */
+    birthMoment(profile) {
+        if (!profile?.birth_date_time) return null;
+
+        const text = String(profile.birth_date_time).trim().replace(' ', 'T');
+        const zone = text.match(ZONE_PATTERN);
+        const offsetMinutes = parseUtcOffset(profile.utc_offset);
+
+        let date;
+        if (zone) {
+            // Date only parses ±HH:MM offsets
+            const [, suffix, sign, hours, minutes = '00'] = zone;
+            date = new Date(sign ? `${text.slice(0, -suffix.length)}${sign}${hours}:${minutes}` : text);
+        } else {
+            const local = new Date(`${text}Z`);
+            date = offsetMinutes === null ? local : new Date(local.getTime() - offsetMinutes * 60000);
+        }
+
+        if (Number.isNaN(date.getTime())) {
+            console.warn(`⚠️  Cannot parse birth_date_time "${profile.birth_date_time}" - no chart for this profile`);
+            return null;
+        }
+        return date;
+    }
+
+    /**
+     * Birth location of a profile: { latitude, longitude } or null
+     */
+    birthLocation(profile) {
+        const latitude = toNumber(profile?.birth_latitude);
+        const longitude = toNumber(profile?.birth_longitude);
+        if (latitude === null || longitude === null) return null;
+        return { latitude, longitude };
+    }
+
+    /**
+     * Natal chart from the profile's birth data (null when birth date or place is missing)
+     */
+    natalChart(profile) {
+        const moment = this.birthMoment(profile);
+        const location = this.birthLocation(profile);
+        if (!moment || !location) return null;
+        return this.calculateChart(moment, location);
+    }
+
+    /**
+     * Current transits, with houses for the profile's birth place (null without it)
+     * @param {Date} date - Moment of the transits (default: now)
+     */
+    transitChart(profile, date = new Date(this.now())) {
+        const location = this.birthLocation(profile);
+        if (!location) return null;
+        return this.calculateChart(date, location);
+    }
+
+    /**
+     * Compare a client chart with a server chart
+     * Signs are compared for every body the client sent; mismatches within the tolerance
+     * of a sign boundary (clock / ephemeris differences) and house numbers are ignored.
+     * @returns {Array} [{ body, client, server }] - disagreeing signs
+     */
+    crossCheck(clientChart, serverChart) {
+        if (!clientChart || !serverChart || typeof clientChart !== 'object') return [];
+
+        return [...BODIES, 'ascendant']
+            .filter(body => clientChart[body]?.sign && serverChart[body])
+            .filter((body) => {
+                const server = serverChart[body];
+                if (String(clientChart[body].sign).toLowerCase() === server.sign.toLowerCase()) return false;
+
+                const tolerance = CROSS_CHECK_TOLERANCE[body] ?? CROSS_CHECK_TOLERANCE.default;
+                return Math.min(server.degree, 30 - server.degree) > tolerance;
+            })
+            .map(body => ({ body, client: clientChart[body].sign, server: serverChart[body].sign }));
+    }
+}
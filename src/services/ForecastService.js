@@ -0,0 +1,239 @@
+import { createHash } from 'crypto';
+import { parseUtcOffset } from './AstrologyService.js';
+import { pointLongitude } from './AspectService.js';
+import { BODIES } from '../utils/ephemeris.js';
+import { isValidTimeZone, localDate, zonedTimeToUtc } from '../utils/timezone.js';
+
+export const FORECAST_FOCUS_AREAS = ['general', 'love', 'work', 'energy'];
+// Length in days of the weekly / monthly forecasts
+export const FORECAST_PERIODS = { week: 7, month: 30 };
+
+const FINGERPRINT_POINTS = [...BODIES, 'ascendant', 'midheaven'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 'YYYY-MM-DD' plus a number of days
+ */
+function addDays(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Short hash of a chart's positions (whole degrees, or the sign when a client chart has no degree)
+ * so charts of the same sky share cached forecasts
+ */
+export function chartFingerprint(chart) {
+    const positions = FINGERPRINT_POINTS
+        .filter(point => chart?.[point])
+        .map((point) => {
+            const longitude = pointLongitude(chart[point]);
+            const position = longitude === null ? String(chart[point].sign || '?') : Math.floor(longitude);
+            return `${point}:${position}${chart[point].isRetrograde ? 'R' : ''}`;
+        });
+
+    return createHash('sha256').update(positions.join('|')).digest('hex').slice(0, 16);
+}
+
+/**
+ * ForecastService - Daily (generic and personal), weekly and monthly forecasts with a forecast cache
+ *
+ * Generic forecasts read the sky at midday of the local date in a time zone.
+ * Weekly / monthly forecasts list the period's transit events (TransitCalendarService)
+ * with an overview written from them.
+ * Personal forecasts load the user's profile, take the natal chart (AstrologyService
+ * or stored astrology data) and the transits at midday of the user's local date in
+ * their `timezone`, and ask the forecast model to read the transit-to-natal aspects
+ * (AspectService) for the requested focus area and language.
+ *
+ * Forecasts are cached by date, time zone and chart fingerprint (plus focus and
+ * language for personal ones), so the model runs once per day per sky / natal chart.
+ * Users who ask for their forecast of today are remembered as active users for
+ * ForecastScheduler, which pre-generates the next day's forecasts.
+ *
+ * personalForecast() resolves to { ok: true, ... } or { ok: false, code, error }.
+ */
+export class ForecastService {
+    /**
+     * @param {Object} options
+     * @param {Object} options.cache - ForecastCacheStore (null: no caching)
+     * @param {number} options.cacheTtlMs - How long a forecast stays cached
+     * @param {TransitCalendarService} options.transitCalendar - Transit events of weekly / monthly forecasts
+     */
+    constructor(geminiService, userProfileService, astrologyService, aspectService, { cache = null, cacheTtlMs = 2 * DAY_MS, transitCalendar = null, now = () => Date.now() } = {}) {
+        this.geminiService = geminiService;
+        this.userProfileService = userProfileService;
+        this.astrologyService = astrologyService;
+        this.aspectService = aspectService;
+        this.cache = cache;
+        this.cacheTtlMs = cacheTtlMs;
+        this.transitCalendar = transitCalendar;
+        this.now = now;
+        // Map of cache key -> in-flight generation (concurrent misses share one model call)
+        this.pending = new Map();
+        // Map of userId -> { focus, language, zone, timezone, lastSeenAt }
+        this.activeUsers = new Map();
+    }
+
+    /**
+     * Zone of the user's local date: profile timezone (IANA), else utc_offset, else UTC
+     * @returns {Object} { zone, label } - zone is an IANA name or a fixed offset in minutes
+     */
+    resolveZone(profile) {
+        if (isValidTimeZone(profile?.timezone)) {
+            return { zone: profile.timezone, label: profile.timezone };
+        }
+
+        const offset = parseUtcOffset(profile?.utc_offset);
+        if (offset !== null) {
+            const sign = offset < 0 ? '-' : '+';
+            const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+            const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+            return { zone: offset, label: `UTC${sign}${hours}:${minutes}` };
+        }
+
+        return { zone: 'UTC', label: 'UTC' };
+    }
+
+    /**
+     * Cache key, e.g. 'daily:2026-10-19:Europe/Berlin:<fingerprint>'
+     * @param {string} kind - 'daily', 'personal', 'week' or 'month'
+     * @param {Array} variant - Extra key parts (focus, language)
+     */
+    cacheKey(kind, { date, timezone, fingerprint = null }, variant = []) {
+        return [kind, date, timezone, fingerprint, ...variant].filter(part => part !== null).join(':');
+    }
+
+    /**
+     * Cached forecast, or generate and cache it
+     * @param {Function} generate - async () => forecast text
+     * @returns {Promise<Object>} { forecast, cached }
+     */
+    async _cached(key, generate) {
+        const hit = this.cache ? await this.cache.get(key) : null;
+        if (hit) return { forecast: hit.forecast, cached: true };
+
+        if (!this.pending.has(key)) {
+            const generation = (async () => {
+                const forecast = await generate();
+                if (this.cache) {
+                    await this.cache.set(key, { forecast, createdAt: new Date(this.now()).toISOString() }, this.cacheTtlMs);
+                }
+                return forecast;
+            })().finally(() => this.pending.delete(key));
+            this.pending.set(key, generation);
+        }
+
+        return { forecast: await this.pending.get(key), cached: false };
+    }
+
+    /**
+     * Generic forecast of a local date
+     * @param {Object} options - { transitChart, timezone, date, onUsage }
+     *   transitChart: client chart (default: the sky at midday of the local date),
+     *   timezone: IANA zone of the local date (default: UTC), date: 'YYYY-MM-DD' (default: today)
+     */
+    async dailyForecast({ transitChart = null, timezone = 'UTC', date = null, onUsage = null } = {}) {
+        const day = date || localDate(new Date(this.now()), timezone);
+        const chart = transitChart || this.astrologyService.calculateChart(zonedTimeToUtc(day, '12:00', timezone));
+        const aspects = this.aspectService ? this.aspectService.chartAspects(chart, 'transit') : [];
+
+        console.log(`   ├─ 🔭 ${aspects.length} aspect(s) in the sky of ${day} (${timezone})`);
+
+        const key = this.cacheKey('daily', { date: day, timezone, fingerprint: chartFingerprint(chart) });
+        const { forecast, cached } = await this._cached(key, () => (
+            this.geminiService.generateDailyForecast(chart, { aspects, onUsage })
+        ));
+
+        return { forecast, date: day, timezone, aspects, cached };
+    }
+
+    /**
+     * Weekly or monthly forecast: dated transit events and an overview
+     * @param {string} period - 'week' or 'month' (see FORECAST_PERIODS)
+     * @param {Object} options - { timezone, date, onUsage }
+     *   timezone: IANA zone of the calendar (default: UTC), date: first day 'YYYY-MM-DD' (default: today)
+     */
+    async periodForecast(period, { timezone = 'UTC', date = null, onUsage = null } = {}) {
+        const days = FORECAST_PERIODS[period];
+        if (!days) throw new Error(`Unknown forecast period: ${period}`);
+
+        const start = date || localDate(new Date(this.now()), timezone);
+        const end = addDays(start, days - 1);
+        const events = this.transitCalendar.events(
+            zonedTimeToUtc(start, '00:00', timezone),
+            zonedTimeToUtc(addDays(end, 1), '00:00', timezone),
+            at => localDate(at, timezone)
+        );
+
+        console.log(`   ├─ 🗓️  ${events.length} transit event(s) from ${start} to ${end} (${timezone})`);
+
+        // The events only depend on the dates, so the period has no chart fingerprint
+        const key = this.cacheKey(period, { date: start, timezone });
+        const { forecast, cached } = await this._cached(key, () => (
+            this.geminiService.generatePeriodForecast(events, { period, start, end, onUsage })
+        ));
+
+        return { period, start, end, timezone, overview: forecast, events, cached };
+    }
+
+    /**
+     * Personal forecast for the user's local date
+     * @param {string} userId - Supabase user id
+     * @param {Object} options - { focus, language, date, onUsage }
+     *   date: local date to forecast; without it the user's today, and the user counts as active
+     */
+    async personalForecast(userId, { focus = 'general', language = 'English', date = null, onUsage = null } = {}) {
+        const profile = await this.userProfileService.getUserProfile(userId);
+        if (!profile) {
+            return { ok: false, code: 'PROFILE_NOT_FOUND', error: 'No profile found for this user' };
+        }
+
+        const { natal } = this.userProfileService.resolveCharts(profile, 'static');
+        if (!natal) {
+            return { ok: false, code: 'BIRTH_DATA_MISSING', error: 'Profile has no birth data to build a natal chart from' };
+        }
+
+        const { zone, label } = this.resolveZone(profile);
+        if (!date) {
+            this.activeUsers.set(userId, { focus, language, zone, timezone: label, lastSeenAt: this.now() });
+        }
+
+        const day = date || localDate(new Date(this.now()), zone);
+        const transitChart = this.astrologyService.calculateChart(
+            zonedTimeToUtc(day, '12:00', zone),
+            this.astrologyService.birthLocation(profile) || {}
+        );
+        const aspects = this.aspectService.transitAspects(transitChart, natal);
+
+        console.log(`   ├─ 📅 Local date ${day} (${label}), focus: ${focus}, ${aspects.length} transit aspect(s)`);
+
+        const key = this.cacheKey(
+            'personal',
+            { date: day, timezone: label, fingerprint: chartFingerprint(natal) },
+            [focus, language.toLowerCase()]
+        );
+        const { forecast, cached } = await this._cached(key, () => this.geminiService.generatePersonalForecast(
+            { natalChart: natal, transitChart, aspects, date: day, focus, language },
+            { onUsage }
+        ));
+
+        return { ok: true, forecast, date: day, timezone: label, focus, language, aspects, cached };
+    }
+
+    /**
+     * Users who asked for their forecast since a moment; older entries are dropped
+     * @param {number} since - ms epoch
+     * @returns {Array} [{ userId, focus, language, zone, timezone, lastSeenAt }]
+     */
+    getActiveUsers(since) {
+        const users = [];
+        for (const [userId, user] of this.activeUsers) {
+            if (user.lastSeenAt < since) {
+                this.activeUsers.delete(userId);
+            } else {
+                users.push({ userId, ...user });
+            }
+        }
+        return users;
+    }
+}
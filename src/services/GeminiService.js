@@ -1,60 +1,143 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import fs from 'fs/promises';
 import path from 'path';
+import { BlockStreamParser } from '../utils/BlockStreamParser.js';
+import { PersonaRegistry } from '../utils/PersonaRegistry.js';
+import { formatChartForAI } from './UserProfileService.js';
 
 /**
- * GeminiService - Handles all Gemini AI interactions
+ * GeminiService - Handles all AI interactions through an LLM provider
  * Manages UpdateBuffer and UpdateCheck functions
  */
 export class GeminiService {
-    constructor(apiKey, userProfileService = null) {
-        this.genAI = new GoogleGenerativeAI(apiKey);
+    /**
+     * @param {LLMProvider|Object} providers - One provider for every role, or { main, evaluator, forecast, summary, memory }
+     * @param {UserProfileService} userProfileService - Profile lookup (optional)
+     * @param {UserMemoryService} userMemoryService - Long-term memories of authenticated users (optional)
+     * @param {SynastryService} synastryService - Partner charts and inter-chart aspects for compatibility mode (optional)
+     */
+    constructor(providers, userProfileService = null, userMemoryService = null, synastryService = null) {
         this.userProfileService = userProfileService;
+        this.userMemoryService = userMemoryService;
+        this.synastryService = synastryService;
+
+        const providerFor = (role) => (typeof providers.generateContent === 'function' ? providers : providers[role]);
 
-        if (!process.env.MAIN_MODEL) {
+        // The mock provider ignores model names, so they are optional there
+        const requiresModel = (role) => providerFor(role).name !== 'mock';
+
+        if (requiresModel('main') && !process.env.MAIN_MODEL) {
             throw new Error('MAIN_MODEL is not set (required).');
         }
 
-        if (!process.env.EVALUATOR_MODEL) {
+        if (requiresModel('evaluator') && !process.env.EVALUATOR_MODEL) {
             throw new Error('EVALUATOR_MODEL is not set (required).');
         }
 
-        // Initialize models
-        this.mainModel = this.genAI.getGenerativeModel({
-            model: process.env.MAIN_MODEL,
-            generationConfig: {
-                temperature: 0.9,
-                topP: 0.95,
-                topK: 40,
-                maxOutputTokens: 8192,
-            },
-        });
+        if (requiresModel('summary') && !process.env.SUMMARY_MODEL && !process.env.EVALUATOR_MODEL) {
+            throw new Error('SUMMARY_MODEL or EVALUATOR_MODEL is not set (required).');
+        }
+
+        if (requiresModel('memory') && !process.env.MEMORY_MODEL && !process.env.EVALUATOR_MODEL) {
+            throw new Error('MEMORY_MODEL or EVALUATOR_MODEL is not set (required).');
+        }
 
-        this.evaluatorModel = this.genAI.getGenerativeModel({
-            model: process.env.EVALUATOR_MODEL,
-            generationConfig: {
-                temperature: 0.3,
-                topP: 0.95,
-                topK: 20,
-                maxOutputTokens: 1024,
+        const mainGenerationConfig = {
+            temperature: 0.9,
+            topP: 0.95,
+            topK: 40,
+            maxOutputTokens: 8192,
+        };
+
+        // Provider and model settings per role
+        this.models = {
+            main: {
+                provider: providerFor('main'),
+                model: process.env.MAIN_MODEL || 'mock-main',
+                generationConfig: mainGenerationConfig,
+            },
+            evaluator: {
+                provider: providerFor('evaluator'),
+                model: process.env.EVALUATOR_MODEL || 'mock-evaluator',
+                generationConfig: {
+                    temperature: 0.3,
+                    topP: 0.95,
+                    topK: 20,
+                    maxOutputTokens: 1024,
+                },
+            },
+            forecast: {
+                provider: providerFor('forecast'),
+                model: process.env.FORECAST_MODEL || process.env.MAIN_MODEL || 'mock-forecast',
+                generationConfig: mainGenerationConfig,
             },
+            // Rolling history summaries (defaults to the evaluator model)
+            summary: {
+                provider: providerFor('summary'),
+                model: process.env.SUMMARY_MODEL || process.env.EVALUATOR_MODEL || 'mock-summary',
+                generationConfig: {
+                    temperature: 0.2,
+                    topP: 0.95,
+                    topK: 20,
+                    maxOutputTokens: 1024,
+                },
+            },
+            // Long-term memory extraction at end_chat (defaults to the evaluator model)
+            memory: {
+                provider: providerFor('memory'),
+                model: process.env.MEMORY_MODEL || process.env.EVALUATOR_MODEL || 'mock-memory',
+                generationConfig: {
+                    temperature: 0.2,
+                    topP: 0.95,
+                    topK: 20,
+                    maxOutputTokens: 2048,
+                },
+            },
+        };
+
+        Object.entries(this.models).forEach(([role, { provider }]) => {
+            if (!provider) {
+                throw new Error(`No LLM provider configured for role: ${role}`);
+            }
         });
 
-        this.baseFormattingRules = null;
-        this.tarotExpertPrompt = null;
-        this.astroExpertPrompt = null;
+        this.personas = null;
         this.evaluatorPrompt = null;
         this.dailyForecastPrompt = null;
-        this.currentPrompt = null;
-        this.questionType = null;
-        this.clientChartData = {
-            natal: null,
-            transit: null
-        };
+        this.personalForecastPrompt = null;
+        this.periodForecastPrompt = null;
+        this.compatibilityReportPrompt = null;
+        this.summaryPrompt = null;
+        this.memoryExtractionPrompt = null;
+    }
+
+    async _sleep(ms, signal = null) {
+        await new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+                reject(this._abortError());
+            };
+            const timeoutId = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Error thrown when a generation is cancelled through its AbortSignal
+     */
+    _abortError() {
+        const error = new Error('Generation cancelled');
+        error.name = 'AbortError';
+        return error;
     }
 
-    async _sleep(ms) {
-        await new Promise(resolve => setTimeout(resolve, ms));
+    /**
+     * Check if error was caused by a cancelled generation
+     */
+    isAbortError(error) {
+        return error?.name === 'AbortError';
     }
 
     _isRetryableError(error) {
@@ -72,26 +155,68 @@ export class GeminiService {
         );
     }
 
-    async _generateContentWithRetry(model, prompt, { maxAttempts = 3, baseDelayMs = 800 } = {}) {
+    /**
+     * Normalize token usage of one model call
+     * @param {Object|null} usageMetadata - Gemini-shaped usage (null when the backend reports none)
+     * @param {number} attempt - Attempt number of the call (1 = first try)
+     * @returns {Object} { role, provider, model, retries, promptTokens, outputTokens, totalTokens }
+     */
+    _toUsage(role, usageMetadata, attempt = 1) {
+        const { provider, model } = this.models[role];
+        const promptTokens = usageMetadata?.promptTokenCount || 0;
+        const outputTokens = usageMetadata?.candidatesTokenCount || 0;
+
+        return {
+            role,
+            provider: provider.name,
+            model,
+            retries: attempt - 1,
+            promptTokens,
+            outputTokens,
+            totalTokens: usageMetadata?.totalTokenCount || promptTokens + outputTokens,
+        };
+    }
+
+    /**
+     * Generate content for a role ('main', 'evaluator', 'forecast', 'summary' or 'memory') with retry/backoff
+     * Aborting `signal` cancels the request and any pending retry.
+     * `onUsage` is called for every completed model call (including retried ones).
+     */
+    async _generateContentWithRetry(role, prompt, { maxAttempts = 3, baseDelayMs = 800, signal = null, onUsage = null } = {}) {
+        const { provider, model, generationConfig } = this.models[role];
+
         let lastError;
         for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            if (signal?.aborted) {
+                throw this._abortError();
+            }
+
             try {
-                const result = await model.generateContent(prompt);
-                const response = await result.response;
-                const text = response.text();
+                const { response, text } = await provider.generateContent({
+                    role,
+                    model,
+                    prompt,
+                    generationConfig,
+                    signal,
+                });
+                onUsage?.(this._toUsage(role, response?.usageMetadata, attempt));
 
                 const isEmpty = !text || text.trim().length === 0;
                 const promptFeedback = response?.promptFeedback;
                 const isBlocked = Boolean(promptFeedback?.blockReason);
 
                 if (isEmpty && !isBlocked) {
-                    const err = new Error('Gemini returned empty response');
+                    const err = new Error(`${provider.name} returned empty response`);
                     err.response = response;
                     throw err;
                 }
 
                 return { response, text };
             } catch (error) {
+                if (signal?.aborted) {
+                    throw this._abortError();
+                }
+
                 lastError = error;
 
                 const response = error?.response;
@@ -108,12 +233,12 @@ export class GeminiService {
                 }
 
                 const delay = Math.floor(baseDelayMs * Math.pow(2, attempt - 1) + Math.random() * 250);
-                console.warn(`   ├─ 🔁 Gemini retry ${attempt}/${maxAttempts} in ${delay}ms (${error.message})`);
-                await this._sleep(delay);
+                console.warn(`   ├─ 🔁 ${provider.name} retry ${attempt}/${maxAttempts} in ${delay}ms (${error.message})`);
+                await this._sleep(delay, signal);
             }
         }
 
-        throw lastError || new Error('Gemini request failed');
+        throw lastError || new Error(`${provider.name} request failed`);
     }
 
     /**
@@ -121,19 +246,8 @@ export class GeminiService {
      */
     async loadPrompts() {
         try {
-            // Load base formatting rules (universal for all prompts)
-            const baseRulesPath = path.join(process.cwd(), 'src', 'config', 'base_formatting_rules.txt');
-            this.baseFormattingRules = await fs.readFile(baseRulesPath, 'utf-8');
-
-            // Load Tarot Expert prompt
-            const tarotPath = path.join(process.cwd(), 'src', 'config', 'tarot_expert.txt');
-            const tarotContext = await fs.readFile(tarotPath, 'utf-8');
-            this.tarotExpertPrompt = this.baseFormattingRules + '\n\n' + tarotContext;
-
-            // Load Astrology Expert prompt
-            const astroPath = path.join(process.cwd(), 'src', 'config', 'astro_expert.txt');
-            const astroContext = await fs.readFile(astroPath, 'utf-8');
-            this.astroExpertPrompt = this.baseFormattingRules + '\n\n' + astroContext;
+            // Load chat personas (every *_expert.txt, each with the base formatting rules)
+            this.personas = await PersonaRegistry.load();
 
             // Load evaluator prompt
             const evaluatorPath = path.join(process.cwd(), 'src', 'config', 'evaluator_prompt.txt');
@@ -143,8 +257,25 @@ export class GeminiService {
             const dailyForecastPath = path.join(process.cwd(), 'src', 'config', 'daily_forecast_prompt.txt');
             this.dailyForecastPrompt = await fs.readFile(dailyForecastPath, 'utf-8');
 
-            // Default to astro mode
-            this.currentPrompt = this.astroExpertPrompt;
+            // Load personal daily forecast prompt
+            const personalForecastPath = path.join(process.cwd(), 'src', 'config', 'personal_forecast_prompt.txt');
+            this.personalForecastPrompt = await fs.readFile(personalForecastPath, 'utf-8');
+
+            // Load weekly / monthly forecast prompt
+            const periodForecastPath = path.join(process.cwd(), 'src', 'config', 'period_forecast_prompt.txt');
+            this.periodForecastPrompt = await fs.readFile(periodForecastPath, 'utf-8');
+
+            // Load compatibility report prompt
+            const compatibilityReportPath = path.join(process.cwd(), 'src', 'config', 'compatibility_report_prompt.txt');
+            this.compatibilityReportPrompt = await fs.readFile(compatibilityReportPath, 'utf-8');
+
+            // Load history summary prompt
+            const summaryPath = path.join(process.cwd(), 'src', 'config', 'summary_prompt.txt');
+            this.summaryPrompt = await fs.readFile(summaryPath, 'utf-8');
+
+            // Load memory extraction prompt
+            const memoryPath = path.join(process.cwd(), 'src', 'config', 'memory_extraction_prompt.txt');
+            this.memoryExtractionPrompt = await fs.readFile(memoryPath, 'utf-8');
 
             return true;
         } catch (error) {
@@ -154,49 +285,46 @@ export class GeminiService {
     }
 
     /**
-     * Set chat mode (tarot or astro)
-     * @param {string} mode - 'tarot' or 'astro'
+     * Check if a chat mode has a persona (see PersonaRegistry)
      */
-    setChatMode(mode) {
-        if (mode === 'tarot') {
-            this.currentPrompt = this.tarotExpertPrompt;
-            console.log('   ├─ 🔮 Chat mode: Tarot Expert');
-        } else if (mode === 'astro') {
-            this.currentPrompt = this.astroExpertPrompt;
-            console.log('   ├─ ✨ Chat mode: Astrology Expert');
-        } else {
-            console.warn('   ├─ ⚠️  Unknown chat mode, defaulting to Astrology');
-            this.currentPrompt = this.astroExpertPrompt;
-        }
+    hasChatMode(mode) {
+        return !!this.personas?.has(mode);
     }
 
     /**
-     * Set question type (static or transit)
-     * @param {string} type - 'static' or 'transit'
+     * Persona of a chat mode ({ mode, name, prompt, tarot }), null for unknown modes
      */
-    setQuestionType(type) {
-        this.questionType = type;
-        if (type === 'static') {
-            console.log('   ├─ 📌 Question type: Static (natal chart)');
-        } else if (type === 'transit') {
-            console.log('   ├─ 🌊 Question type: Transit (current positions)');
-        }
+    getPersona(mode) {
+        return this.personas?.get(mode) || null;
     }
 
     /**
-     * Set client-side chart data (natal and transit)
-     * @param {Object} natalChart - Natal chart data from client
-     * @param {Object} transitChart - Transit chart data from client
+     * Chat modes for clients
+     * @returns {Object} { defaultMode, modes: [{ mode, name }] }
      */
-    setClientChartData(natalChart = null, transitChart = null) {
-        if (natalChart) {
-            this.clientChartData.natal = natalChart;
-            console.log('   ├─ 📊 Received natal chart from client');
-        }
-        if (transitChart) {
-            this.clientChartData.transit = transitChart;
-            console.log('   ├─ 🌊 Received transit chart from client');
+    listChatModes() {
+        return { defaultMode: this.personas.defaultMode, modes: this.personas.list() };
+    }
+
+    /**
+     * Resolve a requested chat mode
+     * @param {string} mode - Persona mode, e.g. 'astro', 'tarot', 'tarot_astro' or 'compatibility'
+     * @returns {string|null} The mode, or null when no persona has it
+     */
+    resolveChatMode(mode) {
+        if (!this.hasChatMode(mode)) {
+            console.warn(`   ├─ ⚠️  Unknown chat mode: ${mode}`);
+            return null;
         }
+        console.log(`   ├─ 🎭 Chat mode: ${this.personas.get(mode).name}`);
+        return mode;
+    }
+
+    /**
+     * Get system prompt for chat mode (the default persona for unknown modes, e.g. a stored conversation)
+     */
+    _getPromptForMode(mode) {
+        return (this.personas.get(mode) || this.personas.get(this.personas.defaultMode)).prompt;
     }
 
     /**
@@ -231,7 +359,7 @@ export class GeminiService {
             content += `Timestamp: ${new Date().toISOString()}\n`;
             content += '='.repeat(80) + '\n\n';
 
-            content += '📝 FULL PROMPT SENT TO GEMINI:\n';
+            content += `📝 FULL PROMPT SENT TO ${this.models.main.provider.name.toUpperCase()} (${this.models.main.model}):\n`;
             content += '-'.repeat(80) + '\n';
             content += fullPrompt + '\n\n';
 
@@ -250,192 +378,422 @@ export class GeminiService {
     }
 
     /**
-     * UpdateBuffer - Generate new buffer from conversation history
-     * @param {Array} history - Conversation history
-     * @param {Array} previousBuffer - Previous buffer blocks
-     * @param {string} userId - User ID for fetching profile data
+     * Most relevant long-term memories of the user, formatted for the prompt ('' when none)
      */
-    async updateBuffer(history, previousBuffer = null, userId = null) {
+    async _buildMemoryContext(userId, history) {
+        if (!this.userMemoryService) return '';
+
         try {
-            // Build the full prompt with system instruction and history
-            let fullPrompt = this.currentPrompt + '\n\n';
-
-            // Add user profile data if available
-            if (userId && this.userProfileService) {
-                console.log(`   ├─ 👤 Fetching profile for user: ${userId.substring(0, 8)}...`);
-                const profile = await this.userProfileService.getUserProfile(userId);
-                if (profile) {
-                    console.log(`   ├─ ✅ Profile found: ${profile.full_name || 'Unknown'}`);
-                    const profileContext = this.userProfileService.formatProfileForAI(
-                        profile, 
-                        this.questionType,
-                        this.clientChartData.natal,
-                        this.clientChartData.transit
-                    );
-                    fullPrompt += profileContext;
-                } else {
-                    console.log(`   ├─ ℹ️  No profile data found for this user`);
-                }
+            const query = (history || [])
+                .filter(msg => msg.role === 'user')
+                .slice(-3)
+                .map(msg => msg.content)
+                .join('\n');
+            const memories = await this.userMemoryService.getRelevantMemories(userId, query);
+            if (memories.length > 0) {
+                console.log(`   ├─ 🧠 Adding ${memories.length} memory item(s)`);
+            }
+            return this.userMemoryService.formatMemoriesForAI(memories);
+        } catch (error) {
+            // Memories are optional context - never fail the response over them
+            console.error('   ├─ ⚠️  Failed to load user memories:', error.message);
+            return '';
+        }
+    }
+
+    /**
+     * Partner chart and synastry for compatibility mode ('' in other modes)
+     * The user's chart is the profile's natal chart, else the client's natal chart (formatted here,
+     * as there is no profile context to carry it)
+     */
+    _buildSynastryContext(profile, context) {
+        if (context.chatMode !== 'compatibility' || !this.synastryService) return '';
+
+        if (!context.partner) {
+            return '\n=== PARTNER ===\n\nNo partner chart yet - ask for their birth date, time and place.\n\n';
+        }
+
+        const userChart = profile && this.userProfileService
+            ? this.userProfileService.resolveCharts(profile, 'static', context.natalChart).natal
+            : context.natalChart;
+        const { aspects, summary } = this.synastryService.compare(userChart, context.partner.natalChart);
+        console.log(`   ├─ 💞 Synastry with ${context.partner.name}: ${aspects.length} aspect(s)`);
+
+        // Without a profile the user's own chart is not in the prompt yet (anonymous users)
+        let formatted = '';
+        if (!profile && userChart) {
+            formatted += '\n=== NATAL CHART (Birth Positions) ===\n\n';
+            formatted += formatChartForAI(userChart);
+        }
+
+        return formatted + this.synastryService.formatSynastryForAI({
+            userName: profile?.full_name || 'User',
+            userChart,
+            partner: context.partner,
+            aspects,
+            summary,
+        });
+    }
+
+    /**
+     * Build UpdateBuffer prompt: persona, user profile, partner synastry, memories, tarot cards, history and pending buffer
+     */
+    async _buildUpdateBufferPrompt(history, previousBuffer, userId, context) {
+        // Build the full prompt with system instruction and history
+        let fullPrompt = this._getPromptForMode(context.chatMode) + '\n\n';
+        let profile = null;
+
+        // Add user profile data if available
+        if (userId && this.userProfileService) {
+            console.log(`   ├─ 👤 Fetching profile for user: ${userId.substring(0, 8)}...`);
+            profile = await this.userProfileService.getUserProfile(userId);
+            if (profile) {
+                console.log(`   ├─ ✅ Profile found: ${profile.full_name || 'Unknown'}`);
+                const profileContext = this.userProfileService.formatProfileForAI(
+                    profile,
+                    context.questionType,
+                    context.natalChart,
+                    context.transitChart
+                );
+                fullPrompt += profileContext;
             } else {
-                if (!userId) {
-                    console.log(`   ├─ ℹ️  No userId provided (anonymous user)`);
-                }
-                if (!this.userProfileService) {
-                    console.log(`   ├─ ⚠️  UserProfileService not initialized`);
-                }
+                console.log(`   ├─ ℹ️  No profile data found for this user`);
             }
+        } else {
+            if (!userId) {
+                console.log(`   ├─ ℹ️  No userId provided (anonymous user)`);
+            }
+            if (!this.userProfileService) {
+                console.log(`   ├─ ⚠️  UserProfileService not initialized`);
+            }
+        }
 
-            // Add conversation history
-            if (history && history.length > 0) {
-                fullPrompt += '=== CONVERSATION HISTORY ===\n\n';
-                history.forEach(msg => {
-                    const role = msg.role === 'user' ? 'USER' : 'ASSISTANT';
-                    fullPrompt += `${role}: ${msg.content}\n\n`;
-                });
+        // Add the partner's chart and inter-chart aspects (compatibility mode)
+        fullPrompt += this._buildSynastryContext(profile, context);
+
+        // Add long-term memories from earlier conversations
+        if (userId) {
+            fullPrompt += await this._buildMemoryContext(userId, history);
+        }
+
+        // Add cards drawn by the server (tarot mode, see TarotService)
+        if (context.tarotReadings) {
+            fullPrompt += context.tarotReadings;
+        }
+
+        // Add summary of older turns (see ContextWindowManager)
+        if (context.historySummary) {
+            fullPrompt += '=== SUMMARY OF EARLIER CONVERSATION ===\n\n';
+            fullPrompt += `${context.historySummary}\n\n`;
+        }
+
+        // Add conversation history
+        if (history && history.length > 0) {
+            fullPrompt += '=== CONVERSATION HISTORY ===\n\n';
+            history.forEach(msg => {
+                const role = msg.role === 'user' ? 'USER' : 'ASSISTANT';
+                fullPrompt += `${role}: ${msg.content}\n\n`;
+            });
+        }
+
+        // Add pending buffer if exists (blocks that haven't been sent yet)
+        if (previousBuffer && previousBuffer.length > 0) {
+            fullPrompt += '=== PENDING BUFFER ===\n\n';
+            previousBuffer.forEach((block, index) => {
+                fullPrompt += `Block ${index + 1} (Group ${block.group}): ${block.text}\n`;
+            });
+            fullPrompt += '\n';
+        }
+
+        // Save context to file for debugging
+        await this._saveContextToFile(fullPrompt, history, previousBuffer);
+
+        return fullPrompt;
+    }
+
+    /**
+     * Validate a single response block
+     */
+    _validateBlock(block, index) {
+        if (!block.text || typeof block.text !== 'string') {
+            throw new Error(`Block ${index}: missing or invalid text`);
+        }
+        if (typeof block.typingTime !== 'number') {
+            throw new Error(`Block ${index}: missing or invalid typingTime`);
+        }
+        if (typeof block.group !== 'number') {
+            throw new Error(`Block ${index}: missing or invalid group`);
+        }
+    }
+
+    /**
+     * Parse and validate a complete UpdateBuffer response
+     * Logs diagnostics for empty and unparseable responses
+     */
+    async _parseBlocksResponse(text, response) {
+        // Log raw response for debugging
+        console.log('   ├─ 📄 Raw response length:', text.length, 'chars');
+        console.log('   ├─ 📄 Raw response preview:', text.substring(0, 200));
+
+        if (!text || text.trim().length === 0) {
+            const candidatesCount = Array.isArray(response?.candidates) ? response.candidates.length : 0;
+            const finishReasons = Array.isArray(response?.candidates)
+                ? response.candidates.map(c => c?.finishReason).filter(Boolean)
+                : [];
+            const promptFeedback = response?.promptFeedback;
+
+            const providerName = this.models.main.provider.name;
+            console.error(`   ├─ ❌ ${providerName} returned empty text response`);
+            console.error('   ├─ 📊 candidates:', candidatesCount);
+            if (finishReasons.length > 0) {
+                console.error('   ├─ 📊 finishReasons:', finishReasons.join(', '));
+            }
+            if (promptFeedback) {
+                console.error('   ├─ 📊 promptFeedback:', JSON.stringify(promptFeedback));
             }
 
-            // Add pending buffer if exists (blocks that haven't been sent yet)
-            if (previousBuffer && previousBuffer.length > 0) {
-                fullPrompt += '=== PENDING BUFFER ===\n\n';
-                previousBuffer.forEach((block, index) => {
-                    fullPrompt += `Block ${index + 1} (Group ${block.group}): ${block.text}\n`;
-                });
-                fullPrompt += '\n';
+            try {
+                const projectRoot = process.cwd();
+                const logsDir = path.join(projectRoot, 'logs');
+                await fs.mkdir(logsDir, { recursive: true });
+                const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+                const errorFile = path.join(logsDir, `empty_response_${timestamp}.json`);
+                await fs.writeFile(
+                    errorFile,
+                    JSON.stringify(
+                        {
+                            error: `Empty text response from ${providerName}`,
+                            candidates: response?.candidates || null,
+                            promptFeedback: response?.promptFeedback || null,
+                        },
+                        null,
+                        2
+                    ),
+                    'utf-8'
+                );
+                console.error('   ├─ 💾 Empty response details saved to:', errorFile);
+            } catch (saveError) {
+                console.error('   ├─ ⚠️  Could not save empty response details:', saveError.message);
             }
 
-            // Save context to file for debugging
-            await this._saveContextToFile(fullPrompt, history, previousBuffer);
+            throw new Error(`${providerName} returned empty response (no JSON to parse)`);
+        }
+
+        // Parse JSON response
+        let parsedResponse;
+        try {
+            // Try multiple extraction strategies
+            let jsonText = text.trim();
+            
+            // Strategy 1: Extract from markdown code blocks (```json or ```)
+            const jsonMatch = text.match(/```json\s*([\s\S]*?)\s*```/) || text.match(/```\s*([\s\S]*?)\s*```/);
+            if (jsonMatch) {
+                jsonText = jsonMatch[1].trim();
+                console.log('   ├─ ✅ Extracted JSON from code block');
+            }
+            
+            // Strategy 2: Find JSON object boundaries { ... }
+            if (!jsonMatch) {
+                const firstBrace = text.indexOf('{');
+                const lastBrace = text.lastIndexOf('}');
+                if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
+                    jsonText = text.substring(firstBrace, lastBrace + 1);
+                    console.log('   ├─ ✅ Extracted JSON by braces');
+                }
+            }
+            
+            // Try to parse
+            parsedResponse = JSON.parse(jsonText);
+            console.log('   ├─ ✅ JSON parsed successfully');
+            
+        } catch (parseError) {
+            console.error('   ├─ ❌ JSON parse error:', parseError.message);
+            console.error('   ├─ 📄 Failed to parse text:', text.substring(0, 500));
+            
+            // Save failed response to file for debugging
+            try {
+                const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+                const projectRoot = process.cwd();
+                const logsDir = path.join(projectRoot, 'logs');
+                await fs.mkdir(logsDir, { recursive: true });
+                const errorFile = path.join(logsDir, `parse_error_${timestamp}.txt`);
+                await fs.writeFile(errorFile, `=== PARSE ERROR ===\n\n${parseError.message}\n\n=== RAW RESPONSE ===\n\n${text}`, 'utf-8');
+                console.error('   ├─ 💾 Error response saved to:', errorFile);
+            } catch (saveError) {
+                console.error('   ├─ ⚠️  Could not save error file:', saveError.message);
+            }
+            
+            throw new Error(`Failed to parse JSON response from ${this.models.main.provider.name}`);
+        }
 
-            const { response, text } = await this._generateContentWithRetry(this.mainModel, fullPrompt, {
+        // Validate response structure
+        if (!parsedResponse.blocks || !Array.isArray(parsedResponse.blocks)) {
+            throw new Error('Invalid response structure: missing blocks array');
+        }
+
+        // Validate each block
+        parsedResponse.blocks.forEach((block, index) => this._validateBlock(block, index));
+
+        return parsedResponse.blocks;
+    }
+
+    /**
+     * UpdateBuffer - Generate new buffer from conversation history
+     * @param {Array} history - Conversation history
+     * @param {Array} previousBuffer - Previous buffer blocks
+     * @param {string} userId - User ID for fetching profile data
+     * @param {Object} context - Session context (chatMode, questionType, natalChart, transitChart, historySummary, tarotReadings)
+     * @param {Object} options - { signal, onUsage } AbortSignal to cancel the generation, token usage callback
+     */
+    async updateBuffer(history, previousBuffer = null, userId = null, context = {}, { signal = null, onUsage = null } = {}) {
+        try {
+            const fullPrompt = await this._buildUpdateBufferPrompt(history, previousBuffer, userId, context);
+
+            if (signal?.aborted) {
+                throw this._abortError();
+            }
+
+            const { response, text } = await this._generateContentWithRetry('main', fullPrompt, {
                 maxAttempts: Number(process.env.GEMINI_MAX_RETRIES || 3),
                 baseDelayMs: Number(process.env.GEMINI_RETRY_BASE_DELAY_MS || 800),
+                signal,
+                onUsage,
             });
 
-            // Log raw response for debugging
-            console.log('   ├─ 📄 Raw response length:', text.length, 'chars');
-            console.log('   ├─ 📄 Raw response preview:', text.substring(0, 200));
+            return await this._parseBlocksResponse(text, response);
 
-            if (!text || text.trim().length === 0) {
-                const candidatesCount = Array.isArray(response?.candidates) ? response.candidates.length : 0;
-                const finishReasons = Array.isArray(response?.candidates)
-                    ? response.candidates.map(c => c?.finishReason).filter(Boolean)
-                    : [];
-                const promptFeedback = response?.promptFeedback;
+        } catch (error) {
+            if (this.isAbortError(error)) {
+                console.log('   ├─ 🚫 UpdateBuffer cancelled');
+            } else {
+                console.error('   ├─ ❌ UpdateBuffer error:', error.message);
+            }
+            throw error;
+        }
+    }
 
-                console.error('   ├─ ❌ Gemini returned empty text response');
-                console.error('   ├─ 📊 candidates:', candidatesCount);
-                if (finishReasons.length > 0) {
-                    console.error('   ├─ 📊 finishReasons:', finishReasons.join(', '));
-                }
-                if (promptFeedback) {
-                    console.error('   ├─ 📊 promptFeedback:', JSON.stringify(promptFeedback));
+    /**
+     * Check if the main provider can stream (disable with LLM_STREAMING=false)
+     */
+    supportsStreaming() {
+        const { provider } = this.models.main;
+        return typeof provider.generateContentStream === 'function'
+            && String(process.env.LLM_STREAMING || 'true').toLowerCase() !== 'false';
+    }
+
+    /**
+     * UpdateBuffer with streaming - onBlock is called for each block as soon as it is generated
+     * Falls back to the whole-response path for providers without streaming.
+     * Retries only happen before the first block was delivered.
+     * @param {Object} options - { signal, onBlock(block, index), onUsage(usage) }
+     * @returns {Array} All generated blocks
+     */
+    async updateBufferStream(history, previousBuffer = null, userId = null, context = {}, { signal = null, onBlock, onUsage = null } = {}) {
+        if (!this.supportsStreaming()) {
+            const blocks = await this.updateBuffer(history, previousBuffer, userId, context, { signal, onUsage });
+            blocks.forEach((block, index) => onBlock(block, index));
+            return blocks;
+        }
+
+        const { provider, model, generationConfig } = this.models.main;
+        const maxAttempts = Number(process.env.GEMINI_MAX_RETRIES || 3);
+        const baseDelayMs = Number(process.env.GEMINI_RETRY_BASE_DELAY_MS || 800);
+
+        try {
+            const fullPrompt = await this._buildUpdateBufferPrompt(history, previousBuffer, userId, context);
+
+            for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+                if (signal?.aborted) {
+                    throw this._abortError();
                 }
 
+                const parser = new BlockStreamParser();
+                const blocks = [];
+
+                // Every attempt is one model call, whether or not the backend reported tokens
+                let usageReported = false;
+                const reportUsage = (usageMetadata = null) => {
+                    if (usageReported) return;
+                    usageReported = true;
+                    onUsage?.(this._toUsage('main', usageMetadata, attempt));
+                };
+
                 try {
-                    const projectRoot = process.cwd();
-                    const logsDir = path.join(projectRoot, 'logs');
-                    await fs.mkdir(logsDir, { recursive: true });
-                    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-                    const errorFile = path.join(logsDir, `empty_response_${timestamp}.json`);
-                    await fs.writeFile(
-                        errorFile,
-                        JSON.stringify(
-                            {
-                                error: 'Empty text response from Gemini',
-                                candidates: response?.candidates || null,
-                                promptFeedback: response?.promptFeedback || null,
-                            },
-                            null,
-                            2
-                        ),
-                        'utf-8'
-                    );
-                    console.error('   ├─ 💾 Empty response details saved to:', errorFile);
-                } catch (saveError) {
-                    console.error('   ├─ ⚠️  Could not save empty response details:', saveError.message);
-                }
+                    const stream = provider.generateContentStream({
+                        role: 'main',
+                        model,
+                        prompt: fullPrompt,
+                        generationConfig,
+                        signal,
+                        onUsage: reportUsage,
+                    });
+
+                    for await (const chunk of stream) {
+                        if (signal?.aborted) {
+                            throw this._abortError();
+                        }
+
+                        parser.push(chunk).forEach(block => {
+                            this._validateBlock(block, blocks.length);
+                            blocks.push(block);
+                            if (blocks.length === 1) {
+                                console.log('   ├─ ⚡ First block streamed');
+                            }
+                            onBlock(block, blocks.length - 1);
+                        });
+                    }
 
-                throw new Error('Gemini returned empty response (no JSON to parse)');
-            }
+                    reportUsage();
 
-            // Parse JSON response
-            let parsedResponse;
-            try {
-                // Try multiple extraction strategies
-                let jsonText = text.trim();
-                
-                // Strategy 1: Extract from markdown code blocks (```json or ```)
-                const jsonMatch = text.match(/```json\s*([\s\S]*?)\s*```/) || text.match(/```\s*([\s\S]*?)\s*```/);
-                if (jsonMatch) {
-                    jsonText = jsonMatch[1].trim();
-                    console.log('   ├─ ✅ Extracted JSON from code block');
-                }
-                
-                // Strategy 2: Find JSON object boundaries { ... }
-                if (!jsonMatch) {
-                    const firstBrace = text.indexOf('{');
-                    const lastBrace = text.lastIndexOf('}');
-                    if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-                        jsonText = text.substring(firstBrace, lastBrace + 1);
-                        console.log('   ├─ ✅ Extracted JSON by braces');
+                    // Nothing parsed incrementally (unexpected shape) - parse the whole text
+                    if (blocks.length === 0) {
+                        const parsed = await this._parseBlocksResponse(parser.getText(), null);
+                        parsed.forEach((block, index) => onBlock(block, index));
+                        return parsed;
                     }
-                }
-                
-                // Try to parse
-                parsedResponse = JSON.parse(jsonText);
-                console.log('   ├─ ✅ JSON parsed successfully');
-                
-            } catch (parseError) {
-                console.error('   ├─ ❌ JSON parse error:', parseError.message);
-                console.error('   ├─ 📄 Failed to parse text:', text.substring(0, 500));
-                
-                // Save failed response to file for debugging
-                try {
-                    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-                    const projectRoot = process.cwd();
-                    const logsDir = path.join(projectRoot, 'logs');
-                    await fs.mkdir(logsDir, { recursive: true });
-                    const errorFile = path.join(logsDir, `parse_error_${timestamp}.txt`);
-                    await fs.writeFile(errorFile, `=== PARSE ERROR ===\n\n${parseError.message}\n\n=== RAW RESPONSE ===\n\n${text}`, 'utf-8');
-                    console.error('   ├─ 💾 Error response saved to:', errorFile);
-                } catch (saveError) {
-                    console.error('   ├─ ⚠️  Could not save error file:', saveError.message);
-                }
-                
-                throw new Error('Failed to parse JSON response from Gemini');
-            }
 
-            // Validate response structure
-            if (!parsedResponse.blocks || !Array.isArray(parsedResponse.blocks)) {
-                throw new Error('Invalid response structure: missing blocks array');
-            }
+                    console.log(`   ├─ 📄 Streamed ${blocks.length} blocks (${parser.getText().length} chars)`);
+                    return blocks;
+                } catch (error) {
+                    reportUsage();
+                    if (signal?.aborted) {
+                        throw this._abortError();
+                    }
 
-            // Validate each block
-            parsedResponse.blocks.forEach((block, index) => {
-                if (!block.text || typeof block.text !== 'string') {
-                    throw new Error(`Block ${index}: missing or invalid text`);
-                }
-                if (typeof block.typingTime !== 'number') {
-                    throw new Error(`Block ${index}: missing or invalid typingTime`);
-                }
-                if (typeof block.group !== 'number') {
-                    throw new Error(`Block ${index}: missing or invalid group`);
-                }
-            });
+                    // Blocks already reached the client - can't restart the response
+                    const retryable = this._isRetryableError(error) || (error?.message || '').includes('empty response');
+                    if (blocks.length > 0 || !retryable || attempt === maxAttempts) {
+                        throw error;
+                    }
 
-            return parsedResponse.blocks;
+                    const delay = Math.floor(baseDelayMs * Math.pow(2, attempt - 1) + Math.random() * 250);
+                    console.warn(`   ├─ 🔁 ${provider.name} stream retry ${attempt}/${maxAttempts} in ${delay}ms (${error.message})`);
+                    await this._sleep(delay, signal);
+                }
+            }
 
+            throw new Error(`${provider.name} stream failed`);
         } catch (error) {
-            console.error('   ├─ ❌ UpdateBuffer error:', error.message);
+            if (this.isAbortError(error)) {
+                console.log('   ├─ 🚫 UpdateBuffer stream cancelled');
+            } else {
+                console.error('   ├─ ❌ UpdateBuffer stream error:', error.message);
+            }
             throw error;
         }
     }
 
     /**
      * UpdateCheck - Check if buffer needs updating based on recent messages
+     * @param {Object} context - Session context (chatMode, questionType, ...)
+     * @param {Object} options - { signal, onUsage } AbortSignal to cancel the check, token usage callback
      */
-    async updateCheck(recentHistory, currentBuffer, currentIndex = 0) {
+    async updateCheck(recentHistory, currentBuffer, currentIndex = 0, context = {}, { signal = null, onUsage = null } = {}) {
         try {
+            if (context.chatMode) {
+                console.log(`   ├─ 🎯 UpdateCheck for chat mode: ${context.chatMode}`);
+            }
+
             // Split buffer into sent and pending blocks
             const sentBlocks = currentBuffer && currentBuffer.length > 0
                 ? currentBuffer.slice(0, currentIndex)
@@ -473,9 +831,11 @@ ${pendingText}
 USER MESSAGES:
 ${userMessages}`;
 
-            const { text } = await this._generateContentWithRetry(this.evaluatorModel, checkPrompt, {
+            const { text } = await this._generateContentWithRetry('evaluator', checkPrompt, {
                 maxAttempts: Number(process.env.GEMINI_MAX_RETRIES || 3),
                 baseDelayMs: Number(process.env.GEMINI_RETRY_BASE_DELAY_MS || 800),
+                signal,
+                onUsage,
             });
             const normalized = (text || '').trim().toUpperCase();
 
@@ -485,18 +845,91 @@ ${userMessages}`;
             return needsUpdate;
 
         } catch (error) {
+            if (this.isAbortError(error)) {
+                console.log('   ├─ 🚫 UpdateCheck cancelled');
+                return false;
+            }
             console.error('   ├─ ❌ UpdateCheck error:', error.message);
             // Default to NO on error to avoid infinite loops
             return false;
         }
     }
 
+    /**
+     * Fold older conversation turns into the rolling history summary
+     * @param {string|null} previousSummary - Summary so far
+     * @param {Array} turns - Turns to fold in ({ role, content })
+     * @param {Object} options - { signal, onUsage }
+     * @returns {string} Updated summary
+     */
+    async summarizeHistory(previousSummary, turns, { signal = null, onUsage = null } = {}) {
+        let fullPrompt = this.summaryPrompt + '\n\n';
+        fullPrompt += '=== PREVIOUS SUMMARY ===\n\n';
+        fullPrompt += `${previousSummary || '(none)'}\n\n`;
+        fullPrompt += '=== NEW MESSAGES ===\n\n';
+        turns.forEach(turn => {
+            const role = turn.role === 'user' ? 'USER' : 'ASSISTANT';
+            fullPrompt += `${role}: ${turn.content}\n\n`;
+        });
+
+        const { text } = await this._generateContentWithRetry('summary', fullPrompt, {
+            maxAttempts: Number(process.env.GEMINI_MAX_RETRIES || 3),
+            baseDelayMs: Number(process.env.GEMINI_RETRY_BASE_DELAY_MS || 800),
+            signal,
+            onUsage,
+        });
+
+        return (text || '').trim();
+    }
+
+    /**
+     * Extract durable memories from a finished conversation
+     * @param {Object} conversation - { summary, turns } (rolling summary text and turns { role, content })
+     * @param {Array} knownMemories - Memories already stored for the user
+     * @param {Object} options - { signal, onUsage }
+     * @returns {Array} Candidate memories [{ kind, content }] ([] when the model output is not valid JSON)
+     */
+    async extractMemories({ summary = null, turns = [] }, knownMemories = [], { signal = null, onUsage = null } = {}) {
+        let fullPrompt = this.memoryExtractionPrompt + '\n\n';
+        fullPrompt += '=== KNOWN MEMORIES ===\n\n';
+        fullPrompt += knownMemories.length > 0
+            ? knownMemories.map(memory => `- [${memory.kind}] ${memory.content}`).join('\n') + '\n\n'
+            : '(none)\n\n';
+        fullPrompt += '=== CONVERSATION ===\n\n';
+        if (summary) {
+            fullPrompt += `SUMMARY OF EARLIER TURNS: ${summary}\n\n`;
+        }
+        turns.forEach(turn => {
+            const role = turn.role === 'user' ? 'USER' : 'ASSISTANT';
+            fullPrompt += `${role}: ${turn.content}\n\n`;
+        });
+
+        const { text } = await this._generateContentWithRetry('memory', fullPrompt, {
+            maxAttempts: Number(process.env.GEMINI_MAX_RETRIES || 3),
+            baseDelayMs: Number(process.env.GEMINI_RETRY_BASE_DELAY_MS || 800),
+            signal,
+            onUsage,
+        });
+
+        const jsonMatch = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+        const jsonText = jsonMatch ? jsonMatch[1] : text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1);
+        try {
+            const parsed = JSON.parse(jsonText);
+            return Array.isArray(parsed?.memories) ? parsed.memories : [];
+        } catch (error) {
+            // A malformed answer only loses this chat's memories
+            console.warn(`   ├─ ⚠️  Unparsable memory extraction output (${error.message}): ${text.substring(0, 200)}`);
+            return [];
+        }
+    }
+
     /**
      * Generate daily astrological forecast based on current planetary positions
-     * @param {Object} transitChart - Current planetary positions from client
+     * @param {Object} transitChart - Current planetary positions (from the client or AstrologyService)
+     * @param {Object} options - { aspects, onUsage } - aspects between the transiting planets (AspectService), token usage callback
      * @returns {string} Daily forecast text (3-4 sentences)
      */
-    async generateDailyForecast(transitChart) {
+    async generateDailyForecast(transitChart, { aspects = [], onUsage = null } = {}) {
         try {
             if (!transitChart) {
                 throw new Error('Transit chart data is required for daily forecast');
@@ -506,12 +939,17 @@ ${userMessages}`;
             let fullPrompt = this.dailyForecastPrompt + '\n\n';
             fullPrompt += '=== CURRENT PLANETARY POSITIONS ===\n\n';
             fullPrompt += JSON.stringify(transitChart, null, 2);
+            if (aspects.length > 0) {
+                fullPrompt += '\n\n=== CURRENT ASPECTS ===\n\n';
+                fullPrompt += JSON.stringify(aspects, null, 2);
+            }
             fullPrompt += '\n\n=== YOUR TASK ===\n\n';
             fullPrompt += 'Based on the current planetary positions above, generate a daily astrological forecast following the rules specified in the prompt. Remember: 3-4 sentences, practical, grounded, specific.';
 
-            const { text } = await this._generateContentWithRetry(this.mainModel, fullPrompt, {
+            const { text } = await this._generateContentWithRetry('forecast', fullPrompt, {
                 maxAttempts: Number(process.env.GEMINI_MAX_RETRIES || 3),
                 baseDelayMs: Number(process.env.GEMINI_RETRY_BASE_DELAY_MS || 800),
+                onUsage,
             });
             const normalized = (text || '').trim();
 
@@ -522,4 +960,117 @@ ${userMessages}`;
             throw error;
         }
     }
+
+    /**
+     * Generate the overview of a week or month from its transit events
+     * @param {Array} events - Dated transit events (TransitCalendarService)
+     * @param {Object} options - { period: 'week' | 'month', start, end (local dates), onUsage }
+     * @returns {string} Overview text
+     */
+    async generatePeriodForecast(events, { period, start, end, onUsage = null } = {}) {
+        try {
+            if (!Array.isArray(events)) {
+                throw new Error('Transit events are required for a period forecast');
+            }
+
+            let fullPrompt = this.periodForecastPrompt + '\n\n';
+            fullPrompt += `=== PERIOD ===\n\n${period}: ${start} to ${end}\n\n`;
+            fullPrompt += '=== TRANSIT EVENTS ===\n\n';
+            fullPrompt += events.length > 0 ? JSON.stringify(events, null, 2) : 'No major events in this period.';
+            fullPrompt += '\n\n=== YOUR TASK ===\n\n';
+            fullPrompt += `Based on the transit events above, write the overview of this ${period} following the rules specified in the prompt. Remember: practical, grounded, specific, with the key days.`;
+
+            const { text } = await this._generateContentWithRetry('forecast', fullPrompt, {
+                maxAttempts: Number(process.env.GEMINI_MAX_RETRIES || 3),
+                baseDelayMs: Number(process.env.GEMINI_RETRY_BASE_DELAY_MS || 800),
+                onUsage,
+            });
+
+            return (text || '').trim();
+
+        } catch (error) {
+            console.error('   ├─ ❌ GeneratePeriodForecast error:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Generate a compatibility reading of two natal charts
+     * @param {Object} input - { person, partner, aspects, summary }
+     *   person / partner: { name, natalChart }, aspects / summary: SynastryService.compare()
+     * @param {Object} options - { onUsage } token usage callback
+     * @returns {string} Reading text (two paragraphs)
+     */
+    async generateCompatibilityReport({ person, partner, aspects = [], summary }, { onUsage = null } = {}) {
+        try {
+            if (!person?.natalChart || !partner?.natalChart) {
+                throw new Error('Both natal charts are required for a compatibility report');
+            }
+
+            let fullPrompt = this.compatibilityReportPrompt + '\n\n';
+            fullPrompt += `=== PERSON: ${person.name} ===\n\n`;
+            fullPrompt += JSON.stringify(person.natalChart, null, 2);
+            fullPrompt += `\n\n=== PARTNER: ${partner.name} ===\n\n`;
+            fullPrompt += JSON.stringify(partner.natalChart, null, 2);
+            fullPrompt += '\n\n=== SYNASTRY ASPECTS ===\n\n';
+            fullPrompt += aspects.length > 0 ? JSON.stringify(aspects, null, 2) : 'None within orb.';
+            fullPrompt += '\n\n=== SUMMARY ===\n\n';
+            fullPrompt += JSON.stringify(summary, null, 2);
+            fullPrompt += '\n\n=== YOUR TASK ===\n\n';
+            fullPrompt += `Based on the synastry above, write the compatibility reading of ${person.name} and ${partner.name} following the rules specified in the prompt.`;
+
+            const { text } = await this._generateContentWithRetry('forecast', fullPrompt, {
+                maxAttempts: Number(process.env.GEMINI_MAX_RETRIES || 3),
+                baseDelayMs: Number(process.env.GEMINI_RETRY_BASE_DELAY_MS || 800),
+                onUsage,
+            });
+
+            return (text || '').trim();
+
+        } catch (error) {
+            console.error('   ├─ ❌ GenerateCompatibilityReport error:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Generate a personal daily forecast from the user's natal chart and the day's transits
+     * @param {Object} input - { natalChart, transitChart, aspects, date, focus, language }
+     *   aspects: transit-to-natal aspects (AspectService), date: user's local date,
+     *   focus: 'general' | 'love' | 'work' | 'energy', language: e.g. 'English' or 'de'
+     * @param {Object} options - { onUsage } token usage callback
+     * @returns {string} Forecast text (3-5 sentences)
+     */
+    async generatePersonalForecast({ natalChart, transitChart, aspects = [], date, focus = 'general', language = 'English' }, { onUsage = null } = {}) {
+        try {
+            if (!natalChart || !transitChart) {
+                throw new Error('Natal and transit charts are required for a personal forecast');
+            }
+
+            let fullPrompt = this.personalForecastPrompt + '\n\n';
+            fullPrompt += `=== DATE ===\n\n${date}\n\n`;
+            fullPrompt += '=== NATAL CHART ===\n\n';
+            fullPrompt += JSON.stringify(natalChart, null, 2);
+            fullPrompt += "\n\n=== TODAY'S TRANSITS ===\n\n";
+            fullPrompt += JSON.stringify(transitChart, null, 2);
+            fullPrompt += '\n\n=== TRANSIT ASPECTS ===\n\n';
+            fullPrompt += aspects.length > 0 ? JSON.stringify(aspects, null, 2) : 'None within orb today.';
+            fullPrompt += `\n\n=== FOCUS ===\n\n${focus}\n\n`;
+            fullPrompt += `=== LANGUAGE ===\n\n${language}\n\n`;
+            fullPrompt += '=== YOUR TASK ===\n\n';
+            fullPrompt += 'Based on how today\'s transits hit this natal chart, write their personal forecast for the requested focus following the rules specified in the prompt. Remember: 3-5 sentences, practical, grounded, specific.';
+
+            const { text } = await this._generateContentWithRetry('forecast', fullPrompt, {
+                maxAttempts: Number(process.env.GEMINI_MAX_RETRIES || 3),
+                baseDelayMs: Number(process.env.GEMINI_RETRY_BASE_DELAY_MS || 800),
+                onUsage,
+            });
+
+            return (text || '').trim();
+
+        } catch (error) {
+            console.error('   ├─ ❌ GeneratePersonalForecast error:', error.message);
+            throw error;
+        }
+    }
 }
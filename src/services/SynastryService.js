@@ -0,0 +1,135 @@
+import { pointLongitude } from './AspectService.js';
+import { formatChartForAI } from './UserProfileService.js';
+
+// Fields of a person's birth data (same names as the profile columns)
+const BIRTH_FIELDS = ['birth_date_time', 'utc_offset', 'birth_latitude', 'birth_longitude'];
+const NATURE = {
+    conjunction: 'blending',
+    sextile: 'harmonious',
+    trine: 'harmonious',
+    square: 'challenging',
+    opposition: 'challenging',
+};
+// Relationship areas and the points that speak for them
+const THEMES = {
+    attraction: ['venus', 'mars'],
+    emotions: ['moon'],
+    communication: ['mercury'],
+    commitment: ['saturn'],
+    identity: ['sun', 'ascendant'],
+};
+// Outer planets move slowly: their contacts to each other are shared by a whole generation
+const GENERATIONAL = ['uranus', 'neptune', 'pluto'];
+const KEY_ASPECTS = 5;
+const MAX_PROMPT_ASPECTS = 20;
+
+function label(point) {
+    return point.charAt(0).toUpperCase() + point.slice(1);
+}
+
+/**
+ * SynastryService - Compatibility of two natal charts
+ *
+ * A person (the partner, or both people of a REST report) is given as birth data
+ * ({ name, birth_date_time, utc_offset, birth_latitude, birth_longitude }, like a
+ * profile) or as a ready natal chart ({ name, natalChart }). compare() finds the
+ * aspects from the first chart to the second with natal orbs (AspectService),
+ * leaving out outer planet to outer planet contacts, and sums them up per
+ * relationship theme.
+ *
+ * resolvePerson() returns { ok: true, person } or { ok: false, error }.
+ */
+export class SynastryService {
+    constructor(astrologyService, aspectService) {
+        this.astrologyService = astrologyService;
+        this.aspectService = aspectService;
+    }
+
+    /**
+     * Natal chart of a person from birth data or a client chart
+     * @param {Object} options - { defaultName } used when the input has no name
+     * @returns {Object} { ok, person: { name, natalChart, source: 'birth_data' | 'client' } } or { ok: false, error }
+     */
+    resolvePerson(input, { defaultName = 'Partner' } = {}) {
+        if (!input || typeof input !== 'object') {
+            return { ok: false, error: 'Birth data or a natal chart is required' };
+        }
+
+        const name = typeof input.name === 'string' && input.name.trim() ? input.name.trim().slice(0, 60) : defaultName;
+
+        if (BIRTH_FIELDS.some(field => input[field] !== undefined && input[field] !== null)) {
+            const natalChart = this.astrologyService.natalChart(input);
+            if (!natalChart) {
+                return { ok: false, error: 'Birth data needs birth_date_time, birth_latitude and birth_longitude' };
+            }
+            return { ok: true, person: { name, natalChart, source: 'birth_data' } };
+        }
+
+        if (input.natalChart && typeof input.natalChart === 'object') {
+            if (!input.natalChart.sun?.sign) {
+                return { ok: false, error: 'Natal chart needs at least the Sun sign' };
+            }
+            return { ok: true, person: { name, natalChart: input.natalChart, source: 'client' } };
+        }
+
+        return { ok: false, error: 'Birth data or a natal chart is required' };
+    }
+
+    /**
+     * Inter-chart aspects and their summary
+     * @returns {Object} { aspects, summary: { harmonious, challenging, blending, themes, keyAspects } }
+     */
+    compare(chartA, chartB) {
+        const aspects = this.aspectService.synastryAspects(chartA, chartB)
+            .filter(aspect => !(GENERATIONAL.includes(aspect.from) && GENERATIONAL.includes(aspect.to)))
+            .map(aspect => ({ ...aspect, nature: NATURE[aspect.aspect] || 'neutral' }));
+
+        const count = (list, nature) => list.filter(aspect => aspect.nature === nature).length;
+        const themes = Object.fromEntries(Object.entries(THEMES).map(([theme, points]) => {
+            const related = aspects.filter(aspect => points.includes(aspect.from) || points.includes(aspect.to));
+            return [theme, {
+                harmonious: count(related, 'harmonious'),
+                challenging: count(related, 'challenging'),
+                blending: count(related, 'blending'),
+                tightest: related[0] || null,
+            }];
+        }));
+
+        return {
+            aspects,
+            summary: {
+                harmonious: count(aspects, 'harmonious'),
+                challenging: count(aspects, 'challenging'),
+                blending: count(aspects, 'blending'),
+                themes,
+                keyAspects: aspects.slice(0, KEY_ASPECTS),
+            },
+        };
+    }
+
+    /**
+     * Partner chart and synastry for the compatibility prompt
+     * @param {Object} options - { userName, userChart, partner, aspects, summary }
+     */
+    formatSynastryForAI({ userName = 'User', userChart, partner, aspects, summary }) {
+        let formatted = `\n=== PARTNER: ${partner.name} (NATAL CHART) ===\n\n`;
+        formatted += formatChartForAI(partner.natalChart);
+
+        if (!userChart || pointLongitude(userChart.sun) === null || pointLongitude(partner.natalChart.sun) === null) {
+            formatted += '\nNo inter-chart aspects: both charts need degrees (the user\'s birth data or a full chart).\n\n';
+            return formatted;
+        }
+
+        formatted += `\n=== SYNASTRY (${userName} → ${partner.name}) ===\n\n`;
+        formatted += this.aspectService.formatAspectsForAI(aspects.slice(0, MAX_PROMPT_ASPECTS), { from: `${userName}'s`, to: `${partner.name}'s` });
+        formatted += `\nHarmonious: ${summary.harmonious}, challenging: ${summary.challenging}, conjunctions: ${summary.blending}\n`;
+        Object.entries(summary.themes).forEach(([theme, { harmonious, challenging, blending, tightest }]) => {
+            const focus = tightest
+                ? ` - tightest: ${label(tightest.from)} ${tightest.aspect} ${label(tightest.to)}`
+                : '';
+            formatted += `${label(theme)}: ${harmonious} harmonious, ${challenging} challenging, ${blending} conjunction(s)${focus}\n`;
+        });
+        formatted += '\nBase the reading on the aspects listed above (tightest first) - do not invent others.\n\n';
+        return formatted;
+    }
+}
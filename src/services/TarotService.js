@@ -0,0 +1,139 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { createRandom, randomSeed, shuffle } from '../utils/random.js';
+
+const MAJOR_ARCANA = [
+    'The Fool', 'The Magician', 'The High Priestess', 'The Empress', 'The Emperor',
+    'The Hierophant', 'The Lovers', 'The Chariot', 'Strength', 'The Hermit',
+    'Wheel of Fortune', 'Justice', 'The Hanged Man', 'Death', 'Temperance',
+    'The Devil', 'The Tower', 'The Star', 'The Moon', 'The Sun', 'Judgement', 'The World',
+];
+
+const SUITS = ['wands', 'cups', 'swords', 'pentacles'];
+
+const RANKS = [
+    'Ace', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven',
+    'Eight', 'Nine', 'Ten', 'Page', 'Knight', 'Queen', 'King',
+];
+
+const MAX_SEED_LENGTH = 64;
+const MAX_QUESTION_LENGTH = 500;
+
+function slug(text) {
+    return text.toLowerCase().replace(/^the /, '').replace(/\s+/g, '_');
+}
+
+/**
+ * The 78-card Rider-Waite deck in fixed order: { id, name, arcana, suit }
+ */
+export const TAROT_DECK = Object.freeze([
+    ...MAJOR_ARCANA.map(name => ({ id: slug(name), name, arcana: 'major', suit: null })),
+    ...SUITS.flatMap(suit => RANKS.map(rank => ({
+        id: `${slug(rank)}_of_${suit}`,
+        name: `${rank} of ${suit[0].toUpperCase()}${suit.slice(1)}`,
+        arcana: 'minor',
+        suit,
+    }))),
+].map(card => Object.freeze(card)));
+
+/**
+ * TarotService - Server-side card draws for tarot mode
+ *
+ * Spreads come from src/config/tarot_spreads.json. A draw shuffles the whole
+ * deck with a seeded RNG (see utils/random.js), so no card repeats within a
+ * reading and the same spread + seed always gives the same cards.
+ *
+ * Reading: { id, spread, spreadName, question, seed, drawnAt,
+ *            cards: [{ position, meaning, id, name, arcana, suit, reversed }] }
+ */
+export class TarotService {
+    constructor({ spreads = {}, defaultSpread = 'three_card', reversalChance = 0.5, now = () => Date.now() } = {}) {
+        // Map of spread key -> { name, positions: [{ key, meaning }] }
+        this.spreads = spreads;
+        this.defaultSpread = defaultSpread;
+        // Probability of a card being drawn reversed
+        this.reversalChance = reversalChance;
+        this.now = now;
+    }
+
+    /**
+     * Load spreads from JSON config
+     */
+    static async load(filePath = path.join(process.cwd(), 'src', 'config', 'tarot_spreads.json')) {
+        const config = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        return new TarotService(config);
+    }
+
+    hasSpread(spread) {
+        return !!spread && Object.prototype.hasOwnProperty.call(this.spreads, spread);
+    }
+
+    /**
+     * Spreads for clients: [{ key, name, positions }]
+     */
+    listSpreads() {
+        return Object.entries(this.spreads).map(([key, spread]) => ({
+            key,
+            name: spread.name,
+            positions: spread.positions,
+        }));
+    }
+
+    /**
+     * Draw a spread
+     * @param {string} spread - Spread key (default spread when omitted)
+     * @param {Object} options - { seed, question } - seed makes the draw reproducible (random when omitted)
+     * @returns {Object} Reading
+     */
+    drawSpread(spread = this.defaultSpread, { seed = null, question = null } = {}) {
+        const key = spread || this.defaultSpread;
+        if (!this.hasSpread(key)) {
+            throw new Error(`Unknown tarot spread: ${key}`);
+        }
+
+        const validSeed = (typeof seed === 'string' || typeof seed === 'number') && String(seed).length > 0;
+        const readingSeed = validSeed ? String(seed).slice(0, MAX_SEED_LENGTH) : randomSeed();
+        const random = createRandom(`${key}:${readingSeed}`);
+
+        const { name, positions } = this.spreads[key];
+        const deck = shuffle(TAROT_DECK, random);
+
+        return {
+            id: randomUUID(),
+            spread: key,
+            spreadName: name,
+            question: typeof question === 'string' && question.trim() ? question.trim().slice(0, MAX_QUESTION_LENGTH) : null,
+            seed: readingSeed,
+            drawnAt: new Date(this.now()).toISOString(),
+            cards: positions.map((position, index) => ({
+                position: position.key,
+                meaning: position.meaning,
+                ...deck[index],
+                reversed: random() < this.reversalChance,
+            })),
+        };
+    }
+
+    /**
+     * Format readings for the UpdateBuffer prompt (latest reading last)
+     */
+    formatReadingsForAI(readings) {
+        if (!readings || readings.length === 0) return '';
+
+        let formatted = '\n=== TAROT READING (cards drawn by the server) ===\n\n';
+        readings.forEach((reading, index) => {
+            const label = index === readings.length - 1 ? 'Current reading' : 'Earlier reading';
+            formatted += `${label}: ${reading.spreadName} (${reading.drawnAt.slice(0, 16).replace('T', ' ')} UTC)\n`;
+            if (reading.question) {
+                formatted += `Question: ${reading.question}\n`;
+            }
+            reading.cards.forEach((card) => {
+                formatted += `- ${card.meaning}: ${card.name}${card.reversed ? ' (reversed)' : ''}\n`;
+            });
+            formatted += '\n';
+        });
+
+        return formatted;
+    }
+}
@@ -0,0 +1,172 @@
+import { BODIES, angleDifference, dailyMotion, geocentricLongitude, julianDay, signOf } from '../utils/ephemeris.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Bodies that station (the Sun and Moon never turn retrograde)
+const STATION_BODIES = BODIES.filter(body => body !== 'sun' && body !== 'moon');
+// The Moon aspects every planet several times a month, so only the others get exact aspects
+const ASPECT_BODIES = BODIES.filter(body => body !== 'moon');
+
+function round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function position(longitude) {
+    const { sign, degree } = signOf(longitude);
+    return { sign, degree: round(degree) };
+}
+
+/**
+ * TransitCalendarService - Dated transit events of a period, for calendars
+ *
+ * Events (sorted by `at`, the exact moment as an ISO timestamp):
+ *   { type: 'ingress', body, sign, retrograde }          - body enters a sign
+ *   { type: 'aspect', from, to, aspect, angle }          - exact aspect between two planets (no Moon)
+ *   { type: 'station', body, station, sign, degree }     - station: 'retrograde' | 'direct'
+ *   { type: 'lunation', phase, sign, degree }            - phase: 'new_moon' | 'full_moon'
+ *
+ * The sky is sampled every `stepHours` and each change is narrowed down to the minute.
+ * Aspect angles come from AspectService (src/config/aspects.json).
+ */
+export class TransitCalendarService {
+    constructor(aspectService, { stepHours = 6 } = {}) {
+        this.aspectService = aspectService;
+        this.stepDays = stepHours / 24;
+    }
+
+    /**
+     * Moment (julian day) where f changes sign between a and b, to the minute
+     */
+    _refine(f, a, b) {
+        let fa = f(a);
+        while (b - a > 1 / 1440) {
+            const mid = (a + b) / 2;
+            const fm = f(mid);
+            if ((fm < 0) === (fa < 0)) {
+                a = mid;
+                fa = fm;
+            } else {
+                b = mid;
+            }
+        }
+        return (a + b) / 2;
+    }
+
+    /**
+     * Zero crossings of f over the samples; wrap-arounds of angles (|f| near 180) are skipped
+     * @returns {Array} [{ jd, rising }] - rising: f goes from negative to positive
+     */
+    _crossings(f, samples, limit = 90) {
+        const found = [];
+        let previous = f(samples[0]);
+
+        for (let i = 1; i < samples.length; i++) {
+            const current = f(samples[i]);
+            if ((previous < 0) !== (current < 0) && Math.abs(previous) < limit && Math.abs(current) < limit) {
+                found.push({ jd: this._refine(f, samples[i - 1], samples[i]), rising: current >= 0 });
+            }
+            previous = current;
+        }
+        return found;
+    }
+
+    _ingresses(samples) {
+        const events = [];
+
+        BODIES.forEach((body) => {
+            const longitude = jd => geocentricLongitude(body, jd);
+
+            for (let i = 1; i < samples.length; i++) {
+                const before = Math.floor(longitude(samples[i - 1]) / 30);
+                const after = Math.floor(longitude(samples[i]) / 30);
+                if (before === after) continue;
+
+                const retrograde = angleDifference(longitude(samples[i]), longitude(samples[i - 1])) < 0;
+                const boundary = (retrograde ? before : after) * 30;
+                const jd = this._refine(
+                    t => angleDifference(longitude(t), boundary),
+                    samples[i - 1],
+                    samples[i]
+                );
+                events.push({ jd, type: 'ingress', body, sign: signOf(after * 30).sign, retrograde });
+            }
+        });
+
+        return events;
+    }
+
+    _stations(samples) {
+        return STATION_BODIES.flatMap(body => (
+            this._crossings(jd => dailyMotion(body, jd), samples, Infinity).map(({ jd, rising }) => ({
+                jd,
+                type: 'station',
+                body,
+                station: rising ? 'direct' : 'retrograde',
+                ...position(geocentricLongitude(body, jd)),
+            }))
+        ));
+    }
+
+    _lunations(samples) {
+        const elongation = (jd, target) => angleDifference(
+            geocentricLongitude('moon', jd) - geocentricLongitude('sun', jd),
+            target
+        );
+
+        return [['new_moon', 0], ['full_moon', 180]].flatMap(([phase, target]) => (
+            this._crossings(jd => elongation(jd, target), samples)
+                .filter(({ rising }) => rising)
+                .map(({ jd }) => ({ jd, type: 'lunation', phase, ...position(geocentricLongitude('moon', jd)) }))
+        ));
+    }
+
+    _aspects(samples) {
+        const events = [];
+        const aspects = Object.entries(this.aspectService?.aspects || {});
+
+        ASPECT_BODIES.forEach((from, i) => {
+            ASPECT_BODIES.slice(i + 1).forEach((to) => {
+                const separation = jd => angleDifference(geocentricLongitude(from, jd), geocentricLongitude(to, jd));
+
+                aspects.forEach(([aspect, { angle }]) => {
+                    // Both sides of the zodiac (0° and 180° only have one)
+                    const targets = angle === 0 || angle === 180 ? [angle] : [angle, -angle];
+                    targets.forEach((target) => {
+                        this._crossings(jd => angleDifference(separation(jd), target), samples, 30).forEach(({ jd }) => {
+                            events.push({ jd, type: 'aspect', from, to, aspect, angle });
+                        });
+                    });
+                });
+            });
+        });
+
+        return events;
+    }
+
+    /**
+     * Transit events between two moments
+     * @param {Date} start
+     * @param {Date} end
+     * @param {Function} dateOf - (Date) => local 'YYYY-MM-DD' added to each event as `date`
+     * @returns {Array} Events, earliest first
+     */
+    events(start, end, dateOf = date => date.toISOString().slice(0, 10)) {
+        const first = julianDay(start);
+        const last = julianDay(end);
+        const samples = [];
+        for (let jd = first; jd < last; jd += this.stepDays) samples.push(jd);
+        samples.push(last);
+
+        return [
+            ...this._ingresses(samples),
+            ...this._aspects(samples),
+            ...this._stations(samples),
+            ...this._lunations(samples),
+        ]
+            .sort((a, b) => a.jd - b.jd)
+            .map(({ jd, ...event }) => {
+                const at = new Date(Math.round((jd - 2440587.5) * DAY_MS / 60000) * 60000);
+                return { at: at.toISOString(), date: dateOf(at), ...event };
+            });
+    }
+}
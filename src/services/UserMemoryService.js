@@ -0,0 +1,147 @@
+export const MEMORY_KINDS = ['relationship', 'situation', 'card', 'prediction', 'fact'];
+
+const KIND_LABELS = {
+    relationship: 'Relationships',
+    situation: 'Ongoing situations',
+    card: 'Cards drawn before',
+    prediction: 'Earlier predictions',
+    fact: 'Other facts',
+};
+
+// Kinds that stay useful even without word overlap with the current messages
+const KIND_WEIGHTS = { situation: 1, prediction: 1, relationship: 0.5, card: 0, fact: 0 };
+
+const MAX_CONTENT_LENGTH = 300;
+
+function normalize(text) {
+    return (text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function keywords(text) {
+    return new Set(normalize(text).split(' ').filter(word => word.length >= 4));
+}
+
+/**
+ * UserMemoryService - Long-term memories of authenticated users across conversations
+ *
+ * Memories are extracted from a finished conversation (GeminiService.extractMemories),
+ * stored per Supabase user id in a UserMemoryStore and the most relevant ones are
+ * added to UpdateBuffer prompts next to the user profile.
+ */
+export class UserMemoryService {
+    constructor(store, { maxPerUser = 200, promptLimit = 8 } = {}) {
+        this.store = store;
+        // Oldest memories are dropped beyond this
+        this.maxPerUser = maxPerUser;
+        // Memories added to one prompt
+        this.promptLimit = promptLimit;
+    }
+
+    /**
+     * Validate extracted memories and drop ones the user already has
+     * @param {Array} candidates - [{ kind, content }] from the model
+     * @param {Array} existing - Stored memories
+     */
+    sanitize(candidates, existing = []) {
+        const seen = new Set(existing.map(memory => normalize(memory.content)));
+        const clean = [];
+
+        (Array.isArray(candidates) ? candidates : []).forEach((candidate) => {
+            const content = String(candidate?.content || '').trim().slice(0, MAX_CONTENT_LENGTH);
+            const key = normalize(content);
+            if (!key || seen.has(key)) return;
+
+            seen.add(key);
+            clean.push({
+                kind: MEMORY_KINDS.includes(candidate.kind) ? candidate.kind : 'fact',
+                content,
+            });
+        });
+
+        return clean;
+    }
+
+    async listMemories(userId) {
+        return this.store.listMemories(userId);
+    }
+
+    async deleteMemory(userId, memoryId) {
+        return this.store.deleteMemory(userId, memoryId);
+    }
+
+    async deleteAllMemories(userId) {
+        return this.store.deleteAllMemories(userId);
+    }
+
+    /**
+     * Store extracted memories, keeping at most maxPerUser
+     * @param {Array} candidates - [{ kind, content }]
+     * @param {Object} source - { conversationId }
+     * @returns {Promise<Array>} Stored memories
+     */
+    async addMemories(userId, candidates, { conversationId = null } = {}) {
+        const existing = await this.store.listMemories(userId);
+        const memories = this.sanitize(candidates, existing);
+        if (memories.length === 0) return [];
+
+        const stored = await this.store.addMemories(
+            userId,
+            memories.map(memory => ({ ...memory, conversationId }))
+        );
+
+        // listMemories is newest first
+        const overflow = existing.length + stored.length - this.maxPerUser;
+        if (overflow > 0) {
+            await Promise.all(existing.slice(-overflow).map(memory => this.store.deleteMemory(userId, memory.id)));
+        }
+
+        return stored;
+    }
+
+    /**
+     * Most relevant memories for the current conversation
+     * Ranked by word overlap with the query, kind and recency.
+     * @param {string} query - Recent user messages
+     */
+    async getRelevantMemories(userId, query = '', limit = this.promptLimit) {
+        const memories = await this.store.listMemories(userId);
+        if (memories.length === 0) return [];
+
+        const queryWords = keywords(query);
+        const scored = memories.map((memory, index) => {
+            let overlap = 0;
+            keywords(memory.content).forEach((word) => {
+                if (queryWords.has(word)) overlap++;
+            });
+            // listMemories is newest first: recency goes from 1 down to 0
+            const recency = memories.length > 1 ? 1 - index / (memories.length - 1) : 1;
+            return { memory, score: overlap * 2 + (KIND_WEIGHTS[memory.kind] || 0) + recency };
+        });
+
+        return scored
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ memory }) => memory);
+    }
+
+    /**
+     * Format memories for the UpdateBuffer prompt
+     */
+    formatMemoriesForAI(memories) {
+        if (!memories || memories.length === 0) return '';
+
+        let formatted = '\n=== USER MEMORIES (from earlier conversations) ===\n\n';
+        MEMORY_KINDS.forEach((kind) => {
+            const ofKind = memories.filter(memory => memory.kind === kind);
+            if (ofKind.length === 0) return;
+
+            formatted += `${KIND_LABELS[kind]}:\n`;
+            ofKind.forEach((memory) => {
+                formatted += `- ${memory.content} (${memory.createdAt.slice(0, 10)})\n`;
+            });
+            formatted += '\n';
+        });
+
+        return formatted;
+    }
+}
@@ -1,10 +1,44 @@
 import { createClient } from '@supabase/supabase-js';
 
+/**
+ * Format chart positions for AI prompts (sign, degree, house, retrograde)
+ * @param {Object} astrologyData - Astrology data object
+ * @returns {string} Formatted astrology data
+ */
+export function formatChartForAI(astrologyData) {
+    let formatted = '';
+    const planets = ['sun', 'moon', 'ascendant', 'midheaven', 'mercury', 'venus', 'mars', 
+                   'jupiter', 'saturn', 'uranus', 'neptune', 'pluto', 'chiron'];
+    
+    planets.forEach(planet => {
+        if (astrologyData[planet]) {
+            const data = astrologyData[planet];
+            formatted += `${planet.charAt(0).toUpperCase() + planet.slice(1)}: ${data.sign}`;
+            if (typeof data.degree === 'number') {
+                formatted += ` ${Math.floor(data.degree)}°`;
+            }
+            if (data.house) {
+                formatted += `, House ${data.house}`;
+            }
+            if (data.isRetrograde) {
+                formatted += ' (Retrograde)';
+            }
+            formatted += '\n';
+        }
+    });
+    return formatted;
+}
+
 /**
  * UserProfileService - Handles fetching user profile data from Supabase
  */
 export class UserProfileService {
-    constructor() {
+    constructor(astrologyService = null, aspectService = null) {
+        // Server-side natal / transit charts (optional, see AstrologyService)
+        this.astrologyService = astrologyService;
+        // Natal / transit aspects for the prompt (optional, see AspectService)
+        this.aspectService = aspectService;
+
         const supabaseUrl = process.env.SUPABASE_URL;
         // Prefer SERVICE_ROLE_KEY for server-side access (bypasses RLS)
         const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
@@ -81,28 +115,79 @@ export class UserProfileService {
         }
     }
 
+    /**
+     * Calculate natal chart from the profile's birth data
+     * @param {Object} profile - User profile with birth_date_time, birth_latitude, birth_longitude, utc_offset
+     * @returns {Object|null} Natal astrology data or null
+     */
+    generateNatalChart(profile) {
+        if (!this.astrologyService || !profile) {
+            return null;
+        }
+
+        try {
+            return this.astrologyService.natalChart(profile);
+        } catch (error) {
+            console.error('   ├─ ❌ Error generating natal chart:', error.message);
+            return null;
+        }
+    }
+
     /**
      * Generate transit chart data for current time
-     * @param {Object} profile - User profile with birth location
+     * @param {Object} profile - User profile with birth location (used for transit houses)
      * @returns {Object|null} Transit astrology data or null
      */
     generateTransitChart(profile) {
-        if (!profile || !profile.birth_latitude || !profile.birth_longitude) {
+        if (!this.astrologyService || !profile) {
             return null;
         }
 
         try {
-            // This would require the astrology calculation library on the server
-            // For now, we'll return null and rely on client-side transit data
-            // In production, you'd implement server-side transit calculation here
-            console.log('   ├─ ℹ️  Server-side transit calculation not implemented, using client data');
-            return null;
+            return this.astrologyService.transitChart(profile);
         } catch (error) {
             console.error('   ├─ ❌ Error generating transit chart:', error.message);
             return null;
         }
     }
 
+    /**
+     * Pick the natal / transit charts for the prompt
+     * Server-calculated charts win when the profile has birth data; client charts are
+     * cross-checked against them and only used when the server cannot calculate.
+     * @returns {Object} { natal, transit }
+     */
+    resolveCharts(profile, questionType = 'static', clientNatalChart = null, clientTransitChart = null) {
+        const serverNatal = this.generateNatalChart(profile);
+        const natal = serverNatal || clientNatalChart || profile?.astrology_data || null;
+        if (serverNatal) {
+            this._logCrossCheck('natal', clientNatalChart, serverNatal);
+        }
+
+        let transit = null;
+        if (questionType === 'transit') {
+            const serverTransit = this.generateTransitChart(profile);
+            transit = serverTransit || clientTransitChart || null;
+            if (serverTransit) {
+                this._logCrossCheck('transit', clientTransitChart, serverTransit);
+            }
+        }
+
+        return { natal, transit };
+    }
+
+    _logCrossCheck(kind, clientChart, serverChart) {
+        if (!clientChart || typeof clientChart !== 'object') return;
+
+        const mismatches = this.astrologyService.crossCheck(clientChart, serverChart);
+        if (mismatches.length > 0) {
+            const details = mismatches.map(m => `${m.body} ${m.client} vs ${m.server}`).join(', ');
+            console.warn(`   ├─ ⚠️  Client ${kind} chart disagrees with server calculation (${details}), using server chart`);
+        } else {
+            console.log(`   ├─ ✅ Client ${kind} chart matches server calculation`);
+        }
+    }
+
     /**
      * Format user profile data for AI context
      * @param {Object} profile - User profile from database
@@ -134,49 +219,41 @@ export class UserProfileService {
             formatted += `Timezone: ${profile.timezone}\n`;
         }
 
-        // Use client-provided natal chart if available, otherwise use database data
-        const natalData = clientNatalChart || profile.astrology_data;
+        // Server-calculated charts when birth data is complete, otherwise client / database data
+        const { natal: natalData, transit: transitData } = this.resolveCharts(
+            profile, questionType, clientNatalChart, clientTransitChart
+        );
         
         if (natalData && typeof natalData === 'object') {
             formatted += '\n=== NATAL CHART (Birth Positions) ===\n\n';
-            formatted += this._formatAstrologyData(natalData);
+            formatted += formatChartForAI(natalData);
+
+            // Aspects need degrees - client charts with signs only have none
+            const natalAspects = this.aspectService ? this.aspectService.chartAspects(natalData) : [];
+            if (natalAspects.length > 0) {
+                formatted += '\n=== NATAL ASPECTS ===\n\n';
+                formatted += this.aspectService.formatAspectsForAI(natalAspects);
+            }
             
             // For transit questions, also include transit data
-            if (questionType === 'transit' && clientTransitChart && typeof clientTransitChart === 'object') {
+            if (questionType === 'transit' && transitData && typeof transitData === 'object') {
                 formatted += '\n=== TRANSIT CHART (Current Positions) ===\n\n';
-                formatted += this._formatAstrologyData(clientTransitChart);
-                formatted += '\nIMPORTANT: Analyze the transit positions in relation to the natal chart.\n';
-                formatted += 'Consider aspects between transiting planets and natal planets/points.\n';
+                formatted += formatChartForAI(transitData);
+
+                const transitAspects = this.aspectService ? this.aspectService.transitAspects(transitData, natalData) : [];
+                if (transitAspects.length > 0) {
+                    formatted += '\n=== TRANSIT ASPECTS (Transit to Natal) ===\n\n';
+                    formatted += this.aspectService.formatAspectsForAI(transitAspects, { from: 'Transit', to: 'natal' });
+                    formatted += '\nIMPORTANT: Analyze the transit positions in relation to the natal chart.\n';
+                    formatted += 'Base the reading on the transit aspects listed above (tightest first) - do not invent others.\n';
+                } else {
+                    formatted += '\nIMPORTANT: Analyze the transit positions in relation to the natal chart.\n';
+                    formatted += 'Consider aspects between transiting planets and natal planets/points.\n';
+                }
             }
         }
 
         formatted += '\n';
         return formatted;
     }
-
-    /**
-     * Helper method to format astrology data
-     * @param {Object} astrologyData - Astrology data object
-     * @returns {string} Formatted astrology data
-     */
-    _formatAstrologyData(astrologyData) {
-        let formatted = '';
-        const planets = ['sun', 'moon', 'ascendant', 'mercury', 'venus', 'mars', 
-                       'jupiter', 'saturn', 'uranus', 'neptune', 'pluto', 'chiron'];
-        
-        planets.forEach(planet => {
-            if (astrologyData[planet]) {
-                const data = astrologyData[planet];
-                formatted += `${planet.charAt(0).toUpperCase() + planet.slice(1)}: ${data.sign}`;
-                if (data.house) {
-                    formatted += `, House ${data.house}`;
-                }
-                if (data.isRetrograde) {
-                    formatted += ' (Retrograde)';
-                }
-                formatted += '\n';
-            }
-        });
-        return formatted;
-    }
 }
@@ -0,0 +1,82 @@
+/**
+ * ConversationStore - Interface for persistent conversation storage
+ * Conversations are keyed by the authenticated Supabase user id.
+ *
+ * Conversation: { id, userId, chatMode, createdAt, updatedAt, endedAt }
+ * Message:      { id, conversationId, role, content, group, timestamp }
+ * TarotReading: { id, conversationId, spread, spreadName, question, seed, drawnAt, cards }
+ */
+export class ConversationStore {
+    /**
+     * Create a new conversation
+     * @param {Object} data - { userId, chatMode }
+     * @returns {Promise<Object>} Created conversation
+     */
+    async createConversation({ userId, chatMode = 'astro' }) {
+        throw new Error('createConversation() not implemented');
+    }
+
+    /**
+     * Get conversation by id
+     * @returns {Promise<Object|null>}
+     */
+    async getConversation(conversationId) {
+        throw new Error('getConversation() not implemented');
+    }
+
+    /**
+     * Get the most recent conversation for a user that has not been ended
+     * @returns {Promise<Object|null>}
+     */
+    async getActiveConversation(userId) {
+        throw new Error('getActiveConversation() not implemented');
+    }
+
+    /**
+     * Update conversation fields (chatMode, endedAt)
+     * @returns {Promise<Object|null>} Updated conversation
+     */
+    async updateConversation(conversationId, updates) {
+        throw new Error('updateConversation() not implemented');
+    }
+
+    /**
+     * Append a message to a conversation
+     * @param {Object} message - { role, content, group, timestamp }
+     * @returns {Promise<Object>} Stored message
+     */
+    async addMessage(conversationId, message) {
+        throw new Error('addMessage() not implemented');
+    }
+
+    /**
+     * Get all messages of a conversation in chronological order
+     * @returns {Promise<Array>}
+     */
+    async getMessages(conversationId) {
+        throw new Error('getMessages() not implemented');
+    }
+
+    /**
+     * Store a tarot reading drawn in a conversation (see TarotService.drawSpread)
+     * @returns {Promise<Object>} Stored reading
+     */
+    async addTarotReading(conversationId, reading) {
+        throw new Error('addTarotReading() not implemented');
+    }
+
+    /**
+     * Get the tarot readings of a conversation, oldest first
+     * @returns {Promise<Array>}
+     */
+    async getTarotReadings(conversationId) {
+        throw new Error('getTarotReadings() not implemented');
+    }
+
+    /**
+     * Mark conversation as ended
+     */
+    async endConversation(conversationId) {
+        return this.updateConversation(conversationId, { endedAt: new Date().toISOString() });
+    }
+}
@@ -0,0 +1,25 @@
+/**
+ * ForecastCacheStore - Interface for generated forecasts, keyed by date, time zone and chart fingerprint
+ *
+ * Entry: { forecast, aspects, date, timezone, createdAt, expiresAt } - expiresAt in ms epoch
+ */
+export class ForecastCacheStore {
+    /**
+     * Get a cached forecast (null when missing or expired)
+     * @returns {Promise<Object|null>}
+     */
+    async get(key) {
+        throw new Error('get() not implemented');
+    }
+
+    /**
+     * Store a forecast
+     * @param {string} key - Cache key (see ForecastService.cacheKey)
+     * @param {Object} entry - Forecast entry without expiresAt
+     * @param {number} ttlMs - Time to live
+     * @returns {Promise<Object>} Stored entry
+     */
+    async set(key, entry, ttlMs) {
+        throw new Error('set() not implemented');
+    }
+}
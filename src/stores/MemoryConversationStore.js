@@ -0,0 +1,182 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { ConversationStore } from './ConversationStore.js';
+
+/**
+ * MemoryConversationStore - In-memory conversation storage for local dev and tests
+ * When filePath is set, the whole store is mirrored to a JSON file so it survives restarts.
+ */
+export class MemoryConversationStore extends ConversationStore {
+    constructor({ filePath = null } = {}) {
+        super();
+        this.filePath = filePath;
+        // Map of conversationId -> conversation
+        this.conversations = new Map();
+        // Map of conversationId -> messages array
+        this.messages = new Map();
+        // Map of conversationId -> tarot readings array
+        this.tarotReadings = new Map();
+        this.loaded = false;
+        this.writeChain = Promise.resolve();
+    }
+
+    /**
+     * Load persisted data from file (once)
+     */
+    async _ensureLoaded() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        if (!this.filePath) return;
+
+        try {
+            const raw = await fs.readFile(this.filePath, 'utf-8');
+            const data = JSON.parse(raw);
+            (data.conversations || []).forEach(conversation => {
+                this.conversations.set(conversation.id, conversation);
+            });
+            Object.entries(data.messages || {}).forEach(([conversationId, messages]) => {
+                this.messages.set(conversationId, messages);
+            });
+            Object.entries(data.tarotReadings || {}).forEach(([conversationId, readings]) => {
+                this.tarotReadings.set(conversationId, readings);
+            });
+            console.log(`💾 Loaded ${this.conversations.size} conversation(s) from ${this.filePath}`);
+        } catch (error) {
+            if (error?.code !== 'ENOENT') {
+                console.error('⚠️  Failed to load conversation store file:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Write the store to file (serialized so writes never interleave)
+     */
+    async _persist() {
+        if (!this.filePath) return;
+
+        const snapshot = JSON.stringify({
+            conversations: Array.from(this.conversations.values()),
+            messages: Object.fromEntries(this.messages),
+            tarotReadings: Object.fromEntries(this.tarotReadings),
+        }, null, 2);
+
+        this.writeChain = this.writeChain
+            .then(async () => {
+                await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.writeFile(this.filePath, snapshot, 'utf-8');
+            })
+            .catch(error => {
+                console.error('⚠️  Failed to write conversation store file:', error.message);
+            });
+
+        await this.writeChain;
+    }
+
+    async createConversation({ userId, chatMode = 'astro' }) {
+        await this._ensureLoaded();
+
+        const now = new Date().toISOString();
+        const conversation = {
+            id: randomUUID(),
+            userId,
+            chatMode,
+            createdAt: now,
+            updatedAt: now,
+            endedAt: null,
+        };
+
+        this.conversations.set(conversation.id, conversation);
+        this.messages.set(conversation.id, []);
+        this.tarotReadings.set(conversation.id, []);
+        await this._persist();
+
+        return { ...conversation };
+    }
+
+    async getConversation(conversationId) {
+        await this._ensureLoaded();
+        const conversation = this.conversations.get(conversationId);
+        return conversation ? { ...conversation } : null;
+    }
+
+    async getActiveConversation(userId) {
+        await this._ensureLoaded();
+
+        let latest = null;
+        for (const conversation of this.conversations.values()) {
+            if (conversation.userId !== userId || conversation.endedAt) continue;
+            if (!latest || conversation.updatedAt > latest.updatedAt) {
+                latest = conversation;
+            }
+        }
+
+        return latest ? { ...latest } : null;
+    }
+
+    async updateConversation(conversationId, updates) {
+        await this._ensureLoaded();
+
+        const conversation = this.conversations.get(conversationId);
+        if (!conversation) return null;
+
+        if (updates.chatMode !== undefined) conversation.chatMode = updates.chatMode;
+        if (updates.endedAt !== undefined) conversation.endedAt = updates.endedAt;
+        conversation.updatedAt = new Date().toISOString();
+
+        await this._persist();
+        return { ...conversation };
+    }
+
+    async addMessage(conversationId, { role, content, group = null, timestamp = null }) {
+        await this._ensureLoaded();
+
+        const conversation = this.conversations.get(conversationId);
+        if (!conversation) {
+            throw new Error(`Conversation ${conversationId} not found`);
+        }
+
+        const message = {
+            id: randomUUID(),
+            conversationId,
+            role,
+            content,
+            group,
+            timestamp: timestamp || new Date().toISOString(),
+        };
+
+        this.messages.get(conversationId).push(message);
+        conversation.updatedAt = message.timestamp;
+
+        await this._persist();
+        return { ...message };
+    }
+
+    async getMessages(conversationId) {
+        await this._ensureLoaded();
+        return (this.messages.get(conversationId) || []).map(message => ({ ...message }));
+    }
+
+    async addTarotReading(conversationId, { id, spread, spreadName, question = null, seed, drawnAt, cards }) {
+        await this._ensureLoaded();
+
+        if (!this.conversations.has(conversationId)) {
+            throw new Error(`Conversation ${conversationId} not found`);
+        }
+
+        const reading = { id, conversationId, spread, spreadName, question, seed, drawnAt, cards };
+        if (!this.tarotReadings.has(conversationId)) {
+            this.tarotReadings.set(conversationId, []);
+        }
+        this.tarotReadings.get(conversationId).push(reading);
+
+        await this._persist();
+        return structuredClone(reading);
+    }
+
+    async getTarotReadings(conversationId) {
+        await this._ensureLoaded();
+        return structuredClone(this.tarotReadings.get(conversationId) || []);
+    }
+}
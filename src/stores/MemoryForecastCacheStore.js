@@ -0,0 +1,89 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { ForecastCacheStore } from './ForecastCacheStore.js';
+
+/**
+ * MemoryForecastCacheStore - In-process forecast cache (single server instance)
+ * Expired entries are swept on every write. When filePath is set, the cache is
+ * mirrored to a JSON file so pre-generated forecasts survive restarts.
+ */
+export class MemoryForecastCacheStore extends ForecastCacheStore {
+    constructor({ filePath = null, now = () => Date.now() } = {}) {
+        super();
+        this.filePath = filePath;
+        this.now = now;
+        // Map of key -> entry
+        this.entries = new Map();
+        this.loaded = false;
+        this.writeChain = Promise.resolve();
+    }
+
+    /**
+     * Load persisted entries from file (once)
+     */
+    async _ensureLoaded() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        if (!this.filePath) return;
+
+        try {
+            const raw = await fs.readFile(this.filePath, 'utf-8');
+            const data = JSON.parse(raw);
+            Object.entries(data.forecasts || {}).forEach(([key, entry]) => {
+                this.entries.set(key, entry);
+            });
+            console.log(`💾 Loaded ${this.entries.size} cached forecast(s) from ${this.filePath}`);
+        } catch (error) {
+            if (error?.code !== 'ENOENT') {
+                console.error('⚠️  Failed to load forecast cache file:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Write the cache to file (serialized so writes never interleave)
+     */
+    async _persist() {
+        if (!this.filePath) return;
+
+        const snapshot = JSON.stringify({ forecasts: Object.fromEntries(this.entries) }, null, 2);
+
+        this.writeChain = this.writeChain
+            .then(async () => {
+                await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.writeFile(this.filePath, snapshot, 'utf-8');
+            })
+            .catch(error => {
+                console.error('⚠️  Failed to write forecast cache file:', error.message);
+            });
+
+        await this.writeChain;
+    }
+
+    _sweep() {
+        const now = this.now();
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) this.entries.delete(key);
+        }
+    }
+
+    async get(key) {
+        await this._ensureLoaded();
+
+        const entry = this.entries.get(key);
+        if (!entry || entry.expiresAt <= this.now()) return null;
+        return { ...entry };
+    }
+
+    async set(key, entry, ttlMs) {
+        await this._ensureLoaded();
+
+        this._sweep();
+        const stored = { ...entry, expiresAt: this.now() + ttlMs };
+        this.entries.set(key, stored);
+
+        await this._persist();
+        return { ...stored };
+    }
+}
@@ -0,0 +1,46 @@
+import { RateLimitStore } from './RateLimitStore.js';
+
+/**
+ * MemoryRateLimitStore - In-process counters (single server instance)
+ * Expired counters are swept lazily every `sweepEvery` increments.
+ */
+export class MemoryRateLimitStore extends RateLimitStore {
+    constructor({ now = () => Date.now(), sweepEvery = 1000 } = {}) {
+        super();
+        this.now = now;
+        this.sweepEvery = sweepEvery;
+        // Map of key -> { count, resetAt }
+        this.counters = new Map();
+        this.incrementsSinceSweep = 0;
+    }
+
+    _sweep() {
+        const now = this.now();
+        for (const [key, counter] of this.counters) {
+            if (counter.resetAt <= now) this.counters.delete(key);
+        }
+        this.incrementsSinceSweep = 0;
+    }
+
+    async increment(key, amount, windowMs) {
+        if (++this.incrementsSinceSweep >= this.sweepEvery) {
+            this._sweep();
+        }
+
+        const now = this.now();
+        let counter = this.counters.get(key);
+        if (!counter || counter.resetAt <= now) {
+            counter = { count: 0, resetAt: now + windowMs };
+            this.counters.set(key, counter);
+        }
+
+        counter.count += amount;
+        return { ...counter };
+    }
+
+    async get(key) {
+        const counter = this.counters.get(key);
+        if (!counter || counter.resetAt <= this.now()) return null;
+        return { ...counter };
+    }
+}
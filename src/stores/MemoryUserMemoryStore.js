@@ -0,0 +1,111 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { UserMemoryStore } from './UserMemoryStore.js';
+
+/**
+ * MemoryUserMemoryStore - In-memory user memory storage for local dev and tests
+ * When filePath is set, the whole store is mirrored to a JSON file so it survives restarts.
+ */
+export class MemoryUserMemoryStore extends UserMemoryStore {
+    constructor({ filePath = null } = {}) {
+        super();
+        this.filePath = filePath;
+        // Map of userId -> memories array (oldest first)
+        this.memories = new Map();
+        this.loaded = false;
+        this.writeChain = Promise.resolve();
+    }
+
+    /**
+     * Load persisted data from file (once)
+     */
+    async _ensureLoaded() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        if (!this.filePath) return;
+
+        try {
+            const raw = await fs.readFile(this.filePath, 'utf-8');
+            const data = JSON.parse(raw);
+            Object.entries(data.memories || {}).forEach(([userId, memories]) => {
+                this.memories.set(userId, memories);
+            });
+            console.log(`💾 Loaded memories of ${this.memories.size} user(s) from ${this.filePath}`);
+        } catch (error) {
+            if (error?.code !== 'ENOENT') {
+                console.error('⚠️  Failed to load user memory store file:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Write the store to file (serialized so writes never interleave)
+     */
+    async _persist() {
+        if (!this.filePath) return;
+
+        const snapshot = JSON.stringify({ memories: Object.fromEntries(this.memories) }, null, 2);
+
+        this.writeChain = this.writeChain
+            .then(async () => {
+                await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.writeFile(this.filePath, snapshot, 'utf-8');
+            })
+            .catch(error => {
+                console.error('⚠️  Failed to write user memory store file:', error.message);
+            });
+
+        await this.writeChain;
+    }
+
+    async addMemories(userId, memories) {
+        await this._ensureLoaded();
+
+        const now = new Date().toISOString();
+        const stored = memories.map(({ kind, content, conversationId = null }) => ({
+            id: randomUUID(),
+            userId,
+            kind,
+            content,
+            conversationId,
+            createdAt: now,
+        }));
+
+        if (!this.memories.has(userId)) {
+            this.memories.set(userId, []);
+        }
+        this.memories.get(userId).push(...stored);
+
+        await this._persist();
+        return stored.map(memory => ({ ...memory }));
+    }
+
+    async listMemories(userId) {
+        await this._ensureLoaded();
+        return (this.memories.get(userId) || []).map(memory => ({ ...memory })).reverse();
+    }
+
+    async deleteMemory(userId, memoryId) {
+        await this._ensureLoaded();
+
+        const memories = this.memories.get(userId) || [];
+        const index = memories.findIndex(memory => memory.id === memoryId);
+        if (index === -1) return false;
+
+        memories.splice(index, 1);
+        await this._persist();
+        return true;
+    }
+
+    async deleteAllMemories(userId) {
+        await this._ensureLoaded();
+
+        const count = (this.memories.get(userId) || []).length;
+        this.memories.delete(userId);
+
+        await this._persist();
+        return count;
+    }
+}
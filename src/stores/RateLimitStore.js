@@ -0,0 +1,25 @@
+/**
+ * RateLimitStore - Interface for fixed-window counters (rate limits and daily quotas)
+ *
+ * Counter: { count, resetAt } - resetAt is when the window ends (ms epoch)
+ */
+export class RateLimitStore {
+    /**
+     * Add to a counter, starting a new window when the key is missing or expired
+     * @param {string} key - Counter key
+     * @param {number} amount - Amount to add
+     * @param {number} windowMs - Window length for a new counter
+     * @returns {Promise<Object>} Counter after the increment
+     */
+    async increment(key, amount, windowMs) {
+        throw new Error('increment() not implemented');
+    }
+
+    /**
+     * Get counter (null when missing or expired)
+     * @returns {Promise<Object|null>}
+     */
+    async get(key) {
+        throw new Error('get() not implemented');
+    }
+}
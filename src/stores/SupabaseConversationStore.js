@@ -0,0 +1,178 @@
+import { createClient } from '@supabase/supabase-js';
+import { ConversationStore } from './ConversationStore.js';
+
+/**
+ * SupabaseConversationStore - Production conversation storage
+ * Uses the `conversations` and `messages` tables:
+ *
+ *   conversations(id uuid pk, user_id uuid, chat_mode text,
+ *                 created_at timestamptz, updated_at timestamptz, ended_at timestamptz)
+ *   messages(id uuid pk, conversation_id uuid fk, role text, content text,
+ *            "group" int, created_at timestamptz)
+ *   tarot_readings(id uuid pk, conversation_id uuid fk, spread text, spread_name text,
+ *                  question text, seed text, cards jsonb, drawn_at timestamptz)
+ */
+export class SupabaseConversationStore extends ConversationStore {
+    constructor() {
+        super();
+        const supabaseUrl = process.env.SUPABASE_URL;
+        // Writes need to bypass RLS, so the service role key is preferred
+        const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+
+        if (!supabaseUrl || !supabaseKey) {
+            throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required for the Supabase conversation store.');
+        }
+
+        this.supabase = createClient(supabaseUrl, supabaseKey);
+    }
+
+    _toConversation(row) {
+        if (!row) return null;
+        return {
+            id: row.id,
+            userId: row.user_id,
+            chatMode: row.chat_mode,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+            endedAt: row.ended_at,
+        };
+    }
+
+    _toMessage(row) {
+        return {
+            id: row.id,
+            conversationId: row.conversation_id,
+            role: row.role,
+            content: row.content,
+            group: row.group,
+            timestamp: row.created_at,
+        };
+    }
+
+    _toTarotReading(row) {
+        return {
+            id: row.id,
+            conversationId: row.conversation_id,
+            spread: row.spread,
+            spreadName: row.spread_name,
+            question: row.question,
+            seed: row.seed,
+            drawnAt: row.drawn_at,
+            cards: row.cards,
+        };
+    }
+
+    async createConversation({ userId, chatMode = 'astro' }) {
+        const now = new Date().toISOString();
+        const { data, error } = await this.supabase
+            .from('conversations')
+            .insert({ user_id: userId, chat_mode: chatMode, created_at: now, updated_at: now })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return this._toConversation(data);
+    }
+
+    async getConversation(conversationId) {
+        const { data, error } = await this.supabase
+            .from('conversations')
+            .select('*')
+            .eq('id', conversationId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return this._toConversation(data);
+    }
+
+    async getActiveConversation(userId) {
+        const { data, error } = await this.supabase
+            .from('conversations')
+            .select('*')
+            .eq('user_id', userId)
+            .is('ended_at', null)
+            .order('updated_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (error) throw error;
+        return this._toConversation(data);
+    }
+
+    async updateConversation(conversationId, updates) {
+        const row = { updated_at: new Date().toISOString() };
+        if (updates.chatMode !== undefined) row.chat_mode = updates.chatMode;
+        if (updates.endedAt !== undefined) row.ended_at = updates.endedAt;
+
+        const { data, error } = await this.supabase
+            .from('conversations')
+            .update(row)
+            .eq('id', conversationId)
+            .select()
+            .maybeSingle();
+
+        if (error) throw error;
+        return this._toConversation(data);
+    }
+
+    async addMessage(conversationId, { role, content, group = null, timestamp = null }) {
+        const createdAt = timestamp || new Date().toISOString();
+        const { data, error } = await this.supabase
+            .from('messages')
+            .insert({ conversation_id: conversationId, role, content, group, created_at: createdAt })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        // Keep conversation ordering by last activity
+        await this.supabase
+            .from('conversations')
+            .update({ updated_at: createdAt })
+            .eq('id', conversationId);
+
+        return this._toMessage(data);
+    }
+
+    async getMessages(conversationId) {
+        const { data, error } = await this.supabase
+            .from('messages')
+            .select('*')
+            .eq('conversation_id', conversationId)
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+        return (data || []).map(row => this._toMessage(row));
+    }
+
+    async addTarotReading(conversationId, { id, spread, spreadName, question = null, seed, drawnAt, cards }) {
+        const { data, error } = await this.supabase
+            .from('tarot_readings')
+            .insert({
+                id,
+                conversation_id: conversationId,
+                spread,
+                spread_name: spreadName,
+                question,
+                seed,
+                cards,
+                drawn_at: drawnAt,
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return this._toTarotReading(data);
+    }
+
+    async getTarotReadings(conversationId) {
+        const { data, error } = await this.supabase
+            .from('tarot_readings')
+            .select('*')
+            .eq('conversation_id', conversationId)
+            .order('drawn_at', { ascending: true });
+
+        if (error) throw error;
+        return (data || []).map(row => this._toTarotReading(row));
+    }
+}
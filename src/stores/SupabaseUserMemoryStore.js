@@ -0,0 +1,88 @@
+import { createClient } from '@supabase/supabase-js';
+import { UserMemoryStore } from './UserMemoryStore.js';
+
+/**
+ * SupabaseUserMemoryStore - Production user memory storage
+ * Uses the `user_memories` table:
+ *
+ *   user_memories(id uuid pk, user_id uuid, kind text, content text,
+ *                 conversation_id uuid null, created_at timestamptz)
+ */
+export class SupabaseUserMemoryStore extends UserMemoryStore {
+    constructor() {
+        super();
+        const supabaseUrl = process.env.SUPABASE_URL;
+        // Writes need to bypass RLS, so the service role key is preferred
+        const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+
+        if (!supabaseUrl || !supabaseKey) {
+            throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required for the Supabase user memory store.');
+        }
+
+        this.supabase = createClient(supabaseUrl, supabaseKey);
+    }
+
+    _toMemory(row) {
+        return {
+            id: row.id,
+            userId: row.user_id,
+            kind: row.kind,
+            content: row.content,
+            conversationId: row.conversation_id,
+            createdAt: row.created_at,
+        };
+    }
+
+    async addMemories(userId, memories) {
+        if (memories.length === 0) return [];
+
+        const now = new Date().toISOString();
+        const { data, error } = await this.supabase
+            .from('user_memories')
+            .insert(memories.map(({ kind, content, conversationId = null }) => ({
+                user_id: userId,
+                kind,
+                content,
+                conversation_id: conversationId,
+                created_at: now,
+            })))
+            .select();
+
+        if (error) throw error;
+        return (data || []).map(row => this._toMemory(row));
+    }
+
+    async listMemories(userId) {
+        const { data, error } = await this.supabase
+            .from('user_memories')
+            .select('*')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        return (data || []).map(row => this._toMemory(row));
+    }
+
+    async deleteMemory(userId, memoryId) {
+        const { data, error } = await this.supabase
+            .from('user_memories')
+            .delete()
+            .eq('id', memoryId)
+            .eq('user_id', userId)
+            .select('id');
+
+        if (error) throw error;
+        return (data || []).length > 0;
+    }
+
+    async deleteAllMemories(userId) {
+        const { data, error } = await this.supabase
+            .from('user_memories')
+            .delete()
+            .eq('user_id', userId)
+            .select('id');
+
+        if (error) throw error;
+        return (data || []).length;
+    }
+}
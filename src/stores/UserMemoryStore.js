@@ -0,0 +1,41 @@
+/**
+ * UserMemoryStore - Interface for long-term memories about a user
+ * Memories are keyed by the authenticated Supabase user id.
+ *
+ * Memory: { id, userId, kind, content, conversationId, createdAt }
+ * kind: 'relationship' | 'situation' | 'card' | 'prediction' | 'fact'
+ */
+export class UserMemoryStore {
+    /**
+     * Store new memories
+     * @param {Array} memories - [{ kind, content, conversationId }]
+     * @returns {Promise<Array>} Stored memories
+     */
+    async addMemories(userId, memories) {
+        throw new Error('addMemories() not implemented');
+    }
+
+    /**
+     * Get all memories of a user, newest first
+     * @returns {Promise<Array>}
+     */
+    async listMemories(userId) {
+        throw new Error('listMemories() not implemented');
+    }
+
+    /**
+     * Delete one memory (only if it belongs to the user)
+     * @returns {Promise<boolean>} Whether a memory was deleted
+     */
+    async deleteMemory(userId, memoryId) {
+        throw new Error('deleteMemory() not implemented');
+    }
+
+    /**
+     * Delete all memories of a user
+     * @returns {Promise<number>} Number of deleted memories
+     */
+    async deleteAllMemories(userId) {
+        throw new Error('deleteAllMemories() not implemented');
+    }
+}
@@ -0,0 +1,25 @@
+import path from 'path';
+import { MemoryConversationStore } from './MemoryConversationStore.js';
+import { SupabaseConversationStore } from './SupabaseConversationStore.js';
+
+/**
+ * Create conversation store selected by CONVERSATION_STORE env var
+ * - 'memory'   (default) in-memory only
+ * - 'file'     in-memory mirrored to CONVERSATION_STORE_FILE (default: data/conversations.json)
+ * - 'supabase' Supabase conversations/messages tables
+ */
+export function createConversationStore(type = process.env.CONVERSATION_STORE || 'memory') {
+    switch (type) {
+        case 'supabase':
+            return new SupabaseConversationStore();
+        case 'file': {
+            const filePath = process.env.CONVERSATION_STORE_FILE
+                || path.join(process.cwd(), 'data', 'conversations.json');
+            return new MemoryConversationStore({ filePath });
+        }
+        case 'memory':
+            return new MemoryConversationStore();
+        default:
+            throw new Error(`Unknown CONVERSATION_STORE: ${type}`);
+    }
+}
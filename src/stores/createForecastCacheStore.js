@@ -0,0 +1,21 @@
+import path from 'path';
+import { MemoryForecastCacheStore } from './MemoryForecastCacheStore.js';
+
+/**
+ * Create forecast cache store selected by FORECAST_CACHE_STORE env var
+ * - 'memory' (default) in-process only
+ * - 'file'   in-memory mirrored to FORECAST_CACHE_FILE (default: data/forecasts.json)
+ */
+export function createForecastCacheStore(type = process.env.FORECAST_CACHE_STORE || 'memory') {
+    switch (type) {
+        case 'file': {
+            const filePath = process.env.FORECAST_CACHE_FILE
+                || path.join(process.cwd(), 'data', 'forecasts.json');
+            return new MemoryForecastCacheStore({ filePath });
+        }
+        case 'memory':
+            return new MemoryForecastCacheStore();
+        default:
+            throw new Error(`Unknown FORECAST_CACHE_STORE: ${type}`);
+    }
+}
@@ -0,0 +1,14 @@
+import { MemoryRateLimitStore } from './MemoryRateLimitStore.js';
+
+/**
+ * Create rate limit store selected by RATE_LIMIT_STORE env var
+ * - 'memory' (default) in-process counters, single server instance only
+ */
+export function createRateLimitStore(type = process.env.RATE_LIMIT_STORE || 'memory') {
+    switch (type) {
+        case 'memory':
+            return new MemoryRateLimitStore();
+        default:
+            throw new Error(`Unknown RATE_LIMIT_STORE: ${type}`);
+    }
+}
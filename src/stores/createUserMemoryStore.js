@@ -0,0 +1,25 @@
+import path from 'path';
+import { MemoryUserMemoryStore } from './MemoryUserMemoryStore.js';
+import { SupabaseUserMemoryStore } from './SupabaseUserMemoryStore.js';
+
+/**
+ * Create user memory store selected by USER_MEMORY_STORE env var
+ * - 'memory'   (default) in-memory only
+ * - 'file'     in-memory mirrored to USER_MEMORY_STORE_FILE (default: data/user_memories.json)
+ * - 'supabase' Supabase user_memories table
+ */
+export function createUserMemoryStore(type = process.env.USER_MEMORY_STORE || 'memory') {
+    switch (type) {
+        case 'supabase':
+            return new SupabaseUserMemoryStore();
+        case 'file': {
+            const filePath = process.env.USER_MEMORY_STORE_FILE
+                || path.join(process.cwd(), 'data', 'user_memories.json');
+            return new MemoryUserMemoryStore({ filePath });
+        }
+        case 'memory':
+            return new MemoryUserMemoryStore();
+        default:
+            throw new Error(`Unknown USER_MEMORY_STORE: ${type}`);
+    }
+}
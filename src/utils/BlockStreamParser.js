@@ -0,0 +1,96 @@
+/**
+ * BlockStreamParser - Incremental parser for streamed `{ "blocks": [...] }` responses
+ *
+ * Feed raw model text chunks with push(); every block object that is fully
+ * received is returned as soon as its closing brace arrives. Text around the
+ * JSON (markdown code fences, leading prose) is ignored.
+ */
+export class BlockStreamParser {
+    constructor() {
+        this.text = '';
+        this.pos = 0;
+        // 'seek' -> looking for "blocks": [ | 'array' -> inside blocks array | 'done'
+        this.state = 'seek';
+        this.depth = 0;
+        this.inString = false;
+        this.escaped = false;
+        this.objectStart = -1;
+        this.count = 0;
+    }
+
+    /**
+     * Add a chunk of model output
+     * @param {string} chunk - Raw text chunk
+     * @returns {Array} Newly completed block objects
+     */
+    push(chunk) {
+        this.text += chunk;
+        const blocks = [];
+
+        if (this.state === 'seek') {
+            const match = /"blocks"\s*:\s*\[/.exec(this.text);
+            if (!match) return blocks;
+            this.pos = match.index + match[0].length;
+            this.state = 'array';
+        }
+
+        while (this.state === 'array' && this.pos < this.text.length) {
+            const char = this.text[this.pos];
+
+            if (this.depth === 0) {
+                // Between blocks: whitespace, commas, or the end of the array
+                if (char === '{') {
+                    this.objectStart = this.pos;
+                    this.depth = 1;
+                } else if (char === ']') {
+                    this.state = 'done';
+                }
+            } else if (this.inString) {
+                if (this.escaped) {
+                    this.escaped = false;
+                } else if (char === '\\') {
+                    this.escaped = true;
+                } else if (char === '"') {
+                    this.inString = false;
+                }
+            } else if (char === '"') {
+                this.inString = true;
+            } else if (char === '{') {
+                this.depth++;
+            } else if (char === '}') {
+                this.depth--;
+                if (this.depth === 0) {
+                    blocks.push(this._parseObject(this.text.slice(this.objectStart, this.pos + 1)));
+                }
+            }
+
+            this.pos++;
+        }
+
+        return blocks;
+    }
+
+    _parseObject(json) {
+        try {
+            const block = JSON.parse(json);
+            this.count++;
+            return block;
+        } catch (error) {
+            throw new Error(`Failed to parse streamed block ${this.count}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Whether the closing bracket of the blocks array was received
+     */
+    isComplete() {
+        return this.state === 'done';
+    }
+
+    /**
+     * All raw text received so far
+     */
+    getText() {
+        return this.text;
+    }
+}
@@ -0,0 +1,106 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const EXPERT_SUFFIX = '_expert.txt';
+const MODE_PATTERN = /^[a-z0-9_]+$/;
+// First line of a persona file, e.g. "### CONTEXT-SPECIFIC PROMPT: TAROT READER"
+const TITLE_PATTERN = /^#+\s*(?:CONTEXT-SPECIFIC PROMPT:\s*)?(.+)$/;
+// Optional metadata block at the very top of a persona file ("---", "key: value" lines, "---")
+const METADATA_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---\r?\n/;
+
+/**
+ * Display name of a persona from its title line (falls back to the mode)
+ */
+function personaName(mode, text) {
+    const match = text.split('\n', 1)[0].trim().match(TITLE_PATTERN);
+    if (!match) return mode;
+    return match[1].trim().toLowerCase().replace(/\b\p{L}/gu, letter => letter.toUpperCase());
+}
+
+/**
+ * Split a persona file into its metadata ({ key: value }, 'true' / 'false' as booleans) and text
+ */
+function parsePersonaFile(raw) {
+    const match = raw.match(METADATA_PATTERN);
+    if (!match) return { metadata: {}, text: raw };
+
+    const metadata = {};
+    match[1].split(/\r?\n/).forEach((line) => {
+        const separator = line.indexOf(':');
+        if (separator === -1) return;
+        const value = line.slice(separator + 1).trim();
+        metadata[line.slice(0, separator).trim()] = value === 'true' ? true : value === 'false' ? false : value;
+    });
+    return { metadata, text: raw.slice(match[0].length) };
+}
+
+/**
+ * PersonaRegistry - Chat modes and their system prompts
+ *
+ * Every `<mode>_expert.txt` in the config directory is a chat mode (astro_expert.txt ->
+ * 'astro', tarot_astro_expert.txt -> 'tarot_astro'). Its prompt is base_formatting_rules.txt
+ * followed by the persona file, so adding a persona only takes a new file.
+ * A file may start with a metadata block, e.g. `tarot: true` for personas that read
+ * server-drawn tarot cards (the block is not part of the prompt).
+ * Persona: { mode, name, prompt, tarot } - name comes from the file's title line.
+ */
+export class PersonaRegistry {
+    constructor(personas = [], defaultMode = 'astro') {
+        this.personas = new Map(personas.map(persona => [persona.mode, persona]));
+        if (!this.has(defaultMode)) {
+            throw new Error(`Unknown default chat mode: ${defaultMode}`);
+        }
+        this.defaultMode = defaultMode;
+    }
+
+    /**
+     * Discover personas in a config directory
+     * @param {string} configDir - Directory with base_formatting_rules.txt and the *_expert.txt files
+     * @param {string} defaultMode - Mode of new sessions
+     */
+    static async load(configDir = path.join(process.cwd(), 'src', 'config'), defaultMode = 'astro') {
+        const baseFormattingRules = await fs.readFile(path.join(configDir, 'base_formatting_rules.txt'), 'utf-8');
+        const modes = (await fs.readdir(configDir))
+            .filter(file => file.endsWith(EXPERT_SUFFIX))
+            .map(file => file.slice(0, -EXPERT_SUFFIX.length))
+            .sort();
+
+        const personas = [];
+        for (const mode of modes) {
+            const file = `${mode}${EXPERT_SUFFIX}`;
+            if (!MODE_PATTERN.test(mode)) {
+                console.warn(`⚠️  Skipping persona file ${file}: mode names use a-z, 0-9 and _`);
+                continue;
+            }
+            const { metadata, text } = parsePersonaFile(await fs.readFile(path.join(configDir, file), 'utf-8'));
+            personas.push({
+                mode,
+                name: personaName(mode, text),
+                prompt: baseFormattingRules + '\n\n' + text,
+                tarot: metadata.tarot === true,
+            });
+        }
+
+        return new PersonaRegistry(personas, defaultMode);
+    }
+
+    has(mode) {
+        return typeof mode === 'string' && this.personas.has(mode);
+    }
+
+    modes() {
+        return [...this.personas.keys()];
+    }
+
+    get(mode) {
+        return this.personas.get(mode) || null;
+    }
+
+    /**
+     * Modes for clients (no prompts)
+     * @returns {Array} [{ mode, name }]
+     */
+    list() {
+        return [...this.personas.values()].map(({ mode, name }) => ({ mode, name }));
+    }
+}
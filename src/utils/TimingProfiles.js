@@ -0,0 +1,118 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const DURATION_KEYS = ['typingIdleMs', 'maxTypingMs', 'groupDelayMs', 'endUpdateMs', 'minBlockDelayMs'];
+
+// Range per-user overrides are clamped to (clients must not stall or flood a session)
+const OVERRIDE_BOUNDS = {
+    speed: [0.25, 4],
+    typingSpeed: [0.25, 4],
+    typingIdleMs: [1000, 60000],
+    maxTypingMs: [5000, 300000],
+    groupDelayMs: [0, 30000],
+    endUpdateMs: [5000, 300000],
+    minBlockDelayMs: [100, 10000],
+};
+
+function clamp(key, value) {
+    const [min, max] = OVERRIDE_BOUNDS[key];
+    return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * TimingProfiles - Named conversation timing profiles (src/config/timing_profiles.json)
+ *
+ * A profile holds the idle / max-typing / group-delay / EndUpdate durations,
+ * the minimum delay between blocks, a speed multiplier (durations are divided
+ * by it), a typingSpeed multiplier (only block typing time is divided by it)
+ * and whether block delays simulate typing (block.typingTime).
+ * Profiles are picked per session, then per chat mode, then the default;
+ * per-user overrides are applied on top.
+ */
+export class TimingProfiles {
+    constructor({ profiles = {}, modes = {}, defaultProfile = 'realistic' } = {}) {
+        this.profiles = profiles;
+        this.modes = modes;
+        if (!this.has(defaultProfile)) {
+            throw new Error(`Unknown default timing profile: ${defaultProfile}`);
+        }
+        this.defaultProfile = defaultProfile;
+    }
+
+    /**
+     * Load profiles from JSON config
+     * @param {string} filePath - Config file path
+     * @param {string} defaultProfile - Optional default profile (overrides the file)
+     */
+    static async load(filePath = path.join(process.cwd(), 'src', 'config', 'timing_profiles.json'), defaultProfile = null) {
+        const config = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        return new TimingProfiles({
+            ...config,
+            defaultProfile: defaultProfile || config.defaultProfile,
+        });
+    }
+
+    has(name) {
+        return Object.prototype.hasOwnProperty.call(this.profiles, name);
+    }
+
+    names() {
+        return Object.keys(this.profiles);
+    }
+
+    /**
+     * Keep only valid override fields, clamped to OVERRIDE_BOUNDS
+     * @returns {Object} { speed?, typingSpeed?, simulateTyping?, <duration>Ms? }
+     */
+    sanitizeOverrides(overrides = {}) {
+        const clean = {};
+        if (!overrides || typeof overrides !== 'object') return clean;
+
+        ['speed', 'typingSpeed'].forEach((key) => {
+            const value = Number(overrides[key]);
+            if (Number.isFinite(value) && value > 0) {
+                clean[key] = clamp(key, value);
+            }
+        });
+        if (typeof overrides.simulateTyping === 'boolean') {
+            clean.simulateTyping = overrides.simulateTyping;
+        }
+        DURATION_KEYS.forEach((key) => {
+            const value = Number(overrides[key]);
+            if (overrides[key] !== undefined && Number.isFinite(value) && value >= 0) {
+                clean[key] = clamp(key, value);
+            }
+        });
+
+        return clean;
+    }
+
+    /**
+     * Resolve effective timing in milliseconds (speed already applied)
+     * @param {Object} options - { profile, mode, overrides }
+     * @returns {Object} { profile, speed, typingSpeed, simulateTyping, typingIdleMs, maxTypingMs, groupDelayMs, endUpdateMs, minBlockDelayMs }
+     */
+    resolve({ profile = null, mode = null, overrides = {} } = {}) {
+        let name = this.defaultProfile;
+        if (profile && this.has(profile)) {
+            name = profile;
+        } else if (mode && this.has(this.modes[mode])) {
+            name = this.modes[mode];
+        }
+
+        const settings = { ...this.profiles[name], ...this.sanitizeOverrides(overrides) };
+        const speed = settings.speed > 0 ? settings.speed : 1;
+
+        const timing = {
+            profile: name,
+            speed,
+            typingSpeed: settings.typingSpeed > 0 ? settings.typingSpeed : 1,
+            simulateTyping: settings.simulateTyping !== false,
+        };
+        DURATION_KEYS.forEach((key) => {
+            timing[key] = Math.floor((settings[key] || 0) / speed);
+        });
+
+        return timing;
+    }
+}
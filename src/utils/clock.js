@@ -0,0 +1,105 @@
+/**
+ * Clock / scheduler used by TimerManager, BufferManager and StateOrchestrator
+ * Interface: { now(), setTimeout(callback, ms), clearTimeout(id) }
+ */
+export const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (callback, ms) => setTimeout(callback, ms),
+    clearTimeout: (id) => clearTimeout(id),
+};
+
+/**
+ * VirtualClock - Manually advanced clock for deterministic runs of the state machine
+ * Timers only fire from advance() / runAll(); async work started by a timer
+ * callback is allowed to settle before the next timer fires.
+ */
+export class VirtualClock {
+    constructor(startTime = 0, { flushRounds = 5 } = {}) {
+        this.currentTime = startTime;
+        // Real event-loop turns given to async work after each fired timer
+        this.flushRounds = flushRounds;
+        this.nextId = 1;
+        // Map of id -> { callback, dueAt }
+        this.timers = new Map();
+    }
+
+    now() {
+        return this.currentTime;
+    }
+
+    setTimeout(callback, ms = 0) {
+        const id = this.nextId++;
+        this.timers.set(id, { callback, dueAt: this.currentTime + Math.max(Number(ms) || 0, 0) });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timers.delete(id);
+    }
+
+    /**
+     * Number of scheduled timers
+     */
+    get pending() {
+        return this.timers.size;
+    }
+
+    /**
+     * Let pending promise chains and real I/O (prompt logs, file stores) settle
+     */
+    async flush() {
+        for (let i = 0; i < this.flushRounds; i++) {
+            await new Promise(resolve => setImmediate(resolve));
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+
+    _nextDue(limit) {
+        let next = null;
+        for (const [id, timer] of this.timers) {
+            if (timer.dueAt <= limit && (!next || timer.dueAt < next.dueAt)) {
+                next = { id, ...timer };
+            }
+        }
+        return next;
+    }
+
+    /**
+     * Move time forward, firing due timers in order
+     * @param {number} ms - Milliseconds to advance
+     */
+    async advance(ms) {
+        const target = this.currentTime + ms;
+        await this.flush();
+
+        let timer = this._nextDue(target);
+        while (timer) {
+            this.timers.delete(timer.id);
+            this.currentTime = timer.dueAt;
+            timer.callback();
+            await this.flush();
+            timer = this._nextDue(target);
+        }
+
+        this.currentTime = target;
+    }
+
+    /**
+     * Fire timers until none are left
+     * @param {number} maxTimers - Guard against timers that keep rescheduling
+     */
+    async runAll(maxTimers = 1000) {
+        await this.flush();
+
+        for (let fired = 0; this.timers.size > 0; fired++) {
+            if (fired >= maxTimers) {
+                throw new Error(`VirtualClock.runAll: more than ${maxTimers} timers fired`);
+            }
+            const timer = this._nextDue(Infinity);
+            this.timers.delete(timer.id);
+            this.currentTime = timer.dueAt;
+            timer.callback();
+            await this.flush();
+        }
+    }
+}
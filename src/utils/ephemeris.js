@@ -0,0 +1,280 @@
+/**
+ * Offline ephemeris - geocentric ecliptic longitudes of the Sun, Moon and planets,
+ * sidereal time and house cusps
+ *
+ * Planets use the JPL Keplerian elements (Standish, valid 1800-2050, error well under
+ * a degree for every planet) precessed to the equinox of date; the Moon uses the main
+ * periodic terms of Meeus' lunar theory (~0.1°). Nutation, aberration and ΔT are
+ * ignored - good enough for signs, houses and aspects, not for astronomy.
+ */
+
+const DEG = Math.PI / 180;
+const J2000 = 2451545.0;
+// General precession in longitude, degrees per Julian century
+const PRECESSION_PER_CENTURY = 1.396971;
+
+// [a (AU), e, I, L, long. perihelion, long. ascending node] at J2000 and per century
+const ELEMENTS = {
+    mercury: [[0.38709927, 0.20563593, 7.00497902, 252.25032350, 77.45779628, 48.33076593],
+        [0.00000037, 0.00001906, -0.00594749, 149472.67411175, 0.16047689, -0.12534081]],
+    venus: [[0.72333566, 0.00677672, 3.39467605, 181.97909950, 131.60246718, 76.67984255],
+        [0.00000390, -0.00004107, -0.00078890, 58517.81538729, 0.00268329, -0.27769418]],
+    earth: [[1.00000261, 0.01671123, -0.00001531, 100.46457166, 102.93768193, 0.0],
+        [0.00000562, -0.00004392, -0.01294668, 35999.37244981, 0.32327364, 0.0]],
+    mars: [[1.52371034, 0.09339410, 1.84969142, -4.55343205, -23.94362959, 49.55953891],
+        [0.00001847, 0.00007882, -0.00813131, 19140.30268499, 0.44441088, -0.29257343]],
+    jupiter: [[5.20288700, 0.04838624, 1.30439695, 34.39644051, 14.72847983, 100.47390909],
+        [-0.00011607, -0.00013253, -0.00183714, 3034.74612775, 0.21252668, 0.20469106]],
+    saturn: [[9.53667594, 0.05386179, 2.48599187, 49.95424423, 92.59887831, 113.66242448],
+        [-0.00125060, -0.00050991, 0.00193609, 1222.49362201, -0.41897216, -0.28867794]],
+    uranus: [[19.18916464, 0.04725744, 0.77263783, 313.23810451, 170.95427630, 74.01692503],
+        [-0.00196176, -0.00004397, -0.00242939, 428.48202785, 0.40805281, 0.04240589]],
+    neptune: [[30.06992276, 0.00859048, 1.77004347, -55.12002969, 44.96476227, 131.78422574],
+        [0.00026291, 0.00005105, 0.00035372, 218.45945325, -0.32241464, -0.00508664]],
+    pluto: [[39.48211675, 0.24882730, 17.14001206, 238.92903833, 224.06891629, 110.30393684],
+        [-0.00031596, 0.00005170, 0.00004818, 145.20780515, -0.04062942, -0.01183482]],
+};
+
+// Moon: [D, M, M', F, coefficient (1e-6 degrees)] - terms with M are scaled by E
+const MOON_TERMS = [
+    [0, 0, 1, 0, 6288774], [2, 0, -1, 0, 1274027], [2, 0, 0, 0, 658314],
+    [0, 0, 2, 0, 213618], [0, 1, 0, 0, -185116], [0, 0, 0, 2, -114332],
+    [2, 0, -2, 0, 58793], [2, -1, -1, 0, 57066], [2, 0, 1, 0, 53322],
+    [2, -1, 0, 0, 45758], [0, 1, -1, 0, -40923], [1, 0, 0, 0, -34720],
+    [0, 1, 1, 0, -30383], [2, 0, 0, -2, 15327], [0, 0, 1, 2, -12528],
+    [0, 0, 1, -2, 10980], [4, 0, -1, 0, 10675], [0, 0, 3, 0, 10034],
+    [4, 0, -2, 0, 8548], [2, 1, -1, 0, -7888], [2, 1, 0, 0, -6766],
+    [1, 0, -1, 0, -5163], [1, 1, 0, 0, 4987], [2, -1, 1, 0, 4036],
+    [2, 0, 2, 0, 3994], [4, 0, 0, 0, 3861], [2, 0, -3, 0, 3665],
+    [0, 1, -2, 0, -2689], [2, 0, -1, 2, -2602], [2, -1, -2, 0, 2390],
+    [1, 0, 1, 0, -2348], [2, -2, 0, 0, 2236], [0, 1, 2, 0, -2120],
+    [0, 2, 0, 0, -2069],
+];
+
+export const BODIES = ['sun', 'moon', 'mercury', 'venus', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune', 'pluto'];
+
+export const SIGNS = [
+    'Aries', 'Taurus', 'Gemini', 'Cancer', 'Leo', 'Virgo',
+    'Libra', 'Scorpio', 'Sagittarius', 'Capricorn', 'Aquarius', 'Pisces',
+];
+
+export const HOUSE_SYSTEMS = ['placidus', 'equal', 'whole_sign'];
+
+export function normalizeDegrees(degrees) {
+    const result = degrees % 360;
+    return result < 0 ? result + 360 : result;
+}
+
+/**
+ * Signed difference a - b in (-180, 180]
+ */
+export function angleDifference(a, b) {
+    const diff = normalizeDegrees(a - b);
+    return diff > 180 ? diff - 360 : diff;
+}
+
+/**
+ * Zodiac sign of an ecliptic longitude: { sign, degree } (degree within the sign)
+ */
+export function signOf(longitude) {
+    const lon = normalizeDegrees(longitude);
+    return { sign: SIGNS[Math.floor(lon / 30)], degree: lon % 30 };
+}
+
+/**
+ * Julian day (UT) of a Date
+ */
+export function julianDay(date) {
+    return date.getTime() / 86400000 + 2440587.5;
+}
+
+function centuries(jd) {
+    return (jd - J2000) / 36525;
+}
+
+/**
+ * Mean obliquity of the ecliptic (degrees)
+ */
+export function obliquity(jd) {
+    return 23.439291 - 0.0130042 * centuries(jd);
+}
+
+/**
+ * Local sidereal time in degrees (RAMC)
+ * @param {number} longitude - Geographic longitude, east positive
+ */
+export function localSiderealTime(jd, longitude) {
+    const t = centuries(jd);
+    const gmst = 280.46061837 + 360.98564736629 * (jd - J2000) + 0.000387933 * t * t - t * t * t / 38710000;
+    return normalizeDegrees(gmst + longitude);
+}
+
+function solveKepler(meanAnomaly, e) {
+    let E = meanAnomaly + e * Math.sin(meanAnomaly);
+    for (let i = 0; i < 10; i++) {
+        const delta = (E - e * Math.sin(E) - meanAnomaly) / (1 - e * Math.cos(E));
+        E -= delta;
+        if (Math.abs(delta) < 1e-10) break;
+    }
+    return E;
+}
+
+/**
+ * Heliocentric ecliptic coordinates (J2000 frame, AU)
+ */
+function heliocentric(body, t) {
+    const [base, rate] = ELEMENTS[body];
+    const [a, e, I, L, peri, node] = base.map((value, i) => value + rate[i] * t);
+
+    const argPeri = (peri - node) * DEG;
+    const E = solveKepler(normalizeDegrees(L - peri) * DEG, e);
+    const xOrbit = a * (Math.cos(E) - e);
+    const yOrbit = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+    const cw = Math.cos(argPeri), sw = Math.sin(argPeri);
+    const cn = Math.cos(node * DEG), sn = Math.sin(node * DEG);
+    const ci = Math.cos(I * DEG), si = Math.sin(I * DEG);
+
+    return {
+        x: (cw * cn - sw * sn * ci) * xOrbit + (-sw * cn - cw * sn * ci) * yOrbit,
+        y: (cw * sn + sw * cn * ci) * xOrbit + (-sw * sn + cw * cn * ci) * yOrbit,
+        z: (sw * si) * xOrbit + (cw * si) * yOrbit,
+    };
+}
+
+function moonLongitude(t) {
+    const L = 218.3164477 + 481267.88123421 * t;
+    const D = (297.8501921 + 445267.1114034 * t) * DEG;
+    const M = (357.5291092 + 35999.0502909 * t) * DEG;
+    const Mp = (134.9633964 + 477198.8675055 * t) * DEG;
+    const F = (93.2720950 + 483202.0175233 * t) * DEG;
+    const E = 1 - 0.002516 * t - 0.0000074 * t * t;
+
+    const sum = MOON_TERMS.reduce((total, [d, m, mp, f, coefficient]) => {
+        const scale = m === 0 ? 1 : (Math.abs(m) === 1 ? E : E * E);
+        return total + coefficient * scale * Math.sin(d * D + m * M + mp * Mp + f * F);
+    }, 0);
+
+    return normalizeDegrees(L + sum / 1e6);
+}
+
+/**
+ * Geocentric ecliptic longitude (equinox of date, degrees)
+ */
+export function geocentricLongitude(body, jd) {
+    const t = centuries(jd);
+    if (body === 'moon') return moonLongitude(t);
+
+    const earth = heliocentric('earth', t);
+    const precession = PRECESSION_PER_CENTURY * t;
+    if (body === 'sun') {
+        return normalizeDegrees(Math.atan2(-earth.y, -earth.x) / DEG + precession);
+    }
+    if (!ELEMENTS[body] || body === 'earth') {
+        throw new Error(`Unknown body: ${body}`);
+    }
+
+    const planet = heliocentric(body, t);
+    return normalizeDegrees(Math.atan2(planet.y - earth.y, planet.x - earth.x) / DEG + precession);
+}
+
+/**
+ * Apparent daily motion in longitude (degrees/day, negative when retrograde)
+ */
+export function dailyMotion(body, jd) {
+    return angleDifference(geocentricLongitude(body, jd + 0.5), geocentricLongitude(body, jd - 0.5));
+}
+
+/**
+ * Ecliptic longitude of the point with right ascension ra (degrees)
+ */
+function eclipticFromRightAscension(ra, eps) {
+    return normalizeDegrees(Math.atan2(Math.sin(ra * DEG), Math.cos(ra * DEG) * Math.cos(eps * DEG)) / DEG);
+}
+
+/**
+ * Ascendant and Midheaven longitudes
+ * @param {number} latitude - Geographic latitude, north positive
+ * @param {number} longitude - Geographic longitude, east positive
+ */
+export function angles(jd, latitude, longitude) {
+    const ramc = localSiderealTime(jd, longitude);
+    const eps = obliquity(jd) * DEG;
+    const theta = ramc * DEG;
+
+    const ascendant = normalizeDegrees(Math.atan2(
+        Math.cos(theta),
+        -(Math.sin(theta) * Math.cos(eps) + Math.tan(latitude * DEG) * Math.sin(eps))
+    ) / DEG);
+
+    return { ascendant, midheaven: eclipticFromRightAscension(ramc, eps / DEG), ramc };
+}
+
+/**
+ * Placidus cusp by iterating the semi-arc division (null when undefined near the poles)
+ */
+function placidusCusp(ramc, eps, latitude, fraction, aboveHorizon) {
+    let ra = ramc + (aboveHorizon ? fraction * 90 : 180 - fraction * 90);
+    for (let i = 0; i < 50; i++) {
+        const lon = eclipticFromRightAscension(ra, eps);
+        const declination = Math.asin(Math.sin(eps * DEG) * Math.sin(lon * DEG));
+        const ratio = -Math.tan(latitude * DEG) * Math.tan(declination);
+        if (Math.abs(ratio) > 1) return null;
+
+        const diurnal = Math.acos(ratio) / DEG;
+        const next = aboveHorizon
+            ? ramc + fraction * diurnal
+            : ramc + 180 - fraction * (180 - diurnal);
+        if (Math.abs(angleDifference(next, ra)) < 1e-7) {
+            return eclipticFromRightAscension(next, eps);
+        }
+        ra = next;
+    }
+    return eclipticFromRightAscension(ra, eps);
+}
+
+/**
+ * House cusps 1-12 (longitudes)
+ * Placidus falls back to equal houses where it is undefined (polar latitudes).
+ * @returns {Object} { system, cusps }
+ */
+export function houseCusps(jd, latitude, longitude, system = 'placidus') {
+    const { ascendant, midheaven, ramc } = angles(jd, latitude, longitude);
+
+    if (system === 'whole_sign') {
+        const first = Math.floor(ascendant / 30) * 30;
+        return { system, cusps: Array.from({ length: 12 }, (_, i) => normalizeDegrees(first + i * 30)) };
+    }
+
+    if (system === 'placidus') {
+        const eps = obliquity(jd);
+        const c11 = placidusCusp(ramc, eps, latitude, 1 / 3, true);
+        const c12 = placidusCusp(ramc, eps, latitude, 2 / 3, true);
+        const c2 = placidusCusp(ramc, eps, latitude, 2 / 3, false);
+        const c3 = placidusCusp(ramc, eps, latitude, 1 / 3, false);
+
+        if ([c11, c12, c2, c3].every(cusp => cusp !== null)) {
+            const first = [ascendant, c2, c3, normalizeDegrees(midheaven + 180), normalizeDegrees(c11 + 180), normalizeDegrees(c12 + 180)];
+            return { system, cusps: [...first, ...first.map(cusp => normalizeDegrees(cusp + 180))] };
+        }
+    }
+
+    return {
+        system: 'equal',
+        cusps: Array.from({ length: 12 }, (_, i) => normalizeDegrees(ascendant + i * 30)),
+    };
+}
+
+/**
+ * House (1-12) of a longitude
+ */
+export function houseOf(longitude, cusps) {
+    for (let i = 0; i < 12; i++) {
+        const start = cusps[i];
+        const end = cusps[(i + 1) % 12];
+        if (normalizeDegrees(longitude - start) < normalizeDegrees(end - start)) {
+            return i + 1;
+        }
+    }
+    return 1;
+}
@@ -0,0 +1,59 @@
+import { randomBytes } from 'crypto';
+
+/**
+ * Seedable pseudo-random numbers for reproducible draws (tarot readings)
+ * The same seed always yields the same sequence; not suitable for security purposes.
+ */
+
+/**
+ * Random seed string (16 hex chars)
+ */
+export function randomSeed() {
+    return randomBytes(8).toString('hex');
+}
+
+/**
+ * Hash a seed string to a 32-bit integer (cyrb53, folded)
+ */
+function hashSeed(seed) {
+    const text = String(seed);
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ code, 2654435761);
+        h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (h1 ^ h2) >>> 0;
+}
+
+/**
+ * Create a random number generator (mulberry32) from a seed
+ * @param {string|number} seed
+ * @returns {Function} () => float in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = hashSeed(seed);
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Shuffled copy of an array (Fisher-Yates)
+ * @param {Function} random - Generator from createRandom()
+ */
+export function shuffle(items, random) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
@@ -0,0 +1,74 @@
+/**
+ * Time zone helpers built on Intl (IANA names such as 'Europe/Berlin')
+ */
+
+export function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Whether a value is a real calendar date 'YYYY-MM-DD'
+ */
+export function isValidDate(date) {
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+    const time = Date.parse(`${date}T00:00:00Z`);
+    return !Number.isNaN(time) && new Date(time).toISOString().slice(0, 10) === date;
+}
+
+function zonedParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+    }).formatToParts(date);
+    return Object.fromEntries(parts.filter(part => part.type !== 'literal').map(part => [part.type, Number(part.value)]));
+}
+
+/**
+ * UTC offset of a time zone at a moment, in minutes (e.g. 120 for CEST)
+ */
+export function timeZoneOffsetMinutes(date, timeZone) {
+    const p = zonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Local calendar date 'YYYY-MM-DD' of a moment
+ * @param {string|number} zone - IANA time zone, or a fixed UTC offset in minutes
+ */
+export function localDate(date, zone) {
+    if (typeof zone === 'number') {
+        return new Date(date.getTime() + zone * 60000).toISOString().slice(0, 10);
+    }
+
+    const p = zonedParts(date, zone);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * UTC moment of a local wall-clock time
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {string} time - 'HH:MM'
+ * @param {string|number} zone - IANA time zone, or a fixed UTC offset in minutes
+ */
+export function zonedTimeToUtc(date, time, zone) {
+    const wallClock = new Date(`${date}T${time}:00Z`).getTime();
+    if (typeof zone === 'number') return new Date(wallClock - zone * 60000);
+
+    // Offset at the guess, corrected once for DST changes in between
+    let result = wallClock - timeZoneOffsetMinutes(new Date(wallClock), zone) * 60000;
+    result = wallClock - timeZoneOffsetMinutes(new Date(result), zone) * 60000;
+    return new Date(result);
+}
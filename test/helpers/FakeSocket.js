@@ -0,0 +1,71 @@
+/**
+ * FakeSocket - In-memory stand-in for a Socket.IO server socket
+ *
+ * Records everything emitted to the client and lets a harness deliver client
+ * events to handlers registered with on(). Enough surface for
+ * StateOrchestrator, SessionChannel and BufferManager.
+ */
+export class FakeSocket {
+    constructor({ id = 'fake-socket', user = null, auth = {} } = {}) {
+        this.id = id;
+        this.user = user;
+        this.handshake = { auth };
+        this.connected = true;
+        this.rooms = new Set([id]);
+        // Emitted events { event, data }
+        this.emitted = [];
+        // Map of event -> handlers registered by the server
+        this.handlers = new Map();
+    }
+
+    emit(event, data) {
+        this.emitted.push({ event, data });
+        return true;
+    }
+
+    on(event, handler) {
+        if (!this.handlers.has(event)) {
+            this.handlers.set(event, []);
+        }
+        this.handlers.get(event).push(handler);
+        return this;
+    }
+
+    join(room) {
+        this.rooms.add(room);
+    }
+
+    leave(room) {
+        this.rooms.delete(room);
+    }
+
+    /**
+     * Deliver a client → server event to registered handlers
+     */
+    async receive(event, data) {
+        const handlers = this.handlers.get(event) || [];
+        for (const handler of handlers) {
+            await handler(data);
+        }
+    }
+
+    /**
+     * Simulate the connection dropping
+     */
+    async disconnect(reason = 'transport close') {
+        if (!this.connected) return;
+        this.connected = false;
+        await this.receive('disconnect', reason);
+    }
+
+    /**
+     * Emitted payloads for one event name
+     */
+    eventsNamed(event) {
+        return this.emitted.filter(e => e.event === event).map(e => e.data);
+    }
+
+    clearEmitted() {
+        this.emitted = [];
+    }
+}
@@ -0,0 +1,112 @@
+import { VirtualClock } from '../../src/utils/clock.js';
+import { TimingProfiles } from '../../src/utils/TimingProfiles.js';
+import { MockProvider } from '../../src/providers/MockProvider.js';
+import { GeminiService } from '../../src/services/GeminiService.js';
+import { UserSessionManager } from '../../src/managers/UserSessionManager.js';
+import { BufferManager } from '../../src/managers/BufferManager.js';
+import { TimerManager } from '../../src/managers/TimerManager.js';
+import { StateOrchestrator } from '../../src/managers/StateOrchestrator.js';
+import { UsageTracker } from '../../src/managers/UsageTracker.js';
+import { FakeSocket } from './FakeSocket.js';
+
+/**
+ * Scripted main response: one block per [text, group] pair
+ */
+export function mainResponse(...blocks) {
+    return { blocks: blocks.map(([text, group, typingTime = 2]) => ({ text, group, typingTime })) };
+}
+
+/**
+ * Orchestrator wired to a VirtualClock, a MockProvider and FakeSockets
+ *
+ * Client events (user_message, typing_status, stop_ai_response, end_chat,
+ * disconnect) call the same orchestrator methods as the handlers of src/index.js,
+ * without their rate limits and access checks, so scenarios can be driven with
+ * socket.receive() and fast-forwarded with clock.advance().
+ *
+ * @param {Object} options - { main, evaluator, profile, delayMs, resumeGraceMs, conversationStore, tarotService }
+ *   main / evaluator: scripted responses (see MockProvider.setResponses)
+ */
+export async function createHarness({
+    main = [mainResponse(['hello', 1])],
+    evaluator = ['NO'],
+    profile = 'realistic',
+    delayMs = 0,
+    resumeGraceMs = 0,
+    conversationStore = null,
+    tarotService = null,
+} = {}) {
+    const clock = new VirtualClock(Date.UTC(2026, 0, 1, 12));
+    const provider = new MockProvider({ clock, delayMs });
+    provider.setResponses('main', main);
+    provider.setResponses('evaluator', evaluator);
+
+    const geminiService = new GeminiService(provider);
+    await geminiService.loadPrompts();
+    // Prompt logs are real file I/O the virtual clock cannot wait for
+    geminiService._saveContextToFile = async () => {};
+
+    const timingProfiles = await TimingProfiles.load(undefined, profile);
+    const sessionManager = new UserSessionManager(conversationStore, timingProfiles, {
+        clock,
+        defaultChatMode: geminiService.personas.defaultMode,
+    });
+    const bufferManager = new BufferManager(sessionManager, { clock });
+    const timerManager = new TimerManager({ getTiming: (id) => sessionManager.getTiming(id), clock });
+
+    const usageTracker = new UsageTracker({ now: () => clock.now() });
+    const orchestrator = new StateOrchestrator(sessionManager, bufferManager, timerManager, geminiService, {
+        clock,
+        resumeGraceMs,
+        usageTracker,
+        tarotService,
+    });
+
+    let socketCount = 0;
+
+    /**
+     * Connect a socket to a session, wired like the handlers of src/index.js
+     */
+    const connect = (sessionId, { user = null } = {}) => {
+        const socket = new FakeSocket({ id: `socket-${++socketCount}`, user });
+        orchestrator.registerSocket(sessionId, socket);
+
+        socket.on('user_message', ({ message }) => {
+            socket.emit('message_received', { text: message, sender: 'user' });
+            return orchestrator.handleUserMessage(sessionId, message, socket);
+        });
+        socket.on('typing_status', ({ isTyping }) => orchestrator.handleTypingStatus(sessionId, isTyping, socket));
+        socket.on('stop_ai_response', () => orchestrator.stopAIResponse(sessionId));
+        socket.on('end_chat', () => orchestrator.endChat(sessionId));
+        socket.on('disconnect', () => {
+            if (orchestrator.unregisterSocket(sessionId, socket) > 0) return;
+            orchestrator.parkSession(sessionId, socket);
+        });
+
+        return socket;
+    };
+
+    return {
+        clock,
+        provider,
+        sessionManager,
+        bufferManager,
+        timerManager,
+        geminiService,
+        usageTracker,
+        orchestrator,
+        connect,
+        /**
+         * Main (UpdateBuffer) model calls so far
+         */
+        mainCalls: () => provider.calls.filter(call => call.role === 'main').length,
+        evaluatorCalls: () => provider.calls.filter(call => call.role === 'evaluator').length,
+    };
+}
+
+/**
+ * Texts of the ai_block events a socket received
+ */
+export function blockTexts(socket) {
+    return socket.eventsNamed('ai_block').map(block => block.text);
+}
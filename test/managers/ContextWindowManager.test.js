@@ -0,0 +1,177 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ContextWindowManager, estimateTokens, mergeTurns } from '../../src/managers/ContextWindowManager.js';
+import { UserSessionManager } from '../../src/managers/UserSessionManager.js';
+
+const SESSION = 'session-1';
+
+/**
+ * Summary model stub: records its calls and answers with `summary of N turns`
+ */
+function fakeGeminiService(summarize = async (previous, turns) => `summary of ${turns.length} turns`) {
+    const calls = [];
+    return {
+        calls,
+        isAbortError: error => error?.name === 'AbortError',
+        summarizeHistory: async (previous, turns, options) => {
+            calls.push({ previous, turns: turns.map(({ role, content }) => ({ role, content })) });
+            return summarize(previous, turns, options);
+        },
+    };
+}
+
+/**
+ * Add exchanges of one user message and two AI blocks (three history entries each)
+ */
+function addExchanges(sessionManager, from, to) {
+    for (let i = from; i <= to; i++) {
+        sessionManager.addUserMessage(SESSION, `question ${i}`);
+        sessionManager.addAIMessage(SESSION, `answer ${i}a`, 1);
+        sessionManager.addAIMessage(SESSION, `answer ${i}b`, 1);
+    }
+}
+
+const contents = ({ turns }) => turns.map(turn => turn.content);
+
+describe('ContextWindowManager', () => {
+    let sessionManager;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+        sessionManager = new UserSessionManager();
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('merges consecutive entries of the same role into turns with history indexes', () => {
+        addExchanges(sessionManager, 1, 2);
+
+        assert.deepEqual(mergeTurns(sessionManager.getHistory(SESSION).slice(3), 3), [
+            { role: 'user', content: 'question 2', start: 3, end: 4 },
+            { role: 'model', content: 'answer 2a\nanswer 2b', start: 4, end: 6 },
+        ]);
+        assert.equal(estimateTokens('12345'), 2);
+        assert.equal(estimateTokens(null), 0);
+    });
+
+    it('sends every turn verbatim up to twice recentTurns', async () => {
+        const gemini = fakeGeminiService();
+        const contextWindow = new ContextWindowManager(sessionManager, gemini, { recentTurns: 2, tokenBudget: 1000 });
+        addExchanges(sessionManager, 1, 2);
+
+        const history = await contextWindow.buildPromptHistory(SESSION);
+
+        assert.equal(history.summary, null);
+        assert.deepEqual(contents(history), ['question 1', 'answer 1a\nanswer 1b', 'question 2', 'answer 2a\nanswer 2b']);
+        assert.equal(gemini.calls.length, 0);
+    });
+
+    it('folds the turns before the recent window into the summary past the turn threshold', async () => {
+        const gemini = fakeGeminiService();
+        const contextWindow = new ContextWindowManager(sessionManager, gemini, { recentTurns: 2, tokenBudget: 1000 });
+        addExchanges(sessionManager, 1, 2);
+        sessionManager.addUserMessage(SESSION, 'question 3');
+
+        const history = await contextWindow.buildPromptHistory(SESSION);
+
+        assert.deepEqual(gemini.calls, [{
+            previous: null,
+            turns: [
+                { role: 'user', content: 'question 1' },
+                { role: 'model', content: 'answer 1a\nanswer 1b' },
+                { role: 'user', content: 'question 2' },
+            ],
+        }]);
+        assert.equal(history.summary, 'summary of 3 turns');
+        assert.deepEqual(contents(history), ['answer 2a\nanswer 2b', 'question 3']);
+        // Covers the history entries of the folded turns (question 1, two blocks, question 2)
+        assert.equal(sessionManager.getHistorySummary(SESSION).coveredEntries, 4);
+    });
+
+    it('extends the previous summary with the turns after coveredEntries', async () => {
+        const gemini = fakeGeminiService(async (previous, turns) => `${previous} + ${turns.length}`);
+        const contextWindow = new ContextWindowManager(sessionManager, gemini, { recentTurns: 2, tokenBudget: 1000 });
+        addExchanges(sessionManager, 1, 4);
+        sessionManager.setHistorySummary(SESSION, 'earlier', 3);
+
+        const history = await contextWindow.buildPromptHistory(SESSION);
+
+        assert.deepEqual(gemini.calls[0].turns.map(turn => turn.content), [
+            'question 2', 'answer 2a\nanswer 2b', 'question 3', 'answer 3a\nanswer 3b',
+        ]);
+        assert.equal(history.summary, 'earlier + 4');
+        assert.equal(sessionManager.getHistorySummary(SESSION).coveredEntries, 9);
+        assert.deepEqual(contents(history), ['question 4', 'answer 4a\nanswer 4b']);
+    });
+
+    it('compacts on the token budget and keeps at least the last turn', async () => {
+        const gemini = fakeGeminiService();
+        const contextWindow = new ContextWindowManager(sessionManager, gemini, { recentTurns: 8, tokenBudget: 10 });
+        sessionManager.addUserMessage(SESSION, 'x'.repeat(30));
+        sessionManager.addAIMessage(SESSION, 'y'.repeat(60));
+
+        const history = await contextWindow.buildPromptHistory(SESSION);
+
+        assert.equal(gemini.calls.length, 1);
+        assert.equal(history.summary, 'summary of 1 turns');
+        assert.deepEqual(contents(history), ['y'.repeat(60)]);
+        assert.equal(sessionManager.getHistorySummary(SESSION).coveredEntries, 1);
+    });
+
+    it('falls back to the recent window when the summary fails', async () => {
+        const gemini = fakeGeminiService(async () => { throw new Error('quota exceeded'); });
+        const contextWindow = new ContextWindowManager(sessionManager, gemini, { recentTurns: 2, tokenBudget: 1000 });
+        addExchanges(sessionManager, 1, 3);
+
+        const history = await contextWindow.buildPromptHistory(SESSION);
+
+        assert.equal(history.summary, null);
+        assert.deepEqual(contents(history), ['question 3', 'answer 3a\nanswer 3b']);
+        assert.equal(sessionManager.getHistorySummary(SESSION).coveredEntries, 0);
+        assert.match(console.error.mock.calls[0].arguments.join(' '), /using recent turns only: quota exceeded/);
+    });
+
+    it('rethrows an aborted summary', async () => {
+        const abort = Object.assign(new Error('aborted'), { name: 'AbortError' });
+        const contextWindow = new ContextWindowManager(sessionManager, fakeGeminiService(async () => { throw abort; }), { recentTurns: 2 });
+        addExchanges(sessionManager, 1, 3);
+
+        await assert.rejects(contextWindow.buildPromptHistory(SESSION), abort);
+    });
+
+    it('runs one background compaction per session and waits for it before the next prompt', async () => {
+        let finish;
+        const gemini = fakeGeminiService(() => new Promise(resolve => { finish = resolve; }));
+        const contextWindow = new ContextWindowManager(sessionManager, gemini, { recentTurns: 2, tokenBudget: 1000 });
+        addExchanges(sessionManager, 1, 3);
+
+        contextWindow.compactInBackground(SESSION);
+        contextWindow.compactInBackground(SESSION);
+        const prompt = contextWindow.buildPromptHistory(SESSION);
+        await new Promise(setImmediate);
+        finish('background summary');
+
+        assert.equal((await prompt).summary, 'background summary');
+        assert.equal(gemini.calls.length, 1);
+        assert.equal(contextWindow.compactions.size, 0);
+    });
+
+    it('drops a summary that finishes after the history was reset', async () => {
+        let finish;
+        const gemini = fakeGeminiService(() => new Promise(resolve => { finish = resolve; }));
+        const contextWindow = new ContextWindowManager(sessionManager, gemini, { recentTurns: 2, tokenBudget: 1000 });
+        addExchanges(sessionManager, 1, 3);
+
+        contextWindow.compactInBackground(SESSION);
+        await new Promise(setImmediate);
+        sessionManager.resetHistorySummary(SESSION);
+        finish('stale summary');
+        await contextWindow.compactions.get(SESSION);
+
+        assert.equal(sessionManager.getHistorySummary(SESSION).text, null);
+        assert.equal(sessionManager.getHistorySummary(SESSION).coveredEntries, 0);
+    });
+});
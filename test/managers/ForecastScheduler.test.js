@@ -0,0 +1,129 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ForecastScheduler } from '../../src/managers/ForecastScheduler.js';
+import { VirtualClock } from '../../src/utils/clock.js';
+
+// 14:40 UTC = 23:40 in Tokyo, 16:40 in Berlin
+const NOW = Date.UTC(2024, 4, 1, 14, 40);
+
+function createForecastService(users, { personal = async () => ({ ok: true, cached: false }) } = {}) {
+    return {
+        getActiveUsers: mock.fn(() => users),
+        personalForecast: mock.fn(personal),
+        dailyForecast: mock.fn(async () => ({ cached: false })),
+    };
+}
+
+describe('ForecastScheduler', () => {
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    describe('_upcomingDate', () => {
+        const scheduler = new ForecastScheduler(null, { leadMinutes: 30 });
+
+        it('returns the next local date within the lead time', () => {
+            assert.equal(scheduler._upcomingDate(NOW, 'Asia/Tokyo'), '2024-05-02');
+            assert.equal(scheduler._upcomingDate(NOW - 11 * 60 * 1000, 'Asia/Tokyo'), null);
+            assert.equal(scheduler._upcomingDate(NOW, 'Europe/Berlin'), null);
+        });
+
+        it('handles fixed offsets and the last minute before midnight', () => {
+            // UTC+09:30 reaches midnight at 14:30 UTC, UTC+09:15 at 14:45 UTC
+            assert.equal(scheduler._upcomingDate(NOW, 570), null);
+            assert.equal(scheduler._upcomingDate(NOW, 555), '2024-05-02');
+            assert.equal(scheduler._upcomingDate(Date.UTC(2024, 4, 1, 23, 59), 'UTC'), '2024-05-02');
+            assert.equal(scheduler._upcomingDate(Date.UTC(2024, 4, 2, 0, 0), 'UTC'), null);
+        });
+    });
+
+    describe('tick', () => {
+        const clock = new VirtualClock(NOW);
+
+        it('pre-generates personal forecasts and one generic forecast per zone', async () => {
+            const service = createForecastService([
+                { userId: 'tokyo-user-1', focus: 'love', language: 'Japanese', zone: 'Asia/Tokyo' },
+                { userId: 'tokyo-user-2', focus: 'general', language: 'English', zone: 'Asia/Tokyo' },
+                { userId: 'offset-user', focus: 'work', language: 'English', zone: 555 },
+                { userId: 'berlin-user', focus: 'general', language: 'German', zone: 'Europe/Berlin' },
+            ]);
+            const scheduler = new ForecastScheduler(service, { clock, activeDays: 7 });
+
+            const result = await scheduler.tick();
+
+            assert.deepEqual(result, { generated: 4, cached: 0, failed: 0 });
+            assert.equal(service.getActiveUsers.mock.calls[0].arguments[0], NOW - 7 * 24 * 60 * 60 * 1000);
+            assert.deepEqual(
+                service.personalForecast.mock.calls.map(call => [call.arguments[0], call.arguments[1].focus, call.arguments[1].date]),
+                [['tokyo-user-1', 'love', '2024-05-02'], ['tokyo-user-2', 'general', '2024-05-02'], ['offset-user', 'work', '2024-05-02']]
+            );
+            // Fixed offsets have no generic forecast
+            assert.deepEqual(service.dailyForecast.mock.calls.map(call => call.arguments[0].timezone), ['Asia/Tokyo']);
+        });
+
+        it('counts cached and failed forecasts', async () => {
+            const outcomes = [
+                { ok: true, cached: true },
+                { ok: false, code: 'BIRTH_DATA_MISSING' },
+                new Error('model down'),
+            ];
+            const service = createForecastService(
+                ['a', 'b', 'c'].map(userId => ({ userId, focus: 'general', language: 'English', zone: 555 })),
+                {
+                    personal: async () => {
+                        const outcome = outcomes.shift();
+                        if (outcome instanceof Error) throw outcome;
+                        return outcome;
+                    },
+                }
+            );
+
+            const result = await new ForecastScheduler(service, { clock }).tick();
+
+            assert.deepEqual(result, { generated: 0, cached: 1, failed: 2 });
+        });
+
+        it('stops at maxPerTick new forecasts', async () => {
+            const service = createForecastService(
+                ['a', 'b', 'c'].map(userId => ({ userId, focus: 'general', language: 'English', zone: 555 }))
+            );
+
+            const result = await new ForecastScheduler(service, { clock, maxPerTick: 2 }).tick();
+
+            assert.equal(result.generated, 2);
+            assert.equal(service.personalForecast.mock.callCount(), 2);
+        });
+
+        it('reports usage with the user id', async () => {
+            const usage = [];
+            const service = createForecastService(
+                [{ userId: 'a', focus: 'general', language: 'English', zone: 'Asia/Tokyo' }],
+                { personal: async (userId, { onUsage }) => { onUsage({ totalTokens: 10 }); return { ok: true }; } }
+            );
+
+            await new ForecastScheduler(service, { clock, onUsage: (...args) => usage.push(args) }).tick();
+
+            assert.deepEqual(usage, [[{ totalTokens: 10 }, 'a']]);
+        });
+    });
+
+    it('ticks every interval until stopped', async () => {
+        const clock = new VirtualClock(NOW);
+        const service = createForecastService([]);
+        const scheduler = new ForecastScheduler(service, { clock, intervalMs: 60000 });
+
+        scheduler.start();
+        scheduler.start();
+        await clock.advance(180000);
+        scheduler.stop();
+        await clock.advance(180000);
+
+        assert.equal(service.getActiveUsers.mock.callCount(), 3);
+        assert.equal(clock.pending, 0);
+    });
+});
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimitManager } from '../../src/managers/RateLimitManager.js';
+import { MemoryRateLimitStore } from '../../src/stores/MemoryRateLimitStore.js';
+
+function createLimiter(options = {}) {
+    let now = Date.UTC(2026, 0, 1, 12);
+    const clock = { now: () => now, advance: (ms) => { now += ms; } };
+    const store = new MemoryRateLimitStore({ now: clock.now });
+    return { clock, limiter: new RateLimitManager(store, { now: clock.now, ...options }) };
+}
+
+describe('RateLimitManager', () => {
+    it('limits events per user and per IP within a window', async () => {
+        const { clock, limiter } = createLimiter({
+            events: { user_message: { perUser: { limit: 2, windowMs: 60000 }, perIp: { limit: 3, windowMs: 60000 } } },
+        });
+
+        assert.equal((await limiter.consume('user_message', { userKey: 'a', ip: '1.1.1.1' })).allowed, true);
+        assert.equal((await limiter.consume('user_message', { userKey: 'a', ip: '1.1.1.1' })).allowed, true);
+        const limited = await limiter.consume('user_message', { userKey: 'a', ip: '1.1.1.1' });
+        assert.deepEqual(limited, {
+            allowed: false, event: 'user_message', scope: 'user', limit: 2, windowMs: 60000, retryAfterMs: 60000,
+        });
+
+        // Another user behind the same address hits the per-IP limit (the rejected event above wasn't counted)
+        assert.equal((await limiter.consume('user_message', { userKey: 'b', ip: '1.1.1.1' })).allowed, true);
+        assert.equal((await limiter.consume('user_message', { userKey: 'b', ip: '1.1.1.1' })).scope, 'ip');
+
+        clock.advance(60000);
+        assert.equal((await limiter.consume('user_message', { userKey: 'a', ip: '1.1.1.1' })).allowed, true);
+    });
+
+    it('keeps anonymous message counts per address until the window ends', async () => {
+        const { clock, limiter } = createLimiter();
+        const account = limiter.accountFor(null, '1.1.1.1');
+
+        assert.equal(await limiter.anonymousMessageCount(account), 0);
+        await limiter.recordAnonymousMessage(account, 60000);
+        await limiter.recordAnonymousMessage(account, 60000);
+
+        assert.equal(await limiter.anonymousMessageCount(account), 2);
+        assert.equal(await limiter.anonymousMessageCount(limiter.accountFor(null, '2.2.2.2')), 0);
+
+        clock.advance(60000);
+        assert.equal(await limiter.anonymousMessageCount(account), 0);
+    });
+
+    it('counts anonymous messages even with rate limits disabled', async () => {
+        const { limiter } = createLimiter({ enabled: false });
+        const account = limiter.accountFor(null, '1.1.1.1');
+
+        await limiter.recordAnonymousMessage(account, 60000);
+
+        assert.equal(await limiter.anonymousMessageCount(account), 1);
+    });
+});
@@ -0,0 +1,325 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { blockTexts, createHarness, mainResponse } from '../helpers/harness.js';
+import { MemoryConversationStore } from '../../src/stores/MemoryConversationStore.js';
+import { TarotService } from '../../src/services/TarotService.js';
+
+// Realistic profile: idle 5s, max typing 30s, group delay 2s, EndUpdate 25s, min block delay 1s.
+// mainResponse blocks default to typingTime 2 → each block is followed by a 2s delay.
+const SESSION = 'session-1';
+
+describe('StateOrchestrator scenarios', () => {
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('keeps sending the buffer while the user types and does not regenerate on a typing stop', async () => {
+        const h = await createHarness({
+            main: [mainResponse(['one', 1], ['two', 1], ['three', 2], ['four', 2])],
+        });
+        const socket = h.connect(SESSION);
+
+        await socket.receive('user_message', { message: 'hi' });
+        assert.deepEqual(blockTexts(socket), ['one']);
+
+        await socket.receive('typing_status', { isTyping: true });
+        await h.clock.advance(2000);
+        assert.deepEqual(blockTexts(socket), ['one', 'two']);
+
+        await socket.receive('typing_status', { isTyping: false });
+        await h.clock.advance(6000);
+        assert.deepEqual(blockTexts(socket), ['one', 'two', 'three', 'four']);
+        assert.equal(socket.eventsNamed('ai_complete').length, 1);
+        assert.equal(h.mainCalls(), 1);
+    });
+
+    it('generates an update once the user has typed for the max typing time', async () => {
+        const h = await createHarness({
+            main: [mainResponse(['first', 1]), mainResponse(['follow-up', 1])],
+        });
+        const socket = h.connect(SESSION);
+
+        await socket.receive('user_message', { message: 'hi' });
+        await h.clock.advance(2000);
+        assert.equal(socket.eventsNamed('ai_complete').length, 1);
+
+        // Typing cancels the pending EndUpdate
+        await socket.receive('typing_status', { isTyping: true });
+        await h.clock.advance(29999);
+        assert.equal(h.mainCalls(), 1);
+
+        await h.clock.advance(1);
+        assert.equal(h.mainCalls(), 2);
+        assert.deepEqual(blockTexts(socket), ['first', 'follow-up']);
+    });
+
+    it('finishes the current group when interrupted mid-group, then regenerates after the group delay and idle timer', async () => {
+        const h = await createHarness({
+            main: [
+                mainResponse(['a1', 1], ['a2', 1], ['b1', 2], ['b2', 2]),
+                mainResponse(['new answer', 1]),
+            ],
+            evaluator: ['YES'],
+        });
+        const socket = h.connect(SESSION);
+
+        await socket.receive('user_message', { message: 'tell me about Saturn' });
+        assert.deepEqual(blockTexts(socket), ['a1']);
+
+        // Second message while group 1 is still being sent → UpdateCheck says YES
+        await socket.receive('user_message', { message: 'actually, what about Venus?' });
+        assert.equal(h.evaluatorCalls(), 1);
+        assert.equal(h.sessionManager.getUpdateCheckState(SESSION).waitingForGroup, true);
+
+        // Group 1 completes, group 2 of the old buffer is never sent
+        await h.clock.advance(2000);
+        assert.deepEqual(blockTexts(socket), ['a1', 'a2']);
+
+        await h.clock.advance(2000 + 4999);
+        assert.equal(h.mainCalls(), 1);
+        assert.deepEqual(blockTexts(socket), ['a1', 'a2']);
+
+        await h.clock.advance(1);
+        assert.equal(h.mainCalls(), 2);
+        assert.deepEqual(blockTexts(socket), ['a1', 'a2', 'new answer']);
+    });
+
+    it('keeps the old buffer when UpdateCheck says NO', async () => {
+        const h = await createHarness({
+            main: [mainResponse(['a1', 1], ['a2', 1], ['b1', 2])],
+            evaluator: ['NO'],
+        });
+        const socket = h.connect(SESSION);
+
+        await socket.receive('user_message', { message: 'hi' });
+        await socket.receive('user_message', { message: 'ok' });
+        await h.clock.advance(6000);
+
+        assert.deepEqual(blockTexts(socket), ['a1', 'a2', 'b1']);
+        assert.equal(h.mainCalls(), 1);
+    });
+
+    it('drops the result of a generation stopped while it runs', async () => {
+        const h = await createHarness({
+            main: [mainResponse(['too late', 1])],
+            delayMs: 3000,
+        });
+        const socket = h.connect(SESSION);
+
+        const pending = socket.receive('user_message', { message: 'hi' });
+        await h.clock.advance(1000);
+        await socket.receive('stop_ai_response');
+        await h.clock.advance(60000);
+        await pending;
+
+        assert.deepEqual(blockTexts(socket), []);
+        assert.equal(socket.eventsNamed('ai_complete').length, 1);
+        assert.equal(h.clock.pending, 0);
+    });
+
+    it('fires EndUpdate once per user message', async () => {
+        const h = await createHarness({
+            main: [mainResponse(['answer', 1, 1]), mainResponse(['checking in', 1, 1])],
+        });
+        const socket = h.connect(SESSION);
+
+        await socket.receive('user_message', { message: 'hi' });
+        await h.clock.advance(1000);
+        assert.equal(socket.eventsNamed('ai_complete').length, 1);
+
+        await h.clock.advance(24999);
+        assert.equal(h.mainCalls(), 1);
+        await h.clock.advance(1);
+        assert.equal(h.mainCalls(), 2);
+
+        // The EndUpdate response completes, but no new user message → no further EndUpdate
+        await h.clock.advance(10 * 60 * 1000);
+        assert.equal(h.mainCalls(), 2);
+        assert.equal(h.clock.pending, 0);
+
+        // A new message re-arms it exactly once more
+        await socket.receive('user_message', { message: 'thanks' });
+        await h.clock.advance(10 * 60 * 1000);
+        assert.equal(h.mainCalls(), 4);
+    });
+
+    it('cleans up timers, buffer and session when the only socket disconnects', async () => {
+        const h = await createHarness({
+            main: [mainResponse(['one', 1], ['two', 2], ['three', 3])],
+        });
+        const socket = h.connect(SESSION);
+
+        await socket.receive('user_message', { message: 'hi' });
+        assert.equal(h.bufferManager.isSending(SESSION), true);
+
+        await socket.disconnect();
+
+        assert.equal(h.clock.pending, 0);
+        assert.equal(h.bufferManager.isSending(SESSION), false);
+        assert.equal(h.sessionManager.hasSession(SESSION), false);
+        assert.equal(h.orchestrator.hasActiveSocket(SESSION), false);
+
+        await h.clock.advance(60000);
+        assert.deepEqual(blockTexts(socket), ['one']);
+    });
+
+    it('parks the session on disconnect and cleans it up when the resume window expires', async () => {
+        const h = await createHarness({
+            main: [mainResponse(['one', 1], ['two', 2])],
+            resumeGraceMs: 30000,
+        });
+        const socket = h.connect(SESSION);
+
+        await socket.receive('user_message', { message: 'hi' });
+        await socket.disconnect();
+        assert.equal(h.orchestrator.isParked(SESSION), true);
+        assert.equal(h.sessionManager.hasSession(SESSION), true);
+
+        await h.clock.advance(30000);
+        assert.equal(h.orchestrator.isParked(SESSION), false);
+        assert.equal(h.sessionManager.hasSession(SESSION), false);
+        assert.equal(h.clock.pending, 0);
+    });
+
+    it('keeps sending to the other devices when one of them disconnects or ends the chat', async () => {
+        const user = { id: 'user-1', email: 'user@example.com' };
+        const h = await createHarness({
+            main: [mainResponse(['one', 1], ['two', 2]), mainResponse(['again', 1])],
+        });
+        const phone = h.connect(SESSION, { user });
+        const laptop = h.connect(SESSION, { user });
+        const tablet = h.connect(SESSION, { user });
+
+        await phone.receive('user_message', { message: 'hi' });
+        await tablet.disconnect();
+        await h.clock.advance(2000);
+        assert.deepEqual(blockTexts(laptop), ['one', 'two']);
+
+        await phone.receive('end_chat');
+        assert.equal(laptop.eventsNamed('session_summary').length, 1);
+
+        await phone.receive('user_message', { message: 'new chat' });
+        assert.deepEqual(blockTexts(laptop), ['one', 'two', 'again']);
+        assert.deepEqual(blockTexts(tablet), ['one']);
+    });
+
+    it('closes the persisted conversation on end_chat and starts a new one with the next message', async () => {
+        const store = new MemoryConversationStore();
+        const h = await createHarness({
+            main: [mainResponse(['one', 1]), mainResponse(['two', 1])],
+            conversationStore: store,
+        });
+        const socket = h.connect(SESSION, { user: { id: 'user-1' } });
+
+        await socket.receive('user_message', { message: 'first chat' });
+        await h.clock.advance(2000);
+        const first = h.sessionManager.getConversation(SESSION).id;
+
+        await socket.receive('end_chat');
+        assert.ok((await store.getConversation(first)).endedAt);
+        assert.equal(await store.getActiveConversation('user-1'), null);
+
+        await socket.receive('user_message', { message: 'second chat' });
+        await h.clock.advance(2000);
+        const second = await store.getActiveConversation('user-1');
+
+        assert.notEqual(second.id, first);
+        assert.deepEqual((await store.getMessages(first)).map(message => message.content), ['first chat', 'one']);
+        assert.deepEqual((await store.getMessages(second.id)).map(message => message.content), ['second chat', 'two']);
+    });
+
+    it('creates one persisted conversation for messages sent back to back', async () => {
+        const store = new MemoryConversationStore();
+        const h = await createHarness({ main: [mainResponse(['one', 1])], conversationStore: store });
+        const socket = h.connect(SESSION, { user: { id: 'user-1' } });
+
+        await Promise.all([
+            socket.receive('user_message', { message: 'hi' }),
+            socket.receive('user_message', { message: 'are you there?' }),
+        ]);
+        await h.clock.advance(8000);
+
+        assert.equal(store.conversations.size, 1);
+        const conversation = await store.getActiveConversation('user-1');
+        assert.equal(h.sessionManager.getConversation(SESSION).id, conversation.id);
+        assert.deepEqual(
+            (await store.getMessages(conversation.id)).map(message => message.content).slice(0, 2),
+            ['hi', 'are you there?']
+        );
+    });
+
+    it('reports the usage of each chat in session_summary', async () => {
+        const h = await createHarness({ main: [mainResponse(['one', 1]), mainResponse(['two', 1])] });
+        const socket = h.connect(SESSION, { user: { id: 'user-1' } });
+
+        await socket.receive('user_message', { message: 'first chat' });
+        await h.clock.advance(2000);
+        await socket.receive('end_chat');
+
+        await socket.receive('user_message', { message: 'second chat' });
+        await h.clock.advance(2000);
+        assert.equal(h.usageTracker.getSummary().activeSessions, 1);
+        await socket.receive('end_chat');
+
+        const [first, second] = socket.eventsNamed('session_summary');
+        assert.equal(first.usage.calls, 1);
+        assert.equal(second.usage.calls, 1);
+        assert.equal(second.usage.byRole.main.calls, 1);
+        assert.equal(h.usageTracker.getSummary().totals.calls, 2);
+    });
+
+    it('draws tarot cards only for personas that declare them', async () => {
+        const h = await createHarness({
+            main: [mainResponse(['one', 1]), mainResponse(['two', 1])],
+            tarotService: await TarotService.load(),
+        });
+        const socket = h.connect(SESSION);
+
+        assert.equal(h.sessionManager.getContext(SESSION).chatMode, h.geminiService.personas.defaultMode);
+        await socket.receive('user_message', { message: 'hi' });
+        await h.clock.advance(2000);
+        assert.equal(socket.eventsNamed('tarot_reading').length, 0);
+
+        h.orchestrator.updateContext(SESSION, { mode: 'tarot_astro' });
+        await socket.receive('user_message', { message: 'What about my career?' });
+        await h.clock.advance(2000);
+
+        const [reading] = socket.eventsNamed('tarot_reading');
+        assert.equal(reading.question, 'What about my career?');
+        assert.equal(h.sessionManager.getTarotReadings(SESSION).length, 1);
+    });
+
+    it('stores tarot readings with the conversation and restores them on the next connect', async () => {
+        const store = new MemoryConversationStore();
+        const tarotService = await TarotService.load();
+        const h = await createHarness({ main: [mainResponse(['one', 1])], conversationStore: store, tarotService });
+        const socket = h.connect(SESSION, { user: { id: 'user-1' } });
+
+        h.orchestrator.updateContext(SESSION, { mode: 'tarot' });
+        await socket.receive('user_message', { message: 'Will I move?' });
+        await h.clock.advance(2000);
+
+        const [drawn] = socket.eventsNamed('tarot_reading');
+        const conversation = await store.getActiveConversation('user-1');
+        const [stored] = await store.getTarotReadings(conversation.id);
+        assert.equal(stored.seed, drawn.seed);
+        assert.equal(stored.spread, drawn.spread);
+        assert.deepEqual(stored.cards, drawn.cards);
+
+        // Page reload on a fresh server: the reading comes back from the store
+        const reloaded = await createHarness({ main: [], conversationStore: store, tarotService });
+        const laptop = reloaded.connect(SESSION, { user: { id: 'user-1' } });
+        await reloaded.orchestrator.restoreConversation(SESSION, laptop);
+
+        const [restored] = laptop.eventsNamed('conversation_restored');
+        assert.equal(restored.conversationId, conversation.id);
+        assert.deepEqual(restored.tarotReadings.map(reading => reading.seed), [drawn.seed]);
+        assert.deepEqual(reloaded.sessionManager.getTarotReadings(SESSION).map(reading => reading.cards), [drawn.cards]);
+    });
+});
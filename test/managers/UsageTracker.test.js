@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { UsageTracker } from '../../src/managers/UsageTracker.js';
+
+const PRICING = { 'model-a': { input: 1, output: 2 } };
+
+function call(role, totalTokens, model = 'model-a') {
+    return { role, provider: 'mock', model, promptTokens: totalTokens - 50, outputTokens: 50, totalTokens };
+}
+
+describe('UsageTracker', () => {
+    it('prices calls per 1M tokens and counts unpriced models', () => {
+        const tracker = new UsageTracker({ pricing: PRICING });
+
+        tracker.record(call('main', 1050));
+        tracker.record(call('evaluator', 100, 'unknown-model'));
+
+        const { totals } = tracker.getSummary();
+        assert.equal(totals.calls, 2);
+        assert.equal(totals.totalTokens, 1150);
+        assert.equal(totals.costUsd, (1000 * 1 + 50 * 2) / 1e6);
+        assert.equal(totals.unpricedCalls, 1);
+        assert.equal(totals.byRole.main.calls, 1);
+        assert.equal(totals.byRole.evaluator.unpricedCalls, 1);
+    });
+
+    it('keeps totals per session and per user', () => {
+        const tracker = new UsageTracker({ pricing: PRICING });
+
+        tracker.record(call('main', 100), { sessionId: 'user:u1', userId: 'u1', chatMode: 'astro' });
+        tracker.record(call('summary', 60), { sessionId: 'user:u1', userId: 'u1' });
+        tracker.record(call('main', 80), { sessionId: 'socket-2' });
+
+        const session = tracker.getSessionUsage('user:u1');
+        assert.equal(session.chatMode, 'astro');
+        assert.equal(session.usage.totalTokens, 160);
+        assert.equal(tracker.getUserUsage('u1').calls, 2);
+        assert.equal(tracker.getUserUsage('u2'), null);
+        assert.deepEqual(tracker.getRecords({ userId: 'u1' }).map(record => record.role), ['summary', 'main']);
+        assert.equal(tracker.getSummary().activeSessions, 2);
+    });
+
+    it('starts a new chat after end_chat on the same session id', () => {
+        const tracker = new UsageTracker({ pricing: PRICING });
+        const tags = () => ({ sessionId: 'user:u1', userId: 'u1', chat: tracker.currentChat('user:u1') });
+
+        tracker.record(call('main', 150), tags());
+        // Memory extraction starts before cleanup and finishes after it
+        const extractionTags = tags();
+        assert.equal(tracker.endSession('user:u1').usage.totalTokens, 150);
+        assert.equal(tracker.getSummary().activeSessions, 0);
+
+        tracker.record(call('memory', 40), extractionTags);
+        tracker.record(call('main', 150), tags());
+
+        const current = tracker.getSessionUsage('user:u1');
+        assert.equal(current.chat, 1);
+        assert.equal(current.usage.totalTokens, 150);
+        assert.equal(current.endedAt, undefined);
+        assert.equal(tracker.getSummary().activeSessions, 1);
+        assert.equal(tracker.getSummary().endedSessions, 1);
+
+        assert.equal(tracker.endSession('user:u1').usage.totalTokens, 150);
+        assert.equal(tracker.currentChat('user:u1'), 2);
+        // All chats still count for the user
+        assert.equal(tracker.getUserUsage('u1').totalTokens, 340);
+    });
+
+    it('lists active and ended chats of a user', () => {
+        const tracker = new UsageTracker();
+
+        tracker.record(call('main', 100), { sessionId: 'user:u1', userId: 'u1' });
+        tracker.endSession('user:u1');
+        tracker.record(call('main', 70), { sessionId: 'user:u1', userId: 'u1' });
+
+        const sessions = tracker.getUserSessions('u1');
+        assert.deepEqual(sessions.map(session => [session.chat, session.usage.totalTokens, !!session.endedAt]), [
+            [1, 70, false],
+            [0, 100, true],
+        ]);
+    });
+
+    it('bounds ended sessions and raw records', () => {
+        const tracker = new UsageTracker({ maxRecords: 2, maxEndedSessions: 2 });
+
+        ['a', 'b', 'c'].forEach((sessionId) => {
+            tracker.record(call('main', 10), { sessionId });
+            tracker.endSession(sessionId);
+        });
+
+        assert.equal(tracker.getSessionUsage('a'), null);
+        assert.equal(tracker.getSummary().endedSessions, 2);
+        assert.equal(tracker.getRecords().length, 2);
+    });
+});
@@ -0,0 +1,209 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPairSync } from 'crypto';
+import jwt from 'jsonwebtoken';
+import { SupabaseJwtVerifier } from '../../src/middleware/SupabaseJwtVerifier.js';
+
+const SECRET = 'test-jwt-secret-at-least-32-characters';
+const ISSUER = 'https://project.supabase.co/auth/v1';
+const JWKS_URL = `${ISSUER}/.well-known/jwks.json`;
+
+const rsaKeys = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const ecKeys = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+function claims(overrides = {}) {
+    return {
+        sub: 'user-1',
+        email: 'user@example.com',
+        role: 'authenticated',
+        aud: 'authenticated',
+        iss: ISSUER,
+        app_metadata: { tier: 'pro' },
+        ...overrides,
+    };
+}
+
+function sign(payload, key, { algorithm = 'HS256', kid, expiresIn = '1h' } = {}) {
+    return jwt.sign(payload, key, { algorithm, ...(kid ? { keyid: kid } : {}), ...(expiresIn ? { expiresIn } : {}) });
+}
+
+function jwk(publicKey, kid, alg) {
+    return { ...publicKey.export({ format: 'jwk' }), kid, alg, use: 'sig' };
+}
+
+/**
+ * fetchImpl serving a mutable JWKS and counting requests
+ */
+function jwksServer(keys) {
+    const server = {
+        keys,
+        requests: 0,
+        fetch: async (url) => {
+            assert.equal(url, JWKS_URL);
+            server.requests++;
+            return { ok: true, status: 200, json: async () => ({ keys: server.keys }) };
+        },
+    };
+    return server;
+}
+
+describe('SupabaseJwtVerifier', () => {
+    beforeEach(() => {
+        mock.method(console, 'warn', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        mock.timers.reset();
+    });
+
+    describe('HS256', () => {
+        const verifier = new SupabaseJwtVerifier({ secret: SECRET, issuer: ISSUER });
+
+        it('accepts a valid token', async () => {
+            const result = await verifier.verify(sign(claims(), SECRET));
+
+            assert.equal(result.status, 'valid');
+            assert.deepEqual(result.user, { id: 'user-1', email: 'user@example.com', role: 'authenticated', tier: 'pro' });
+            assert.ok(result.expiresAt > Date.now());
+        });
+
+        it('flags expired tokens', async () => {
+            const token = sign(claims({ exp: Math.floor(Date.now() / 1000) - 60 }), SECRET, { expiresIn: null });
+            const result = await verifier.verify(token);
+
+            assert.equal(result.status, 'invalid');
+            assert.equal(result.expired, true);
+        });
+
+        it('rejects a wrong audience', async () => {
+            const result = await verifier.verify(sign(claims({ aud: 'anon' }), SECRET));
+
+            assert.equal(result.status, 'invalid');
+            assert.equal(result.expired, false);
+            assert.match(result.error, /audience/);
+        });
+
+        it('rejects a wrong issuer', async () => {
+            const result = await verifier.verify(sign(claims({ iss: 'https://other.supabase.co/auth/v1' }), SECRET));
+
+            assert.equal(result.status, 'invalid');
+            assert.match(result.error, /issuer/);
+        });
+
+        it('rejects a wrong signature', async () => {
+            const result = await verifier.verify(sign(claims(), 'another-secret-of-at-least-32-chars'));
+
+            assert.equal(result.status, 'invalid');
+            assert.match(result.error, /signature/);
+        });
+
+        it('rejects roles that are not allowed', async () => {
+            const result = await verifier.verify(sign(claims({ role: 'service_role' }), SECRET));
+
+            assert.deepEqual(result, { status: 'invalid', error: 'Role not allowed: service_role' });
+        });
+
+        it('rejects tokens without a subject', async () => {
+            const { sub, ...payload } = claims();
+            const result = await verifier.verify(sign(payload, SECRET));
+
+            assert.deepEqual(result, { status: 'invalid', error: 'Token has no subject' });
+        });
+
+        it('never accepts alg none', async () => {
+            const token = jwt.sign(claims(), null, { algorithm: 'none' });
+            const result = await verifier.verify(token);
+
+            assert.deepEqual(result, { status: 'invalid', error: 'Unsupported token algorithm: none' });
+        });
+
+        it('rejects malformed tokens', async () => {
+            assert.deepEqual(await verifier.verify('not-a-jwt'), { status: 'invalid', error: 'Malformed token' });
+        });
+
+        it('is unverifiable without a secret', async () => {
+            const noSecret = new SupabaseJwtVerifier({ issuer: ISSUER });
+            const result = await noSecret.verify(sign(claims(), SECRET));
+
+            assert.equal(result.status, 'unverifiable');
+        });
+    });
+
+    describe('JWKS', () => {
+        it('accepts RS256 and ES256 tokens signed with published keys', async () => {
+            const server = jwksServer([jwk(rsaKeys.publicKey, 'rsa-1', 'RS256'), jwk(ecKeys.publicKey, 'ec-1', 'ES256')]);
+            const verifier = new SupabaseJwtVerifier({ jwksUrl: JWKS_URL, issuer: ISSUER, fetchImpl: server.fetch });
+
+            const rs = await verifier.verify(sign(claims(), rsaKeys.privateKey, { algorithm: 'RS256', kid: 'rsa-1' }));
+            const es = await verifier.verify(sign(claims(), ecKeys.privateKey, { algorithm: 'ES256', kid: 'ec-1' }));
+
+            assert.equal(rs.status, 'valid');
+            assert.equal(es.status, 'valid');
+            assert.equal(server.requests, 1);
+        });
+
+        it('rejects a token whose kid points at another key', async () => {
+            const server = jwksServer([jwk(rsaKeys.publicKey, 'rsa-1', 'RS256')]);
+            const verifier = new SupabaseJwtVerifier({ jwksUrl: JWKS_URL, issuer: ISSUER, fetchImpl: server.fetch });
+            const { privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+            const result = await verifier.verify(sign(claims(), privateKey, { algorithm: 'RS256', kid: 'rsa-1' }));
+
+            assert.equal(result.status, 'invalid');
+        });
+
+        it('refetches once for an unknown kid and throttles further refetches', async () => {
+            mock.timers.enable({ apis: ['Date'], now: Date.UTC(2026, 0, 1) });
+            const server = jwksServer([jwk(rsaKeys.publicKey, 'rsa-1', 'RS256')]);
+            const verifier = new SupabaseJwtVerifier({
+                jwksUrl: JWKS_URL,
+                issuer: ISSUER,
+                jwksRefetchMs: 30000,
+                fetchImpl: server.fetch,
+            });
+
+            assert.equal((await verifier.verify(sign(claims(), rsaKeys.privateKey, { algorithm: 'RS256', kid: 'rsa-1' }))).status, 'valid');
+            assert.equal(server.requests, 1);
+
+            // Key rotation: a new kid shows up after the throttle window → one refetch
+            server.keys = [...server.keys, jwk(ecKeys.publicKey, 'ec-2', 'ES256')];
+            mock.timers.tick(30001);
+            const rotated = sign(claims(), ecKeys.privateKey, { algorithm: 'ES256', kid: 'ec-2' });
+            assert.equal((await verifier.verify(rotated)).status, 'valid');
+            assert.equal(server.requests, 2);
+
+            // Unknown kids inside the window don't hit the JWKS endpoint again
+            const unknown = sign(claims(), rsaKeys.privateKey, { algorithm: 'RS256', kid: 'missing' });
+            const first = await verifier.verify(unknown);
+            const second = await verifier.verify(unknown);
+            assert.deepEqual(first, { status: 'unverifiable', error: 'Unknown signing key (kid missing)' });
+            assert.equal(second.status, 'unverifiable');
+            assert.equal(server.requests, 2);
+
+            mock.timers.tick(30001);
+            assert.equal((await verifier.verify(unknown)).status, 'unverifiable');
+            assert.equal(server.requests, 3);
+        });
+
+        it('is unverifiable when the JWKS cannot be fetched', async () => {
+            const verifier = new SupabaseJwtVerifier({
+                jwksUrl: JWKS_URL,
+                issuer: ISSUER,
+                fetchImpl: async () => ({ ok: false, status: 503 }),
+            });
+
+            const result = await verifier.verify(sign(claims(), rsaKeys.privateKey, { algorithm: 'RS256', kid: 'rsa-1' }));
+
+            assert.deepEqual(result, { status: 'unverifiable', error: 'JWKS unavailable: HTTP 503' });
+        });
+
+        it('is unverifiable without a JWKS URL', async () => {
+            const verifier = new SupabaseJwtVerifier({ secret: SECRET, issuer: ISSUER });
+
+            const result = await verifier.verify(sign(claims(), rsaKeys.privateKey, { algorithm: 'RS256', kid: 'rsa-1' }));
+
+            assert.equal(result.status, 'unverifiable');
+        });
+    });
+});
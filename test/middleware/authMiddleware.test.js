@@ -0,0 +1,125 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { socketAuthMiddleware, verifySupabaseToken } from '../../src/middleware/authMiddleware.js';
+
+// No local secret: HS256 tokens are unverifiable locally and go to Supabase Auth
+const SUPABASE_URL = 'https://project.supabase.co';
+process.env.SUPABASE_URL = SUPABASE_URL;
+process.env.SUPABASE_ANON_KEY = 'anon-key';
+delete process.env.SUPABASE_JWT_SECRET;
+delete process.env.SUPABASE_JWKS_URL;
+process.env.AUTH_POLICY = 'limited';
+
+const token = jwt.sign(
+    { sub: 'user-1', role: 'authenticated', aud: 'authenticated', exp: Math.floor(Date.now() / 1000) + 3600 },
+    'someone-elses-secret-of-32-characters'
+);
+
+function json(status, body) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * Stub fetch for the JWKS endpoint and Supabase Auth's /user
+ */
+function stubSupabase({ user = null } = {}) {
+    const requests = [];
+    mock.method(globalThis, 'fetch', async (input) => {
+        const url = String(input instanceof Request ? input.url : input);
+        requests.push(url);
+        if (url.endsWith('/.well-known/jwks.json')) return json(200, { keys: [] });
+        if (url.startsWith(`${SUPABASE_URL}/auth/v1/user`)) {
+            return user ? json(200, user) : json(401, { code: 401, msg: 'invalid JWT' });
+        }
+        return json(404, {});
+    });
+    return requests;
+}
+
+describe('verifySupabaseToken', () => {
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('reports a missing token', async () => {
+        const result = await verifySupabaseToken(null);
+
+        assert.equal(result.valid, false);
+        assert.equal(result.code, 'MISSING_TOKEN');
+    });
+
+    it('falls through to Supabase Auth when the token is unverifiable locally', async () => {
+        const requests = stubSupabase({
+            user: { id: 'user-1', email: 'user@example.com', role: 'authenticated', app_metadata: { tier: 'pro' } },
+        });
+
+        const result = await verifySupabaseToken(token);
+
+        assert.equal(result.valid, true);
+        assert.equal(result.verifiedBy, 'remote');
+        assert.deepEqual(result.user, { id: 'user-1', email: 'user@example.com', role: 'authenticated', tier: 'pro' });
+        assert.equal(result.expiresAt, jwt.decode(token).exp * 1000);
+        assert.ok(requests.some(url => url.startsWith(`${SUPABASE_URL}/auth/v1/user`)));
+    });
+
+    it('reports INVALID_TOKEN when Supabase Auth rejects the token', async () => {
+        stubSupabase();
+
+        const result = await verifySupabaseToken(token);
+
+        assert.equal(result.valid, false);
+        assert.equal(result.code, 'INVALID_TOKEN');
+    });
+});
+
+describe('socketAuthMiddleware (AUTH_POLICY=limited)', () => {
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const connect = async (authToken) => {
+        const socket = { handshake: { auth: { token: authToken }, query: {} } };
+        let error;
+        await socketAuthMiddleware(socket, (err) => { error = err; });
+        return { socket, error };
+    };
+
+    it('connects a rejected token as anonymous with authError', async () => {
+        stubSupabase();
+
+        const { socket, error } = await connect(token);
+
+        assert.equal(error, undefined);
+        assert.equal(socket.authenticated, false);
+        assert.equal(socket.user, null);
+        assert.equal(socket.authError, 'INVALID_TOKEN');
+    });
+
+    it('authenticates a valid token', async () => {
+        stubSupabase({ user: { id: 'user-1', email: 'user@example.com' } });
+
+        const { socket, error } = await connect(token);
+
+        assert.equal(error, undefined);
+        assert.equal(socket.authenticated, true);
+        assert.equal(socket.user.id, 'user-1');
+        assert.equal(socket.authError, null);
+    });
+
+    it('connects without a token as anonymous', async () => {
+        const { socket, error } = await connect(undefined);
+
+        assert.equal(error, undefined);
+        assert.equal(socket.authenticated, false);
+        assert.equal(socket.authError, null);
+    });
+});
@@ -0,0 +1,64 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { OpenAICompatibleProvider } from '../../src/providers/OpenAICompatibleProvider.js';
+
+/**
+ * Stub fetch answering with a server-sent event stream, split into the given chunks
+ */
+function stubStream(chunks) {
+    const requests = [];
+    mock.method(globalThis, 'fetch', async (url, init) => {
+        requests.push({ url, body: JSON.parse(init.body) });
+        const body = new ReadableStream({
+            start(controller) {
+                for (const chunk of chunks) controller.enqueue(new TextEncoder().encode(chunk));
+                controller.close();
+            },
+        });
+        return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+    });
+    return requests;
+}
+
+const delta = (content) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+
+async function collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return chunks;
+}
+
+describe('OpenAICompatibleProvider streaming', () => {
+    const provider = new OpenAICompatibleProvider({ baseUrl: 'http://localhost:11434/v1/' });
+
+    beforeEach(() => {
+        mock.method(console, 'warn', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('yields deltas split across network chunks and reports usage', async () => {
+        const usage = { prompt_tokens: 10, completion_tokens: 4, total_tokens: 14 };
+        const events = delta('Hel') + delta('lo') + `data: ${JSON.stringify({ choices: [], usage })}\n\n` + 'data: [DONE]\n\n';
+        const requests = stubStream([events.slice(0, 25), events.slice(25, 70), events.slice(70)]);
+        const onUsage = mock.fn();
+
+        const chunks = await collect(provider.generateContentStream({ model: 'llama3', prompt: 'hi', onUsage }));
+
+        assert.deepEqual(chunks, ['Hel', 'lo']);
+        assert.deepEqual(onUsage.mock.calls[0].arguments[0], { promptTokenCount: 10, candidatesTokenCount: 4, totalTokenCount: 14 });
+        assert.equal(requests[0].url, 'http://localhost:11434/v1/chat/completions');
+        assert.equal(requests[0].body.stream, true);
+    });
+
+    it('skips lines that are not JSON', async () => {
+        stubStream([delta('one'), 'data: {"choices": [\n\n', ': keep-alive\n\n', 'data: <html>\n\n', delta('two'), 'data: [DONE]\n\n']);
+
+        const chunks = await collect(provider.generateContentStream({ model: 'llama3', prompt: 'hi' }));
+
+        assert.deepEqual(chunks, ['one', 'two']);
+        assert.equal(console.warn.mock.callCount(), 2);
+    });
+});
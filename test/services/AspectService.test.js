@@ -0,0 +1,128 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AspectService, pointLongitude } from '../../src/services/AspectService.js';
+
+const aspects = await AspectService.load();
+
+describe('pointLongitude', () => {
+    it('uses longitude, else sign and degree', () => {
+        assert.equal(pointLongitude({ longitude: 123.4 }), 123.4);
+        assert.equal(pointLongitude({ sign: 'taurus', degree: 10 }), 40);
+        assert.equal(pointLongitude({ sign: 'Pisces', degree: '29.5' }), 359.5);
+        assert.equal(pointLongitude({ sign: 'Taurus' }), null);
+        assert.equal(pointLongitude({ sign: 'Ophiuchus', degree: 3 }), null);
+        assert.equal(pointLongitude(null), null);
+    });
+});
+
+describe('AspectService', () => {
+    describe('orbs', () => {
+        it('finds natal aspects within the configured orb', () => {
+            const found = aspects.chartAspects({ mars: { longitude: 10 }, saturn: { longitude: 106.9 } });
+
+            assert.deepEqual(found, [{
+                from: 'mars', to: 'saturn', aspect: 'square', angle: 90, separation: 96.9, orb: 6.9, applying: null,
+            }]);
+            assert.deepEqual(aspects.chartAspects({ mars: { longitude: 10 }, saturn: { longitude: 107.1 } }), []);
+        });
+
+        it('widens natal orbs for the Sun and Moon', () => {
+            // Square orb 7° + luminary bonus 2°
+            assert.equal(aspects.chartAspects({ sun: { longitude: 10 }, saturn: { longitude: 108.9 } })[0].aspect, 'square');
+            assert.deepEqual(aspects.chartAspects({ sun: { longitude: 10 }, saturn: { longitude: 109.1 } }), []);
+        });
+
+        it('uses the tighter transit orbs without the luminary bonus', () => {
+            const natal = { sun: { longitude: 100 } };
+
+            assert.equal(aspects.transitAspects({ saturn: { longitude: 12.9, speed: 0.1 } }, natal)[0].orb, 2.9);
+            assert.deepEqual(aspects.transitAspects({ saturn: { longitude: 13.1, speed: 0.1 } }, natal), []);
+        });
+
+        it('measures separation across 0° Aries', () => {
+            const [conjunction] = aspects.chartAspects({ venus: { longitude: 357 }, mars: { longitude: 2 } });
+
+            assert.equal(conjunction.aspect, 'conjunction');
+            assert.equal(conjunction.orb, 5);
+        });
+
+        it('sorts tightest first and skips Ascendant-Midheaven', () => {
+            const found = aspects.chartAspects({
+                sun: { longitude: 0 },
+                moon: { longitude: 183 },
+                mercury: { longitude: 1 },
+                ascendant: { longitude: 90 },
+                midheaven: { longitude: 0 },
+            });
+
+            const orbs = found.map(aspect => aspect.orb);
+            assert.deepEqual(orbs, [...orbs].sort((a, b) => a - b));
+            assert.deepEqual(found.slice(0, 2).map(aspect => `${aspect.from} ${aspect.aspect} ${aspect.to}`), [
+                'sun square ascendant',
+                'sun conjunction midheaven',
+            ]);
+            // Ascendant square Midheaven would be exact, but is not an aspect
+            assert.ok(!found.some(aspect => aspect.from === 'ascendant' && aspect.to === 'midheaven'));
+        });
+    });
+
+    describe('applying / separating', () => {
+        const natal = { sun: { longitude: 100 } };
+
+        it('is applying when the transit moves toward exact', () => {
+            const [square] = aspects.transitAspects({ mars: { longitude: 8, speed: 0.7 } }, natal);
+
+            assert.equal(square.aspect, 'square');
+            assert.equal(square.applying, true);
+        });
+
+        it('is separating when the transit moves away from exact', () => {
+            const [square] = aspects.transitAspects({ mars: { longitude: 12, speed: 0.7 } }, natal);
+
+            assert.equal(square.applying, false);
+        });
+
+        it('follows retrograde motion', () => {
+            const [square] = aspects.transitAspects({ mercury: { longitude: 12, speed: -0.5 } }, natal);
+
+            assert.equal(square.applying, true);
+        });
+
+        it('accounts for both speeds within a chart', () => {
+            // The Moon (fast) catches up with Venus ahead of it
+            const [conjunction] = aspects.chartAspects({ moon: { longitude: 95, speed: 13 }, venus: { longitude: 100, speed: 1.2 } });
+
+            assert.equal(conjunction.applying, true);
+        });
+
+        it('is null without speeds and in synastry', () => {
+            assert.equal(aspects.chartAspects({ sun: { longitude: 0 }, moon: { longitude: 120 } })[0].applying, null);
+
+            const [synastry] = aspects.synastryAspects(
+                { venus: { longitude: 10, speed: 1 } },
+                { mars: { longitude: 12, speed: 0.5 } }
+            );
+            assert.equal(synastry.aspect, 'conjunction');
+            assert.equal(synastry.applying, null);
+        });
+    });
+
+    it('only uses transiting planets, not transit angles', () => {
+        const found = aspects.transitAspects({ ascendant: { longitude: 100 } }, { sun: { longitude: 100 } });
+
+        assert.deepEqual(found, []);
+    });
+
+    it('formats aspects for the prompt', () => {
+        const formatted = aspects.formatAspectsForAI([
+            { from: 'saturn', to: 'sun', aspect: 'square', orb: 1.24, applying: true },
+            { from: 'venus', to: 'moon', aspect: 'trine', orb: 0.5, applying: null },
+        ], { from: 'Transit', to: 'natal' });
+
+        assert.equal(
+            formatted,
+            '- Transit Saturn square natal Sun (orb 1.2°, applying)\n'
+            + '- Transit Venus trine natal Moon (orb 0.5°)\n'
+        );
+    });
+});
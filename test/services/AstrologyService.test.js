@@ -0,0 +1,163 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { AstrologyService, parseUtcOffset } from '../../src/services/AstrologyService.js';
+import { angleDifference, julianDay, signOf } from '../../src/utils/ephemeris.js';
+
+// Total solar eclipse of 2024-04-08, greatest eclipse ~18:18 UTC (Sun and Moon at 19°24' Aries)
+const ECLIPSE = new Date(Date.UTC(2024, 3, 8, 18, 18));
+const DALLAS = { latitude: 32.78, longitude: -96.8 };
+
+// Geocentric longitudes from a published ephemeris for that moment: [longitude, tolerance]
+const EXPECTED = {
+    sun: [19.4, 0.05],
+    moon: [19.4, 0.3],
+    mercury: [24.8, 0.3],
+    venus: [4.45, 0.3],
+    mars: [343.05, 0.3],
+    jupiter: [49.0, 0.3],
+    saturn: [344.5, 0.3],
+    uranus: [51.2, 0.3],
+    neptune: [358.2, 0.3],
+    pluto: [301.95, 0.3],
+};
+
+const astrology = new AstrologyService();
+
+describe('ephemeris', () => {
+    it('computes Julian days', () => {
+        assert.equal(julianDay(new Date(Date.UTC(2000, 0, 1, 12))), 2451545);
+        assert.equal(julianDay(new Date(Date.UTC(2024, 3, 8))), 2460408.5);
+    });
+
+    it('maps longitudes to signs and wraps angle differences', () => {
+        assert.deepEqual(signOf(19.4), { sign: 'Aries', degree: 19.4 });
+        assert.equal(signOf(301.95).sign, 'Aquarius');
+        assert.equal(signOf(-1).sign, 'Pisces');
+        assert.equal(angleDifference(359, 1), -2);
+        assert.equal(angleDifference(1, 359), 2);
+    });
+});
+
+describe('AstrologyService', () => {
+    beforeEach(() => {
+        mock.method(console, 'warn', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    describe('calculateChart', () => {
+        const chart = astrology.calculateChart(ECLIPSE, DALLAS);
+
+        it('places the bodies where the ephemeris has them on 2024-04-08', () => {
+            Object.entries(EXPECTED).forEach(([body, [longitude, tolerance]]) => {
+                const distance = Math.abs(angleDifference(chart[body].longitude, longitude));
+                assert.ok(distance <= tolerance, `${body}: ${chart[body].longitude} vs ${longitude}`);
+            });
+            assert.equal(chart.sun.sign, 'Aries');
+            assert.equal(chart.moon.sign, 'Aries');
+            assert.equal(chart.pluto.sign, 'Aquarius');
+        });
+
+        it('flags retrograde motion', () => {
+            // Mercury stationed retrograde on 2024-04-01
+            assert.equal(chart.mercury.isRetrograde, true);
+            assert.ok(chart.mercury.speed < 0);
+            assert.equal(chart.sun.isRetrograde, false);
+            assert.ok(chart.moon.speed > 11 && chart.moon.speed < 16);
+        });
+
+        it('starts houses 1 and 10 at the ascendant and midheaven', () => {
+            assert.equal(chart.houses.system, 'placidus');
+            assert.equal(chart.houses.cusps.length, 12);
+            assert.equal(chart.houses.cusps[0], chart.ascendant.longitude);
+            assert.equal(chart.houses.cusps[9], chart.midheaven.longitude);
+            assert.equal(chart.ascendant.house, 1);
+            assert.equal(chart.location.latitude, DALLAS.latitude);
+        });
+
+        it('supports equal and whole sign houses', () => {
+            const equal = new AstrologyService({ houseSystem: 'equal' }).calculateChart(ECLIPSE, DALLAS);
+            const wholeSign = new AstrologyService({ houseSystem: 'whole_sign' }).calculateChart(ECLIPSE, DALLAS);
+
+            equal.houses.cusps.forEach((cusp, index) => {
+                const expected = (equal.ascendant.longitude + index * 30) % 360;
+                assert.ok(Math.abs(angleDifference(cusp, expected)) < 1e-3);
+            });
+            assert.ok(wholeSign.houses.cusps.every(cusp => cusp % 30 === 0));
+            assert.throws(() => new AstrologyService({ houseSystem: 'koch' }), /Unknown house system/);
+        });
+
+        it('omits houses and angles without a location', () => {
+            const noPlace = astrology.calculateChart(ECLIPSE);
+
+            assert.equal(noPlace.ascendant, undefined);
+            assert.equal(noPlace.sun.house, undefined);
+            assert.equal(noPlace.location, null);
+        });
+    });
+
+    describe('birthMoment', () => {
+        const moment = (birth_date_time, utc_offset) => astrology.birthMoment({ birth_date_time, utc_offset })?.toISOString() ?? null;
+
+        it('honours zones in the timestamp, including short Postgres offsets', () => {
+            assert.equal(moment('1990-05-12T14:30:00Z'), '1990-05-12T14:30:00.000Z');
+            assert.equal(moment('1990-05-12 14:30:00+00'), '1990-05-12T14:30:00.000Z');
+            assert.equal(moment('1990-05-12 14:30:00+05'), '1990-05-12T09:30:00.000Z');
+            assert.equal(moment('1990-05-12T14:30:00-0330'), '1990-05-12T18:00:00.000Z');
+            assert.equal(moment('1990-05-12T14:30:00.250+05:30', '-08:00'), '1990-05-12T09:00:00.250Z');
+        });
+
+        it('converts local times with utc_offset', () => {
+            assert.equal(moment('1990-05-12T14:30:00', '+02:00'), '1990-05-12T12:30:00.000Z');
+            assert.equal(moment('1990-05-12T14:30:00', -5), '1990-05-12T19:30:00.000Z');
+            assert.equal(moment('1990-05-12T14:30:00'), '1990-05-12T14:30:00.000Z');
+            // A date only is not mistaken for a '-12' offset
+            assert.equal(moment('1990-05-12', 3), '1990-05-11T21:00:00.000Z');
+        });
+
+        it('logs timestamps it cannot parse', () => {
+            assert.equal(moment('12/05/1990 2:30pm'), null);
+            assert.equal(moment('1990-05-12T14:30:00+5'), null);
+            assert.equal(console.warn.mock.callCount(), 2);
+            assert.match(console.warn.mock.calls[0].arguments[0], /Cannot parse birth_date_time "12\/05\/1990 2:30pm"/);
+            assert.equal(moment(undefined), null);
+        });
+    });
+
+    it('parses UTC offsets in hours, minutes and clock notation', () => {
+        assert.equal(parseUtcOffset('+05:30'), 330);
+        assert.equal(parseUtcOffset('-0300'), -180);
+        assert.equal(parseUtcOffset('UTC+2'), 120);
+        assert.equal(parseUtcOffset(-5.5), -330);
+        assert.equal(parseUtcOffset(330), 330);
+        assert.equal(parseUtcOffset(''), null);
+        assert.equal(parseUtcOffset('soon'), null);
+    });
+
+    it('builds natal charts only with birth date and place', () => {
+        const profile = { birth_date_time: '2024-04-08 18:18:00+00', birth_latitude: '32.78', birth_longitude: '-96.8' };
+
+        assert.equal(astrology.natalChart(profile).sun.sign, 'Aries');
+        assert.equal(astrology.natalChart({ ...profile, birth_latitude: null }), null);
+        assert.equal(astrology.natalChart({ ...profile, birth_date_time: null }), null);
+    });
+
+    it('cross-checks client signs, tolerating sign boundaries', () => {
+        const server = astrology.calculateChart(ECLIPSE, DALLAS);
+        const client = {
+            sun: { sign: 'aries' },
+            venus: { sign: 'Pisces' },
+            jupiter: { sign: 'Gemini' },
+            ascendant: { sign: 'Leo' },
+        };
+
+        // Venus is 4.45° into Aries (beyond the 1° tolerance), the Ascendant 2.8° from Leo (within 5°)
+        assert.deepEqual(astrology.crossCheck(client, server), [
+            { body: 'venus', client: 'Pisces', server: 'Aries' },
+            { body: 'jupiter', client: 'Gemini', server: 'Taurus' },
+        ]);
+        assert.deepEqual(astrology.crossCheck(null, server), []);
+    });
+});
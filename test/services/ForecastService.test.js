@@ -0,0 +1,147 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ForecastService, chartFingerprint } from '../../src/services/ForecastService.js';
+import { AstrologyService } from '../../src/services/AstrologyService.js';
+import { AspectService } from '../../src/services/AspectService.js';
+import { MemoryForecastCacheStore } from '../../src/stores/MemoryForecastCacheStore.js';
+
+const NOW = Date.UTC(2024, 3, 8, 18, 18);
+const PROFILE = {
+    birth_date_time: '1990-05-12T14:30:00+02:00',
+    birth_latitude: '52.52',
+    birth_longitude: '13.4',
+    timezone: 'Europe/Berlin',
+};
+
+const astrology = new AstrologyService();
+const aspects = await AspectService.load();
+
+function createService(profiles = { 'user-1': PROFILE }) {
+    const gemini = {
+        generateDailyForecast: mock.fn(async () => 'daily text'),
+        generatePersonalForecast: mock.fn(async ({ date, focus }) => `personal ${date} ${focus}`),
+    };
+    const userProfiles = {
+        getUserProfile: async userId => profiles[userId] || null,
+        resolveCharts: profile => ({ natal: astrology.natalChart(profile), transit: null }),
+    };
+    const service = new ForecastService(gemini, userProfiles, astrology, aspects, {
+        cache: new MemoryForecastCacheStore({ now: () => NOW }),
+        now: () => NOW,
+    });
+    return { service, gemini };
+}
+
+describe('ForecastService', () => {
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    describe('cache keys', () => {
+        const { service } = createService();
+
+        it('joins kind, date, zone, fingerprint and variant', () => {
+            assert.equal(
+                service.cacheKey('personal', { date: '2024-04-08', timezone: 'Europe/Berlin', fingerprint: 'abc' }, ['love', 'english']),
+                'personal:2024-04-08:Europe/Berlin:abc:love:english'
+            );
+            assert.equal(service.cacheKey('week', { date: '2024-04-08', timezone: 'UTC' }), 'week:2024-04-08:UTC');
+        });
+
+        it('fingerprints charts by whole degrees and retrograde motion', () => {
+            const chart = { sun: { longitude: 19.1 }, mercury: { longitude: 24.8, isRetrograde: true } };
+
+            assert.match(chartFingerprint(chart), /^[0-9a-f]{16}$/);
+            assert.equal(chartFingerprint({ ...chart, sun: { longitude: 19.9 } }), chartFingerprint(chart));
+            assert.notEqual(chartFingerprint({ ...chart, sun: { longitude: 20.0 } }), chartFingerprint(chart));
+            assert.notEqual(chartFingerprint({ ...chart, mercury: { longitude: 24.8 } }), chartFingerprint(chart));
+            // Client charts without degrees fall back to the sign
+            assert.notEqual(chartFingerprint({ sun: { sign: 'Aries' } }), chartFingerprint({ sun: { sign: 'Taurus' } }));
+        });
+
+        it('resolves the zone from timezone, else utc_offset, else UTC', () => {
+            assert.deepEqual(service.resolveZone({ timezone: 'Asia/Tokyo', utc_offset: '+02:00' }), { zone: 'Asia/Tokyo', label: 'Asia/Tokyo' });
+            assert.deepEqual(service.resolveZone({ timezone: 'Nowhere/City', utc_offset: '-03:30' }), { zone: -210, label: 'UTC-03:30' });
+            assert.deepEqual(service.resolveZone({ utc_offset: 5.5 }), { zone: 330, label: 'UTC+05:30' });
+            assert.deepEqual(service.resolveZone(null), { zone: 'UTC', label: 'UTC' });
+        });
+    });
+
+    describe('dailyForecast', () => {
+        it('uses the local date of the zone and caches per date and zone', async () => {
+            const { service, gemini } = createService();
+
+            const tokyo = await service.dailyForecast({ timezone: 'Asia/Tokyo' });
+            const again = await service.dailyForecast({ timezone: 'Asia/Tokyo' });
+            const berlin = await service.dailyForecast({ timezone: 'Europe/Berlin' });
+
+            assert.equal(tokyo.date, '2024-04-09');
+            assert.equal(berlin.date, '2024-04-08');
+            assert.equal(tokyo.cached, false);
+            assert.equal(again.cached, true);
+            assert.equal(again.forecast, 'daily text');
+            assert.equal(gemini.generateDailyForecast.mock.callCount(), 2);
+        });
+
+        it('shares one model call between concurrent misses', async () => {
+            const { service, gemini } = createService();
+
+            const results = await Promise.all([
+                service.dailyForecast({ timezone: 'UTC' }),
+                service.dailyForecast({ timezone: 'UTC' }),
+            ]);
+
+            assert.deepEqual(results.map(result => result.cached), [false, false]);
+            assert.equal(gemini.generateDailyForecast.mock.callCount(), 1);
+            assert.equal(service.pending.size, 0);
+        });
+    });
+
+    describe('personalForecast', () => {
+        it('caches per natal chart, focus and language', async () => {
+            const { service, gemini } = createService();
+
+            const first = await service.personalForecast('user-1', { focus: 'love', language: 'English' });
+            const second = await service.personalForecast('user-1', { focus: 'love', language: 'english' });
+            const work = await service.personalForecast('user-1', { focus: 'work' });
+
+            assert.equal(first.ok, true);
+            assert.equal(first.date, '2024-04-08');
+            assert.equal(first.timezone, 'Europe/Berlin');
+            assert.equal(second.cached, true);
+            assert.equal(work.forecast, 'personal 2024-04-08 work');
+            assert.equal(gemini.generatePersonalForecast.mock.callCount(), 2);
+
+            const keys = [...service.cache.entries.keys()];
+            const fingerprint = chartFingerprint(astrology.natalChart(PROFILE));
+            assert.ok(keys.includes(`personal:2024-04-08:Europe/Berlin:${fingerprint}:love:english`));
+        });
+
+        it('remembers active users only for requests of today', async () => {
+            const { service } = createService();
+
+            await service.personalForecast('user-1', { date: '2024-04-09' });
+            assert.deepEqual(service.getActiveUsers(0), []);
+
+            await service.personalForecast('user-1', { focus: 'energy', language: 'German' });
+            assert.deepEqual(service.getActiveUsers(NOW - 1000), [{
+                userId: 'user-1', focus: 'energy', language: 'German', zone: 'Europe/Berlin', timezone: 'Europe/Berlin', lastSeenAt: NOW,
+            }]);
+            // Users not seen since the cut-off are dropped
+            assert.deepEqual(service.getActiveUsers(NOW + 1), []);
+            assert.equal(service.activeUsers.size, 0);
+        });
+
+        it('reports missing profiles and birth data', async () => {
+            const { service, gemini } = createService({ 'user-2': { timezone: 'UTC' } });
+
+            assert.equal((await service.personalForecast('user-1')).code, 'PROFILE_NOT_FOUND');
+            assert.equal((await service.personalForecast('user-2')).code, 'BIRTH_DATA_MISSING');
+            assert.equal(gemini.generatePersonalForecast.mock.callCount(), 0);
+        });
+    });
+});
@@ -0,0 +1,102 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { GeminiService } from '../../src/services/GeminiService.js';
+import { SynastryService } from '../../src/services/SynastryService.js';
+import { AspectService } from '../../src/services/AspectService.js';
+import { AstrologyService } from '../../src/services/AstrologyService.js';
+import { MockProvider } from '../../src/providers/MockProvider.js';
+
+const synastryService = new SynastryService(new AstrologyService(), await AspectService.load());
+
+function point(sign, degree, longitude) {
+    return { sign, degree, longitude };
+}
+
+const USER_CHART = { sun: point('Aries', 19, 19), venus: point('Taurus', 4, 34) };
+const PARTNER = { name: 'Sam', natalChart: { sun: point('Leo', 21, 141), mars: point('Aries', 2, 2) } };
+
+async function createService({ userProfileService = null } = {}) {
+    const service = new GeminiService(new MockProvider(), userProfileService, null, synastryService);
+    await service.loadPrompts();
+    // Prompt logs are debugging output only
+    service._saveContextToFile = async () => {};
+    return service;
+}
+
+const compatibility = (natalChart = USER_CHART) => ({ chatMode: 'compatibility', natalChart, partner: PARTNER });
+
+describe('GeminiService', () => {
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    describe('compatibility prompt', () => {
+        it("includes an anonymous user's own natal chart next to the partner's", async () => {
+            const service = await createService();
+
+            const prompt = await service._buildUpdateBufferPrompt([], null, null, compatibility());
+
+            assert.match(prompt, /=== NATAL CHART \(Birth Positions\) ===\n\nSun: Aries 19°\nVenus: Taurus 4°\n/);
+            assert.match(prompt, /=== PARTNER: Sam \(NATAL CHART\) ===\n\nSun: Leo 21°\nMars: Aries 2°\n/);
+            assert.match(prompt, /=== SYNASTRY \(User → Sam\) ===/);
+        });
+
+        it('leaves the user chart to the profile context when there is a profile', async () => {
+            const userProfileService = {
+                getUserProfile: async () => ({ full_name: 'Alex' }),
+                formatProfileForAI: () => '\n=== USER PROFILE ===\n\n=== NATAL CHART (Birth Positions) ===\n\nSun: Aries 19°\n',
+                resolveCharts: (profile, questionType, natalChart) => ({ natal: natalChart }),
+            };
+            const service = await createService({ userProfileService });
+
+            const prompt = await service._buildUpdateBufferPrompt([], null, 'user-1', compatibility());
+
+            assert.equal(prompt.split('=== NATAL CHART (Birth Positions) ===').length, 2);
+            assert.match(prompt, /=== SYNASTRY \(Alex → Sam\) ===/);
+        });
+
+        it('adds no user chart without client chart data', async () => {
+            const service = await createService();
+
+            const prompt = await service._buildUpdateBufferPrompt([], null, null, compatibility(null));
+
+            assert.doesNotMatch(prompt, /=== NATAL CHART \(Birth Positions\) ===/);
+            assert.match(prompt, /No inter-chart aspects/);
+        });
+    });
+
+    describe('extractMemories', () => {
+        const CONVERSATION = { turns: [{ role: 'user', content: 'I am a nurse and I moved to Lisbon.' }] };
+
+        async function extract(response) {
+            const service = await createService();
+            service.models.memory.provider.setResponses('memory', [response]);
+            return service.extractMemories(CONVERSATION);
+        }
+
+        it('reads memories from a fenced JSON answer', async () => {
+            const memories = await extract('Sure:\n```json\n{"memories": [{"kind": "fact", "content": "Works as a nurse"}]}\n```');
+
+            assert.deepEqual(memories, [{ kind: 'fact', content: 'Works as a nurse' }]);
+        });
+
+        it('returns no memories and warns when the model output is malformed', async () => {
+            for (const response of ['{"memories": [{"kind": "fact", "content": "Works as', 'Nothing worth remembering.', '```json\n{memories: []}\n```']) {
+                assert.deepEqual(await extract(response), []);
+            }
+
+            assert.equal(console.warn.mock.callCount(), 3);
+            assert.match(console.warn.mock.calls[0].arguments[0], /Unparsable memory extraction output/);
+        });
+
+        it('ignores a memories field that is not an array', async () => {
+            assert.deepEqual(await extract({ memories: 'Works as a nurse' }), []);
+            assert.equal(console.warn.mock.callCount(), 0);
+        });
+    });
+});
@@ -0,0 +1,143 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SynastryService } from '../../src/services/SynastryService.js';
+import { AspectService } from '../../src/services/AspectService.js';
+import { AstrologyService } from '../../src/services/AstrologyService.js';
+
+const synastry = new SynastryService(new AstrologyService(), await AspectService.load());
+
+function chart(longitudes) {
+    return Object.fromEntries(Object.entries(longitudes).map(([point, longitude]) => [point, { longitude }]));
+}
+
+const describeAspect = aspect => `${aspect.from} ${aspect.aspect} ${aspect.to}`;
+
+const USER = chart({ venus: 10, mars: 200, moon: 100, uranus: 300, pluto: 250 });
+const PARTNER = chart({ mars: 12, venus: 201, saturn: 190, neptune: 301 });
+
+describe('SynastryService', () => {
+    describe('compare', () => {
+        const { aspects, summary } = synastry.compare(USER, PARTNER);
+
+        it('finds aspects from the first chart to the second with natal orbs', () => {
+            assert.deepEqual(aspects.map(describeAspect).sort(), [
+                'mars conjunction venus',
+                // 172° - at the edge of the 8° opposition orb
+                'mars opposition mars',
+                // 88° - within the square orb widened for the Moon
+                'moon square mars',
+                'moon square saturn',
+                'pluto sextile saturn',
+                'pluto trine mars',
+                'venus conjunction mars',
+                'venus opposition saturn',
+            ]);
+            const orbs = aspects.map(aspect => aspect.orb);
+            assert.deepEqual(orbs, [...orbs].sort((a, b) => a - b));
+            assert.ok(aspects.every(aspect => aspect.applying === null));
+        });
+
+        it('leaves out outer planet to outer planet contacts', () => {
+            // Uranus 300° conjunct Neptune 301° is shared by a generation
+            assert.ok(!aspects.some(aspect => aspect.from === 'uranus' && aspect.to === 'neptune'));
+            // Outer planets still count against personal points
+            assert.ok(aspects.some(aspect => aspect.from === 'pluto' && aspect.to === 'mars'));
+        });
+
+        it('tags each aspect with its nature and counts them', () => {
+            assert.deepEqual(
+                Object.fromEntries(aspects.map(aspect => [describeAspect(aspect), aspect.nature])),
+                {
+                    'moon square saturn': 'challenging',
+                    'venus opposition saturn': 'challenging',
+                    'pluto sextile saturn': 'harmonious',
+                    'mars conjunction venus': 'blending',
+                    'moon square mars': 'challenging',
+                    'venus conjunction mars': 'blending',
+                    'pluto trine mars': 'harmonious',
+                    'mars opposition mars': 'challenging',
+                }
+            );
+            assert.deepEqual(
+                [summary.harmonious, summary.challenging, summary.blending],
+                [2, 4, 2]
+            );
+            assert.equal(summary.keyAspects.length, 5);
+            assert.deepEqual(summary.keyAspects, aspects.slice(0, 5));
+        });
+
+        it('sums up the relationship themes', () => {
+            const { attraction, emotions, communication, commitment } = summary.themes;
+
+            assert.deepEqual([attraction.harmonious, attraction.challenging, attraction.blending], [1, 3, 2]);
+            assert.equal(describeAspect(attraction.tightest), 'venus opposition saturn');
+            assert.deepEqual([emotions.challenging, emotions.harmonious], [2, 0]);
+            assert.deepEqual([commitment.harmonious, commitment.challenging], [1, 2]);
+            assert.equal(communication.tightest, null);
+        });
+
+        it('depends on the direction of the comparison', () => {
+            const reversed = synastry.compare(PARTNER, USER).aspects.map(describeAspect);
+
+            assert.ok(reversed.includes('saturn square moon'));
+            assert.equal(reversed.length, aspects.length);
+        });
+    });
+
+    describe('resolvePerson', () => {
+        it('builds the natal chart from birth data', () => {
+            const result = synastry.resolvePerson({
+                name: '  Alex  ',
+                birth_date_time: '2024-04-08 18:18:00+00',
+                birth_latitude: 32.78,
+                birth_longitude: -96.8,
+            });
+
+            assert.equal(result.ok, true);
+            assert.equal(result.person.name, 'Alex');
+            assert.equal(result.person.source, 'birth_data');
+            assert.equal(result.person.natalChart.sun.sign, 'Aries');
+        });
+
+        it('accepts client charts with at least a Sun sign', () => {
+            const result = synastry.resolvePerson({ natalChart: { sun: { sign: 'Leo' } } }, { defaultName: 'Sam' });
+
+            assert.deepEqual(result, { ok: true, person: { name: 'Sam', natalChart: { sun: { sign: 'Leo' } }, source: 'client' } });
+            assert.equal(synastry.resolvePerson({ natalChart: { moon: { sign: 'Leo' } } }).ok, false);
+        });
+
+        it('rejects incomplete birth data and empty input', () => {
+            assert.match(
+                synastry.resolvePerson({ birth_date_time: '1990-05-12T14:30:00Z' }).error,
+                /needs birth_date_time, birth_latitude and birth_longitude/
+            );
+            assert.equal(synastry.resolvePerson(null).ok, false);
+            assert.equal(synastry.resolvePerson({ name: 'Alex' }).ok, false);
+        });
+    });
+
+    describe('formatSynastryForAI', () => {
+        it('lists the aspects and themes between the two people', () => {
+            const { aspects, summary } = synastry.compare(USER, PARTNER);
+            const partner = { name: 'Alex', natalChart: { ...PARTNER, sun: { sign: 'Libra', degree: 5, longitude: 185 } } };
+            const userChart = { ...USER, sun: { sign: 'Aries', degree: 3, longitude: 3 } };
+
+            const formatted = synastry.formatSynastryForAI({ userName: 'Maria', userChart, partner, aspects, summary });
+
+            assert.ok(formatted.startsWith('\n=== PARTNER: Alex (NATAL CHART) ===\n\nSun: Libra 5°\n'));
+            assert.ok(formatted.includes('=== SYNASTRY (Maria → Alex) ===\n\n- Maria\'s Moon square Alex\'s Saturn (orb 0.0°)\n'));
+            assert.ok(formatted.includes('Harmonious: 2, challenging: 4, conjunctions: 2\n'));
+            assert.ok(formatted.includes('Attraction: 1 harmonious, 3 challenging, 2 conjunction(s) - tightest: Venus opposition Saturn\n'));
+            assert.ok(formatted.includes('Communication: 0 harmonious, 0 challenging, 0 conjunction(s)\n'));
+        });
+
+        it('explains missing aspects when a chart has no degrees', () => {
+            const partner = { name: 'Sam', natalChart: { sun: { sign: 'Leo' } } };
+
+            const formatted = synastry.formatSynastryForAI({ userChart: USER, partner, aspects: [], summary: null });
+
+            assert.ok(formatted.includes('No inter-chart aspects'));
+            assert.ok(!formatted.includes('SYNASTRY'));
+        });
+    });
+});
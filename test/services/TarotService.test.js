@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TAROT_DECK, TarotService } from '../../src/services/TarotService.js';
+import { createRandom, shuffle } from '../../src/utils/random.js';
+
+const tarot = await TarotService.load();
+
+describe('random', () => {
+    it('repeats the sequence for a seed', () => {
+        const a = createRandom('seed');
+        const b = createRandom('seed');
+        const other = createRandom('other seed');
+
+        const sequence = [a(), a(), a()];
+        assert.deepEqual([b(), b(), b()], sequence);
+        assert.notDeepEqual([other(), other(), other()], sequence);
+        assert.ok(sequence.every(value => value >= 0 && value < 1));
+    });
+
+    it('shuffles a copy deterministically', () => {
+        const items = [1, 2, 3, 4, 5];
+
+        assert.deepEqual(shuffle(items, createRandom('abc')), [3, 1, 4, 2, 5]);
+        assert.deepEqual(items, [1, 2, 3, 4, 5]);
+    });
+});
+
+describe('TarotService', () => {
+    it('has the 78 card deck with unique ids', () => {
+        assert.equal(TAROT_DECK.length, 78);
+        assert.equal(new Set(TAROT_DECK.map(card => card.id)).size, 78);
+        assert.equal(TAROT_DECK.filter(card => card.arcana === 'major').length, 22);
+        assert.deepEqual(TAROT_DECK[0], { id: 'fool', name: 'The Fool', arcana: 'major', suit: null });
+    });
+
+    it('draws the same cards for a spread and seed', () => {
+        const reading = tarot.drawSpread('three_card', { seed: 'moon-2024', question: '  Will I move?  ' });
+
+        assert.equal(reading.spreadName, 'Past / Present / Future');
+        assert.equal(reading.seed, 'moon-2024');
+        assert.equal(reading.question, 'Will I move?');
+        assert.deepEqual(
+            reading.cards.map(card => [card.position, card.id, card.reversed]),
+            [
+                ['past', 'page_of_pentacles', false],
+                ['present', 'nine_of_cups', false],
+                ['future', 'lovers', true],
+            ]
+        );
+        assert.deepEqual(tarot.drawSpread('three_card', { seed: 'moon-2024' }).cards, reading.cards);
+    });
+
+    it('never repeats a card within a reading', () => {
+        const reading = tarot.drawSpread('celtic_cross', { seed: 'moon-2024' });
+
+        assert.equal(reading.cards.length, 10);
+        assert.equal(new Set(reading.cards.map(card => card.id)).size, 10);
+        assert.deepEqual(reading.cards.slice(0, 3).map(card => card.id), ['king_of_wands', 'judgement', 'hermit']);
+    });
+
+    it('seeds per spread and picks a random seed when none is given', () => {
+        const single = tarot.drawSpread('single', { seed: 'moon-2024' });
+        const unseeded = tarot.drawSpread('single');
+
+        assert.notEqual(single.cards[0].id, 'page_of_pentacles');
+        assert.match(unseeded.seed, /^[0-9a-f]{16}$/);
+        assert.deepEqual(tarot.drawSpread('single', { seed: unseeded.seed }).cards, unseeded.cards);
+    });
+
+    it('uses the default spread and rejects unknown ones', () => {
+        assert.equal(tarot.drawSpread(undefined, { seed: 1 }).spread, 'three_card');
+        assert.throws(() => tarot.drawSpread('pentagram'), /Unknown tarot spread: pentagram/);
+    });
+
+    it('honours the reversal chance', () => {
+        const upright = new TarotService({ ...tarot, reversalChance: 0 });
+        const reversed = new TarotService({ ...tarot, reversalChance: 1 });
+
+        assert.ok(upright.drawSpread('celtic_cross', { seed: 's' }).cards.every(card => !card.reversed));
+        assert.ok(reversed.drawSpread('celtic_cross', { seed: 's' }).cards.every(card => card.reversed));
+    });
+
+    it('formats readings for the prompt, latest last', () => {
+        const service = new TarotService({ ...tarot, now: () => Date.UTC(2024, 3, 8, 18, 30) });
+        const earlier = service.drawSpread('single', { seed: 'a' });
+        const current = service.drawSpread('three_card', { seed: 'moon-2024', question: 'Will I move?' });
+
+        const formatted = service.formatReadingsForAI([earlier, current]);
+
+        assert.ok(formatted.startsWith('\n=== TAROT READING (cards drawn by the server) ===\n\nEarlier reading: Single Card (2024-04-08 18:30 UTC)\n'));
+        assert.ok(formatted.includes(
+            'Current reading: Past / Present / Future (2024-04-08 18:30 UTC)\n'
+            + 'Question: Will I move?\n'
+            + '- What led here: Page of Pentacles\n'
+            + '- Where things stand now: Nine of Cups\n'
+            + '- Where this is heading: The Lovers (reversed)\n'
+        ));
+        assert.equal(service.formatReadingsForAI([]), '');
+    });
+});
@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TransitCalendarService } from '../../src/services/TransitCalendarService.js';
+import { AspectService } from '../../src/services/AspectService.js';
+import { localDate } from '../../src/utils/timezone.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const calendar = new TransitCalendarService(await AspectService.load());
+const april = calendar.events(new Date('2024-04-01T00:00:00Z'), new Date('2024-05-01T00:00:00Z'));
+
+/**
+ * The single event matching the fields, within `hours` of a published time
+ */
+function assertEvent(events, fields, published, hours) {
+    const matches = events.filter(event => Object.entries(fields).every(([key, value]) => event[key] === value));
+    assert.equal(matches.length, 1, `${JSON.stringify(fields)}: ${matches.length} events`);
+
+    const offset = Math.abs(Date.parse(matches[0].at) - Date.parse(published));
+    assert.ok(offset <= hours * HOUR_MS, `${JSON.stringify(fields)} at ${matches[0].at}, published ${published}`);
+    return matches[0];
+}
+
+describe('TransitCalendarService', () => {
+    it('finds the lunations of April 2024', () => {
+        const newMoon = assertEvent(april, { type: 'lunation', phase: 'new_moon' }, '2024-04-08T18:21:00Z', 0.25);
+        const fullMoon = assertEvent(april, { type: 'lunation', phase: 'full_moon' }, '2024-04-23T23:49:00Z', 0.25);
+
+        assert.deepEqual([newMoon.sign, Math.round(newMoon.degree)], ['Aries', 19]);
+        assert.deepEqual([fullMoon.sign, Math.round(fullMoon.degree)], ['Scorpio', 4]);
+    });
+
+    it('finds the Mercury retrograde stations', () => {
+        const retrograde = assertEvent(april, { type: 'station', body: 'mercury', station: 'retrograde' }, '2024-04-01T22:14:00Z', 0.5);
+        const direct = assertEvent(april, { type: 'station', body: 'mercury', station: 'direct' }, '2024-04-25T12:54:00Z', 0.5);
+
+        assert.equal(Math.round(retrograde.degree), 27);
+        assert.equal(Math.round(direct.degree), 16);
+        assert.equal(april.filter(event => event.type === 'station').length, 2);
+    });
+
+    it('finds the planets entering signs', () => {
+        assertEvent(april, { type: 'ingress', body: 'venus', sign: 'Aries' }, '2024-04-05T04:00:00Z', 0.5);
+        assertEvent(april, { type: 'ingress', body: 'sun', sign: 'Taurus' }, '2024-04-19T14:00:00Z', 0.5);
+        assertEvent(april, { type: 'ingress', body: 'venus', sign: 'Taurus' }, '2024-04-29T11:30:00Z', 0.5);
+        assertEvent(april, { type: 'ingress', body: 'mars', sign: 'Aries' }, '2024-04-30T15:33:00Z', 0.5);
+        // The Moon changes sign every two to three days
+        const moon = april.filter(event => event.type === 'ingress' && event.body === 'moon');
+        assert.ok(moon.length >= 12 && moon.length <= 14, `${moon.length} Moon ingresses`);
+    });
+
+    it('marks retrograde ingresses into the previous sign', () => {
+        const december = calendar.events(new Date('2023-12-20T00:00:00Z'), new Date('2023-12-25T00:00:00Z'));
+
+        const ingress = assertEvent(december, { type: 'ingress', body: 'mercury' }, '2023-12-23T07:18:00Z', 2);
+        assert.equal(ingress.sign, 'Sagittarius');
+        assert.equal(ingress.retrograde, true);
+    });
+
+    it('finds exact aspects between planets, without the Moon', () => {
+        // Slow pairs drift little per hour, so their exact moment is less precise
+        assertEvent(april, { type: 'aspect', from: 'jupiter', to: 'uranus', aspect: 'conjunction' }, '2024-04-20T23:27:00Z', 18);
+        assertEvent(april, { type: 'aspect', from: 'mars', to: 'saturn', aspect: 'conjunction' }, '2024-04-10T23:04:00Z', 2);
+        assertEvent(april, { type: 'aspect', from: 'sun', to: 'mercury', aspect: 'conjunction' }, '2024-04-11T22:56:00Z', 1);
+
+        const aspects = april.filter(event => event.type === 'aspect');
+        assert.ok(aspects.every(event => event.from !== 'moon' && event.to !== 'moon'));
+        assert.ok(aspects.every(event => Number.isFinite(event.angle)));
+    });
+
+    it('sorts events and dates them in the calendar zone', () => {
+        const times = april.map(event => Date.parse(event.at));
+        assert.deepEqual(times, [...times].sort((a, b) => a - b));
+        assert.ok(april.every(event => event.at >= '2024-04-01' && event.at < '2024-05-01'));
+
+        const tokyo = calendar.events(
+            new Date('2024-04-23T00:00:00Z'),
+            new Date('2024-04-25T00:00:00Z'),
+            at => localDate(at, 'Asia/Tokyo')
+        );
+        const fullMoon = tokyo.find(event => event.phase === 'full_moon');
+        assert.equal(fullMoon.at.slice(0, 10), '2024-04-23');
+        assert.equal(fullMoon.date, '2024-04-24');
+    });
+
+    it('gives the same moments with a coarser sampling step', () => {
+        const coarse = new TransitCalendarService(calendar.aspectService, { stepHours: 12 })
+            .events(new Date('2024-04-01T00:00:00Z'), new Date('2024-05-01T00:00:00Z'));
+        const lunations = events => events.filter(event => event.type === 'lunation').map(event => event.at);
+
+        assert.deepEqual(lunations(coarse), lunations(april));
+    });
+});
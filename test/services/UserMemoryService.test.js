@@ -0,0 +1,114 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { UserMemoryService } from '../../src/services/UserMemoryService.js';
+import { MemoryUserMemoryStore } from '../../src/stores/MemoryUserMemoryStore.js';
+
+const USER = 'user-1';
+
+function createService(options) {
+    return new UserMemoryService(new MemoryUserMemoryStore(), options);
+}
+
+describe('UserMemoryService', () => {
+    describe('sanitize', () => {
+        const service = createService();
+
+        it('drops empty and duplicate memories and defaults unknown kinds to fact', () => {
+            const clean = service.sanitize(
+                [
+                    { kind: 'relationship', content: '  Dating Alex, a Scorpio  ' },
+                    { kind: 'relationship', content: 'dating alex - a scorpio!' },
+                    { kind: 'mood', content: 'Likes long answers' },
+                    { kind: 'card', content: '' },
+                    null,
+                    { kind: 'situation', content: 'Waiting for a job offer' },
+                ],
+                [{ kind: 'situation', content: 'Waiting for a job offer.' }]
+            );
+
+            assert.deepEqual(clean, [
+                { kind: 'relationship', content: 'Dating Alex, a Scorpio' },
+                { kind: 'fact', content: 'Likes long answers' },
+            ]);
+        });
+
+        it('truncates long memories and ignores non-array input', () => {
+            assert.equal(service.sanitize([{ kind: 'fact', content: 'x'.repeat(500) }])[0].content.length, 300);
+            assert.deepEqual(service.sanitize({ kind: 'fact', content: 'not a list' }), []);
+        });
+    });
+
+    describe('addMemories', () => {
+        it('stores new memories with their conversation and skips known ones', async () => {
+            const service = createService();
+
+            const first = await service.addMemories(USER, [{ kind: 'fact', content: 'Has a cat named Miso' }], { conversationId: 'c1' });
+            const second = await service.addMemories(USER, [{ kind: 'fact', content: 'has a cat named Miso' }]);
+
+            assert.equal(first.length, 1);
+            assert.equal(first[0].conversationId, 'c1');
+            assert.deepEqual(second, []);
+            assert.equal((await service.listMemories(USER)).length, 1);
+        });
+
+        it('drops the oldest memories beyond maxPerUser', async () => {
+            const service = createService({ maxPerUser: 3 });
+
+            await service.addMemories(USER, [{ content: 'first memory' }, { content: 'second memory' }]);
+            await service.addMemories(USER, [{ content: 'third memory' }, { content: 'fourth memory' }]);
+
+            const contents = (await service.listMemories(USER)).map(memory => memory.content);
+            assert.equal(contents.length, 3);
+            assert.ok(!contents.includes('first memory'));
+            assert.ok(contents.includes('fourth memory'));
+        });
+
+        it('keeps memories per user', async () => {
+            const service = createService();
+
+            await service.addMemories(USER, [{ content: 'Lives in Lisbon' }]);
+
+            assert.deepEqual(await service.listMemories('user-2'), []);
+            assert.equal(await service.deleteAllMemories(USER), 1);
+            assert.deepEqual(await service.listMemories(USER), []);
+        });
+    });
+
+    describe('getRelevantMemories', () => {
+        it('ranks word overlap with the query above kind and recency', async () => {
+            const service = createService();
+            await service.addMemories(USER, [
+                { kind: 'fact', content: 'Works as a nurse in night shifts' },
+                { kind: 'relationship', content: 'Sister Maria moved to Berlin' },
+                { kind: 'situation', content: 'Thinking about quitting the nursing job' },
+            ]);
+            await service.addMemories(USER, [{ kind: 'card', content: 'Drew the Tower about the move' }]);
+
+            const ranked = await service.getRelevantMemories(USER, 'Should I visit Maria in Berlin?', 2);
+
+            assert.deepEqual(ranked.map(memory => memory.content), [
+                'Sister Maria moved to Berlin',
+                'Thinking about quitting the nursing job',
+            ]);
+        });
+
+        it('returns nothing for users without memories', async () => {
+            assert.deepEqual(await createService().getRelevantMemories(USER, 'anything'), []);
+        });
+    });
+
+    it('formats memories grouped by kind with their date', () => {
+        const formatted = createService().formatMemoriesForAI([
+            { kind: 'fact', content: 'Has a cat', createdAt: '2026-01-02T10:00:00.000Z' },
+            { kind: 'relationship', content: 'Dating Alex', createdAt: '2026-01-01T10:00:00.000Z' },
+        ]);
+
+        assert.equal(
+            formatted,
+            '\n=== USER MEMORIES (from earlier conversations) ===\n\n'
+            + 'Relationships:\n- Dating Alex (2026-01-01)\n\n'
+            + 'Other facts:\n- Has a cat (2026-01-02)\n\n'
+        );
+        assert.equal(createService().formatMemoriesForAI([]), '');
+    });
+});
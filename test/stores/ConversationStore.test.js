@@ -0,0 +1,176 @@
+import { after, afterEach, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MemoryConversationStore } from '../../src/stores/MemoryConversationStore.js';
+import { SupabaseConversationStore } from '../../src/stores/SupabaseConversationStore.js';
+
+const SUPABASE_URL = 'https://project.supabase.co';
+process.env.SUPABASE_URL = SUPABASE_URL;
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-role-key';
+
+function json(status, body) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * Stub fetch with an in-memory PostgREST: insert / select / update on /rest/v1/<table>
+ * with eq / is filters, order and limit (enough for SupabaseConversationStore)
+ */
+function stubPostgrest() {
+    const tables = new Map();
+    const rows = table => tables.get(table) || tables.set(table, []).get(table);
+
+    mock.method(globalThis, 'fetch', async (input, init = {}) => {
+        const request = new Request(input, init);
+        const url = new URL(request.url);
+        const table = url.pathname.replace('/rest/v1/', '');
+        const single = (request.headers.get('Accept') || '').includes('vnd.pgrst.object');
+
+        const filters = [];
+        url.searchParams.forEach((value, key) => {
+            if (['select', 'order', 'limit'].includes(key)) return;
+            const [op, operand] = [value.slice(0, value.indexOf('.')), value.slice(value.indexOf('.') + 1)];
+            filters.push(row => (op === 'is' ? row[key] === null || row[key] === undefined : String(row[key]) === operand));
+        });
+        const matching = () => rows(table).filter(row => filters.every(filter => filter(row)));
+
+        let result;
+        if (request.method === 'POST') {
+            const body = await request.json();
+            result = (Array.isArray(body) ? body : [body]).map(row => ({ id: randomUUID(), ended_at: null, ...row }));
+            rows(table).push(...result);
+        } else if (request.method === 'PATCH') {
+            const updates = await request.json();
+            result = matching().map(row => Object.assign(row, updates));
+        } else {
+            result = matching();
+            const order = url.searchParams.get('order');
+            if (order) {
+                const [column, direction] = order.split('.');
+                result = [...result].sort((a, b) => (a[column] < b[column] ? -1 : 1) * (direction === 'desc' ? -1 : 1));
+            }
+            if (url.searchParams.has('limit')) result = result.slice(0, Number(url.searchParams.get('limit')));
+        }
+
+        const copy = structuredClone(result);
+        if (!single) return json(200, copy);
+        return copy.length === 1 ? json(200, copy[0]) : json(406, { code: 'PGRST116', message: `${copy.length} rows` });
+    });
+
+    return tables;
+}
+
+const READING = {
+    id: randomUUID(),
+    spread: 'three_card',
+    spreadName: 'Past / Present / Future',
+    question: 'Will I move?',
+    seed: 'moon-2024',
+    drawnAt: '2026-01-01T12:00:00.000Z',
+    cards: [{ position: 'past', meaning: 'Roots', id: 'lovers', name: 'The Lovers', reversed: true }],
+};
+
+/**
+ * Round trip shared by every ConversationStore
+ */
+function describeStore(name, createStore, { setup = () => {} } = {}) {
+    describe(name, () => {
+        let store;
+
+        beforeEach(async () => {
+            await setup();
+            store = await createStore();
+        });
+
+        afterEach(() => {
+            mock.restoreAll();
+        });
+
+        it('creates a conversation and appends messages in order', async () => {
+            const conversation = await store.createConversation({ userId: 'user-1', chatMode: 'tarot' });
+
+            await store.addMessage(conversation.id, { role: 'user', content: 'hi', timestamp: '2026-01-01T12:00:00.000Z' });
+            await store.addMessage(conversation.id, { role: 'model', content: 'hello', group: 1, timestamp: '2026-01-01T12:00:01.000Z' });
+
+            assert.equal(conversation.userId, 'user-1');
+            assert.equal(conversation.chatMode, 'tarot');
+            assert.equal(conversation.endedAt, null);
+            assert.deepEqual(
+                (await store.getMessages(conversation.id)).map(({ role, content, group, timestamp }) => ({ role, content, group, timestamp })),
+                [
+                    { role: 'user', content: 'hi', group: null, timestamp: '2026-01-01T12:00:00.000Z' },
+                    { role: 'model', content: 'hello', group: 1, timestamp: '2026-01-01T12:00:01.000Z' },
+                ]
+            );
+            assert.equal((await store.getConversation(conversation.id)).id, conversation.id);
+        });
+
+        it('resumes the latest unfinished conversation of a user', async () => {
+            const ended = await store.createConversation({ userId: 'user-1' });
+            const open = await store.createConversation({ userId: 'user-1' });
+            await store.createConversation({ userId: 'user-2' });
+            await store.updateConversation(ended.id, { endedAt: '2026-01-01T13:00:00.000Z' });
+
+            const active = await store.getActiveConversation('user-1');
+            assert.equal(active.id, open.id);
+            assert.equal(active.chatMode, 'astro');
+
+            await store.updateConversation(open.id, { chatMode: 'compatibility' });
+            assert.equal((await store.getConversation(open.id)).chatMode, 'compatibility');
+
+            await store.updateConversation(open.id, { endedAt: '2026-01-01T14:00:00.000Z' });
+            assert.equal(await store.getActiveConversation('user-1'), null);
+            assert.equal((await store.getConversation(open.id)).endedAt, '2026-01-01T14:00:00.000Z');
+        });
+
+        it('stores tarot readings with their spread, seed and cards', async () => {
+            const conversation = await store.createConversation({ userId: 'user-1', chatMode: 'tarot' });
+
+            await store.addTarotReading(conversation.id, READING);
+            await store.addTarotReading(conversation.id, { ...READING, id: randomUUID(), seed: 'sun', drawnAt: '2026-01-01T12:05:00.000Z' });
+
+            const readings = await store.getTarotReadings(conversation.id);
+            assert.deepEqual(readings[0], { ...READING, conversationId: conversation.id });
+            assert.deepEqual(readings.map(reading => reading.seed), ['moon-2024', 'sun']);
+        });
+    });
+}
+
+describeStore('MemoryConversationStore', () => new MemoryConversationStore());
+
+describeStore('SupabaseConversationStore', () => new SupabaseConversationStore(), { setup: stubPostgrest });
+
+describe('MemoryConversationStore file mirror', () => {
+    let dir;
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'conversations-'));
+    });
+
+    after(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('loads conversations, messages and tarot readings after a restart', async () => {
+        const filePath = path.join(dir, 'conversations.json');
+        const first = new MemoryConversationStore({ filePath });
+        const conversation = await first.createConversation({ userId: 'user-1' });
+        await first.addMessage(conversation.id, { role: 'user', content: 'hi' });
+        await first.addTarotReading(conversation.id, READING);
+
+        mock.method(console, 'log', () => {});
+        const restarted = new MemoryConversationStore({ filePath });
+
+        assert.equal((await restarted.getActiveConversation('user-1')).id, conversation.id);
+        assert.deepEqual((await restarted.getMessages(conversation.id)).map(message => message.content), ['hi']);
+        assert.deepEqual(await restarted.getTarotReadings(conversation.id), [{ ...READING, conversationId: conversation.id }]);
+        mock.restoreAll();
+    });
+
+    it('rejects messages for unknown conversations', async () => {
+        await assert.rejects(new MemoryConversationStore().addMessage('missing', { role: 'user', content: 'hi' }), /not found/);
+    });
+});
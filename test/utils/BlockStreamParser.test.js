@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BlockStreamParser } from '../../src/utils/BlockStreamParser.js';
+
+/**
+ * Feed text in fixed-size chunks and collect the blocks returned by each push
+ */
+function feed(text, chunkSize) {
+    const parser = new BlockStreamParser();
+    const pushes = [];
+    for (let i = 0; i < text.length; i += chunkSize) {
+        pushes.push(parser.push(text.slice(i, i + chunkSize)));
+    }
+    return { parser, pushes, blocks: pushes.flat() };
+}
+
+const RESPONSE = JSON.stringify({
+    blocks: [
+        { text: 'Your Sun is in Aries.', typingTime: 2, group: 1 },
+        { text: 'Mars rules it.', typingTime: 1, group: 1 },
+        { text: 'More tomorrow.', typingTime: 1, group: 2 },
+    ],
+}, null, 2);
+
+describe('BlockStreamParser', () => {
+    it('returns each block once its closing brace arrives, whatever the chunk size', () => {
+        for (const chunkSize of [1, 3, 7, 64, RESPONSE.length]) {
+            const { parser, blocks } = feed(RESPONSE, chunkSize);
+
+            assert.deepEqual(blocks.map(block => block.text), ['Your Sun is in Aries.', 'Mars rules it.', 'More tomorrow.']);
+            assert.equal(parser.isComplete(), true);
+            assert.equal(parser.getText(), RESPONSE);
+        }
+    });
+
+    it('emits a block split across chunks on the chunk that completes it', () => {
+        const parser = new BlockStreamParser();
+
+        assert.deepEqual(parser.push('{"blocks": [{"text": "Hel'), []);
+        assert.deepEqual(parser.push('lo", "group": 1'), []);
+        assert.deepEqual(parser.push('}, {"te'), [{ text: 'Hello', group: 1 }]);
+        assert.deepEqual(parser.push('xt": "Bye"}]}'), [{ text: 'Bye' }]);
+        assert.equal(parser.isComplete(), true);
+    });
+
+    it('ignores braces, brackets and escaped quotes inside strings', () => {
+        const tricky = { text: 'A "quoted" {brace} ]bracket[ and \\ backslash', nested: { typingTime: 1 } };
+        const text = JSON.stringify({ blocks: [tricky, { text: '\\"}' }] });
+
+        for (const chunkSize of [1, 5, text.length]) {
+            const { parser, blocks } = feed(text, chunkSize);
+            assert.deepEqual(blocks, [tricky, { text: '\\"}' }]);
+            assert.equal(parser.isComplete(), true);
+        }
+    });
+
+    it('skips markdown code fences and prose around the JSON', () => {
+        const text = 'Here is the reply:\n```json\n{"blocks": [{"text": "one"}, {"text": "two"}]}\n```\nDone.';
+        const { parser, blocks } = feed(text, 4);
+
+        assert.deepEqual(blocks, [{ text: 'one' }, { text: 'two' }]);
+        assert.equal(parser.isComplete(), true);
+    });
+
+    it('keeps the completed blocks of a truncated array', () => {
+        const { parser, blocks } = feed('{"blocks": [{"text": "one"}, {"text": "tw', 6);
+
+        assert.deepEqual(blocks, [{ text: 'one' }]);
+        assert.equal(parser.isComplete(), false);
+    });
+
+    it('waits for the blocks key before parsing', () => {
+        const parser = new BlockStreamParser();
+
+        assert.deepEqual(parser.push('{"summary": {"text": "not a block"}, "blo'), []);
+        assert.deepEqual(parser.push('cks": [{"text": "one"}]'), [{ text: 'one' }]);
+    });
+
+    it('throws with the block index when a block is malformed', () => {
+        const parser = new BlockStreamParser();
+
+        assert.deepEqual(parser.push('{"blocks": [{"text": "one"}, '), [{ text: 'one' }]);
+        assert.throws(() => parser.push('{"text": "two",}'), /^Error: Failed to parse streamed block 1: /);
+    });
+});
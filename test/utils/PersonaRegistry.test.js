@@ -0,0 +1,107 @@
+import { after, afterEach, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PersonaRegistry } from '../../src/utils/PersonaRegistry.js';
+import { MockProvider } from '../../src/providers/MockProvider.js';
+import { GeminiService } from '../../src/services/GeminiService.js';
+import { UserSessionManager } from '../../src/managers/UserSessionManager.js';
+
+describe('PersonaRegistry', () => {
+    let configDir;
+
+    before(async () => {
+        configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'personas-'));
+        const files = {
+            'base_formatting_rules.txt': 'BASE RULES',
+            'astro_expert.txt': '### CONTEXT-SPECIFIC PROMPT: ASTROLOGER\nRead the chart.',
+            'dream_reader_expert.txt': '# dream reader\nRead the dream.',
+            'numerology_expert.txt': 'No title line',
+            'runes_expert.txt': '---\ntarot: true\nicon: runes\n---\n### RUNE CASTER\nRead the runes.',
+            'Bad-Mode_expert.txt': '### BROKEN',
+            'evaluator_prompt.txt': 'Not a persona',
+        };
+        await Promise.all(Object.entries(files).map(([file, text]) => fs.writeFile(path.join(configDir, file), text)));
+    });
+
+    after(async () => {
+        await fs.rm(configDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('discovers every *_expert.txt as a chat mode', async () => {
+        const registry = await PersonaRegistry.load(configDir);
+
+        assert.deepEqual(registry.modes(), ['astro', 'dream_reader', 'numerology', 'runes']);
+        assert.deepEqual(registry.list(), [
+            { mode: 'astro', name: 'Astrologer' },
+            { mode: 'dream_reader', name: 'Dream Reader' },
+            { mode: 'numerology', name: 'numerology' },
+            { mode: 'runes', name: 'Rune Caster' },
+        ]);
+        assert.equal(registry.get('dream_reader').prompt, 'BASE RULES\n\n# dream reader\nRead the dream.');
+        assert.equal(registry.defaultMode, 'astro');
+    });
+
+    it('reads persona metadata and keeps it out of the prompt', async () => {
+        const registry = await PersonaRegistry.load(configDir);
+
+        assert.equal(registry.get('runes').tarot, true);
+        assert.equal(registry.get('runes').prompt, 'BASE RULES\n\n### RUNE CASTER\nRead the runes.');
+        assert.equal(registry.get('astro').tarot, false);
+    });
+
+    it('skips files with invalid mode names', async () => {
+        await PersonaRegistry.load(configDir);
+
+        assert.equal(console.warn.mock.callCount(), 1);
+        assert.match(console.warn.mock.calls[0].arguments[0], /Skipping persona file Bad-Mode_expert\.txt/);
+    });
+
+    it('rejects unknown modes', async () => {
+        const registry = await PersonaRegistry.load(configDir, 'numerology');
+
+        assert.equal(registry.has('tarot'), false);
+        assert.equal(registry.has('Bad-Mode'), false);
+        assert.equal(registry.has(undefined), false);
+        assert.equal(registry.get('tarot'), null);
+        await assert.rejects(PersonaRegistry.load(configDir, 'tarot'), /Unknown default chat mode: tarot/);
+    });
+
+    it('loads the personas shipped in src/config', async () => {
+        const registry = await PersonaRegistry.load();
+
+        ['astro', 'tarot', 'tarot_astro', 'compatibility'].forEach(mode => assert.ok(registry.has(mode), mode));
+        assert.deepEqual(registry.modes().filter(mode => registry.get(mode).tarot), ['tarot', 'tarot_astro']);
+        assert.equal(registry.get('tarot').name, 'Tarot Reader');
+        assert.ok(registry.list().every(({ name }) => name && name !== ''));
+    });
+
+    it('lets GeminiService resolve only known modes', async () => {
+        const geminiService = new GeminiService(new MockProvider());
+        geminiService.personas = await PersonaRegistry.load(configDir);
+
+        assert.equal(geminiService.resolveChatMode('dream_reader'), 'dream_reader');
+        assert.equal(geminiService.resolveChatMode('tarot'), null);
+        assert.equal(geminiService.hasChatMode('astro'), true);
+        assert.deepEqual(geminiService.listChatModes().modes.map(persona => persona.mode), ['astro', 'dream_reader', 'numerology', 'runes']);
+        assert.equal(geminiService.getPersona('runes').tarot, true);
+        assert.equal(geminiService.getPersona('tarot'), null);
+    });
+
+    it('seeds new sessions with the default mode', async () => {
+        const registry = await PersonaRegistry.load(configDir, 'dream_reader');
+        const sessionManager = new UserSessionManager(null, null, { defaultChatMode: registry.defaultMode });
+
+        assert.equal(sessionManager.getContext('session-1').chatMode, 'dream_reader');
+    });
+});
@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TimingProfiles } from '../../src/utils/TimingProfiles.js';
+
+const profiles = await TimingProfiles.load();
+
+describe('TimingProfiles', () => {
+    it('picks the session profile, then the chat mode profile, then the default', () => {
+        const custom = new TimingProfiles({
+            profiles: { slow: { speed: 0.5, typingIdleMs: 1000 }, quick: { speed: 2, typingIdleMs: 1000 } },
+            modes: { tarot: 'quick' },
+            defaultProfile: 'slow',
+        });
+
+        assert.equal(custom.resolve({ profile: 'quick' }).typingIdleMs, 500);
+        assert.equal(custom.resolve({ mode: 'tarot' }).profile, 'quick');
+        assert.equal(custom.resolve({ profile: 'missing', mode: 'astro' }).typingIdleMs, 2000);
+        assert.throws(() => new TimingProfiles({ profiles: {}, defaultProfile: 'slow' }), /Unknown default timing profile/);
+    });
+
+    it('keeps valid overrides and drops invalid ones', () => {
+        assert.deepEqual(profiles.sanitizeOverrides({
+            speed: '2',
+            simulateTyping: false,
+            groupDelayMs: 1500,
+            typingIdleMs: 'soon',
+            endUpdateMs: -1,
+            maxTypingMs: Infinity,
+            unknownMs: 10,
+        }), { speed: 2, simulateTyping: false, groupDelayMs: 1500 });
+        assert.deepEqual(profiles.sanitizeOverrides(null), {});
+    });
+
+    it('clamps overrides that would stall or flood the session', () => {
+        assert.deepEqual(profiles.sanitizeOverrides({
+            speed: 1000,
+            typingSpeed: 0.001,
+            typingIdleMs: 0,
+            endUpdateMs: 0,
+            minBlockDelayMs: 0,
+            maxTypingMs: 1e9,
+        }), {
+            speed: 4,
+            typingSpeed: 0.25,
+            typingIdleMs: 1000,
+            endUpdateMs: 5000,
+            minBlockDelayMs: 100,
+            maxTypingMs: 300000,
+        });
+    });
+
+    it('applies clamped overrides on top of the profile', () => {
+        const timing = profiles.resolve({ profile: 'realistic', overrides: { endUpdateMs: 0, speed: 1000 } });
+
+        assert.equal(timing.speed, 4);
+        assert.equal(timing.endUpdateMs, 1250);
+        assert.equal(timing.typingIdleMs, 1250);
+        assert.equal(timing.minBlockDelayMs, 250);
+    });
+});
@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isValidDate, isValidTimeZone, localDate, timeZoneOffsetMinutes, zonedTimeToUtc } from '../../src/utils/timezone.js';
+
+const at = iso => new Date(iso);
+const utc = (date, time, zone) => zonedTimeToUtc(date, time, zone).toISOString();
+
+describe('timezone', () => {
+    it('validates time zones and calendar dates', () => {
+        assert.equal(isValidTimeZone('Europe/Berlin'), true);
+        assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+        assert.equal(isValidTimeZone(''), false);
+        assert.equal(isValidDate('2024-02-29'), true);
+        assert.equal(isValidDate('2023-02-29'), false);
+        assert.equal(isValidDate('2024-4-8'), false);
+    });
+
+    describe('localDate', () => {
+        it('switches days at local midnight', () => {
+            assert.equal(localDate(at('2024-04-08T14:59:59Z'), 'Asia/Tokyo'), '2024-04-08');
+            assert.equal(localDate(at('2024-04-08T15:00:00Z'), 'Asia/Tokyo'), '2024-04-09');
+            assert.equal(localDate(at('2024-04-09T06:59:59Z'), 'America/Los_Angeles'), '2024-04-08');
+            assert.equal(localDate(at('2024-04-09T07:00:00Z'), 'America/Los_Angeles'), '2024-04-09');
+        });
+
+        it('spans three dates at the same moment', () => {
+            const moment = at('2024-04-08T10:00:00Z');
+
+            assert.equal(localDate(moment, 'Pacific/Kiritimati'), '2024-04-09');
+            assert.equal(localDate(moment, 'UTC'), '2024-04-08');
+            assert.equal(localDate(moment, 'Pacific/Pago_Pago'), '2024-04-07');
+        });
+
+        it('accepts fixed offsets in minutes', () => {
+            assert.equal(localDate(at('2024-04-08T23:30:00Z'), 60), '2024-04-09');
+            assert.equal(localDate(at('2024-04-08T00:30:00Z'), -60), '2024-04-07');
+            assert.equal(localDate(at('2024-04-08T18:29:00Z'), 330), '2024-04-08');
+            assert.equal(localDate(at('2024-04-08T18:30:00Z'), 330), '2024-04-09');
+        });
+    });
+
+    describe('zonedTimeToUtc', () => {
+        it('converts local midnight', () => {
+            assert.equal(utc('2024-04-08', '00:00', 'Asia/Kolkata'), '2024-04-07T18:30:00.000Z');
+            assert.equal(utc('2024-04-08', '00:00', 'Europe/Berlin'), '2024-04-07T22:00:00.000Z');
+            assert.equal(utc('2024-04-08', '00:00', -300), '2024-04-08T05:00:00.000Z');
+        });
+
+        it('uses the offset in force on DST change days', () => {
+            // Europe/Berlin: 02:00 CET -> 03:00 CEST on 2024-03-31, back on 2024-10-27
+            assert.equal(utc('2024-03-31', '00:00', 'Europe/Berlin'), '2024-03-30T23:00:00.000Z');
+            assert.equal(utc('2024-03-31', '03:00', 'Europe/Berlin'), '2024-03-31T01:00:00.000Z');
+            assert.equal(utc('2024-10-27', '00:00', 'Europe/Berlin'), '2024-10-26T22:00:00.000Z');
+            assert.equal(utc('2024-10-27', '04:00', 'Europe/Berlin'), '2024-10-27T03:00:00.000Z');
+        });
+
+        it('gives 23 and 25 hour days around DST changes', () => {
+            const dayHours = (start, end, zone) => (zonedTimeToUtc(end, '00:00', zone) - zonedTimeToUtc(start, '00:00', zone)) / 3600000;
+
+            assert.equal(dayHours('2024-03-10', '2024-03-11', 'America/New_York'), 23);
+            assert.equal(dayHours('2024-11-03', '2024-11-04', 'America/New_York'), 25);
+            assert.equal(dayHours('2024-04-08', '2024-04-09', 'America/New_York'), 24);
+        });
+
+        it('round-trips with localDate', () => {
+            ['Asia/Tokyo', 'America/Los_Angeles', 'Asia/Kathmandu', 'Pacific/Chatham'].forEach((zone) => {
+                const start = zonedTimeToUtc('2024-04-08', '00:00', zone);
+                assert.equal(localDate(start, zone), '2024-04-08', zone);
+                assert.equal(localDate(new Date(start.getTime() - 1000), zone), '2024-04-07', zone);
+            });
+        });
+    });
+
+    it('reports UTC offsets in minutes', () => {
+        assert.equal(timeZoneOffsetMinutes(at('2024-07-01T00:00:00Z'), 'Europe/Berlin'), 120);
+        assert.equal(timeZoneOffsetMinutes(at('2024-01-01T00:00:00Z'), 'Europe/Berlin'), 60);
+        assert.equal(timeZoneOffsetMinutes(at('2024-01-01T00:00:00Z'), 'Asia/Kathmandu'), 345);
+        assert.equal(timeZoneOffsetMinutes(at('2024-01-01T00:00:00Z'), 'America/St_Johns'), -210);
+    });
+});